@@ -0,0 +1,181 @@
+const Fixture = require('../models/Fixture');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const { buildFixtureEvent, buildCalendar } = require('../utils/icalendar');
+const { entrantName } = require('../utils/entrants');
+
+// UIDs must never change, so they use a fixed domain rather than the request host
+const CALENDAR_DOMAIN = process.env.CALENDAR_DOMAIN || 'tournaments.local';
+
+const PARTICIPANT_POPULATE = [
+  { path: 'tournament', select: 'name sport' },
+  { path: 'participant1', select: 'type teamName captain', populate: { path: 'captain', select: 'firstName lastName' } },
+  { path: 'participant2', select: 'type teamName captain', populate: { path: 'captain', select: 'firstName lastName' } }
+];
+
+// One event per scheduled fixture
+const buildEvents = (fixtures) => fixtures.map(fixture => {
+  const matchup = `${entrantName(fixture.participant1)} vs ${entrantName(fixture.participant2)}`;
+  const stage = fixture.group ? `Group ${fixture.group}, round ${fixture.round}` : fixture.bracketPosition;
+
+  return buildFixtureEvent(fixture, {
+    summary: `${fixture.tournament.name}: ${matchup}`,
+    description: [
+      `${fixture.tournament.sport} - ${stage}`,
+      fixture.status === 'Cancelled' ? 'This match has been cancelled.' : null,
+      fixture.status === 'Postponed' ? 'This match has been postponed; the time may change.' : null
+    ].filter(Boolean).join('\n'),
+    domain: CALENDAR_DOMAIN
+  });
+});
+
+const sendCalendar = (res, filename, name, fixtures) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}.ics"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(buildCalendar({ name, events: buildEvents(fixtures) }));
+};
+
+// The user a feed token belongs to, or null
+const findCalendarUser = async (token) => {
+  if (typeof token !== 'string' || !/^[a-f0-9]{48}$/.test(token)) return null;
+  return User.findOne({ calendarToken: token }).select('firstName lastName');
+};
+
+const feedLinks = (req, user) => {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar`;
+  const personal = `${base}/users/${user.calendarToken}.ics`;
+
+  return {
+    personal,
+    webcal: personal.replace(/^https?:/, 'webcal:'),
+    tournament: `${base}/tournaments/:tournamentId.ics?token=${user.calendarToken}`
+  };
+};
+
+// Every scheduled fixture the token's user plays in, as captain or team member
+const getUserCalendar = async (req, res) => {
+  try {
+    const user = await findCalendarUser(req.params.token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid calendar token'
+      });
+    }
+
+    const registrations = await Registration.find({
+      $or: [{ captain: user._id }, { teamMembers: user._id }],
+      status: 'Approved'
+    }).select('_id');
+    const ids = registrations.map(registration => registration._id);
+
+    const fixtures = await Fixture.find({
+      $or: [{ participant1: { $in: ids } }, { participant2: { $in: ids } }],
+      scheduledDate: { $exists: true, $ne: null }
+    })
+      .populate(PARTICIPANT_POPULATE)
+      .sort({ scheduledDate: 1 });
+
+    sendCalendar(res, 'my-matches', `${user.firstName} ${user.lastName} - Matches`, fixtures);
+  } catch (error) {
+    console.error('Get user calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar',
+      error: error.message
+    });
+  }
+};
+
+// Every scheduled fixture in a tournament
+const getTournamentCalendar = async (req, res) => {
+  try {
+    const user = await findCalendarUser(req.query.token);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid calendar token'
+      });
+    }
+
+    const tournament = await Tournament.findById(req.params.tournamentId).select('name');
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const fixtures = await Fixture.find({
+      tournament: tournament._id,
+      scheduledDate: { $exists: true, $ne: null }
+    })
+      .populate(PARTICIPANT_POPULATE)
+      .sort({ scheduledDate: 1 });
+
+    sendCalendar(res, `tournament-${tournament._id}`, tournament.name, fixtures);
+  } catch (error) {
+    console.error('Get tournament calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar',
+      error: error.message
+    });
+  }
+};
+
+// Feed URLs for the logged-in user, issuing a token the first time
+const getCalendarLinks = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      data: feedLinks(req, user)
+    });
+  } catch (error) {
+    console.error('Get calendar links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar links',
+      error: error.message
+    });
+  }
+};
+
+// Replace the user's token so previously shared feed URLs stop working
+const resetCalendarToken = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    user.generateCalendarToken();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: feedLinks(req, user),
+      message: 'Calendar links reset. Resubscribe with the new links.'
+    });
+  } catch (error) {
+    console.error('Reset calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar links',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUserCalendar,
+  getTournamentCalendar,
+  getCalendarLinks,
+  resetCalendarToken
+};
@@ -0,0 +1,208 @@
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+const Fixture = require('../models/Fixture');
+const { validationResult } = require('express-validator');
+const capacityService = require('../services/capacityService');
+const waitlistService = require('../services/waitlistService');
+const { DIVISION_SETTINGS, findDivision, duplicateNames } = require('../utils/divisions');
+const { canManage } = require('../utils/permissions');
+
+// Tournaments that have started keep their draws as they are
+const hasStarted = (tournament) => ['InProgress', 'Completed'].includes(tournament.status);
+
+// The division fields a request may set
+const pickDivisionFields = (body) => ['name', 'maxParticipants', ...DIVISION_SETTINGS]
+  .filter(field => body[field] !== undefined)
+  .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+// Load the tournament a division request is for and check the user may
+// manage it. Sends the error response and resolves to null if not.
+const loadManagedTournament = async (req, res) => {
+  const tournament = await Tournament.findById(req.params.id);
+  if (!tournament) {
+    res.status(404).json({
+      success: false,
+      message: 'Tournament not found'
+    });
+    return null;
+  }
+
+  if (!canManage(tournament, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage divisions for this tournament'
+    });
+    return null;
+  }
+
+  return tournament;
+};
+
+// Add a division. Entries taken before a tournament had divisions have none
+// to belong to, so the first division must come before the first entry.
+const addDivision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tournament = await loadManagedTournament(req, res);
+    if (!tournament) return;
+
+    if (hasStarted(tournament)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add divisions after the tournament has started'
+      });
+    }
+
+    if (tournament.divisions.length === 0 && await Registration.exists({ tournament: tournament._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Divisions must be set up before the tournament takes entries'
+      });
+    }
+
+    const fields = pickDivisionFields(req.body);
+    if (duplicateNames([...tournament.divisions, fields]).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `There is already a division called ${fields.name}`
+      });
+    }
+
+    tournament.divisions.push(fields);
+    await tournament.save();
+    await capacityService.syncStatus(tournament._id);
+
+    res.status(201).json({
+      success: true,
+      data: await Tournament.findById(tournament._id),
+      message: `${fields.name} division added`
+    });
+  } catch (error) {
+    console.error('Add division error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add division',
+      error: error.message
+    });
+  }
+};
+
+// Change a division's name, places or settings. Extra places go to the front
+// of the division's waitlist.
+const updateDivision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tournament = await loadManagedTournament(req, res);
+    if (!tournament) return;
+
+    const division = findDivision(tournament, req.params.divisionId);
+    if (!division) {
+      return res.status(404).json({
+        success: false,
+        message: 'Division not found'
+      });
+    }
+
+    const fields = pickDivisionFields(req.body);
+    if (hasStarted(tournament) && (fields.format !== undefined || fields.maxParticipants !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot modify a division\'s format or places after the tournament has started'
+      });
+    }
+
+    const others = tournament.divisions.filter(other => !other._id.equals(division._id));
+    if (fields.name !== undefined && duplicateNames([...others, fields]).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `There is already a division called ${fields.name}`
+      });
+    }
+
+    const previousPlaces = division.maxParticipants;
+    division.set(fields);
+    await tournament.save();
+
+    await capacityService.syncStatus(tournament._id);
+    if (division.maxParticipants > previousPlaces) {
+      await waitlistService.promoteNext(tournament._id, req.app.get('notificationService'), division._id);
+    }
+
+    res.json({
+      success: true,
+      data: await Tournament.findById(tournament._id),
+      message: 'Division updated successfully'
+    });
+  } catch (error) {
+    console.error('Update division error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update division',
+      error: error.message
+    });
+  }
+};
+
+// Remove a division nobody has entered or been drawn in
+const removeDivision = async (req, res) => {
+  try {
+    const tournament = await loadManagedTournament(req, res);
+    if (!tournament) return;
+
+    const division = findDivision(tournament, req.params.divisionId);
+    if (!division) {
+      return res.status(404).json({
+        success: false,
+        message: 'Division not found'
+      });
+    }
+
+    const [entered, drawn] = await Promise.all([
+      Registration.exists({ tournament: tournament._id, division: division._id }),
+      Fixture.exists({ tournament: tournament._id, division: division._id })
+    ]);
+    if (entered || drawn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only divisions without entries or fixtures can be removed'
+      });
+    }
+
+    tournament.divisions.pull(division._id);
+    await tournament.save();
+    await capacityService.syncStatus(tournament._id);
+
+    res.json({
+      success: true,
+      data: await Tournament.findById(tournament._id),
+      message: `${division.name} division removed`
+    });
+  } catch (error) {
+    console.error('Remove division error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove division',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  addDivision,
+  updateDivision,
+  removeDivision
+};
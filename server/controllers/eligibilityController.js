@@ -0,0 +1,151 @@
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const eligibilityService = require('../services/eligibilityService');
+const { canManage } = require('../utils/permissions');
+
+// Check every entry in a tournament against its age and skill limits
+const getEligibilityReport = async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id)
+      .populate('eligibilityOverrides.user', 'firstName lastName email')
+      .populate('eligibilityOverrides.grantedBy', 'firstName lastName');
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManage(tournament, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view eligibility for this tournament'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await eligibilityService.getReport(tournament)
+    });
+  } catch (error) {
+    console.error('Get eligibility report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get eligibility report',
+      error: error.message
+    });
+  }
+};
+
+// Let a player in despite failing the limits, recording why. Replaces any
+// earlier override for the same player.
+const grantEligibilityOverride = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManage(tournament, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage eligibility for this tournament'
+      });
+    }
+
+    const { userId, justification } = req.body;
+    const player = await User.findById(userId).select('firstName lastName');
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    tournament.eligibilityOverrides = tournament.eligibilityOverrides
+      .filter(override => override.user.toString() !== userId);
+    tournament.eligibilityOverrides.push({
+      user: player._id,
+      justification,
+      grantedBy: req.user._id
+    });
+    await tournament.save();
+
+    res.status(201).json({
+      success: true,
+      data: tournament.eligibilityOverrides,
+      message: `${player.firstName} ${player.lastName} may enter despite the eligibility limits`
+    });
+  } catch (error) {
+    console.error('Grant eligibility override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant eligibility override',
+      error: error.message
+    });
+  }
+};
+
+// Withdraw an override. Entries already made are left for the organiser to
+// review in the eligibility report.
+const revokeEligibilityOverride = async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManage(tournament, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage eligibility for this tournament'
+      });
+    }
+
+    const remaining = tournament.eligibilityOverrides
+      .filter(override => override.user.toString() !== req.params.userId);
+    if (remaining.length === tournament.eligibilityOverrides.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'No override found for this player'
+      });
+    }
+
+    tournament.eligibilityOverrides = remaining;
+    await tournament.save();
+
+    res.json({
+      success: true,
+      data: tournament.eligibilityOverrides,
+      message: 'Eligibility override removed'
+    });
+  } catch (error) {
+    console.error('Revoke eligibility override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove eligibility override',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getEligibilityReport,
+  grantEligibilityOverride,
+  revokeEligibilityOverride
+};
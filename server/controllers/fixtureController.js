@@ -1,215 +1,1793 @@
 const Fixture = require('../models/Fixture');
 const Tournament = require('../models/Tournament');
 const Registration = require('../models/Registration');
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
+const {
+  generateSingleEliminationBracket,
+  generateDoubleEliminationBracket
+} = require('../utils/bracketGenerator');
+const { generateRoundRobinSchedule } = require('../utils/roundRobinGenerator');
+const {
+  allocateGroups,
+  generateGroupStageFixtures,
+  generateKnockoutFromGroups
+} = require('../utils/groupStageGenerator');
+const { generateSwissRound, getDefaultSwissRounds } = require('../utils/swissPairing');
+const { evaluateResult, getScoringRules, isSameResult } = require('../utils/scoringRules');
+const {
+  validateLiveEvent,
+  replayLiveEvents,
+  buildResultFromEvents
+} = require('../utils/liveScoring');
+const { resolveStandingsConfig } = require('../utils/standingsRules');
+const { isPlayed, planBracketRollback } = require('../utils/bracketRollback');
+const { SEEDING_METHODS, validateManualSeeds } = require('../utils/seeding');
+const { buildDrawSheet } = require('../utils/drawSheet');
+const { renderSvg, renderPdf } = require('../utils/sheetRenderer');
+const {
+  DIVISION_CHOICE_MESSAGES,
+  checkDivisionChoice,
+  forDivision,
+  inDivision
+} = require('../utils/divisions');
+const { calculateGroupStandings, buildTournamentStandings } = require('./tournamentController');
+const schedulingService = require('../services/schedulingService');
+const seedingService = require('../services/seedingService');
+const ratingService = require('../services/ratingService');
 
-// Generate fixtures for a tournament
+// The tournament as seen from the division named by ?division= (see
+// utils/divisions). A tournament with divisions is drawn one division at a
+// time, so one must be named; otherwise sends a 400 and returns null.
+const drawForRequest = (req, res, tournament) => {
+  const { division } = req.query;
+  const problem = checkDivisionChoice(tournament, division);
+  if (problem) {
+    res.status(400).json({
+      success: false,
+      message: DIVISION_CHOICE_MESSAGES[problem]
+    });
+    return null;
+  }
+  return forDivision(tournament, division);
+};
+
+// Keep draw settings worked out while generating: on the tournament, or on
+// the division being drawn
+const saveDrawSettings = async (tournament, draw, settings) => {
+  if (draw.division) {
+    Object.assign(draw, settings);
+    tournament.divisions.id(draw.division).set(settings);
+  } else {
+    tournament.set(settings);
+  }
+  await tournament.save();
+};
+
+// Generate fixtures for a tournament, or for one of its divisions
 const generateFixtures = async (req, res) => {
   try {
-    const { tournamentId } = req.params;
-    const { fixtures, settings } = req.body;
+    const { tournamentId } = req.params;
+    const { settings = {} } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tournament not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to manage this tournament' 
+      });
+    }
+
+    const draw = drawForRequest(req, res, tournament);
+    if (!draw) return;
+
+    // Seed the draw now if asked, the same way the preview does
+    if (settings.seeding) {
+      const { errors: seedingErrors, seeded } = await seedFromRequest(draw, {
+        method: settings.seeding,
+        seeds: settings.seeds
+      });
+      if (seedingErrors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid seeding',
+          errors: seedingErrors
+        });
+      }
+      await seedingService.saveSeeds(seeded);
+    }
+
+    // Get approved registrations in seed order; unseeded entrants follow,
+    // earliest first
+    const registrations = (await Registration.find({ 
+      tournament: tournamentId, 
+      ...inDivision(draw),
+      status: 'Approved' 
+    }).sort({ registrationDate: 1 })).sort(bySeed);
+
+    if (registrations.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least 2 approved registrations are required to generate fixtures'
+      });
+    }
+
+    if (draw.format === 'Group Stage + Knockout') {
+      const groupStage = resolveGroupStageSettings(draw, settings, registrations.length);
+      const smallestGroup = Math.floor(registrations.length / groupStage.groupCount);
+
+      if (smallestGroup < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every group needs at least 2 participants'
+        });
+      }
+
+      if (groupStage.qualifiersPerGroup > smallestGroup || groupStage.qualifiersPerGroup * groupStage.groupCount < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Qualifiers per group must fit in the smallest group and produce at least 2 knockout entrants'
+        });
+      }
+
+      await saveDrawSettings(tournament, draw, { groupStage });
+    }
+
+    if (draw.format === 'Swiss' && settings.totalRounds) {
+      await saveDrawSettings(tournament, draw, { swiss: { totalRounds: parseInt(settings.totalRounds) } });
+    }
+
+    const { documents, groups } = buildFixtureDocuments(draw, registrations, settings);
+
+    // Clear existing fixtures if any
+    await Fixture.deleteMany({ tournament: tournamentId, ...inDivision(draw) });
+
+    const createdFixtures = await Fixture.insertMany(documents);
+
+    // Record each entrant's group so tables can be built before any fixture is played
+    if (groups) {
+      await Registration.bulkWrite(groups.flatMap(group => group.participants.map(participant => ({
+        updateOne: {
+          filter: { _id: participant },
+          update: { $set: { group: group.name } }
+        }
+      }))));
+    }
+
+    // Optionally assign times and courts straight away. Divisions share the
+    // courts, so the whole tournament is scheduled together.
+    let schedule = null;
+    if (settings.autoSchedule) {
+      schedule = await schedulingService.scheduleTournament(tournament, settings);
+    }
+
+    // Update tournament status to InProgress if it was Draft
+    if (tournament.status === 'Draft') {
+      tournament.status = 'Open';
+      await tournament.save();
+    }
+
+    // Populate the created fixtures
+    const populatedFixtures = await Fixture.find({ 
+      tournament: tournamentId,
+      ...inDivision(draw)
+    }).populate([
+      { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+      { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } }
+    ]).sort({ round: 1, matchNumber: 1 });
+
+    res.status(201).json({
+      success: true,
+      data: populatedFixtures,
+      schedule,
+      message: `${createdFixtures.length} fixtures generated successfully`
+    });
+  } catch (error) {
+    console.error('Generate fixtures error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to generate fixtures',
+      error: error.message 
+    });
+  }
+};
+
+// Seeded entrants first, by seed; sort is stable so the rest keep their order
+const bySeed = (a, b) => (a.seed || Number.MAX_SAFE_INTEGER) - (b.seed || Number.MAX_SAFE_INTEGER);
+
+// Seed a tournament from a request's method and manual seeds. Returns
+// { errors } if the manual seeds don't fit the approved entrants.
+const seedFromRequest = async (tournament, { method = 'rating', seeds } = {}) => {
+  if (!SEEDING_METHODS.includes(method)) {
+    return { errors: [`Seeding method must be one of ${SEEDING_METHODS.join(', ')}`] };
+  }
+
+  if (Array.isArray(seeds)) {
+    const approved = await Registration.find({
+      tournament: tournament._id,
+      ...inDivision(tournament),
+      status: 'Approved'
+    }).select('_id');
+    const normalised = seeds.map(({ registrationId, seed }) => ({ registrationId, seed: parseInt(seed) }));
+    const errors = validateManualSeeds(normalised, approved.map(registration => registration._id));
+    if (errors.length > 0) {
+      return { errors };
+    }
+    seeds = normalised;
+  }
+
+  return { seeded: await seedingService.seedEntrants(tournament, { method, seeds }) };
+};
+
+// Seeds as shown to organisers: who, where and why
+const describeSeeds = (seeded) => seeded.map(({ registration, seed, rating, record, source }) => ({
+  seed,
+  source,
+  rating,
+  record,
+  registration: {
+    _id: registration._id,
+    type: registration.type,
+    teamName: registration.teamName,
+    captain: registration.captain
+  }
+}));
+
+// Preview the draw a seeding would produce without touching any fixtures
+const previewSeededDraw = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { method, seeds, settings = {} } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tournament not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to manage this tournament' 
+      });
+    }
+
+    const draw = drawForRequest(req, res, tournament);
+    if (!draw) return;
+
+    const { errors: seedingErrors, seeded } = await seedFromRequest(draw, { method, seeds });
+    if (seedingErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid seeding',
+        errors: seedingErrors
+      });
+    }
+
+    if (seeded.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least 2 approved registrations are required to preview a draw'
+      });
+    }
+
+    // Group allocation needs the group stage shape; it is only saved on generation
+    if (draw.format === 'Group Stage + Knockout') {
+      draw.groupStage = resolveGroupStageSettings(draw, settings, seeded.length);
+    }
+
+    const registrations = seeded.map(({ registration }) => registration);
+    const { documents, groups } = buildFixtureDocuments(draw, registrations, settings);
+    const seedOf = new Map(seeded.map(({ registration, seed }) => [registration._id.toString(), seed]));
+    const seedFor = (participant) => (participant ? seedOf.get(participant.toString()) : undefined);
+
+    res.json({
+      success: true,
+      data: {
+        seeds: describeSeeds(seeded),
+        groups,
+        fixtures: documents.map(document => ({
+          round: document.round,
+          matchNumber: document.matchNumber,
+          bracketPosition: document.bracketPosition,
+          bracket: document.bracket,
+          group: document.group,
+          participant1: document.participant1,
+          participant1Seed: seedFor(document.participant1),
+          participant2: document.participant2,
+          participant2Seed: seedFor(document.participant2),
+          isBye: document.isBye
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Preview seeded draw error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to preview seeded draw',
+      error: error.message 
+    });
+  }
+};
+
+// Save seeds on the entrants; the next fixture generation draws from them
+const updateSeeding = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { method, seeds } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tournament not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to manage this tournament' 
+      });
+    }
+
+    const draw = drawForRequest(req, res, tournament);
+    if (!draw) return;
+
+    const { errors: seedingErrors, seeded } = await seedFromRequest(draw, { method, seeds });
+    if (seedingErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid seeding',
+        errors: seedingErrors
+      });
+    }
+
+    await seedingService.saveSeeds(seeded);
+
+    res.json({
+      success: true,
+      data: describeSeeds(seeded),
+      message: `${seeded.length} entrants seeded`
+    });
+  } catch (error) {
+    console.error('Update seeding error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update seeding',
+      error: error.message 
+    });
+  }
+};
+
+// Work out the group stage shape from the request settings, falling back to
+// what is stored on the tournament and then to groups of four
+const resolveGroupStageSettings = (tournament, settings, participantCount) => {
+  const stored = tournament.groupStage || {};
+  const groupSize = parseInt(settings.groupSize || stored.groupSize) || null;
+  const groupCount = parseInt(settings.groupCount) ||
+    (groupSize ? Math.ceil(participantCount / groupSize) : stored.groupCount) ||
+    Math.ceil(participantCount / 4);
+
+  return {
+    groupCount,
+    groupSize,
+    qualifiersPerGroup: parseInt(settings.qualifiersPerGroup || stored.qualifiersPerGroup) || 2
+  };
+};
+
+// Build fixture documents for a tournament from its approved registrations.
+// Group stage tournaments also get back the group allocation.
+const buildFixtureDocuments = (tournament, registrations, settings = {}) => {
+  const participants = registrations.map(registration => registration._id);
+  let descriptors;
+  let groups = null;
+
+  switch (tournament.format) {
+    case 'Double Elimination':
+      descriptors = generateDoubleEliminationBracket(participants, {
+        bracketReset: settings.bracketReset !== false
+      });
+      break;
+    case 'Round Robin':
+      descriptors = generateRoundRobinSchedule(participants, {
+        legs: settings.doubleRoundRobin ? 2 : 1
+      });
+      break;
+    case 'Swiss':
+      // Only the first round can be paired up front; later rounds depend on results
+      descriptors = generateSwissRound(participants, [], 1);
+      break;
+    case 'Group Stage + Knockout':
+      groups = allocateGroups(participants, tournament.groupStage.groupCount);
+      descriptors = generateGroupStageFixtures(groups);
+      break;
+    default:
+      descriptors = generateSingleEliminationBracket(participants);
+  }
+
+  return {
+    documents: materializeFixtures(tournament, descriptors, settings),
+    groups
+  };
+};
+
+// Turn generator descriptors into Fixture documents, resolving descriptor keys
+// into ObjectIds so nextMatchId/previousMatches links can be stored up front
+const materializeFixtures = (tournament, descriptors, settings = {}) => {
+  const ids = new Map(descriptors.map(descriptor => [descriptor.key, new mongoose.Types.ObjectId()]));
+
+  return descriptors.map(descriptor => ({
+    _id: ids.get(descriptor.key),
+    tournament: tournament._id,
+    division: tournament.division,
+    round: descriptor.round,
+    matchNumber: descriptor.matchNumber,
+    participant1: descriptor.participant1,
+    participant2: descriptor.participant2,
+    winner: descriptor.winner,
+    isBye: descriptor.isBye,
+    status: descriptor.status,
+    bracketPosition: descriptor.bracketPosition,
+    group: descriptor.group,
+    bracket: descriptor.bracket,
+    nextMatchId: descriptor.nextMatchKey ? ids.get(descriptor.nextMatchKey) : null,
+    loserNextMatchId: descriptor.loserNextMatchKey ? ids.get(descriptor.loserNextMatchKey) : null,
+    previousMatches: descriptor.previousMatchKeys.map(key => ids.get(key)),
+    venue: settings.venue || tournament.venue,
+    estimatedDuration: settings.matchDuration
+  }));
+};
+
+// Pair the next round of a Swiss tournament from the results so far
+const pairNextSwissRound = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tournament not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to manage this tournament' 
+      });
+    }
+
+    const draw = drawForRequest(req, res, tournament);
+    if (!draw) return;
+
+    if (draw.format !== 'Swiss') {
+      return res.status(400).json({
+        success: false,
+        message: 'Round-by-round pairing is only available for Swiss tournaments'
+      });
+    }
+
+    const registrations = await Registration.find({ 
+      tournament: tournamentId, 
+      ...inDivision(draw),
+      status: 'Approved' 
+    }).sort({ registrationDate: 1 });
+
+    if (registrations.filter(registration => !registration.withdrawn).length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least 2 approved registrations are required to pair a round'
+      });
+    }
+
+    const fixtures = await Fixture.find({ tournament: tournamentId, ...inDivision(draw) });
+    const currentRound = Math.max(...fixtures.map(f => f.round), 0);
+    const totalRounds = draw.swiss?.totalRounds || getDefaultSwissRounds(registrations.length);
+
+    if (fixtures.some(f => f.status !== 'Completed' && f.status !== 'Cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Round ${currentRound} must be completed before the next round is paired`
+      });
+    }
+
+    if (currentRound >= totalRounds) {
+      return res.status(400).json({
+        success: false,
+        message: `All ${totalRounds} rounds have already been paired`
+      });
+    }
+
+    const nextRound = currentRound + 1;
+    const descriptors = generateSwissRound(
+      registrations.map(registration => registration._id),
+      fixtures,
+      nextRound,
+      { withdrawn: registrations.filter(registration => registration.withdrawn).map(registration => registration._id) }
+    );
+    const previousFixture = fixtures[0];
+    await Fixture.insertMany(materializeFixtures(draw, descriptors, {
+      venue: previousFixture?.venue,
+      matchDuration: previousFixture?.estimatedDuration
+    }));
+
+    const roundFixtures = await Fixture.find({ 
+      tournament: tournamentId,
+      ...inDivision(draw),
+      round: nextRound
+    }).populate([
+      { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+      { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } }
+    ]).sort({ matchNumber: 1 });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`tournament_${tournamentId}`).emit('bracketUpdate', {
+        tournamentId: tournamentId.toString(),
+        division: draw.division ? draw.division.toString() : null,
+        round: nextRound,
+        fixtures: roundFixtures
+      });
+    }
+
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      try {
+        await notificationService.notifyBracketUpdate(
+          tournamentId,
+          `Round ${nextRound} pairings for ${tournament.name} have been published.`
+        );
+      } catch (notificationError) {
+        console.error('Error sending pairing notifications:', notificationError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: roundFixtures,
+      message: `Round ${nextRound} of ${totalRounds} paired successfully`
+    });
+  } catch (error) {
+    console.error('Pair Swiss round error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to pair next round',
+      error: error.message 
+    });
+  }
+};
+
+// Automatically assign times and courts to a tournament's open fixtures.
+// Divisions share the courts, so they are all scheduled together.
+const scheduleTournamentFixtures = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tournament not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to manage this tournament' 
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const report = await schedulingService.scheduleTournament(tournament, req.body);
+
+    const io = req.app.get('io');
+    if (io && report.scheduled.length > 0) {
+      io.to(`tournament_${tournamentId}`).emit('scheduleUpdate', {
+        tournamentId: tournamentId.toString(),
+        fixtures: report.scheduled
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.unscheduled.length > 0
+        ? `${report.scheduled.length} fixtures scheduled, ${report.unscheduled.length} could not be scheduled`
+        : `${report.scheduled.length} fixtures scheduled successfully`
+    });
+  } catch (error) {
+    console.error('Schedule fixtures error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to schedule fixtures',
+      error: error.message 
+    });
+  }
+};
+
+// Normalise a submitted result and work out the winning side: 1, 2 or null
+// for a draw. Forfeits skip the sport's scoring rules.
+const decideResult = (fixture, result) => {
+  if (result.forfeit) {
+    const forfeitedBy = Number(result.forfeitedBy);
+    if (![1, 2].includes(forfeitedBy)) {
+      return { errors: ['A forfeit needs the side that forfeited (1 or 2)'] };
+    }
+    // The side that didn't forfeit wins
+    return { result: { ...result, forfeitedBy }, winnerSide: forfeitedBy === 1 ? 2 : 1 };
+  }
+
+  const evaluation = evaluateResult(fixture.tournament.sport, result, fixture.tournament.scoring);
+  if (!evaluation.valid) {
+    return { errors: evaluation.errors };
+  }
+  return { result: evaluation.result, winnerSide: evaluation.winner };
+};
+
+// Validate and save a result on a fixture whose participants are decided,
+// then progress the bracket. Returns the scoring errors if the result doesn't
+// fit the sport, otherwise any knockout fixtures created by the result.
+const applyFixtureResult = async (fixture, result, status) => {
+  // Update fixture with result
+  fixture.status = status || 'Completed';
+
+  if (result) {
+    const decision = decideResult(fixture, result);
+    if (decision.errors) {
+      return { errors: decision.errors };
+    }
+
+    fixture.result = decision.result;
+    if (decision.winnerSide) {
+      fixture.winner = decision.winnerSide === 1 ? fixture.participant1._id : fixture.participant2._id;
+    } else {
+      // Draw (no winner set)
+      fixture.winner = undefined;
+    }
+  }
+
+  await fixture.save();
+
+  // The format is the division's, when the fixture belongs to one
+  const draw = forDivision(fixture.tournament, fixture.division);
+
+  // Handle bracket progression for elimination tournaments
+  if (fixture.winner && !fixture.group && (draw.format.includes('Elimination') || draw.format.includes('Knockout'))) {
+    await progressWinnerToNextRound(fixture);
+  }
+
+  // Seed the knockout bracket once the last group fixture is completed
+  let knockoutFixtures = null;
+  if (fixture.group && draw.format === 'Group Stage + Knockout') {
+    knockoutFixtures = await populateKnockoutStage(draw);
+  }
+
+  return { knockoutFixtures };
+};
+
+// Emit the match result to the tournament room
+const emitMatchResult = (req, fixture) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`tournament_${fixture.tournament._id}`).emit('matchResult', {
+      tournamentId: fixture.tournament._id.toString(),
+      fixtureId: fixture._id.toString(),
+      result: fixture.result,
+      winner: fixture.winner?.toString(),
+      status: fixture.status
+    });
+  }
+};
+
+// Broadcast the whole bracket to the tournament room: the bracket of a
+// division, when the tournament has them
+const emitBracketUpdate = async (req, tournamentId, divisionId = null) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const allFixtures = await Fixture.find({ tournament: tournamentId, division: divisionId || null })
+    .populate([
+      { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+      { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
+      { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
+    ])
+    .sort({ round: 1, matchNumber: 1 });
+
+  io.to(`tournament_${tournamentId}`).emit('bracketUpdate', {
+    tournamentId: tournamentId.toString(),
+    division: divisionId ? divisionId.toString() : null,
+    fixtures: allFixtures
+  });
+};
+
+// Tell everyone following the tournament once the knockout draw is made
+const notifyKnockoutDraw = async (notificationService, tournament) => {
+  await notificationService.notifyBracketUpdate(
+    tournament._id,
+    `The group stage of ${tournament.name} is complete and the knockout draw has been made.`
+  );
+};
+
+// Record a result, then broadcast it, notify the participants and respond.
+// Shared by manual result entry, captain confirmation and live scoring.
+const recordFixtureResult = async (req, res, fixture, result, status) => {
+  const { errors, knockoutFixtures } = await applyFixtureResult(fixture, result, status);
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${fixture.tournament.sport} result`,
+      errors
+    });
+  }
+
+  // A rating problem shouldn't lose the result; ratings can be recomputed
+  try {
+    await ratingService.rateFixture(fixture._id);
+  } catch (ratingError) {
+    console.error('Error updating ratings:', ratingError);
+  }
+
+  // Populate and return updated fixture
+  const updatedFixture = await Fixture.findById(fixture._id)
+    .populate([
+      { path: 'tournament', select: 'name format' },
+      { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+      { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
+      { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
+    ]);
+
+  // Emit real-time match result and bracket updates
+  emitMatchResult(req, fixture);
+  await emitBracketUpdate(req, fixture.tournament._id, fixture.division);
+
+  // Send notifications to participants
+  const notificationService = req.app.get('notificationService');
+  if (notificationService) {
+    try {
+      await notificationService.notifyMatchResult(fixture._id, fixture.result);
+
+      if (knockoutFixtures) {
+        await notifyKnockoutDraw(notificationService, fixture.tournament);
+      }
+    } catch (notificationError) {
+      console.error('Error sending match result notifications:', notificationError);
+    }
+  }
+
+  return res.json({
+    success: true,
+    data: updatedFixture,
+    message: 'Match result updated successfully'
+  });
+};
+
+// Fixtures that still need a result
+const PENDING_STATUSES = ['Scheduled', 'InProgress', 'Postponed', 'Disputed'];
+
+// Result recorded when one side forfeits: sets-based sports award the sets
+// needed to win, everything else uses the tournament's forfeit score
+const buildWalkoverResult = (tournament, forfeitedBy, reason) => {
+  const rules = getScoringRules(tournament.sport, tournament.scoring);
+  const scores = rules.type === 'sets'
+    ? { winner: Math.ceil(rules.bestOf / 2), loser: 0 }
+    : resolveStandingsConfig(tournament.sport, tournament.standings).forfeitScore;
+
+  return {
+    participant1Score: forfeitedBy === 1 ? scores.loser : scores.winner,
+    participant2Score: forfeitedBy === 1 ? scores.winner : scores.loser,
+    forfeit: true,
+    forfeitedBy,
+    forfeitReason: reason,
+    completedAt: new Date()
+  };
+};
+
+// Award every remaining fixture of a withdrawn participant to their opponent.
+// Awarding a match can place the participant in another fixture (a losers
+// bracket drop in double elimination), so keep going until nothing changes.
+// Fixtures still waiting for an opponent become byes so whoever arrives goes
+// straight through.
+const awardWithdrawnFixtures = async (tournament, registrationId, reason) => {
+  const awarded = [];
+  const waiting = [];
+  let knockoutFixtures = null;
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    const pending = await Fixture.find({
+      tournament: tournament._id,
+      status: { $in: PENDING_STATUSES },
+      $or: [{ participant1: registrationId }, { participant2: registrationId }]
+    }).populate('participant1 participant2');
+
+    for (const fixture of pending) {
+      fixture.tournament = tournament;
+      const side = fixture.participant1 && fixture.participant1._id.equals(registrationId) ? 1 : 2;
+      const opponent = side === 1 ? fixture.participant2 : fixture.participant1;
+
+      if (opponent) {
+        const outcome = await applyFixtureResult(fixture, buildWalkoverResult(tournament, side, reason), 'Completed');
+        knockoutFixtures = outcome.knockoutFixtures || knockoutFixtures;
+        awarded.push(fixture);
+        changed = true;
+      } else if (!fixture.isBye) {
+        fixture.isBye = true;
+        await fixture.save();
+        waiting.push(fixture);
+      }
+    }
+  }
+
+  return { awarded, waiting, knockoutFixtures };
+};
+
+// Record a walkover: one side forfeits and the other is awarded the match
+const recordWalkover = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { forfeitingSide, reason } = req.body;
+
+    const fixture = await Fixture.findById(req.params.id)
+      .populate('tournament')
+      .populate('participant1 participant2');
+    
+    if (!fixture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Fixture not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this fixture' 
+      });
+    }
+
+    if (!fixture.participant1 || !fixture.participant2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both participants must be decided before recording a walkover'
+      });
+    }
+
+    if (!PENDING_STATUSES.includes(fixture.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record a walkover for a ${fixture.status.toLowerCase()} match`
+      });
+    }
+
+    const { knockoutFixtures } = await applyFixtureResult(
+      fixture,
+      buildWalkoverResult(fixture.tournament, parseInt(forfeitingSide), reason),
+      'Completed'
+    );
+
+    emitMatchResult(req, fixture);
+    await emitBracketUpdate(req, fixture.tournament._id, fixture.division);
+
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      try {
+        await notificationService.notifyWalkover(fixture._id);
+
+        if (knockoutFixtures) {
+          await notifyKnockoutDraw(notificationService, fixture.tournament);
+        }
+      } catch (notificationError) {
+        console.error('Error sending walkover notifications:', notificationError);
+      }
+    }
+
+    const updatedFixture = await Fixture.findById(fixture._id)
+      .populate([
+        { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+        { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
+        { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
+      ]);
+
+    res.json({
+      success: true,
+      data: updatedFixture,
+      message: 'Walkover recorded successfully'
+    });
+  } catch (error) {
+    console.error('Record walkover error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to record walkover',
+      error: error.message 
+    });
+  }
+};
+
+// Qualifiers from each group table, in seeding order
+const getQualifiers = (groupTables, qualifiersPerGroup) =>
+  groupTables.map(table => table.participants.slice(0, qualifiersPerGroup).map(id => id.toString()));
+
+// Reset the later fixtures a changed winner or loser reached: clear the slots
+// they were fed into and undo any outcome built on them
+const rollBackFixtures = async (affected) => {
+  for (const { fixture, slots, reset } of affected) {
+    slots.forEach(slot => {
+      fixture[`participant${slot}`] = undefined;
+    });
+
+    if (reset) {
+      fixture.result = undefined;
+      fixture.winner = undefined;
+      fixture.liveEvents = [];
+      fixture.status = 'Scheduled';
+    }
+
+    await fixture.save();
+  }
+};
+
+// Correct a completed result. If the winner changes, later bracket fixtures
+// the old entrants were pushed into are rolled back before the new ones
+// advance; in a group stage, a knockout draw seeded from different qualifiers
+// is redrawn. When any of those later matches have been played, the
+// tournament's amendment policy (or the cascade flag) decides whether to
+// refuse or to reset them too.
+const amendFixtureResult = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { result, reason } = req.body;
+
+    const fixture = await Fixture.findById(req.params.id)
+      .populate('tournament')
+      .populate('participant1 participant2');
+    
+    if (!fixture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Fixture not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this fixture' 
+      });
+    }
+
+    if (fixture.status !== 'Completed' || fixture.isBye || !fixture.result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed match results can be amended'
+      });
+    }
+
+    const decision = decideResult(fixture, result);
+    if (decision.errors) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${fixture.tournament.sport} result`,
+        errors: decision.errors
+      });
+    }
+
+    const { tournament } = fixture;
+    const cascade = req.body.cascade !== undefined
+      ? req.body.cascade
+      : tournament.amendmentPolicy === 'cascade';
+    const previousWinner = fixture.winner;
+    const newWinner = decision.winnerSide ? fixture[`participant${decision.winnerSide}`]._id : undefined;
+    const winnerChanged = String(previousWinner || '') !== String(newWinner || '');
+
+    const refuse = (played) => res.status(409).json({
+      success: false,
+      message: 'Later matches have already been played with the current result. Amend with cascade to reset them.',
+      data: {
+        playedFixtures: played.map(f => ({
+          _id: f._id,
+          round: f.round,
+          bracketPosition: f.bracketPosition,
+          status: f.status
+        }))
+      }
+    });
+
+    const draw = forDivision(tournament, fixture.division);
+    const fixtures = await Fixture.find({ tournament: tournament._id, ...inDivision(draw) });
+    let rolledBack = [];
+
+    if (winnerChanged && !fixture.group) {
+      const plan = planBracketRollback(fixtures, fixture);
+      if (plan.played.length > 0 && !cascade) {
+        return refuse(plan.played);
+      }
+
+      await rollBackFixtures(plan.affected);
+      rolledBack = plan.affected.map(entry => entry.fixture._id);
+    }
+
+    // A different group table can change who qualified for the knockout stage
+    const knockoutFixtures = fixtures.filter(f => !f.group);
+    if (fixture.group && draw.format === 'Group Stage + Knockout' && knockoutFixtures.length > 0) {
+      const groupFixtures = fixtures.filter(f => f.group);
+      const amended = groupFixtures.map(f => (f._id.equals(fixture._id)
+        ? {
+          group: f.group,
+          status: 'Completed',
+          participant1: fixture.participant1,
+          participant2: fixture.participant2,
+          result: decision.result,
+          winner: newWinner
+        }
+        : f));
+      const { qualifiersPerGroup } = draw.groupStage;
+      const before = getQualifiers(await getGroupTables(draw, groupFixtures), qualifiersPerGroup);
+      const after = getQualifiers(await getGroupTables(draw, amended), qualifiersPerGroup);
+
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        const played = knockoutFixtures.filter(isPlayed);
+        if (played.length > 0 && !cascade) {
+          return refuse(played);
+        }
+
+        // Saving the result below redraws the knockout stage from the new tables
+        await Fixture.deleteMany({ _id: { $in: knockoutFixtures.map(f => f._id) } });
+        rolledBack = knockoutFixtures.map(f => f._id);
+      }
+    }
+
+    fixture.amendments.push({
+      amendedBy: req.user._id,
+      reason,
+      previousResult: fixture.result.toObject(),
+      newResult: decision.result,
+      previousWinner,
+      newWinner,
+      rolledBack
+    });
+
+    const { knockoutFixtures: redrawn } = await applyFixtureResult(fixture, result, 'Completed');
+
+    // Ratings follow the corrected result, and matches reset or redrawn give
+    // back what they changed. As with new results, a rating problem shouldn't
+    // lose the amendment; ratings can be recomputed.
+    try {
+      for (const fixtureId of [fixture._id, ...rolledBack]) {
+        await ratingService.rerateFixture(fixtureId);
+      }
+    } catch (ratingError) {
+      console.error('Error updating ratings:', ratingError);
+    }
+
+    emitMatchResult(req, fixture);
+    await emitBracketUpdate(req, tournament._id, fixture.division);
+
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      try {
+        await notificationService.notifyMatchResult(fixture._id, fixture.result);
+
+        if (redrawn) {
+          await notificationService.notifyBracketUpdate(
+            tournament._id,
+            `A corrected group result in ${tournament.name} changed the qualifiers, so the knockout draw has been made again.`
+          );
+        } else if (rolledBack.length > 0) {
+          await notificationService.notifyBracketUpdate(
+            tournament._id,
+            `A corrected result in ${tournament.name} changed who advances in the bracket.`
+          );
+        }
+      } catch (notificationError) {
+        console.error('Error sending amended result notifications:', notificationError);
+      }
+    }
+
+    const updatedFixture = await Fixture.findById(fixture._id)
+      .populate([
+        { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+        { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
+        { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } },
+        { path: 'amendments.amendedBy', select: 'firstName lastName' }
+      ]);
+
+    res.json({
+      success: true,
+      data: {
+        fixture: updatedFixture,
+        rolledBack
+      },
+      message: rolledBack.length > 0
+        ? `Result amended; ${rolledBack.length} later fixtures were reset`
+        : 'Result amended successfully'
+    });
+  } catch (error) {
+    console.error('Amend fixture result error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to amend match result',
+      error: error.message 
+    });
+  }
+};
+
+// Withdraw a participant mid-event and award their remaining fixtures
+const withdrawParticipant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { tournamentId } = req.params;
+    const { registrationId, reason } = req.body;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Tournament not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to manage this tournament' 
+      });
+    }
+
+    const registration = await Registration.findOne({
+      _id: registrationId,
+      tournament: tournamentId,
+      status: 'Approved'
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approved registration not found for this tournament'
+      });
+    }
+
+    if (registration.withdrawn) {
+      return res.status(400).json({
+        success: false,
+        message: 'This participant has already withdrawn'
+      });
+    }
+
+    registration.withdrawn = true;
+    registration.withdrawnAt = new Date();
+    registration.withdrawalReason = reason;
+    await registration.save();
+
+    const { awarded, waiting, knockoutFixtures } = await awardWithdrawnFixtures(
+      tournament,
+      registration._id,
+      reason ? `Withdrawn: ${reason}` : 'Withdrawn'
+    );
+
+    awarded.forEach(fixture => emitMatchResult(req, fixture));
+    await emitBracketUpdate(req, tournament._id, registration.division);
+
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      try {
+        await notificationService.notifyWithdrawal(registration._id);
+        for (const fixture of awarded) {
+          await notificationService.notifyWalkover(fixture._id, { notifyForfeiting: false });
+        }
+
+        if (knockoutFixtures) {
+          await notifyKnockoutDraw(notificationService, tournament);
+        }
+      } catch (notificationError) {
+        console.error('Error sending withdrawal notifications:', notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        registration,
+        awardedFixtures: awarded.map(fixture => ({
+          fixtureId: fixture._id,
+          bracketPosition: fixture.bracketPosition,
+          winner: fixture.winner
+        })),
+        pendingWalkovers: waiting.map(fixture => ({
+          fixtureId: fixture._id,
+          bracketPosition: fixture.bracketPosition
+        }))
+      },
+      message: `Participant withdrawn; ${awarded.length} fixtures awarded to opponents`
+    });
+  } catch (error) {
+    console.error('Withdraw participant error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to withdraw participant',
+      error: error.message 
+    });
+  }
+};
+
+// Update fixture result
+const updateFixtureResult = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { result, status } = req.body;
+
+    const fixture = await Fixture.findById(id)
+      .populate('tournament')
+      .populate('participant1 participant2');
+    
+    if (!fixture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Fixture not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this fixture' 
+      });
+    }
+
+    // Placeholder fixtures can't take a result until both slots are filled
+    if (!fixture.participant1 || !fixture.participant2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both participants must be decided before recording a result'
+      });
+    }
+
+    await recordFixtureResult(req, res, fixture, result, status);
+  } catch (error) {
+    console.error('Update fixture result error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update match result',
+      error: error.message 
+    });
+  }
+};
+
+// Latest result each captain has submitted, as [side 1 claim, side 2 claim]
+const getLatestClaims = (fixture) => [1, 2].map(side =>
+  [...fixture.resultHistory].reverse().find(entry => entry.action === 'Submitted' && entry.side === side) || null
+);
+
+// Captain submits their side's result. When both captains agree the result is
+// confirmed and recorded; when they disagree the fixture is disputed and the
+// organiser is asked to decide.
+const submitResultClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const fixture = await Fixture.findById(req.params.id)
+      .populate('tournament')
+      .populate('participant1 participant2');
+
+    if (!fixture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Fixture not found' 
+      });
+    }
+
+    if (!fixture.participant1 || !fixture.participant2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both participants must be decided before recording a result'
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const side = [fixture.participant1, fixture.participant2]
+      .findIndex(participant => participant.captain.toString() === userId) + 1;
+
+    if (side === 0) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the captains of this match can submit its result' 
+      });
+    }
+
+    if (!['Scheduled', 'InProgress', 'Postponed', 'Disputed'].includes(fixture.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot submit a result for a ${fixture.status.toLowerCase()} match`
+      });
+    }
+
+    const evaluation = evaluateResult(fixture.tournament.sport, req.body.result, fixture.tournament.scoring);
+    if (!evaluation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${fixture.tournament.sport} result`,
+        errors: evaluation.errors
+      });
+    }
+
+    fixture.resultHistory.push({
+      action: 'Submitted',
+      side,
+      result: evaluation.result,
+      user: req.user._id,
+      note: req.body.note
+    });
+
+    const claims = getLatestClaims(fixture);
+    const notificationService = req.app.get('notificationService');
+
+    // Waiting on the other captain
+    if (!claims[0] || !claims[1]) {
+      await fixture.save();
+
+      if (notificationService) {
+        try {
+          await notificationService.notifyResultSubmitted(fixture._id, side);
+        } catch (notificationError) {
+          console.error('Error sending result submission notification:', notificationError);
+        }
+      }
+
+      return res.status(202).json({
+        success: true,
+        data: { status: fixture.status, resultHistory: fixture.resultHistory },
+        message: 'Result submitted. Waiting for the other captain to confirm.'
+      });
+    }
+
+    if (isSameResult(claims[0].result, claims[1].result)) {
+      fixture.resultHistory.push({ action: 'Confirmed', result: evaluation.result });
+      await recordFixtureResult(req, res, fixture, evaluation.result, 'Completed');
+      return;
+    }
+
+    fixture.status = 'Disputed';
+    fixture.resultHistory.push({ action: 'Disputed' });
+    await fixture.save();
+
+    if (notificationService) {
+      try {
+        await notificationService.notifyResultDisputed(fixture._id, claims);
+      } catch (notificationError) {
+        console.error('Error sending result dispute notification:', notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { status: fixture.status, resultHistory: fixture.resultHistory },
+      message: 'The submitted results do not match. The organiser has been asked to decide.'
+    });
+  } catch (error) {
+    console.error('Submit result claim error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to submit match result',
+      error: error.message 
+    });
+  }
+};
+
+// Organiser settles a disputed result, either by upholding one captain's
+// claim or by entering the correct result
+const adjudicateResult = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { acceptSide, result, note } = req.body;
+
+    const fixture = await Fixture.findById(req.params.id)
+      .populate('tournament')
+      .populate('participant1 participant2');
+
+    if (!fixture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Fixture not found' 
+      });
+    }
+
+    if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this fixture' 
+      });
+    }
+
+    if (fixture.status !== 'Disputed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only disputed results can be adjudicated'
+      });
+    }
+
+    let decided = result;
+    if (acceptSide) {
+      const claim = getLatestClaims(fixture)[parseInt(acceptSide) - 1];
+      if (!claim) {
+        return res.status(400).json({
+          success: false,
+          message: `Participant ${acceptSide} has not submitted a result`
+        });
+      }
+      decided = claim.result.toObject();
+    }
+
+    if (!decided) {
+      return res.status(400).json({
+        success: false,
+        message: 'Accept one captain\'s result or provide the correct result'
+      });
+    }
+
+    fixture.resultHistory.push({
+      action: 'Adjudicated',
+      side: acceptSide ? parseInt(acceptSide) : undefined,
+      result: decided,
+      user: req.user._id,
+      note
+    });
+
+    await recordFixtureResult(req, res, fixture, decided, 'Completed');
+  } catch (error) {
+    console.error('Adjudicate result error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to adjudicate match result',
+      error: error.message 
+    });
+  }
+};
+
+// Load a fixture for live scoring, checking the scorer may update it and
+// that it is in progress. Sends the error response and returns null if not.
+const loadLiveFixture = async (req, res) => {
+  const fixture = await Fixture.findById(req.params.id)
+    .populate('tournament')
+    .populate('participant1 participant2');
+
+  if (!fixture) {
+    res.status(404).json({ 
+      success: false, 
+      message: 'Fixture not found' 
+    });
+    return null;
+  }
+
+  if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+    res.status(403).json({ 
+      success: false, 
+      message: 'Not authorized to update this fixture' 
+    });
+    return null;
+  }
+
+  if (fixture.status !== 'InProgress') {
+    res.status(400).json({
+      success: false,
+      message: 'Live scoring is only available for matches in progress'
+    });
+    return null;
+  }
+
+  return fixture;
+};
+
+const getFixtureScoringRules = (fixture) =>
+  getScoringRules(fixture.tournament.sport, fixture.tournament.scoring);
+
+// Broadcast the replayed score to everyone following the tournament
+const broadcastLiveScore = (req, fixture, score, action) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`tournament_${fixture.tournament._id}`).emit('liveScore', {
+      tournamentId: fixture.tournament._id.toString(),
+      fixtureId: fixture._id.toString(),
+      action,
+      score
+    });
+  }
+};
+
+// Get the live score of a fixture, replayed from its event log
+const getLiveScore = async (req, res) => {
+  try {
+    const fixture = await Fixture.findById(req.params.id)
+      .populate('tournament', 'sport scoring');
 
-    const tournament = await Tournament.findById(tournamentId);
-    if (!tournament) {
+    if (!fixture) {
       return res.status(404).json({ 
         success: false, 
-        message: 'Tournament not found' 
+        message: 'Fixture not found' 
       });
     }
 
-    // Check if user is authorized
-    if (tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({ 
+    res.json({
+      success: true,
+      data: {
+        fixtureId: fixture._id,
+        status: fixture.status,
+        score: replayLiveEvents(fixture.liveEvents, getFixtureScoringRules(fixture)),
+        events: fixture.liveEvents
+      }
+    });
+  } catch (error) {
+    console.error('Get live score error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch live score',
+      error: error.message 
+    });
+  }
+};
+
+// Record a point, wicket or end of set/period on an in-progress fixture
+const recordLiveEvent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Not authorized to manage this tournament' 
+        errors: errors.array() 
       });
     }
 
-    // Get approved registrations
-    const registrations = await Registration.find({ 
-      tournament: tournamentId, 
-      status: 'Approved' 
-    });
+    const fixture = await loadLiveFixture(req, res);
+    if (!fixture) return;
 
-    if (registrations.length < 2) {
+    const { type, participant } = req.body;
+    const event = {
+      type,
+      participant: participant !== undefined ? parseInt(participant) : undefined,
+      points: type === 'point' ? parseInt(req.body.points || 1) : undefined,
+      recordedBy: req.user._id,
+      recordedAt: new Date()
+    };
+
+    const rules = getFixtureScoringRules(fixture);
+    const problem = validateLiveEvent(replayLiveEvents(fixture.liveEvents, rules), event, rules);
+    if (problem) {
       return res.status(400).json({
         success: false,
-        message: 'At least 2 approved registrations are required to generate fixtures'
+        message: problem
       });
     }
 
-    // Clear existing fixtures if any
-    await Fixture.deleteMany({ tournament: tournamentId });
+    // Only append if nobody else has scored since the log was read
+    const updated = await Fixture.findOneAndUpdate(
+      {
+        _id: fixture._id,
+        status: 'InProgress',
+        [`liveEvents.${fixture.liveEvents.length}`]: { $exists: false }
+      },
+      { $push: { liveEvents: event } },
+      { new: true }
+    );
 
-    // Create fixtures from the generated data
-    const fixturePromises = fixtures.map(fixtureData => {
-      const fixture = new Fixture({
-        tournament: tournamentId,
-        round: fixtureData.round,
-        matchNumber: fixtureData.matchNumber,
-        participant1: fixtureData.participant1._id,
-        participant2: fixtureData.participant2._id,
-        scheduledDate: fixtureData.scheduledDate,
-        venue: fixtureData.venue,
-        court: fixtureData.court,
-        bracketPosition: fixtureData.bracketPosition,
-        status: 'Scheduled'
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The score changed while this action was being recorded. Please try again.'
       });
-      return fixture.save();
-    });
-
-    const createdFixtures = await Promise.all(fixturePromises);
-
-    // Update tournament status to InProgress if it was Draft
-    if (tournament.status === 'Draft') {
-      tournament.status = 'Open';
-      await tournament.save();
     }
 
-    // Populate the created fixtures
-    const populatedFixtures = await Fixture.find({ 
-      tournament: tournamentId 
-    }).populate([
-      { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
-      { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } }
-    ]).sort({ round: 1, matchNumber: 1 });
+    const score = replayLiveEvents(updated.liveEvents, rules);
+    broadcastLiveScore(req, fixture, score, type);
 
     res.status(201).json({
       success: true,
-      data: populatedFixtures,
-      message: `${createdFixtures.length} fixtures generated successfully`
+      data: {
+        event: updated.liveEvents[updated.liveEvents.length - 1],
+        score
+      }
     });
   } catch (error) {
-    console.error('Generate fixtures error:', error);
+    console.error('Record live event error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to generate fixtures',
+      message: 'Failed to record live score',
       error: error.message 
     });
   }
 };
 
-// Update fixture result
-const updateFixtureResult = async (req, res) => {
+// Undo the most recent live scoring action. The event stays in the log,
+// flagged as undone.
+const undoLiveEvent = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { result, status } = req.body;
+    const fixture = await loadLiveFixture(req, res);
+    if (!fixture) return;
 
-    const fixture = await Fixture.findById(id)
-      .populate('tournament')
-      .populate('participant1 participant2');
-    
-    if (!fixture) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Fixture not found' 
+    const index = fixture.liveEvents.map(event => event.undone).lastIndexOf(false);
+    if (index === -1) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is nothing to undo'
       });
     }
 
-    // Check if user is authorized
-    if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Not authorized to update this fixture' 
+    const updated = await Fixture.findOneAndUpdate(
+      {
+        _id: fixture._id,
+        status: 'InProgress',
+        [`liveEvents.${fixture.liveEvents.length}`]: { $exists: false },
+        [`liveEvents.${index}.undone`]: false
+      },
+      {
+        $set: {
+          [`liveEvents.${index}.undone`]: true,
+          [`liveEvents.${index}.undoneAt`]: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The score changed while this action was being undone. Please try again.'
       });
     }
 
-    // Update fixture with result
-    fixture.result = result;
-    fixture.status = status || 'Completed';
+    const score = replayLiveEvents(updated.liveEvents, getFixtureScoringRules(fixture));
+    broadcastLiveScore(req, fixture, score, 'undo');
 
-    // Determine winner based on result
-    if (result && !result.forfeit) {
-      if (result.participant1Score > result.participant2Score) {
-        fixture.winner = fixture.participant1._id;
-      } else if (result.participant2Score > result.participant1Score) {
-        fixture.winner = fixture.participant2._id;
+    res.json({
+      success: true,
+      data: {
+        undoneEvent: updated.liveEvents[index],
+        score
       }
-      // If scores are equal, it's a draw (no winner set)
-    } else if (result && result.forfeit) {
-      // Handle forfeit - winner is determined by forfeit reason or manual selection
-      // For now, assume the participant with higher score wins by forfeit
-      fixture.winner = result.participant1Score > result.participant2Score 
-        ? fixture.participant1._id 
-        : fixture.participant2._id;
-    }
-
-    await fixture.save();
-
-    // Handle bracket progression for elimination tournaments
-    if (fixture.winner && (fixture.tournament.format.includes('Elimination') || fixture.tournament.format.includes('Knockout'))) {
-      await progressWinnerToNextRound(fixture);
-    }
-
-    // Populate and return updated fixture
-    const updatedFixture = await Fixture.findById(id)
-      .populate([
-        { path: 'tournament', select: 'name format' },
-        { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
-        { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
-        { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
-      ]);
-
-    // Emit real-time match result update
-    const io = req.app.get('io');
-    if (io) {
-      // Broadcast to tournament room
-      io.to(`tournament_${fixture.tournament._id}`).emit('matchResult', {
-        tournamentId: fixture.tournament._id.toString(),
-        fixtureId: fixture._id.toString(),
-        result: fixture.result,
-        winner: fixture.winner?.toString(),
-        status: fixture.status
-      });
+    });
+  } catch (error) {
+    console.error('Undo live event error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to undo live score',
+      error: error.message 
+    });
+  }
+};
 
-      // Broadcast bracket update to tournament room
-      const allFixtures = await Fixture.find({ tournament: fixture.tournament._id })
-        .populate([
-          { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
-          { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
-          { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
-        ])
-        .sort({ round: 1, matchNumber: 1 });
+// Finish live scoring: derive the final result from the event log and record
+// it like a manually entered result
+const finishLiveScoring = async (req, res) => {
+  try {
+    const fixture = await loadLiveFixture(req, res);
+    if (!fixture) return;
 
-      io.to(`tournament_${fixture.tournament._id}`).emit('bracketUpdate', {
-        tournamentId: fixture.tournament._id.toString(),
-        fixtures: allFixtures
+    if (!fixture.participant1 || !fixture.participant2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Both participants must be decided before recording a result'
       });
     }
 
-    // Send notifications to participants
-    const notificationService = req.app.get('notificationService');
-    if (notificationService) {
-      try {
-        await notificationService.notifyMatchResult(fixture._id, fixture.result);
-      } catch (notificationError) {
-        console.error('Error sending match result notifications:', notificationError);
-      }
-    }
+    const rules = getFixtureScoringRules(fixture);
+    const result = {
+      ...buildResultFromEvents(fixture.liveEvents, rules),
+      notes: req.body.notes,
+      completedAt: new Date()
+    };
 
-    res.json({
-      success: true,
-      data: updatedFixture,
-      message: 'Match result updated successfully'
-    });
+    await recordFixtureResult(req, res, fixture, result, 'Completed');
   } catch (error) {
-    console.error('Update fixture result error:', error);
+    console.error('Finish live scoring error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to update match result',
+      message: 'Failed to finish live scoring',
       error: error.message 
     });
   }
 };
 
-// Get fixtures for a tournament
+// Get fixtures for a tournament, optionally for one of its divisions
 const getTournamentFixtures = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
     const { tournamentId } = req.params;
-    const { round, status } = req.query;
+    const { round, status, division } = req.query;
 
     const filter = { tournament: tournamentId };
     
+    if (division) filter.division = division;
     if (round) filter.round = parseInt(round);
     if (status) filter.status = status;
 
@@ -383,18 +1961,132 @@ const updateFixtureSchedule = async (req, res) => {
   }
 };
 
+// Shift a delayed or postponed fixture and cascade the change to every
+// fixture that depends on it
+const reflowFixtureSchedule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
+    const { id } = req.params;
+    const { scheduledDate, delayMinutes, postpone } = req.body;
+
+    const fixture = await Fixture.findById(id).populate('tournament');
+    
+    if (!fixture) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Fixture not found' 
+      });
+    }
+
+    // Check if user is authorized
+    if (fixture.tournament.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Not authorized to update this fixture' 
+      });
+    }
+
+    if (['Completed', 'Cancelled'].includes(fixture.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a ${fixture.status.toLowerCase()} fixture`
+      });
+    }
+
+    if (!scheduledDate && (!fixture.scheduledDate || !delayMinutes)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a new scheduled date, or a delay for a fixture that already has a time'
+      });
+    }
+
+    const newStart = scheduledDate
+      ? new Date(scheduledDate)
+      : new Date(fixture.scheduledDate.getTime() + parseInt(delayMinutes) * 60 * 1000);
+
+    const report = await schedulingService.reflowTournament(fixture.tournament, fixture._id, newStart, {
+      postpone: Boolean(postpone)
+    });
+
+    // One consolidated update for everything that moved
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`tournament_${fixture.tournament._id}`).emit('scheduleUpdate', {
+        tournamentId: fixture.tournament._id.toString(),
+        fixtureId: fixture._id.toString(),
+        changes: report.changes
+      });
+    }
+
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      try {
+        for (const change of report.changes) {
+          const isTrigger = change.fixtureId === fixture._id.toString();
+          await notificationService.notifyScheduleChange(change.fixtureId, {
+            title: isTrigger && postpone ? 'Match Postponed' : 'Match Schedule Updated',
+            message: change.originalDate
+              ? `Match time changed from ${new Date(change.originalDate).toLocaleString('en-AU')} to ${new Date(change.newDate).toLocaleString('en-AU')}${isTrigger ? '' : ' because an earlier match was delayed'}`
+              : `Match scheduled for ${new Date(change.newDate).toLocaleString('en-AU')}`,
+            priority: 'high',
+            originalDate: change.originalDate,
+            newDate: change.newDate,
+            createdBy: req.user._id
+          });
+        }
+      } catch (notificationError) {
+        console.error('Error sending schedule change notifications:', notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: report,
+      message: report.unplaceable.length > 0
+        ? `${report.changes.length} fixtures moved; ${report.unplaceable.length} no longer fit within the tournament days`
+        : `${report.changes.length} fixtures moved`
+    });
+  } catch (error) {
+    console.error('Reflow fixture schedule error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to reflow match schedule',
+      error: error.message 
+    });
+  }
+};
+
 // Helper function to progress winner to next round
 const progressWinnerToNextRound = async (completedFixture) => {
   try {
+    // Generated brackets link each fixture to the match its winner feeds,
+    // and in double elimination to the losers-bracket match its loser drops into
+    if (completedFixture.nextMatchId || completedFixture.loserNextMatchId || completedFixture.bracket === 'GrandFinal') {
+      await completedFixture.advanceWinner();
+      await completedFixture.advanceLoser();
+
+      if (completedFixture.bracketPosition === 'GF1') {
+        await resolveBracketReset(completedFixture);
+      }
+      return;
+    }
+
     const { tournament, winner, round, bracketPosition } = completedFixture;
     
     // Find the next round fixture that this winner should advance to
     const nextRound = round + 1;
     
-    // This is a simplified progression logic
-    // In a real implementation, you'd need more sophisticated bracket management
+    // Fallback for fixtures created without bracket links: fill the first open slot
     const nextRoundFixtures = await Fixture.find({
       tournament: tournament._id,
+      division: completedFixture.division || null,
       round: nextRound,
       $or: [
         { participant1: null },
@@ -418,7 +2110,86 @@ const progressWinnerToNextRound = async (completedFixture) => {
   }
 };
 
-// Get bracket visualization data
+// Final order of each group, as used to seed the knockout bracket
+const getGroupTables = async (tournament, groupFixtures) => {
+  const registrations = await Registration.find({
+    tournament: tournament._id,
+    ...inDivision(tournament),
+    status: 'Approved',
+    group: { $exists: true }
+  });
+
+  return calculateGroupStandings(
+    registrations,
+    groupFixtures,
+    resolveStandingsConfig(tournament.sport, tournament.standings),
+    { seed: tournament._id.toString() }
+  ).map(table => ({
+    name: table.group,
+    // Withdrawn participants can't qualify
+    participants: table.standings
+      .filter(standing => !standing.withdrawn)
+      .map(standing => standing.participant._id)
+  }));
+};
+
+// Once every group fixture is completed, seed the knockout bracket from the
+// group tables. Returns the created fixtures, or null if it isn't time yet or
+// the knockout stage already exists. Seen from a division (see
+// utils/divisions), only that division's draw is considered.
+const populateKnockoutStage = async (tournament) => {
+  const fixtures = await Fixture.find({ tournament: tournament._id, ...inDivision(tournament) });
+  const groupFixtures = fixtures.filter(f => f.group);
+
+  if (groupFixtures.length === 0 || groupFixtures.length !== fixtures.length) return null;
+  if (groupFixtures.some(f => f.status !== 'Completed')) return null;
+
+  const groupTables = await getGroupTables(tournament, groupFixtures);
+
+  const descriptors = generateKnockoutFromGroups(
+    groupTables,
+    tournament.groupStage.qualifiersPerGroup,
+    { roundOffset: Math.max(...groupFixtures.map(f => f.round)) }
+  );
+
+  return Fixture.insertMany(materializeFixtures(tournament, descriptors, {
+    venue: groupFixtures[0].venue,
+    matchDuration: groupFixtures[0].estimatedDuration
+  }));
+};
+
+// Decide whether the grand final reset match (GF2) is needed. GF1's first slot
+// holds the winners-bracket champion; if they win, the tournament is over.
+const resolveBracketReset = async (grandFinal) => {
+  const resetMatch = await Fixture.findOne({
+    tournament: grandFinal.tournament._id || grandFinal.tournament,
+    division: grandFinal.division || null,
+    bracketPosition: 'GF2'
+  });
+  if (!resetMatch) return;
+
+  const winnersChampion = grandFinal.participant1._id || grandFinal.participant1;
+  const losersChampion = grandFinal.participant2._id || grandFinal.participant2;
+
+  if (grandFinal.winner.toString() === winnersChampion.toString()) {
+    resetMatch.status = 'Cancelled';
+  } else {
+    resetMatch.participant1 = winnersChampion;
+    resetMatch.participant2 = losersChampion;
+    resetMatch.status = 'Scheduled';
+  }
+
+  await resetMatch.save();
+};
+
+const BRACKET_POPULATE = [
+  { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
+  { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
+  { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
+];
+
+// Get bracket visualization data, for one division at a time when the
+// tournament has them
 const getBracketData = async (req, res) => {
   try {
     const { tournamentId } = req.params;
@@ -431,16 +2202,15 @@ const getBracketData = async (req, res) => {
       });
     }
 
-    const fixtures = await Fixture.find({ tournament: tournamentId })
-      .populate([
-        { path: 'participant1', populate: { path: 'captain', select: 'firstName lastName' } },
-        { path: 'participant2', populate: { path: 'captain', select: 'firstName lastName' } },
-        { path: 'winner', populate: { path: 'captain', select: 'firstName lastName' } }
-      ])
+    const draw = drawForRequest(req, res, tournament);
+    if (!draw) return;
+
+    const fixtures = await Fixture.find({ tournament: tournamentId, ...inDivision(draw) })
+      .populate(BRACKET_POPULATE)
       .sort({ round: 1, matchNumber: 1 });
 
     // Group fixtures by round
-    const bracketData = fixtures.reduce((acc, fixture) => {
+    const groupByRound = (roundFixtures) => roundFixtures.reduce((acc, fixture) => {
       if (!acc[fixture.round]) {
         acc[fixture.round] = [];
       }
@@ -448,11 +2218,28 @@ const getBracketData = async (req, res) => {
       return acc;
     }, {});
 
+    if (draw.format === 'Double Elimination') {
+      const winnersFixtures = fixtures.filter(f => f.bracket === 'Winners');
+      const losersFixtures = fixtures.filter(f => f.bracket === 'Losers');
+
+      return res.json({
+        success: true,
+        data: {
+          tournament: draw,
+          bracket: groupByRound(winnersFixtures),
+          losersBracket: groupByRound(losersFixtures),
+          grandFinal: fixtures.filter(f => f.bracket === 'GrandFinal'),
+          totalRounds: Math.max(...winnersFixtures.map(f => f.round), 0),
+          totalLosersRounds: Math.max(...losersFixtures.map(f => f.round), 0)
+        }
+      });
+    }
+
     res.json({
       success: true,
       data: {
-        tournament,
-        bracket: bracketData,
+        tournament: draw,
+        bracket: groupByRound(fixtures),
         totalRounds: Math.max(...fixtures.map(f => f.round), 0)
       }
     });
@@ -466,11 +2253,81 @@ const getBracketData = async (req, res) => {
   }
 };
 
+// Printable draw sheet as SVG or PDF: brackets, group tables and results
+// grids with names, scores, courts and times, laid out for A4 or A3 paper
+const exportBracket = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { tournamentId, format } = req.params;
+    const { paper = 'A4', orientation = 'landscape' } = req.query;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const draw = drawForRequest(req, res, tournament);
+    if (!draw) return;
+
+    const fixtures = await Fixture.find({ tournament: tournamentId, ...inDivision(draw) })
+      .populate(BRACKET_POPULATE)
+      .sort({ round: 1, matchNumber: 1 });
+    const standings = await buildTournamentStandings(draw);
+
+    const sections = buildDrawSheet(draw, fixtures, standings);
+    const options = {
+      title: draw.divisionName ? `${tournament.name} - ${draw.divisionName}` : tournament.name,
+      paper,
+      orientation
+    };
+    const filename = `draw-${tournament._id}${draw.division ? `-${draw.division}` : ''}-${paper.toLowerCase()}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : 'image/svg+xml; charset=utf-8',
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Cache-Control': 'no-cache'
+    });
+    res.send(format === 'pdf' ? renderPdf(sections, options) : renderSvg(sections, options));
+  } catch (error) {
+    console.error('Export bracket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export bracket',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   generateFixtures,
+  previewSeededDraw,
+  updateSeeding,
+  pairNextSwissRound,
+  scheduleTournamentFixtures,
   updateFixtureResult,
   getTournamentFixtures,
   updateFixtureStatus,
   updateFixtureSchedule,
-  getBracketData
+  reflowFixtureSchedule,
+  submitResultClaim,
+  adjudicateResult,
+  recordWalkover,
+  amendFixtureResult,
+  withdrawParticipant,
+  getLiveScore,
+  recordLiveEvent,
+  undoLiveEvent,
+  finishLiveScoring,
+  getBracketData,
+  exportBracket
 };
\ No newline at end of file
@@ -0,0 +1,410 @@
+const Fixture = require('../models/Fixture');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const officialService = require('../services/officialService');
+const { assessOfficial, fixtureInterval, primaryRole } = require('../utils/officialAssignment');
+const { canManage } = require('../utils/permissions');
+
+const OFFICIAL_FIELDS = 'firstName lastName email phone official';
+
+// Why an official was turned down for a fixture, completing "<name> ..."
+const REASON_MESSAGES = {
+  notAccredited: 'is not accredited for this sport',
+  belowMinimumLevel: 'is below the tournament\'s minimum accreditation level',
+  conflictOfInterest: 'plays for one of the sides in this match',
+  unavailable: 'is not available for the whole match',
+  clash: 'has another fixture at the same time',
+  dailyLimit: 'has reached their daily fixture limit',
+  backToBack: 'would have too many back-to-back fixtures'
+};
+
+// Reasons an organiser may not override
+const HARD_REASONS = ['notAccredited', 'conflictOfInterest'];
+
+const emitOfficialsUpdate = (req, tournamentId, fixtureIds) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`tournament_${tournamentId}`).emit('officialsUpdate', {
+      tournamentId: tournamentId.toString(),
+      fixtureIds: fixtureIds.map(String)
+    });
+  }
+};
+
+// List officials, optionally those accredited for one sport
+const getOfficials = async (req, res) => {
+  try {
+    const filter = { 'official.isOfficial': true };
+    if (req.query.sport) filter['official.accreditations.sport'] = req.query.sport;
+
+    const officials = await User.find(filter)
+      .select('firstName lastName state official.accreditations official.maxFixturesPerDay')
+      .sort({ lastName: 1, firstName: 1 });
+
+    res.json({
+      success: true,
+      data: officials
+    });
+  } catch (error) {
+    console.error('Get officials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get officials',
+      error: error.message
+    });
+  }
+};
+
+// Grant or update a user's official capability and accreditations
+const updateOfficialProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { isOfficial, accreditations, maxFixturesPerDay } = req.body;
+    if (isOfficial !== undefined) user.official.isOfficial = isOfficial;
+    if (accreditations !== undefined) user.official.accreditations = accreditations;
+    if (maxFixturesPerDay !== undefined) user.official.maxFixturesPerDay = maxFixturesPerDay;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: { _id: user._id, firstName: user.firstName, lastName: user.lastName, official: user.official },
+      message: 'Official profile updated successfully'
+    });
+  } catch (error) {
+    console.error('Update official profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update official profile',
+      error: error.message
+    });
+  }
+};
+
+// Replace the logged-in official's availability windows
+const updateAvailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.official || !user.official.isOfficial) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only officials can set officiating availability'
+      });
+    }
+
+    const availability = req.body.availability.map(window => ({
+      start: new Date(window.start),
+      end: new Date(window.end)
+    }));
+    if (availability.some(window => window.end <= window.start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each availability window must end after it starts'
+      });
+    }
+
+    user.official.availability = availability.sort((a, b) => a.start - b.start);
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.official.availability,
+      message: 'Availability updated successfully'
+    });
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability',
+      error: error.message
+    });
+  }
+};
+
+// Upcoming fixtures the logged-in user officiates
+const getMyAppointments = async (req, res) => {
+  try {
+    const fixtures = await Fixture.find({
+      'officials.user': req.user._id,
+      status: { $nin: ['Completed', 'Cancelled'] }
+    })
+      .populate([
+        { path: 'tournament', select: 'name sport venue' },
+        { path: 'participant1', select: 'teamName captain', populate: { path: 'captain', select: 'firstName lastName' } },
+        { path: 'participant2', select: 'teamName captain', populate: { path: 'captain', select: 'firstName lastName' } }
+      ])
+      .sort({ scheduledDate: 1 });
+
+    res.json({
+      success: true,
+      data: fixtures.map(fixture => ({
+        fixture,
+        role: fixture.officials.find(assignment => assignment.user.toString() === req.user._id.toString()).role
+      }))
+    });
+  } catch (error) {
+    console.error('Get official appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get appointments',
+      error: error.message
+    });
+  }
+};
+
+// Appoint an official to a fixture. Conflicts are refused with 409; all but
+// accreditation and conflicts of interest can be overridden.
+const assignOfficial = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId, role, override } = req.body;
+
+    const fixture = await Fixture.findById(req.params.fixtureId)
+      .populate('tournament')
+      .populate('participant1 participant2', 'captain teamMembers');
+    if (!fixture) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fixture not found'
+      });
+    }
+
+    if (!canManage(fixture.tournament, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to appoint officials to this fixture'
+      });
+    }
+
+    if (!fixture.scheduledDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule the fixture before appointing officials'
+      });
+    }
+
+    if (fixture.officials.some(assignment => assignment.user.toString() === userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This official is already appointed to the fixture'
+      });
+    }
+
+    const official = await User.findById(userId).select(OFFICIAL_FIELDS);
+    if (!official || !official.official || !official.official.isOfficial) {
+      return res.status(404).json({
+        success: false,
+        message: 'Official not found'
+      });
+    }
+
+    const interval = fixtureInterval(fixture);
+    const commitments = await officialService.getCommitments([official._id], interval.start, interval.end);
+    const reason = assessOfficial(official, fixture, {
+      sport: fixture.tournament.sport,
+      commitments: commitments.get(official._id.toString()),
+      settings: fixture.tournament.officiating
+    });
+
+    if (reason && (!override || HARD_REASONS.includes(reason))) {
+      return res.status(409).json({
+        success: false,
+        message: `${official.firstName} ${official.lastName} ${REASON_MESSAGES[reason]}`,
+        data: { reason, canOverride: !HARD_REASONS.includes(reason) }
+      });
+    }
+
+    fixture.officials.push({
+      user: official._id,
+      role: role || (fixture.officials.length === 0 ? primaryRole(fixture.tournament.sport) : 'Assistant'),
+      assignedBy: req.user._id
+    });
+    await fixture.save();
+
+    emitOfficialsUpdate(req, fixture.tournament._id, [fixture._id]);
+
+    const notificationService = req.app.get('notificationService');
+    if (notificationService) {
+      try {
+        await notificationService.notifyOfficialsAssigned(fixture._id, [official._id]);
+      } catch (notificationError) {
+        console.error('Error sending official appointment notification:', notificationError);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: fixture.officials,
+      message: reason
+        ? `Official appointed, overriding: ${REASON_MESSAGES[reason]}`
+        : 'Official appointed successfully'
+    });
+  } catch (error) {
+    console.error('Assign official error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to appoint official',
+      error: error.message
+    });
+  }
+};
+
+// Remove an official from a fixture
+const unassignOfficial = async (req, res) => {
+  try {
+    const fixture = await Fixture.findById(req.params.fixtureId).populate('tournament', 'createdBy');
+    if (!fixture) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fixture not found'
+      });
+    }
+
+    if (!canManage(fixture.tournament, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to remove officials from this fixture'
+      });
+    }
+
+    const assignment = fixture.officials.find(official => official.user.toString() === req.params.userId);
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Official is not appointed to this fixture'
+      });
+    }
+
+    fixture.officials.pull(assignment._id);
+    await fixture.save();
+
+    emitOfficialsUpdate(req, fixture.tournament._id, [fixture._id]);
+
+    res.json({
+      success: true,
+      data: fixture.officials,
+      message: 'Official removed from fixture'
+    });
+  } catch (error) {
+    console.error('Unassign official error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove official',
+      error: error.message
+    });
+  }
+};
+
+// Fill every open officiating place in a tournament's scheduled fixtures
+const autoAssignOfficials = async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!canManage(tournament, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to appoint officials for this tournament'
+      });
+    }
+
+    const { assignments, unfilled } = await officialService.autoAssign(tournament, req.user._id);
+
+    const officialsByFixture = new Map();
+    assignments.forEach(({ fixture, official }) => {
+      const id = fixture._id.toString();
+      if (!officialsByFixture.has(id)) officialsByFixture.set(id, []);
+      officialsByFixture.get(id).push(official._id);
+    });
+
+    if (officialsByFixture.size > 0) {
+      emitOfficialsUpdate(req, tournament._id, [...officialsByFixture.keys()]);
+
+      const notificationService = req.app.get('notificationService');
+      if (notificationService) {
+        try {
+          for (const [fixtureId, officialIds] of officialsByFixture) {
+            await notificationService.notifyOfficialsAssigned(fixtureId, officialIds);
+          }
+        } catch (notificationError) {
+          console.error('Error sending official appointment notifications:', notificationError);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        assignments: assignments.map(({ fixture, official, role }) => ({
+          fixtureId: fixture._id,
+          bracketPosition: fixture.bracketPosition,
+          scheduledDate: fixture.scheduledDate,
+          official: { _id: official._id, firstName: official.firstName, lastName: official.lastName },
+          role
+        })),
+        unfilled: unfilled.map(({ fixture, needed, reasons }) => ({
+          fixtureId: fixture._id,
+          bracketPosition: fixture.bracketPosition,
+          scheduledDate: fixture.scheduledDate,
+          needed,
+          reasons
+        }))
+      },
+      message: unfilled.length > 0
+        ? `${assignments.length} appointments made; ${unfilled.length} fixtures still need officials`
+        : `${assignments.length} appointments made`
+    });
+  } catch (error) {
+    console.error('Auto-assign officials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign officials',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOfficials,
+  updateOfficialProfile,
+  updateAvailability,
+  getMyAppointments,
+  assignOfficial,
+  unassignOfficial,
+  autoAssignOfficials
+};
@@ -0,0 +1,249 @@
+const Series = require('../models/Series');
+const Tournament = require('../models/Tournament');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { getFinalPlacings } = require('./tournamentController');
+const { pointsForPosition, buildLadder } = require('../utils/seriesLadder');
+
+// The series fields a request may set
+const SERIES_FIELDS = [
+  'name', 'description', 'season', 'sport', 'tournaments',
+  'pointsTable', 'participationPoints', 'bestResults', 'status'
+];
+
+const pickSeriesFields = (body) => SERIES_FIELDS
+  .filter(field => body[field] !== undefined)
+  .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+// Tournaments must exist, and match the series sport when it has one
+const checkSeriesTournaments = async (tournamentIds, sport) => {
+  if (!Array.isArray(tournamentIds) || tournamentIds.length === 0) return null;
+
+  const tournaments = await Tournament.find({ _id: { $in: tournamentIds } }).select('name sport');
+  if (tournaments.length !== new Set(tournamentIds.map(String)).size) {
+    return 'One or more tournaments were not found';
+  }
+
+  const otherSport = sport && tournaments.find(tournament => tournament.sport !== sport);
+  if (otherSport) {
+    return `${otherSport.name} is not a ${sport} tournament`;
+  }
+  return null;
+};
+
+// Create series
+const createSeries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tournamentError = await checkSeriesTournaments(req.body.tournaments, req.body.sport);
+    if (tournamentError) {
+      return res.status(400).json({
+        success: false,
+        message: tournamentError
+      });
+    }
+
+    const series = new Series({
+      ...pickSeriesFields(req.body),
+      createdBy: req.user._id
+    });
+    await series.save();
+
+    res.status(201).json({
+      success: true,
+      data: series,
+      message: 'Series created successfully'
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create series',
+      error: error.message
+    });
+  }
+};
+
+// Update series
+const updateSeries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    // Check if user is the creator or admin
+    if (series.createdBy.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this series'
+      });
+    }
+
+    const tournamentError = await checkSeriesTournaments(
+      req.body.tournaments || series.tournaments,
+      req.body.sport !== undefined ? req.body.sport : series.sport
+    );
+    if (tournamentError) {
+      return res.status(400).json({
+        success: false,
+        message: tournamentError
+      });
+    }
+
+    const updatedSeries = await Series.findByIdAndUpdate(
+      req.params.id,
+      pickSeriesFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      data: updatedSeries,
+      message: 'Series updated successfully'
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update series',
+      error: error.message
+    });
+  }
+};
+
+// List series, optionally by sport, season or status
+const getSeriesList = async (req, res) => {
+  try {
+    const { sport, season, status } = req.query;
+    const filter = {};
+    if (sport) filter.sport = sport;
+    if (season) filter.season = season;
+    if (status) filter.status = status;
+
+    const series = await Series.find(filter)
+      .populate('tournaments', 'name sport status startDate endDate')
+      .sort({ season: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get series',
+      error: error.message
+    });
+  }
+};
+
+// Series ladder. Only finished tournaments score. Filters narrow the ladder
+// to one sport's tournaments, or to players from a state or at a skill level.
+const getSeriesLeaderboard = async (req, res) => {
+  try {
+    const { sport, state, skillLevel } = req.query;
+
+    const series = await Series.findById(req.params.id)
+      .populate('tournaments', 'name sport format status startDate endDate standings');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const tournaments = series.tournaments.filter(tournament =>
+      tournament.status === 'Completed' && (!sport || tournament.sport === sport));
+
+    // Every player in a placed entry scores its points
+    const results = [];
+    for (const tournament of tournaments) {
+      const placings = await getFinalPlacings(tournament);
+      const registrations = await Registration.find({ _id: { $in: placings.map(placing => placing.registration) } })
+        .select('captain teamMembers teamName');
+      const byId = new Map(registrations.map(registration => [registration._id.toString(), registration]));
+
+      placings.forEach(({ registration: registrationId, position }) => {
+        const registration = byId.get(registrationId.toString());
+        if (!registration) return;
+
+        const players = new Set([registration.captain, ...(registration.teamMembers || [])].map(String));
+        players.forEach(player => results.push({
+          player,
+          tournament: tournament._id,
+          tournamentName: tournament.name,
+          sport: tournament.sport,
+          teamName: registration.teamName,
+          position,
+          points: pointsForPosition(position, series.pointsTable, series.participationPoints)
+        }));
+      });
+    }
+
+    const playerFilter = { _id: { $in: [...new Set(results.map(result => result.player))] } };
+    if (state) playerFilter.state = state;
+    if (skillLevel) playerFilter.skillLevel = skillLevel;
+
+    const players = await User.find(playerFilter).select('firstName lastName state skillLevel');
+    const playersById = new Map(players.map(player => [player._id.toString(), player]));
+
+    const leaderboard = buildLadder(
+      results.filter(result => playersById.has(result.player)),
+      { bestResults: series.bestResults }
+    ).map(row => ({ ...row, player: playersById.get(row.player) }));
+
+    res.json({
+      success: true,
+      data: {
+        series: {
+          _id: series._id,
+          name: series.name,
+          season: series.season,
+          sport: series.sport,
+          status: series.status,
+          pointsTable: series.pointsTable,
+          participationPoints: series.participationPoints,
+          bestResults: series.bestResults,
+          tournamentsCounted: tournaments.length,
+          tournamentsTotal: series.tournaments.length
+        },
+        leaderboard
+      }
+    });
+  } catch (error) {
+    console.error('Get series leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get series leaderboard',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSeries,
+  updateSeries,
+  getSeriesList,
+  getSeriesLeaderboard
+};
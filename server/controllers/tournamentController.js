@@ -2,6 +2,22 @@ const Tournament = require('../models/Tournament');
 const Registration = require('../models/Registration');
 const Fixture = require('../models/Fixture');
 const { validationResult } = require('express-validator');
+const capacityService = require('../services/capacityService');
+const waitlistService = require('../services/waitlistService');
+const {
+  DIVISION_CHOICE_MESSAGES,
+  hasDivisions,
+  checkDivisionChoice,
+  forDivision,
+  divisionViews,
+  inDivision
+} = require('../utils/divisions');
+const { calculateSwissScores, calculateSwissTiebreaks } = require('../utils/swissPairing');
+const {
+  resolveStandingsConfig,
+  calculateBonusPoints,
+  rankStandings
+} = require('../utils/standingsRules');
 
 // Create tournament
 const createTournament = async (req, res) => {
@@ -16,8 +32,10 @@ const createTournament = async (req, res) => {
 
     const tournamentData = {
       ...req.body,
+      divisions: (req.body.divisions || []).map(({ currentParticipants, ...division }) => division),
       createdBy: req.user._id,
-      status: 'Draft'
+      status: 'Draft',
+      currentParticipants: 0 // Places are only taken through registrations
     };
 
     const tournament = new Tournament(tournamentData);
@@ -74,12 +92,30 @@ const updateTournament = async (req, res) => {
       }
     }
 
-    const updatedTournament = await Tournament.findByIdAndUpdate(
+    // Places are only taken and given up through registrations, and
+    // divisions are managed on their own (see divisionController). With
+    // divisions, the tournament's capacity is theirs together.
+    const { currentParticipants, divisions, ...updates } = req.body;
+    if (hasDivisions(tournament)) {
+      delete updates.maxParticipants;
+    }
+
+    let updatedTournament = await Tournament.findByIdAndUpdate(
       id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate('createdBy', 'firstName lastName email');
 
+    // A change of capacity or status may fill or reopen the tournament, and
+    // extra places go to the front of the waitlist
+    if (updates.maxParticipants !== undefined || updates.status !== undefined) {
+      await capacityService.syncStatus(id);
+      if (updatedTournament.maxParticipants > tournament.maxParticipants) {
+        await waitlistService.promoteNext(id, req.app.get('notificationService'));
+      }
+      updatedTournament = await Tournament.findById(id).populate('createdBy', 'firstName lastName email');
+    }
+
     res.json({
       success: true,
       data: updatedTournament,
@@ -95,10 +131,12 @@ const updateTournament = async (req, res) => {
   }
 };
 
-// Get tournament standings
+// Get tournament standings. A tournament with divisions gives the standings
+// of the division asked for, or of each division in turn.
 const getTournamentStandings = async (req, res) => {
   try {
     const { id } = req.params;
+    const { division } = req.query;
     
     const tournament = await Tournament.findById(id);
     if (!tournament) {
@@ -108,25 +146,18 @@ const getTournamentStandings = async (req, res) => {
       });
     }
 
-    // Get all registrations for the tournament
-    const registrations = await Registration.find({ 
-      tournament: id, 
-      status: 'Approved' 
-    }).populate('captain teamMembers', 'firstName lastName email');
-
-    // Get all fixtures for the tournament
-    const fixtures = await Fixture.find({ tournament: id })
-      .populate('participant1 participant2 winner');
-
-    // Calculate standings based on tournament format
-    let standings = [];
-
-    if (tournament.format === 'Round Robin') {
-      standings = calculateRoundRobinStandings(registrations, fixtures);
-    } else {
-      standings = calculateEliminationStandings(registrations, fixtures);
+    const divisionProblem = division && checkDivisionChoice(tournament, division);
+    if (divisionProblem) {
+      return res.status(400).json({
+        success: false,
+        message: DIVISION_CHOICE_MESSAGES[divisionProblem]
+      });
     }
 
+    const standings = division || !hasDivisions(tournament)
+      ? await buildTournamentStandings(forDivision(tournament, division))
+      : await buildDivisionStandings(tournament);
+
     res.json({
       success: true,
       data: standings
@@ -141,6 +172,109 @@ const getTournamentStandings = async (req, res) => {
   }
 };
 
+// Calculate a tournament's standings in the shape its format uses: a single
+// table, or group tables plus the knockout stage. Seen from a division (see
+// utils/divisions), only that division's entries and fixtures count.
+const buildTournamentStandings = async (tournament) => {
+  const id = tournament._id;
+
+  // Get all registrations for the tournament
+  const registrations = await Registration.find({ 
+    tournament: id, 
+    ...inDivision(tournament),
+    status: 'Approved' 
+  }).populate('captain teamMembers', 'firstName lastName email');
+
+  // Get all fixtures for the tournament
+  const fixtures = await Fixture.find({ tournament: id, ...inDivision(tournament) })
+    .populate('participant1 participant2 winner');
+
+  // Calculate standings based on tournament format
+  const standingsConfig = resolveStandingsConfig(tournament.sport, tournament.standings);
+  const rankingOptions = { seed: tournament._id.toString() };
+
+  if (tournament.format === 'Round Robin') {
+    return calculateRoundRobinStandings(registrations, fixtures, standingsConfig, rankingOptions);
+  }
+  if (tournament.format === 'Double Elimination') {
+    return calculateEliminationStandings(registrations, fixtures, 2);
+  }
+  if (tournament.format === 'Swiss') {
+    return calculateSwissStandings(registrations, fixtures);
+  }
+  if (tournament.format === 'Group Stage + Knockout') {
+    const knockoutFixtures = fixtures.filter(fixture => !fixture.group);
+    const qualifierIds = new Set(knockoutFixtures
+      .flatMap(fixture => [fixture.participant1, fixture.participant2])
+      .filter(Boolean)
+      .map(participant => participant._id.toString()));
+
+    return {
+      groups: calculateGroupStandings(
+        registrations,
+        fixtures.filter(fixture => fixture.group),
+        standingsConfig,
+        rankingOptions
+      ),
+      knockout: calculateEliminationStandings(
+        registrations.filter(registration => qualifierIds.has(registration._id.toString())),
+        knockoutFixtures
+      )
+    };
+  }
+  return calculateEliminationStandings(registrations, fixtures);
+};
+
+// Standings of every division of a tournament, in the order they were added
+const buildDivisionStandings = async (tournament) => {
+  const results = [];
+  for (const view of divisionViews(tournament)) {
+    results.push({
+      division: { _id: view.division, name: view.divisionName },
+      standings: await buildTournamentStandings(view)
+    });
+  }
+  return results;
+};
+
+// One overall finishing order from a tournament's standings. In a group
+// stage the knockout entrants finish ahead of everyone knocked out in the
+// groups, who are ordered by group position.
+const flattenStandings = (standings) => {
+  if (Array.isArray(standings)) return standings;
+
+  const qualifierIds = new Set(standings.knockout.map(standing => standing.participant._id.toString()));
+  const eliminated = standings.groups
+    .flatMap(group => group.standings)
+    .filter(standing => !qualifierIds.has(standing.participant._id.toString()))
+    .sort((a, b) => a.position - b.position || b.points - a.points);
+
+  return [...standings.knockout, ...eliminated];
+};
+
+// Where each approved entry finished: the placings recorded when the
+// tournament was finalised, or worked out from the standings. Entries in a
+// division are placed within it.
+const getFinalPlacings = async (tournament) => {
+  const recorded = await Registration.find({
+    tournament: tournament._id,
+    status: 'Approved',
+    finalPosition: { $exists: true }
+  }).select('finalPosition');
+
+  if (recorded.length > 0) {
+    return recorded.map(registration => ({ registration: registration._id, position: registration.finalPosition }));
+  }
+
+  const placings = [];
+  for (const view of divisionViews(tournament)) {
+    flattenStandings(await buildTournamentStandings(view)).forEach((standing, index) => {
+      placings.push({ registration: standing.participant._id, position: index + 1 });
+    });
+  }
+  return placings;
+};
+
 // Calculate final standings and update tournament status
 const calculateFinalStandings = async (req, res) => {
   try {
@@ -162,10 +296,10 @@ const calculateFinalStandings = async (req, res) => {
       });
     }
 
-    // Check if all matches are completed
+    // Check if all matches are completed (an unneeded bracket reset is cancelled)
     const incompleteMatches = await Fixture.countDocuments({
       tournament: id,
-      status: { $ne: 'Completed' }
+      status: { $nin: ['Completed', 'Cancelled'] }
     });
 
     if (incompleteMatches > 0) {
@@ -179,13 +313,28 @@ const calculateFinalStandings = async (req, res) => {
     tournament.status = 'Completed';
     await tournament.save();
 
-    // Calculate and return final standings
-    const standingsResponse = await getTournamentStandings(req, res);
+    // Calculate final standings and record where everyone finished, within
+    // their division when the tournament has them
+    const standings = hasDivisions(tournament)
+      ? await buildDivisionStandings(tournament)
+      : await buildTournamentStandings(tournament);
+    const placings = hasDivisions(tournament)
+      ? standings.map(division => flattenStandings(division.standings))
+      : [flattenStandings(standings)];
+    const updates = placings.flatMap(order => order.map((standing, index) => ({
+      updateOne: {
+        filter: { _id: standing.participant._id },
+        update: { $set: { finalPosition: index + 1 } }
+      }
+    })));
+    if (updates.length > 0) {
+      await Registration.bulkWrite(updates);
+    }
     
     res.json({
       success: true,
       message: 'Tournament completed and final standings calculated',
-      data: standingsResponse.data
+      data: standings
     });
   } catch (error) {
     console.error('Calculate final standings error:', error);
@@ -256,78 +405,124 @@ const distributePrizes = async (req, res) => {
   }
 };
 
-// Helper function to calculate round robin standings
-const calculateRoundRobinStandings = (registrations, fixtures) => {
+// Helper function to calculate round robin standings. Points, bonus points
+// and tiebreakers come from the tournament's standings config.
+const calculateRoundRobinStandings = (registrations, fixtures, config = resolveStandingsConfig(), options = {}) => {
   const standings = registrations.map(registration => ({
     participant: registration,
+    seed: registration.seed,
     position: 0,
     matchesPlayed: 0,
     wins: 0,
     losses: 0,
     draws: 0,
+    forfeits: 0,
+    withdrawn: Boolean(registration.withdrawn),
     points: 0,
+    bonusPoints: 0,
     goalsFor: 0,
     goalsAgainst: 0,
     goalDifference: 0,
+    percentage: 0,
     winPercentage: 0
   }));
+  const byId = new Map(standings.map(standing => [standing.participant._id.toString(), standing]));
+  const counted = [];
 
   // Calculate stats from fixtures
   fixtures.forEach(fixture => {
-    if (fixture.status === 'Completed' && fixture.result) {
-      const participant1Index = standings.findIndex(s => 
-        s.participant._id.toString() === fixture.participant1._id.toString()
-      );
-      const participant2Index = standings.findIndex(s => 
-        s.participant._id.toString() === fixture.participant2._id.toString()
-      );
+    if (fixture.status === 'Completed' && fixture.result && fixture.participant1 && fixture.participant2) {
+      const p1Standing = byId.get(fixture.participant1._id.toString());
+      const p2Standing = byId.get(fixture.participant2._id.toString());
 
-      if (participant1Index !== -1 && participant2Index !== -1) {
-        const p1Standing = standings[participant1Index];
-        const p2Standing = standings[participant2Index];
+      if (p1Standing && p2Standing) {
+        const { result } = fixture;
+        const winnerId = fixture.winner ? fixture.winner._id.toString() : null;
+        counted.push(fixture);
 
         // Update matches played
         p1Standing.matchesPlayed++;
         p2Standing.matchesPlayed++;
 
         // Update goals
-        p1Standing.goalsFor += fixture.result.participant1Score;
-        p1Standing.goalsAgainst += fixture.result.participant2Score;
-        p2Standing.goalsFor += fixture.result.participant2Score;
-        p2Standing.goalsAgainst += fixture.result.participant1Score;
+        p1Standing.goalsFor += result.participant1Score;
+        p1Standing.goalsAgainst += result.participant2Score;
+        p2Standing.goalsFor += result.participant2Score;
+        p2Standing.goalsAgainst += result.participant1Score;
 
         // Update wins/losses/draws and points
-        if (fixture.result.participant1Score > fixture.result.participant2Score) {
-          p1Standing.wins++;
-          p1Standing.points += 3;
-          p2Standing.losses++;
-        } else if (fixture.result.participant2Score > fixture.result.participant1Score) {
-          p2Standing.wins++;
-          p2Standing.points += 3;
-          p1Standing.losses++;
-        } else {
-          p1Standing.draws++;
-          p2Standing.draws++;
-          p1Standing.points += 1;
-          p2Standing.points += 1;
-        }
+        [[p1Standing, 1], [p2Standing, 2]].forEach(([standing, side]) => {
+          const isWinner = winnerId === standing.participant._id.toString();
+          const isLoser = winnerId !== null && !isWinner;
+
+          if (isWinner) {
+            standing.wins++;
+            standing.points += config.points.win;
+          } else if (isLoser && result.forfeit) {
+            standing.losses++;
+            standing.forfeits++;
+            standing.points += config.points.forfeit;
+          } else if (isLoser) {
+            standing.losses++;
+            standing.points += config.points.loss;
+          } else {
+            standing.draws++;
+            standing.points += config.points.draw;
+          }
+
+          const bonus = calculateBonusPoints(result, side, isWinner, isLoser, config);
+          standing.bonusPoints += bonus;
+          standing.points += bonus;
+        });
       }
     }
   });
 
-  // Calculate goal difference and win percentage
+  // Calculate goal difference, percentage (for / against) and win percentage
   standings.forEach(standing => {
     standing.goalDifference = standing.goalsFor - standing.goalsAgainst;
+    standing.percentage = standing.goalsAgainst > 0
+      ? (standing.goalsFor / standing.goalsAgainst) * 100
+      : null;
     standing.winPercentage = standing.matchesPlayed > 0 
       ? (standing.wins / standing.matchesPlayed) * 100 
       : 0;
   });
 
-  // Sort standings (points, then goal difference, then goals for)
+  // Sort standings and assign positions
+  return rankStandings(standings, counted, config, options);
+};
+
+// Helper function to calculate Swiss standings with Buchholz and
+// Sonneborn-Berger tiebreaks
+const calculateSwissStandings = (registrations, fixtures) => {
+  const records = calculateSwissTiebreaks(calculateSwissScores(registrations, fixtures));
+
+  const standings = registrations.map(registration => {
+    const record = records.get(registration._id.toString());
+    const matchesPlayed = record.wins + record.draws + record.losses;
+
+    return {
+      participant: registration,
+      seed: registration.seed,
+      position: 0,
+      matchesPlayed,
+      wins: record.wins,
+      losses: record.losses,
+      draws: record.draws,
+      byes: record.byes,
+      points: record.score,
+      buchholz: record.buchholz,
+      sonnebornBerger: record.sonnebornBerger,
+      winPercentage: matchesPlayed > 0 ? (record.wins / matchesPlayed) * 100 : 0
+    };
+  });
+
+  // Sort standings (points, then Buchholz, then Sonneborn-Berger)
   standings.sort((a, b) => {
     if (b.points !== a.points) return b.points - a.points;
-    if (b.goalDifference !== a.goalDifference) return b.goalDifference - a.goalDifference;
-    return b.goalsFor - a.goalsFor;
+    if (b.buchholz !== a.buchholz) return b.buchholz - a.buchholz;
+    return b.sonnebornBerger - a.sonnebornBerger;
   });
 
   // Assign positions
@@ -338,10 +533,27 @@ const calculateRoundRobinStandings = (registrations, fixtures) => {
   return standings;
 };
 
-// Helper function to calculate elimination tournament standings
-const calculateEliminationStandings = (registrations, fixtures) => {
+// Helper function to calculate a round robin table for each group
+const calculateGroupStandings = (registrations, fixtures, config, options) => {
+  const groupNames = [...new Set(registrations.map(registration => registration.group).filter(Boolean))].sort();
+
+  return groupNames.map(group => ({
+    group,
+    standings: calculateRoundRobinStandings(
+      registrations.filter(registration => registration.group === group),
+      fixtures.filter(fixture => fixture.group === group),
+      config,
+      options
+    )
+  }));
+};
+
+// Helper function to calculate elimination tournament standings.
+// maxLosses is 1 for single elimination and 2 for double elimination.
+const calculateEliminationStandings = (registrations, fixtures, maxLosses = 1) => {
   const standings = registrations.map(registration => ({
     participant: registration,
+    seed: registration.seed,
     position: 0,
     matchesPlayed: 0,
     wins: 0,
@@ -374,11 +586,11 @@ const calculateEliminationStandings = (registrations, fixtures) => {
           if (fixture.winner._id.toString() === fixture.participant1._id.toString()) {
             p1Standing.wins++;
             p2Standing.losses++;
-            p2Standing.eliminated = true;
+            p2Standing.eliminated = p2Standing.losses >= maxLosses;
           } else {
             p2Standing.wins++;
             p1Standing.losses++;
-            p1Standing.eliminated = true;
+            p1Standing.eliminated = p1Standing.losses >= maxLosses;
           }
         }
       }
@@ -410,6 +622,13 @@ module.exports = {
   createTournament,
   updateTournament,
   getTournamentStandings,
+  buildTournamentStandings,
+  flattenStandings,
+  getFinalPlacings,
   calculateFinalStandings,
-  distributePrizes
+  distributePrizes,
+  calculateRoundRobinStandings,
+  calculateEliminationStandings,
+  calculateGroupStandings,
+  calculateSwissStandings
 };
\ No newline at end of file
@@ -13,8 +13,12 @@ const registrationRoutes = require('./routes/registrations');
 const paymentRoutes = require('./routes/payments');
 const userRoutes = require('./routes/users');
 const notificationRoutes = require('./routes/notifications');
+const seriesRoutes = require('./routes/series');
+const calendarRoutes = require('./routes/calendar');
+const officialRoutes = require('./routes/officials');
 
 const NotificationService = require('./services/notificationService');
+const waitlistService = require('./services/waitlistService');
 
 const app = express();
 const server = http.createServer(app);
@@ -46,6 +50,9 @@ app.use('/api/registrations', registrationRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/officials', officialRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -97,6 +104,15 @@ cron.schedule('0 9 * * *', async () => {
   }
 });
 
+// Pass lapsed waitlist offers to the next entry every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    await waitlistService.expireOffers(notificationService);
+  } catch (error) {
+    console.error('Error in scheduled waitlist expiry:', error);
+  }
+});
+
 // Clean up old notifications weekly on Sunday at 2 AM
 cron.schedule('0 2 * * 0', async () => {
   try {
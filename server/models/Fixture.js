@@ -24,6 +24,36 @@ const matchResultSchema = new mongoose.Schema({
     participant1Score: Number,
     participant2Score: Number
   }], // For sports like tennis, volleyball
+  innings: [{
+    battingSide: {
+      type: Number,
+      enum: [1, 2] // Which participant was batting
+    },
+    runs: Number,
+    wickets: Number,
+    overs: Number, // Completed overs and balls, e.g. 19.4
+    declared: Boolean
+  }], // For cricket
+  periods: [{
+    participant1Score: Number,
+    participant2Score: Number
+  }], // Halves or quarters for rugby, netball
+  drawn: {
+    type: Boolean,
+    default: false
+  },
+  summary: {
+    type: String,
+    trim: true // e.g. "won by 5 wickets"
+  },
+  participant1Tries: {
+    type: Number,
+    min: 0 // Rugby try counts, used for bonus points
+  },
+  participant2Tries: {
+    type: Number,
+    min: 0
+  },
   overtime: {
     type: Boolean,
     default: false
@@ -35,15 +65,145 @@ const matchResultSchema = new mongoose.Schema({
   forfeitReason: {
     type: String,
     trim: true
+  },
+  forfeitedBy: {
+    type: Number,
+    enum: [1, 2] // Which participant forfeited or withdrew
   }
 }, { _id: false });
 
+// One action from live scoring. Undone events stay in the log for the record
+// but are skipped when the score is replayed.
+const liveEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['point', 'wicket', 'endPeriod'],
+    required: true
+  },
+  participant: {
+    type: Number,
+    enum: [1, 2]
+  },
+  points: {
+    type: Number,
+    min: 1
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  undone: {
+    type: Boolean,
+    default: false
+  },
+  undoneAt: {
+    type: Date
+  }
+});
+
+// A captain's claimed result, or what happened to the claims: confirmed when
+// both captains agree, disputed when they don't, adjudicated by the organiser
+const resultHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['Submitted', 'Confirmed', 'Disputed', 'Adjudicated'],
+    required: true
+  },
+  side: {
+    type: Number,
+    enum: [1, 2] // Which participant submitted, or whose claim was upheld
+  },
+  result: {
+    type: matchResultSchema
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A correction to a completed result, and the later fixtures it rolled back
+const amendmentSchema = new mongoose.Schema({
+  amendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  previousResult: {
+    type: matchResultSchema
+  },
+  newResult: {
+    type: matchResultSchema
+  },
+  previousWinner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  newWinner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  rolledBack: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fixture' // Later fixtures whose entrants or results were reset
+  }],
+  amendedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const officialAssignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['Referee', 'Umpire', 'Assistant', 'Scorer', 'Timekeeper'],
+    default: 'Referee'
+  },
+  autoAssigned: {
+    type: Boolean,
+    default: false
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const fixtureSchema = new mongoose.Schema({
   tournament: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tournament',
     required: true
   },
+  division: {
+    type: mongoose.Schema.Types.ObjectId // The tournament division whose draw this belongs to, when it has divisions
+  },
   round: {
     type: Number,
     required: true,
@@ -54,15 +214,15 @@ const fixtureSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
+  // Participants stay empty on later-round placeholders until the feeding
+  // matches are decided, and participant2 stays empty on bye fixtures
   participant1: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Registration',
-    required: true
+    ref: 'Registration'
   },
   participant2: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Registration',
-    required: true
+    ref: 'Registration'
   },
   scheduledDate: {
     type: Date
@@ -80,9 +240,12 @@ const fixtureSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Scheduled', 'InProgress', 'Completed', 'Cancelled', 'Postponed'],
+    enum: ['Scheduled', 'InProgress', 'Completed', 'Disputed', 'Cancelled', 'Postponed'],
     default: 'Scheduled'
   },
+  liveEvents: [liveEventSchema], // Point-by-point log while the match is in progress
+  resultHistory: [resultHistorySchema], // Captain submissions and organiser decisions
+  amendments: [amendmentSchema], // Corrections made after the result was recorded
   winner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Registration'
@@ -91,10 +254,23 @@ const fixtureSchema = new mongoose.Schema({
     type: String, // e.g., "QF1", "SF1", "F1" for Quarter Final 1, Semi Final 1, Final 1
     required: true
   },
+  group: {
+    type: String,
+    trim: true // Group label for group-stage fixtures, e.g. "A"
+  },
+  bracket: {
+    type: String,
+    enum: ['Winners', 'Losers', 'GrandFinal'],
+    default: 'Winners' // Only double elimination uses the losers bracket and grand final
+  },
   nextMatchId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Fixture' // Reference to the next match in the bracket
   },
+  loserNextMatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fixture' // Losers-bracket match the loser drops into (double elimination)
+  },
   previousMatches: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Fixture' // References to previous matches that feed into this one
@@ -110,6 +286,8 @@ const fixtureSchema = new mongoose.Schema({
   actualDuration: {
     type: Number // Actual duration in minutes
   },
+  officials: [officialAssignmentSchema], // Officials appointed from the platform's users
+  // Free-text record for officials who are not platform users
   referee: {
     name: {
       type: String,
@@ -135,8 +313,11 @@ const fixtureSchema = new mongoose.Schema({
 // Middleware to automatically set winner and update next match
 fixtureSchema.pre('save', function(next) {
   if (this.result && this.isModified('result')) {
-    // Determine winner based on score
-    if (this.result.participant1Score > this.result.participant2Score) {
+    // Determine winner based on score. Scores are normalised by the sport's
+    // scoring rules first (sets won, total runs, total points).
+    if (this.result.drawn) {
+      this.winner = undefined;
+    } else if (this.result.participant1Score > this.result.participant2Score) {
       this.winner = this.participant1;
     } else if (this.result.participant2Score > this.result.participant1Score) {
       this.winner = this.participant2;
@@ -160,22 +341,69 @@ fixtureSchema.pre('save', function(next) {
 fixtureSchema.post('save', async function(doc) {
   if (doc.winner && doc.nextMatchId && doc.isModified('winner')) {
     try {
-      const nextMatch = await mongoose.model('Fixture').findById(doc.nextMatchId);
-      if (nextMatch) {
-        // Determine which participant slot to fill in the next match
-        if (nextMatch.participant1.toString() === 'TBD' || !nextMatch.participant1) {
-          nextMatch.participant1 = doc.winner;
-        } else if (nextMatch.participant2.toString() === 'TBD' || !nextMatch.participant2) {
-          nextMatch.participant2 = doc.winner;
-        }
-        await nextMatch.save();
-      }
+      await doc.advanceWinner();
     } catch (error) {
       console.error('Error updating next match:', error);
     }
   }
 });
 
+// Participant who lost this fixture, if it has been decided between two entrants
+fixtureSchema.methods.getLoser = function() {
+  if (!this.winner || !this.participant1 || !this.participant2) return null;
+  const winnerId = (this.winner._id || this.winner).toString();
+  const participant1Id = (this.participant1._id || this.participant1).toString();
+  return winnerId === participant1Id ? this.participant2 : this.participant1;
+};
+
+// Place a participant into a later fixture fed by this one. The order of the
+// target's previousMatches decides the slot: the first feeder fills
+// participant1, the second fills participant2. A bye fixture waiting on a
+// single entrant is decided as soon as that entrant arrives.
+fixtureSchema.methods.feedInto = async function(targetId, participant) {
+  const target = await mongoose.model('Fixture').findById(targetId);
+  if (!target) return null;
+
+  const participantId = participant._id || participant;
+  const slot = target.previousMatches.findIndex(id => id.toString() === this._id.toString());
+  if (slot === 0) {
+    target.participant1 = participantId;
+  } else if (slot === 1) {
+    target.participant2 = participantId;
+  } else if (!target.participant1) {
+    target.participant1 = participantId;
+  } else if (!target.participant2) {
+    target.participant2 = participantId;
+  }
+
+  const resolvesBye = target.isBye && target.status !== 'Completed';
+  if (resolvesBye) {
+    target.winner = participantId;
+    target.status = 'Completed';
+  }
+
+  await target.save();
+
+  if (resolvesBye) {
+    await target.advanceWinner();
+  }
+
+  return target;
+};
+
+// Move the winner into the linked next-round fixture
+fixtureSchema.methods.advanceWinner = async function() {
+  if (!this.winner || !this.nextMatchId) return null;
+  return this.feedInto(this.nextMatchId, this.winner);
+};
+
+// Drop the loser into the linked losers-bracket fixture
+fixtureSchema.methods.advanceLoser = async function() {
+  const loser = this.getLoser();
+  if (!loser || !this.loserNextMatchId) return null;
+  return this.feedInto(this.loserNextMatchId, loser);
+};
+
 // Validate that both participants are different
 fixtureSchema.pre('save', function(next) {
   if (this.participant1 && this.participant2 && 
@@ -188,11 +416,12 @@ fixtureSchema.pre('save', function(next) {
 // Index for efficient queries
 fixtureSchema.index({ tournament: 1, round: 1 });
 fixtureSchema.index({ tournament: 1, status: 1 });
+fixtureSchema.index({ tournament: 1, division: 1, round: 1 });
 fixtureSchema.index({ scheduledDate: 1 });
 fixtureSchema.index({ participant1: 1 });
 fixtureSchema.index({ participant2: 1 });
 fixtureSchema.index({ bracketPosition: 1 });
+fixtureSchema.index({ 'officials.user': 1, scheduledDate: 1 });
 
 module.exports = mongoose.model('Fixture', fixtureSchema);
-
 module.exports = mongoose.model('Fixture', fixtureSchema);
\ No newline at end of file
@@ -191,8 +191,41 @@ notificationSchema.statics.notifyScheduleChange = async function(fixtureId, chan
     const notification = await this.createAndBroadcast(notificationData, io);
     notifications.push(notification);
   }
+
+  // Officials appointed to the fixture need to know it has moved too
+  notifications.push(...await this.notifyFixtureOfficials(fixture, changeData, io));
   
   return notifications;
 };
 
+// Static method to tell a fixture's appointed officials about a change to it
+notificationSchema.statics.notifyFixtureOfficials = async function(fixture, changeData, io) {
+  const notifications = [];
+
+  for (const assignment of fixture.officials || []) {
+    const notification = await this.createAndBroadcast({
+      recipient: assignment.user,
+      type: 'schedule',
+      title: changeData.title || 'Match Schedule Updated',
+      message: `${changeData.message} (you are the ${assignment.role.toLowerCase()} for this match)`,
+      priority: changeData.priority || 'high',
+      actionUrl: '/dashboard?tab=officiating',
+      actionText: 'View Appointments',
+      relatedId: fixture._id,
+      relatedModel: 'Fixture',
+      metadata: {
+        tournamentName: fixture.tournament.name,
+        matchDate: changeData.newDate || fixture.scheduledDate,
+        originalDate: changeData.originalDate,
+        newDate: changeData.newDate,
+        venue: changeData.venue || fixture.venue
+      },
+      createdBy: changeData.createdBy
+    }, io);
+    notifications.push(notification);
+  }
+
+  return notifications;
+};
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { SPORTS } = require('../utils/validation');
+
+// Current Elo rating for a player, or for a team registration's roster, in
+// one sport. Changes are logged in RatingHistory.
+const ratingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration' // Set instead of user for a team roster's rating
+  },
+  sport: {
+    type: String,
+    required: true,
+    enum: SPORTS
+  },
+  rating: {
+    type: Number,
+    required: true
+  },
+  matchesPlayed: {
+    type: Number,
+    default: 0
+  },
+  wins: {
+    type: Number,
+    default: 0
+  },
+  losses: {
+    type: Number,
+    default: 0
+  },
+  draws: {
+    type: Number,
+    default: 0
+  },
+  lastPlayedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ratingSchema.pre('validate', function(next) {
+  if (!this.user === !this.registration) {
+    return next(new Error('A rating belongs to either a user or a team registration'));
+  }
+  next();
+});
+
+// Indexes for better query performance
+ratingSchema.index({ user: 1, sport: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+ratingSchema.index({ registration: 1 }, { unique: true, partialFilterExpression: { registration: { $exists: true } } });
+ratingSchema.index({ sport: 1, rating: -1 });
+
+module.exports = mongoose.model('Rating', ratingSchema);
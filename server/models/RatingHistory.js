@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One rating change caused by one completed fixture
+const ratingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration' // The entry the user played for, or the rated team roster
+  },
+  sport: {
+    type: String,
+    required: true
+  },
+  fixture: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fixture',
+    required: true
+  },
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  opponent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  ratingBefore: {
+    type: Number,
+    required: true
+  },
+  ratingAfter: {
+    type: Number,
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  expectedScore: {
+    type: Number // Chance of winning the rating gave beforehand, 0 to 1
+  },
+  score: {
+    type: Number,
+    enum: [0, 0.5, 1] // Loss, draw, win
+  },
+  kFactor: {
+    type: Number
+  },
+  playedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ratingHistorySchema.index({ user: 1, sport: 1, playedAt: 1 });
+ratingHistorySchema.index({ registration: 1, playedAt: 1 });
+ratingHistorySchema.index({ fixture: 1 });
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
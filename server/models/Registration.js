@@ -1,11 +1,24 @@
 const mongoose = require('mongoose');
 
+// Minimum team sizes for different sports, not counting the captain
+const minTeamSizes = {
+  'Basketball': 5,
+  'Football': 11,
+  'Volleyball': 6,
+  'Cricket': 11,
+  'Rugby': 15,
+  'Netball': 7
+};
+
 const registrationSchema = new mongoose.Schema({
   tournament: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tournament',
     required: true
   },
+  division: {
+    type: mongoose.Schema.Types.ObjectId // The tournament division entered, when it has divisions
+  },
   type: {
     type: String,
     required: true,
@@ -49,13 +62,57 @@ const registrationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Approved', 'Rejected'],
+    enum: ['Pending', 'Approved', 'Rejected', 'Waitlisted', 'Expired'],
     default: 'Pending'
   },
+  // Waitlist (see utils/waitlist): entries queue by waitlistedAt; a promoted
+  // entry is Pending until offerExpiresAt, then Expired if it has not paid
+  waitlistedAt: {
+    type: Date
+  },
+  promotedAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date
+  },
   notes: {
     type: String,
     trim: true
   },
+  // Withdrawn mid-event: the entry stays approved so its results still count,
+  // but every remaining fixture is awarded to the opponent
+  withdrawn: {
+    type: Boolean,
+    default: false
+  },
+  withdrawnAt: {
+    type: Date
+  },
+  withdrawalReason: {
+    type: String,
+    trim: true
+  },
+  group: {
+    type: String,
+    trim: true // Group allocated for group stage + knockout tournaments
+  },
+  // Position in the draw, 1 being the top seed
+  seed: {
+    type: Number,
+    min: 1
+  },
+  seedSource: {
+    type: String,
+    enum: ['manual', 'rating', 'registration'] // Set by the organiser, worked out from the rating, or by registration order
+  },
+  seedRating: {
+    type: Number // Rating the seed was worked out from (see utils/seeding)
+  },
+  finalPosition: {
+    type: Number,
+    min: 1 // Recorded when the organiser finalises the tournament
+  },
   emergencyContact: {
     name: {
       type: String,
@@ -93,6 +150,16 @@ const registrationSchema = new mongoose.Schema({
   },
   teamLogo: {
     type: String // File path for team logo (only for team registrations)
+  },
+  // Teams entered by invitation (see TeamInvitation) fill teamMembers as
+  // invitees accept; the entry is complete once minRosterSize have
+  minRosterSize: {
+    type: Number,
+    min: 1
+  },
+  rosterComplete: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true
@@ -109,23 +176,14 @@ registrationSchema.pre('save', function(next) {
   next();
 });
 
-// Validate team members count based on tournament sport
+// Validate team members count based on tournament sport. Teams still
+// collecting acceptances are checked as their roster completes instead.
 registrationSchema.pre('save', async function(next) {
-  if (this.type === 'Team' && this.isModified('teamMembers')) {
+  if (this.type === 'Team' && this.isModified('teamMembers') && this.rosterComplete) {
     try {
       const tournament = await mongoose.model('Tournament').findById(this.tournament);
       if (tournament) {
-        // Define minimum team sizes for different sports
-        const minTeamSizes = {
-          'Basketball': 5,
-          'Football': 11,
-          'Volleyball': 6,
-          'Cricket': 11,
-          'Rugby': 15,
-          'Netball': 7
-        };
-        
-        const minSize = minTeamSizes[tournament.sport] || 2;
+        const minSize = this.constructor.minTeamSize(tournament.sport);
         if (this.teamMembers.length < minSize) {
           return next(new Error(`Team must have at least ${minSize} members for ${tournament.sport}`));
         }
@@ -137,8 +195,16 @@ registrationSchema.pre('save', async function(next) {
   next();
 });
 
+// Fewest team members a sport allows
+registrationSchema.statics.minTeamSize = function(sport) {
+  return minTeamSizes[sport] || 2;
+};
+
 // Index for efficient queries
 registrationSchema.index({ tournament: 1, captain: 1 });
 registrationSchema.index({ status: 1, paymentStatus: 1 });
+registrationSchema.index({ tournament: 1, status: 1, waitlistedAt: 1 });
+registrationSchema.index({ tournament: 1, division: 1, status: 1 });
+registrationSchema.index({ status: 1, offerExpiresAt: 1 });
 
 module.exports = mongoose.model('Registration', registrationSchema);
\ No newline at end of file
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { SPORTS } = require('../utils/validation');
+
+// A season of tournaments with a ladder. Players earn ranking points from
+// where their entries finish in each tournament (see utils/seriesLadder).
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  season: {
+    type: String,
+    required: true,
+    trim: true // e.g. "2025" or "2025/26"
+  },
+  sport: {
+    type: String,
+    enum: SPORTS
+  },
+  tournaments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  }],
+  // Ranking points for 1st, 2nd, 3rd... place
+  pointsTable: {
+    type: [Number],
+    default: () => [100, 80, 65, 55, 45, 40, 35, 30]
+  },
+  participationPoints: {
+    type: Number,
+    default: 5, // Points for finishing outside the points table
+    min: 0
+  },
+  bestResults: {
+    type: Number,
+    min: 1 // Only a player's best N results count; every result counts when unset
+  },
+  status: {
+    type: String,
+    enum: ['Upcoming', 'Active', 'Completed'],
+    default: 'Upcoming'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+seriesSchema.index({ sport: 1, season: -1 });
+seriesSchema.index({ tournaments: 1 });
+
+module.exports = mongoose.model('Series', seriesSchema);
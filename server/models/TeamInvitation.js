@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An invitation from a team captain to join their registration. Invitees are
+// asked by email, and by notification too once they have an account; they
+// join the registration's teamMembers when they accept.
+const teamInvitationSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Linked when the invitee has, or later creates, an account
+  },
+  status: {
+    type: String,
+    enum: ['Invited', 'Accepted', 'Declined', 'Revoked'],
+    default: 'Invited'
+  },
+  // Secret in the emailed accept/decline link
+  token: {
+    type: String,
+    required: true,
+    select: false
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+teamInvitationSchema.index({ registration: 1, status: 1 });
+teamInvitationSchema.index({ user: 1, status: 1 });
+teamInvitationSchema.index({ email: 1, status: 1 });
+teamInvitationSchema.index({ token: 1 }, { unique: true });
+
+module.exports = mongoose.model('TeamInvitation', teamInvitationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SPORTS } = require('../utils/validation');
 
 const bankDetailsSchema = new mongoose.Schema({
   accountName: {
@@ -93,6 +94,81 @@ const addressSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const FORMATS = [
+  'Single Elimination',
+  'Double Elimination',
+  'Round Robin',
+  'Group Stage + Knockout',
+  'Swiss'
+];
+
+const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Professional'];
+
+// A draw within the tournament, e.g. Men's A or Under 16, with its own places.
+// Settings left unset come from the tournament (see utils/divisions).
+const divisionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  maxParticipants: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  currentParticipants: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  entryFee: {
+    type: Number,
+    min: 0
+  },
+  format: {
+    type: String,
+    enum: FORMATS
+  },
+  ageRestrictions: {
+    minAge: {
+      type: Number,
+      min: 5,
+      max: 100
+    },
+    maxAge: {
+      type: Number,
+      min: 5,
+      max: 100
+    }
+  },
+  skillLevelRestrictions: [{
+    type: String,
+    enum: SKILL_LEVELS
+  }],
+  groupStage: {
+    groupCount: {
+      type: Number,
+      min: 1
+    },
+    groupSize: {
+      type: Number,
+      min: 2
+    },
+    qualifiersPerGroup: {
+      type: Number,
+      min: 1
+    }
+  },
+  swiss: {
+    totalRounds: {
+      type: Number,
+      min: 1
+    }
+  }
+});
+
 const tournamentSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -102,28 +178,12 @@ const tournamentSchema = new mongoose.Schema({
   sport: {
     type: String,
     required: true,
-    enum: [
-      'Basketball',
-      'Football',
-      'Tennis',
-      'Volleyball',
-      'Cricket',
-      'Rugby',
-      'Netball',
-      'Badminton',
-      'Table Tennis',
-      'Squash'
-    ]
+    enum: SPORTS
   },
   format: {
     type: String,
     required: true,
-    enum: [
-      'Single Elimination',
-      'Double Elimination',
-      'Round Robin',
-      'Group Stage + Knockout'
-    ]
+    enum: FORMATS
   },
   startDate: {
     type: Date,
@@ -202,10 +262,200 @@ const tournamentSchema = new mongoose.Schema({
       max: 100
     }
   },
+  groupStage: {
+    groupCount: {
+      type: Number,
+      min: 1
+    },
+    groupSize: {
+      type: Number,
+      min: 2
+    },
+    qualifiersPerGroup: {
+      type: Number,
+      min: 1,
+      default: 2
+    }
+  },
+  scheduling: {
+    dailyStartTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/ // 24-hour HH:MM
+    },
+    dailyEndTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    courts: [{
+      type: String,
+      trim: true
+    }],
+    minRestMinutes: {
+      type: Number,
+      min: 0
+    },
+    changeoverMinutes: {
+      type: Number,
+      min: 0
+    }
+  },
+  swiss: {
+    totalRounds: {
+      type: Number,
+      min: 1 // Defaults to log2 of the field size when not set
+    }
+  },
+  // Overrides for the sport's default scoring rules (see utils/scoringRules)
+  scoring: {
+    bestOf: {
+      type: Number,
+      enum: [1, 3, 5, 7] // Sets per match for tennis, volleyball, badminton, squash
+    },
+    periods: {
+      type: Number,
+      min: 1 // Halves or quarters for rugby, netball
+    },
+    inningsPerSide: {
+      type: Number,
+      enum: [1, 2] // Cricket: limited overs or multi-day
+    },
+    oversPerInnings: {
+      type: Number,
+      min: 1
+    }
+  },
+  // League table settings; anything left unset falls back to the sport's
+  // preset (see utils/standingsRules)
+  standings: {
+    rankBy: {
+      type: String,
+      enum: ['points', 'winPercentage']
+    },
+    points: {
+      win: Number,
+      draw: Number,
+      loss: Number,
+      forfeit: Number // Points for the side that forfeits, may be negative
+    },
+    forfeitScore: {
+      winner: { type: Number, min: 0 }, // Score recorded for a walkover
+      loser: { type: Number, min: 0 }
+    },
+    bonusPoints: [{
+      type: {
+        type: String,
+        enum: ['tries', 'losingMargin', 'winningMargin'],
+        required: true
+      },
+      threshold: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      points: {
+        type: Number,
+        default: 1
+      }
+    }],
+    tiebreakers: [{
+      type: String,
+      enum: ['headToHead', 'goalDifference', 'goalsFor', 'percentage', 'wins', 'winPercentage', 'drawingOfLots']
+    }]
+  },
+  // Elo ratings (see services/ratingService)
+  ratings: {
+    enabled: {
+      type: Boolean,
+      default: true // Friendly events can be left out of everyone's rating
+    },
+    kFactor: {
+      type: Number,
+      min: 1,
+      max: 100 // How far one result moves a rating; defaults to 32
+    }
+  },
+  // Entries beyond maxParticipants queue for places (see utils/waitlist)
+  waitlist: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    offerHours: {
+      type: Number,
+      min: 1,
+      max: 336 // How long a promoted entry has to pay; defaults to 48
+    }
+  },
+  // Automatic official assignment (see utils/officialAssignment)
+  officiating: {
+    officialsPerFixture: {
+      type: Number,
+      min: 0,
+      max: 6 // Defaults to 1
+    },
+    minimumLevel: {
+      type: String,
+      enum: ['Trainee', 'Level 1', 'Level 2', 'Level 3', 'National']
+    },
+    maxConsecutiveFixtures: {
+      type: Number,
+      min: 1 // Back-to-back fixtures before an official needs a break; defaults to 2
+    },
+    minBreakMinutes: {
+      type: Number,
+      min: 0 // Shorter gaps count as back to back; defaults to 30
+    },
+    maxFixturesPerDay: {
+      type: Number,
+      min: 1 // Defaults to 6
+    }
+  },
+  // What happens when a corrected result changes who went through and later
+  // matches have already been played: refuse the correction, or reset them
+  amendmentPolicy: {
+    type: String,
+    enum: ['refuse', 'cascade'],
+    default: 'refuse'
+  },
   skillLevelRestrictions: [{
     type: String,
-    enum: ['Beginner', 'Intermediate', 'Advanced', 'Professional']
+    enum: SKILL_LEVELS
+  }],
+  // When ages are worked out for ageRestrictions (see utils/eligibility)
+  eligibility: {
+    ageReference: {
+      type: String,
+      enum: ['tournamentStart', 'yearStart', 'custom']
+    },
+    ageReferenceDate: {
+      type: Date // For the custom reference
+    }
+  },
+  // Players the organiser has let in despite failing the age or skill limits
+  eligibilityOverrides: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    justification: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
+  // Separate draws within the event; entries choose one (see utils/divisions)
+  divisions: [divisionSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -215,4 +465,12 @@ const tournamentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A tournament with divisions has as many places as its divisions together
+tournamentSchema.pre('validate', function(next) {
+  if (this.divisions && this.divisions.length > 0) {
+    this.maxParticipants = this.divisions.reduce((total, division) => total + division.maxParticipants, 0);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Tournament', tournamentSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -100,6 +101,59 @@ const userSchema = new mongoose.Schema({
   },
   passwordResetExpires: {
     type: Date
+  },
+  // Secret in calendar feed URLs, which calendar apps poll without logging in
+  calendarToken: {
+    type: String,
+    select: false
+  },
+  // Referees and umpires (see utils/officialAssignment)
+  official: {
+    isOfficial: {
+      type: Boolean,
+      default: false
+    },
+    accreditations: [{
+      sport: {
+        type: String,
+        required: true,
+        enum: [
+          'Basketball',
+          'Football',
+          'Tennis',
+          'Volleyball',
+          'Cricket',
+          'Rugby',
+          'Netball',
+          'Badminton',
+          'Table Tennis',
+          'Squash'
+        ]
+      },
+      level: {
+        type: String,
+        required: true,
+        enum: ['Trainee', 'Level 1', 'Level 2', 'Level 3', 'National']
+      },
+      expiresAt: {
+        type: Date
+      }
+    }],
+    // Times the official can be given fixtures; none means never
+    availability: [{
+      start: {
+        type: Date,
+        required: true
+      },
+      end: {
+        type: Date,
+        required: true
+      }
+    }],
+    maxFixturesPerDay: {
+      type: Number,
+      min: 1 // Personal cap, on top of each tournament's limit
+    }
   }
 }, {
   timestamps: true
@@ -115,4 +169,13 @@ userSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
+// Issue a new calendar feed token, which stops any old feed URLs working
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ 'official.isOfficial': 1, 'official.accreditations.sport': 1 });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -5,6 +5,10 @@ const Registration = require('./Registration');
 const Payment = require('./Payment');
 const Fixture = require('./Fixture');
 const Notification = require('./Notification');
+const Rating = require('./Rating');
+const RatingHistory = require('./RatingHistory');
+const Series = require('./Series');
+const TeamInvitation = require('./TeamInvitation');
 
 module.exports = {
   User,
@@ -12,5 +16,9 @@ module.exports = {
   Registration,
   Payment,
   Fixture,
-  Notification
+  Notification,
+  Rating,
+  RatingHistory,
+  Series,
+  TeamInvitation
 };
\ No newline at end of file
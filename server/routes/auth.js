@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const teamInvitationService = require('../services/teamInvitationService');
 
 const router = express.Router();
 
@@ -66,6 +67,13 @@ router.post('/register', [
 
     await user.save();
 
+    // Team invitations sent to this email address now belong to the account
+    try {
+      await teamInvitationService.linkAccount(user);
+    } catch (linkError) {
+      console.error('Failed to link team invitations:', linkError);
+    }
+
     const token = jwt.sign(
       { userId: user._id },
       process.env.JWT_SECRET || 'fallback_secret',
@@ -0,0 +1,22 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const {
+  getUserCalendar,
+  getTournamentCalendar,
+  getCalendarLinks,
+  resetCalendarToken
+} = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Feed URLs for the logged-in user
+router.get('/links', auth, getCalendarLinks);
+
+// Issue new feed URLs, revoking the old ones
+router.post('/links/reset', auth, resetCalendarToken);
+
+// iCalendar feeds, authenticated by the token in the URL so calendar apps can poll them
+router.get('/users/:token.ics', getUserCalendar);
+router.get('/tournaments/:tournamentId.ics', getTournamentCalendar);
+
+module.exports = router;
@@ -1,22 +1,40 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Fixture = require('../models/Fixture');
 const Tournament = require('../models/Tournament');
 const Team = require('../models/Team');
 const { auth, adminAuth } = require('../middleware/auth');
 const {
   generateFixtures,
+  previewSeededDraw,
+  updateSeeding,
+  pairNextSwissRound,
+  scheduleTournamentFixtures,
   updateFixtureResult,
   getTournamentFixtures,
   updateFixtureStatus,
   updateFixtureSchedule,
-  getBracketData
+  reflowFixtureSchedule,
+  submitResultClaim,
+  adjudicateResult,
+  recordWalkover,
+  amendFixtureResult,
+  withdrawParticipant,
+  getLiveScore,
+  recordLiveEvent,
+  undoLiveEvent,
+  finishLiveScoring,
+  getBracketData,
+  exportBracket
 } = require('../controllers/fixtureController');
+const { PAPER_SIZES, ORIENTATIONS } = require('../utils/sheetRenderer');
 
 const router = express.Router();
 
-// Get fixtures for a tournament
-router.get('/tournament/:tournamentId', getTournamentFixtures);
+// Get fixtures for a tournament, e.g. /tournament/:tournamentId?division=<id>
+router.get('/tournament/:tournamentId', [
+  query('division').optional().isMongoId().withMessage('Valid division ID required')
+], getTournamentFixtures);
 
 // Get fixture by ID
 router.get('/:id', async (req, res) => {
@@ -88,17 +106,72 @@ router.post('/', adminAuth, [
 
 // Update fixture result (admin only)
 router.put('/:id/result', adminAuth, [
-  body('result.participant1Score').isInt({ min: 0 }).withMessage('Valid participant 1 score required'),
-  body('result.participant2Score').isInt({ min: 0 }).withMessage('Valid participant 2 score required'),
+  // Match scores can be left out when sets, innings or periods are given
+  body('result.participant1Score').optional().isInt({ min: 0 }).withMessage('Valid participant 1 score required'),
+  body('result.participant2Score').optional().isInt({ min: 0 }).withMessage('Valid participant 2 score required'),
+  body('result.sets').optional().isArray(),
+  body('result.sets.*.participant1Score').isInt({ min: 0 }).withMessage('Valid set scores required'),
+  body('result.sets.*.participant2Score').isInt({ min: 0 }).withMessage('Valid set scores required'),
+  body('result.innings').optional().isArray(),
+  body('result.innings.*.battingSide').isIn([1, 2]).withMessage('Batting side must be 1 or 2'),
+  body('result.innings.*.runs').isInt({ min: 0 }).withMessage('Valid runs required'),
+  body('result.innings.*.wickets').isInt({ min: 0, max: 10 }).withMessage('Wickets must be between 0 and 10'),
+  body('result.innings.*.overs').optional().isFloat({ min: 0 }),
+  body('result.innings.*.declared').optional().isBoolean(),
+  body('result.periods').optional().isArray(),
+  body('result.periods.*.participant1Score').isInt({ min: 0 }).withMessage('Valid period scores required'),
+  body('result.periods.*.participant2Score').isInt({ min: 0 }).withMessage('Valid period scores required'),
   body('result.completedAt').optional().isISO8601(),
   body('result.notes').optional().isString(),
   body('result.forfeit').optional().isBoolean(),
+  body('result.forfeitedBy').if(body('result.forfeit').equals('true')).isIn([1, 2]).toInt()
+    .withMessage('Forfeiting side must be 1 or 2'),
   body('result.overtime').optional().isBoolean()
 ], updateFixtureResult);
 
+// Captain submits their result for confirmation by the other captain
+router.post('/:id/result/submit', auth, [
+  body('result').isObject().withMessage('Result is required'),
+  body('result.participant1Score').optional().isInt({ min: 0 }),
+  body('result.participant2Score').optional().isInt({ min: 0 }),
+  body('result.sets').optional().isArray(),
+  body('result.innings').optional().isArray(),
+  body('result.periods').optional().isArray(),
+  body('result.forfeit').not().exists().withMessage('Forfeits must be recorded by the organiser'),
+  body('note').optional().isString().isLength({ max: 500 })
+], submitResultClaim);
+
+// Organiser decides a disputed result (admin only)
+router.put('/:id/result/adjudicate', adminAuth, [
+  body('acceptSide').optional().isIn([1, 2]).withMessage('Accepted side must be 1 or 2'),
+  body('result').optional().isObject(),
+  body('note').notEmpty().trim().withMessage('A reason for the decision is required')
+], adjudicateResult);
+
+// Record a walkover for one side of a fixture (admin only)
+router.post('/:id/walkover', adminAuth, [
+  body('forfeitingSide').isIn([1, 2]).withMessage('Forfeiting side must be 1 or 2'),
+  body('reason').optional().isString().trim()
+], recordWalkover);
+
+// Correct a completed result, rolling back later fixtures it decided (admin only)
+router.put('/:id/amend', adminAuth, [
+  body('result').isObject().withMessage('Corrected result is required'),
+  body('result.participant1Score').optional().isInt({ min: 0 }),
+  body('result.participant2Score').optional().isInt({ min: 0 }),
+  body('result.sets').optional().isArray(),
+  body('result.innings').optional().isArray(),
+  body('result.periods').optional().isArray(),
+  body('result.forfeit').optional().isBoolean(),
+  body('result.forfeitedBy').if(body('result.forfeit').equals('true')).isIn([1, 2]).toInt()
+    .withMessage('Forfeiting side must be 1 or 2'),
+  body('reason').notEmpty().trim().withMessage('A reason for the correction is required'),
+  body('cascade').optional().isBoolean().toBoolean()
+], amendFixtureResult);
+
 // Update fixture status (admin only)
 router.put('/:id/status', adminAuth, [
-  body('status').isIn(['Scheduled', 'InProgress', 'Completed', 'Cancelled', 'Postponed'])
+  body('status').isIn(['Scheduled', 'InProgress', 'Completed', 'Disputed', 'Cancelled', 'Postponed'])
     .withMessage('Valid status required')
 ], updateFixtureStatus);
 
@@ -108,6 +181,31 @@ router.put('/:id/schedule', adminAuth, [
   body('venue').optional().isString().withMessage('Valid venue required')
 ], updateFixtureSchedule);
 
+// Delay or postpone a fixture and shift everything that depends on it (admin only)
+router.put('/:id/reflow', adminAuth, [
+  body('scheduledDate').optional().isISO8601().withMessage('Valid date required'),
+  body('delayMinutes').optional().isInt({ min: 1 }).withMessage('Delay must be a positive number of minutes'),
+  body('postpone').optional().isBoolean().withMessage('Postpone must be a boolean value')
+], reflowFixtureSchedule);
+
+// Live score for a fixture, replayed from its event log
+router.get('/:id/live', getLiveScore);
+
+// Record a live scoring action on an in-progress fixture (admin only)
+router.post('/:id/live/events', adminAuth, [
+  body('type').isIn(['point', 'wicket', 'endPeriod']).withMessage('Valid event type required'),
+  body('participant').optional().isIn([1, 2]).withMessage('Participant must be 1 or 2'),
+  body('points').optional().isInt({ min: 1 }).withMessage('Points must be a positive number')
+], recordLiveEvent);
+
+// Undo the last live scoring action (admin only)
+router.post('/:id/live/undo', adminAuth, undoLiveEvent);
+
+// Complete the fixture with the result derived from live scoring (admin only)
+router.post('/:id/live/finish', adminAuth, [
+  body('notes').optional().isString()
+], finishLiveScoring);
+
 // Update fixture details (admin only)
 router.put('/:id', adminAuth, async (req, res) => {
   try {
@@ -147,10 +245,58 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// Fixture generation, seeding, Swiss pairing, brackets and draw sheets work
+// on one division at a time (?division=<id>) when a tournament has them
+
 // Generate fixtures for tournament (admin only)
 router.post('/generate/:tournamentId', adminAuth, generateFixtures);
 
+// Preview the draw a seeding would produce before generating fixtures (admin only)
+router.post('/seeding/:tournamentId/preview', adminAuth, [
+  body('method').optional().isIn(['manual', 'rating']).withMessage('Seeding method must be manual or rating'),
+  body('seeds').optional().isArray(),
+  body('seeds.*.registrationId').isMongoId().withMessage('Valid registration ID required'),
+  body('seeds.*.seed').isInt({ min: 1 }).withMessage('Seeds must be positive whole numbers'),
+  body('settings').optional().isObject()
+], previewSeededDraw);
+
+// Save seeds on the entrants (admin only)
+router.put('/seeding/:tournamentId', adminAuth, [
+  body('method').optional().isIn(['manual', 'rating']).withMessage('Seeding method must be manual or rating'),
+  body('seeds').optional().isArray(),
+  body('seeds.*.registrationId').isMongoId().withMessage('Valid registration ID required'),
+  body('seeds.*.seed').isInt({ min: 1 }).withMessage('Seeds must be positive whole numbers')
+], updateSeeding);
+
+// Pair the next round of a Swiss tournament (admin only)
+router.post('/swiss/:tournamentId/next-round', adminAuth, pairNextSwissRound);
+
+// Assign times and courts to open fixtures (admin only)
+router.post('/schedule/:tournamentId', adminAuth, [
+  body('days').optional().isArray({ min: 1 }).withMessage('Days must be a list of dates'),
+  body('days.*').optional().isISO8601().withMessage('Each day must be a valid date'),
+  body('dailyStartTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:MM'),
+  body('dailyEndTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:MM'),
+  body('courts').optional().isArray({ min: 1 }).withMessage('At least one court is required'),
+  body('minRestMinutes').optional().isInt({ min: 0 }).withMessage('Rest period must be a non-negative number of minutes'),
+  body('changeoverMinutes').optional().isInt({ min: 0 }).withMessage('Changeover must be a non-negative number of minutes')
+], scheduleTournamentFixtures);
+
+// Withdraw a participant and award their remaining fixtures (admin only)
+router.post('/withdraw/:tournamentId', adminAuth, [
+  body('registrationId').isMongoId().withMessage('Valid registration ID required'),
+  body('reason').optional().isString().trim()
+], withdrawParticipant);
+
 // Get bracket visualization data
 router.get('/bracket/:tournamentId', getBracketData);
 
+// Printable draw sheet, e.g. /bracket/:tournamentId/export.pdf?paper=A3
+router.get('/bracket/:tournamentId/export.:format', [
+  param('tournamentId').isMongoId().withMessage('Valid tournament ID required'),
+  param('format').isIn(['svg', 'pdf']).withMessage('Format must be svg or pdf'),
+  query('paper').optional().isIn(Object.keys(PAPER_SIZES)).withMessage('Paper must be A4 or A3'),
+  query('orientation').optional().isIn(ORIENTATIONS).withMessage('Orientation must be landscape or portrait')
+], exportBracket);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, adminAuth } = require('../middleware/auth');
+const {
+  getOfficials,
+  updateOfficialProfile,
+  updateAvailability,
+  getMyAppointments,
+  assignOfficial,
+  unassignOfficial,
+  autoAssignOfficials
+} = require('../controllers/officialController');
+const { ACCREDITATION_LEVELS, OFFICIAL_ROLES } = require('../utils/officialAssignment');
+const { SPORTS } = require('../utils/validation');
+
+const router = express.Router();
+
+// List officials, optionally by sport
+router.get('/', auth, getOfficials);
+
+// Fixtures the logged-in official is appointed to
+router.get('/me/fixtures', auth, getMyAppointments);
+
+// Set the logged-in official's availability windows
+router.put('/me/availability', auth, [
+  body('availability').isArray().withMessage('Availability must be a list of time windows'),
+  body('availability.*.start').isISO8601().withMessage('Valid window start required'),
+  body('availability.*.end').isISO8601().withMessage('Valid window end required')
+], updateAvailability);
+
+// Grant official capability and accreditations (admin only)
+router.put('/:userId', adminAuth, [
+  body('isOfficial').optional().isBoolean().withMessage('isOfficial must be a boolean value'),
+  body('accreditations').optional().isArray(),
+  body('accreditations.*.sport').isIn(SPORTS).withMessage('Valid sport required'),
+  body('accreditations.*.level').isIn(ACCREDITATION_LEVELS).withMessage('Invalid accreditation level'),
+  body('accreditations.*.expiresAt').optional().isISO8601().withMessage('Valid expiry date required'),
+  body('maxFixturesPerDay').optional().isInt({ min: 1 }).withMessage('Daily limit must be at least 1 fixture')
+], updateOfficialProfile);
+
+// Appoint an official to a fixture
+router.post('/fixtures/:fixtureId', auth, [
+  body('userId').isMongoId().withMessage('Valid official ID required'),
+  body('role').optional().isIn(OFFICIAL_ROLES).withMessage('Invalid official role'),
+  body('override').optional().isBoolean().toBoolean()
+], assignOfficial);
+
+// Remove an official from a fixture
+router.delete('/fixtures/:fixtureId/:userId', auth, unassignOfficial);
+
+// Fill open officiating places across a tournament's scheduled fixtures
+router.post('/tournaments/:tournamentId/auto-assign', auth, autoAssignOfficials);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const Tournament = require('../models/Tournament');
 const User = require('../models/User');
 const { auth, adminAuth } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const { forDivision } = require('../utils/divisions');
 
 const router = express.Router();
 
@@ -49,7 +50,7 @@ const upload = multer({
 router.get('/instructions/:registrationId', auth, async (req, res) => {
   try {
     const registration = await Registration.findById(req.params.registrationId)
-      .populate('tournament', 'name entryFee organizerBankDetails');
+      .populate('tournament', 'name entryFee organizerBankDetails divisions');
 
     if (!registration) {
       return res.status(404).json({
@@ -66,6 +67,7 @@ router.get('/instructions/:registrationId', auth, async (req, res) => {
       });
     }
 
+    const { entryFee } = forDivision(registration.tournament, registration.division);
     const paymentInstructions = {
       bankDetails: {
         accountName: registration.tournament.organizerBankDetails.accountName,
@@ -74,10 +76,10 @@ router.get('/instructions/:registrationId', auth, async (req, res) => {
         bankName: registration.tournament.organizerBankDetails.bankName
       },
       paymentReference: registration.paymentReference,
-      amount: registration.tournament.entryFee,
+      amount: entryFee,
       tournamentName: registration.tournament.name,
       instructions: [
-        `Transfer amount: $${registration.tournament.entryFee} AUD`,
+        `Transfer amount: $${entryFee} AUD`,
         `Payment reference: ${registration.paymentReference}`,
         'Include the payment reference in your transfer description',
         'Upload your payment confirmation receipt after completing the transfer',
@@ -114,7 +116,7 @@ router.post('/upload/:registrationId', [
     }
 
     const registration = await Registration.findById(req.params.registrationId)
-      .populate('tournament', 'name entryFee');
+      .populate('tournament', 'name entryFee divisions');
 
     if (!registration) {
       return res.status(404).json({
@@ -151,7 +153,7 @@ router.post('/upload/:registrationId', [
       payment = new Payment({
         registration: req.params.registrationId,
         tournament: registration.tournament._id,
-        amount: registration.tournament.entryFee,
+        amount: forDivision(registration.tournament, registration.division).entryFee,
         paymentReference: registration.paymentReference,
         confirmationFile: req.file.path,
         transactionDate: new Date()
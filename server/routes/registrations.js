@@ -5,9 +5,17 @@ const path = require('path');
 const fs = require('fs');
 const Registration = require('../models/Registration');
 const Tournament = require('../models/Tournament');
-const User = require('../models/User');
+const TeamInvitation = require('../models/TeamInvitation');
 const { auth, adminAuth } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const capacityService = require('../services/capacityService');
+const waitlistService = require('../services/waitlistService');
+const teamInvitationService = require('../services/teamInvitationService');
+const eligibilityService = require('../services/eligibilityService');
+const { resolveWaitlist, queuePositions } = require('../utils/waitlist');
+const { holdsSeat, seatChange } = require('../utils/capacity');
+const { toInvitee, isInvitee } = require('../utils/teamInvitations');
+const { DIVISION_CHOICE_MESSAGES, checkDivisionChoice, forDivision } = require('../utils/divisions');
 
 const router = express.Router();
 
@@ -44,10 +52,114 @@ const upload = multer({
   }
 });
 
+// Each invited team member is named by user ID or email address; a bare
+// user ID string is taken as { userId }
+const inviteeValidators = [
+  body('teamMembers.*').customSanitizer(toInvitee),
+  body('teamMembers.*').custom(member => Boolean(member && (member.userId || member.email)))
+    .withMessage('A user ID or email address is required for each team member'),
+  body('teamMembers.*.userId').optional().isMongoId().withMessage('Valid user ID is required for each team member'),
+  body('teamMembers.*.email').optional().isEmail().normalizeEmail().withMessage('Valid email address is required for each team member')
+];
+
+// Why a team member could not be invited, by reason from teamInvitationService
+const INVITATION_PROBLEMS = {
+  notFound: 'No user found with this ID',
+  captain: 'The captain is already on the team',
+  duplicate: 'Already invited to this team',
+  alreadyEntered: 'Already registered for this tournament'
+};
+
+const describeInvitationProblems = (problems) => problems.map(({ invitee, reason }) => ({
+  ...invitee,
+  reason,
+  message: INVITATION_PROBLEMS[reason]
+}));
+
+// What a full tournament, or a full division of one, is called in responses
+const fullMessage = (draw) => (draw.division ? `The ${draw.divisionName} division is full` : 'Tournament is full');
+
+// The players who failed an eligibility check, with every reason
+const eligibilityErrors = (eligibility) => eligibility.players
+  .filter(player => !player.eligible)
+  .map(({ user, name, role, age, reasons }) => ({ user, name, role, age, reasons }));
+
+// Notify and email new invitees; a failure to send doesn't undo the invitations
+const sendInvitations = async (req, registration, invitations) => {
+  const notificationService = req.app.get('notificationService');
+  if (!notificationService || invitations.length === 0) return;
+
+  try {
+    await notificationService.notifyTeamInvitations(registration._id, invitations);
+  } catch (notificationError) {
+    console.error('Error sending team invitations:', notificationError);
+  }
+};
+
+// Record an invitee's answer, let the captain know and send the response
+const answerInvitation = async (req, res, invitation, user, response) => {
+  const registration = await Registration.findById(invitation.registration).populate('tournament');
+  if (!registration || ['Rejected', 'Expired'].includes(registration.status) ||
+      new Date() >= registration.tournament.startDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'This team is no longer taking members'
+    });
+  }
+
+  if (response === 'Accepted') {
+    const eligibility = await eligibilityService.checkEntry(
+      forDivision(registration.tournament, registration.division),
+      [{ user: user._id, role: 'Member' }]
+    );
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not eligible for this tournament',
+        referenceDate: eligibility.referenceDate,
+        errors: eligibilityErrors(eligibility)
+      });
+    }
+  }
+
+  const result = await teamInvitationService.respond(invitation, user, response);
+  if (result.reason) {
+    return res.status(400).json({
+      success: false,
+      message: result.reason === 'alreadyEntered'
+        ? 'You are already registered for this tournament'
+        : `This invitation has already been ${invitation.status === 'Invited' ? 'answered' : invitation.status.toLowerCase()}`
+    });
+  }
+
+  const notificationService = req.app.get('notificationService');
+  if (notificationService) {
+    try {
+      await notificationService.notifyInvitationResponse(result.invitation._id);
+    } catch (notificationError) {
+      console.error('Error sending invitation response notification:', notificationError);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: response === 'Accepted'
+      ? `You have joined ${registration.teamName}`
+      : 'Invitation declined',
+    invitation: {
+      _id: result.invitation._id,
+      email: result.invitation.email,
+      status: result.invitation.status,
+      respondedAt: result.invitation.respondedAt
+    }
+  });
+};
+
 // Individual player registration
 router.post('/individual', [
   auth,
   body('tournamentId').isMongoId().withMessage('Valid tournament ID is required'),
+  body('divisionId').optional().isMongoId().withMessage('Valid division ID is required'),
   body('emergencyContact.name').trim().notEmpty().withMessage('Emergency contact name is required'),
   body('emergencyContact.phone').matches(/^(\+61|0)[2-478](?:[ -]?[0-9]){8}$/).withMessage('Valid Australian phone number is required'),
   body('emergencyContact.relationship').trim().notEmpty().withMessage('Emergency contact relationship is required'),
@@ -63,7 +175,7 @@ router.post('/individual', [
       });
     }
 
-    const { tournamentId, emergencyContact, medicalConditions, dietaryRequirements, shirtSize } = req.body;
+    const { tournamentId, divisionId, emergencyContact, medicalConditions, dietaryRequirements, shirtSize } = req.body;
 
     // Check if tournament exists and registration is open
     const tournament = await Tournament.findById(tournamentId);
@@ -74,8 +186,10 @@ router.post('/individual', [
       });
     }
 
-    // Check if registration is still open
-    if (tournament.status !== 'Open') {
+    // Check if registration is still open. A full tournament still takes
+    // entries onto its waitlist.
+    const waitlist = resolveWaitlist(tournament.waitlist);
+    if (tournament.status !== 'Open' && !(tournament.status === 'Full' && waitlist.enabled)) {
       return res.status(400).json({
         success: false,
         message: 'Registration is not open for this tournament'
@@ -89,66 +203,89 @@ router.post('/individual', [
       });
     }
 
-    // Check if tournament is full
-    const currentRegistrations = await Registration.countDocuments({
-      tournament: tournamentId,
-      status: { $in: ['Pending', 'Approved'] }
-    });
-
-    if (currentRegistrations >= tournament.maxParticipants) {
+    // A tournament with divisions is entered one division at a time, each
+    // with its own places, fee and limits
+    const divisionProblem = checkDivisionChoice(tournament, divisionId);
+    if (divisionProblem) {
       return res.status(400).json({
         success: false,
-        message: 'Tournament is full'
+        message: DIVISION_CHOICE_MESSAGES[divisionProblem]
       });
     }
+    const draw = forDivision(tournament, divisionId);
 
-    // Check if user is already registered for this tournament
+    // Check if user is already registered for this tournament (or division)
     const existingRegistration = await Registration.findOne({
       tournament: tournamentId,
+      division: draw.division || null,
       captain: req.user._id
     });
 
     if (existingRegistration) {
       return res.status(400).json({
         success: false,
-        message: 'You are already registered for this tournament'
+        message: `You are already registered for this ${draw.division ? 'division' : 'tournament'}`
+      });
+    }
+
+    // Check the player against the tournament's age and skill limits
+    const eligibility = await eligibilityService.checkEntry(draw, [{ user: req.user._id, role: 'Player' }]);
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not eligible for this tournament',
+        referenceDate: eligibility.referenceDate,
+        errors: eligibilityErrors(eligibility)
       });
     }
 
-    // Create individual registration
-    const registration = new Registration({
+    // Create individual registration, taking a place if one is free
+    const registration = await capacityService.createRegistration({
       tournament: tournamentId,
+      division: draw.division,
       type: 'Individual',
       captain: req.user._id,
       emergencyContact,
       medicalConditions,
       dietaryRequirements,
       shirtSize
-    });
+    }, { allowWaitlist: waitlist.enabled });
 
-    await registration.save();
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: fullMessage(draw)
+      });
+    }
 
-    // Update tournament participant count
-    await Tournament.findByIdAndUpdate(tournamentId, {
-      currentParticipants: currentRegistrations + 1,
-      status: currentRegistrations + 1 >= tournament.maxParticipants ? 'Full' : 'Open'
-    });
+    const isWaitlisted = registration.status === 'Waitlisted';
 
     // Populate registration with user details
     await registration.populate('captain', 'firstName lastName email phone');
 
+    // Waitlisted entries pay once they are offered a place
+    if (isWaitlisted) {
+      const waitlistPosition = await waitlistService.getPosition(registration);
+      return res.status(201).json({
+        success: true,
+        message: `${fullMessage(draw)}. You are number ${waitlistPosition} on the waitlist`,
+        registration: registration,
+        waitlistPosition
+      });
+    }
+
     const paymentInstructions = {
       bankDetails: tournament.organizerBankDetails,
       paymentReference: registration.paymentReference,
-      amount: tournament.entryFee,
-      instructions: `Please transfer $${tournament.entryFee} to the account details provided and include the reference "${registration.paymentReference}" in your transfer description.`
+      amount: draw.entryFee,
+      instructions: `Please transfer $${draw.entryFee} to the account details provided and include the reference "${registration.paymentReference}" in your transfer description.`
     };
 
     // Send registration confirmation email
     try {
       await emailService.sendRegistrationConfirmation(
         req.user,
-        tournament,
+        draw,
         registration,
         paymentInstructions
       );
@@ -178,9 +315,10 @@ router.post('/individual', [
 router.post('/team', [
   auth,
   body('tournamentId').isMongoId().withMessage('Valid tournament ID is required'),
+  body('divisionId').optional().isMongoId().withMessage('Valid division ID is required'),
   body('teamName').trim().isLength({ min: 2, max: 50 }).withMessage('Team name must be between 2 and 50 characters'),
   body('teamMembers').isArray({ min: 1 }).withMessage('At least one team member is required'),
-  body('teamMembers.*.userId').isMongoId().withMessage('Valid user ID is required for each team member'),
+  ...inviteeValidators,
   body('emergencyContact.name').trim().notEmpty().withMessage('Emergency contact name is required'),
   body('emergencyContact.phone').matches(/^(\+61|0)[2-478](?:[ -]?[0-9]){8}$/).withMessage('Valid Australian phone number is required'),
   body('emergencyContact.relationship').trim().notEmpty().withMessage('Emergency contact relationship is required')
@@ -195,7 +333,7 @@ router.post('/team', [
       });
     }
 
-    const { tournamentId, teamName, teamMembers, emergencyContact } = req.body;
+    const { tournamentId, divisionId, teamName, teamMembers, emergencyContact } = req.body;
 
     // Check if tournament exists and registration is open
     const tournament = await Tournament.findById(tournamentId);
@@ -206,8 +344,10 @@ router.post('/team', [
       });
     }
 
-    // Check if registration is still open
-    if (tournament.status !== 'Open') {
+    // Check if registration is still open. A full tournament still takes
+    // entries onto its waitlist.
+    const waitlist = resolveWaitlist(tournament.waitlist);
+    if (tournament.status !== 'Open' && !(tournament.status === 'Full' && waitlist.enabled)) {
       return res.status(400).json({
         success: false,
         message: 'Registration is not open for this tournament'
@@ -221,76 +361,93 @@ router.post('/team', [
       });
     }
 
-    // Check if tournament is full
-    const currentRegistrations = await Registration.countDocuments({
-      tournament: tournamentId,
-      status: { $in: ['Pending', 'Approved'] }
-    });
-
-    if (currentRegistrations >= tournament.maxParticipants) {
+    // A tournament with divisions is entered one division at a time, each
+    // with its own places, fee and limits
+    const divisionProblem = checkDivisionChoice(tournament, divisionId);
+    if (divisionProblem) {
       return res.status(400).json({
         success: false,
-        message: 'Tournament is full'
+        message: DIVISION_CHOICE_MESSAGES[divisionProblem]
       });
     }
+    const draw = forDivision(tournament, divisionId);
 
-    // Check if user is already registered for this tournament
+    // Check if user is already registered for this tournament (or division)
     const existingRegistration = await Registration.findOne({
       tournament: tournamentId,
+      division: draw.division || null,
       captain: req.user._id
     });
 
     if (existingRegistration) {
       return res.status(400).json({
         success: false,
-        message: 'You are already registered for this tournament'
+        message: `You are already registered for this ${draw.division ? 'division' : 'tournament'}`
       });
     }
 
-    // Validate team members exist and are not already registered
-    const memberIds = teamMembers.map(member => member.userId);
-    const users = await User.find({ _id: { $in: memberIds } });
-    
-    if (users.length !== memberIds.length) {
+    // Work out who to invite; members join the team as they accept
+    const { invitees, problems } = await teamInvitationService.prepare(
+      { tournament: tournamentId, division: draw.division },
+      teamMembers,
+      req.user
+    );
+    if (problems.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'One or more team members not found'
+        message: 'One or more team members could not be invited',
+        errors: describeInvitationProblems(problems)
       });
     }
 
-    // Check if any team members are already registered for this tournament
-    const existingMemberRegistrations = await Registration.find({
-      tournament: tournamentId,
-      $or: [
-        { captain: { $in: memberIds } },
-        { teamMembers: { $in: memberIds } }
-      ]
-    });
+    const minRosterSize = Registration.minTeamSize(tournament.sport);
+    if (invitees.length < minRosterSize) {
+      return res.status(400).json({
+        success: false,
+        message: `Team must have at least ${minRosterSize} members for ${tournament.sport}`
+      });
+    }
 
-    if (existingMemberRegistrations.length > 0) {
+    // Check the captain and every invitee with an account against the
+    // tournament's age and skill limits; the rest are checked as they accept
+    const eligibility = await eligibilityService.checkEntry(draw, [
+      { user: req.user._id, role: 'Captain' },
+      ...invitees.filter(invitee => invitee.user).map(invitee => ({ user: invitee.user, role: 'Member' }))
+    ]);
+    if (!eligibility.eligible) {
       return res.status(400).json({
         success: false,
-        message: 'One or more team members are already registered for this tournament'
+        message: 'One or more players are not eligible for this tournament',
+        referenceDate: eligibility.referenceDate,
+        errors: eligibilityErrors(eligibility)
       });
     }
 
-    // Create team registration
-    const registration = new Registration({
+    // Create team registration, taking a place if one is free
+    const registration = await capacityService.createRegistration({
       tournament: tournamentId,
+      division: draw.division,
       type: 'Team',
       captain: req.user._id,
       teamName,
-      teamMembers: memberIds,
+      teamMembers: [],
+      minRosterSize,
+      rosterComplete: false,
       emergencyContact
-    });
+    }, { allowWaitlist: waitlist.enabled });
 
-    await registration.save();
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: fullMessage(draw)
+      });
+    }
 
-    // Update tournament participant count
-    await Tournament.findByIdAndUpdate(tournamentId, {
-      currentParticipants: currentRegistrations + 1,
-      status: currentRegistrations + 1 >= tournament.maxParticipants ? 'Full' : 'Open'
-    });
+    const isWaitlisted = registration.status === 'Waitlisted';
+
+    const invitations = await teamInvitationService.createInvitations(registration, invitees, req.user._id);
+    await sendInvitations(req, registration, invitations);
+    const roster = await teamInvitationService.getRoster(registration);
 
     // Populate registration with user details
     await registration.populate([
@@ -298,18 +455,30 @@ router.post('/team', [
       { path: 'teamMembers', select: 'firstName lastName email phone' }
     ]);
 
+    // Waitlisted entries pay once they are offered a place
+    if (isWaitlisted) {
+      const waitlistPosition = await waitlistService.getPosition(registration);
+      return res.status(201).json({
+        success: true,
+        message: `${fullMessage(draw)}. You are number ${waitlistPosition} on the waitlist`,
+        registration: registration,
+        roster,
+        waitlistPosition
+      });
+    }
+
     const paymentInstructions = {
       bankDetails: tournament.organizerBankDetails,
       paymentReference: registration.paymentReference,
-      amount: tournament.entryFee,
-      instructions: `Please transfer $${tournament.entryFee} to the account details provided and include the reference "${registration.paymentReference}" in your transfer description.`
+      amount: draw.entryFee,
+      instructions: `Please transfer $${draw.entryFee} to the account details provided and include the reference "${registration.paymentReference}" in your transfer description.`
     };
 
     // Send registration confirmation email
     try {
       await emailService.sendRegistrationConfirmation(
         req.user,
-        tournament,
+        draw,
         registration,
         paymentInstructions
       );
@@ -320,8 +489,9 @@ router.post('/team', [
 
     res.status(201).json({
       success: true,
-      message: 'Team registration successful',
+      message: 'Team registration successful. Your team is complete once enough invited members accept',
       registration: registration,
+      roster,
       paymentInstructions: paymentInstructions
     });
 
@@ -408,6 +578,39 @@ router.get('/tournament/:tournamentId', adminAuth, async (req, res) => {
   }
 });
 
+// Get a tournament's waitlist in queue order, with open offers (admin only)
+router.get('/tournament/:tournamentId/waitlist', adminAuth, async (req, res) => {
+  try {
+    const registrations = await Registration.find({
+      tournament: req.params.tournamentId,
+      $or: [
+        { status: 'Waitlisted' },
+        { status: 'Pending', offerExpiresAt: { $gt: new Date() } }
+      ]
+    })
+      .populate('captain', 'firstName lastName email phone')
+      .sort({ waitlistedAt: 1, _id: 1 });
+
+    const positions = queuePositions(registrations);
+
+    res.json({
+      success: true,
+      waitlist: registrations
+        .filter(registration => registration.status === 'Waitlisted')
+        .map(registration => ({ position: positions.get(registration._id.toString()), registration })),
+      offers: registrations.filter(registration => registration.status === 'Pending')
+    });
+
+  } catch (error) {
+    console.error('Get tournament waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving waitlist',
+      error: error.message
+    });
+  }
+});
+
 // Get user's registrations
 router.get('/my-registrations', auth, async (req, res) => {
   try {
@@ -416,9 +619,14 @@ router.get('/my-registrations', auth, async (req, res) => {
       .populate('teamMembers', 'firstName lastName email')
       .sort({ registrationDate: -1 });
 
+    const withPositions = await Promise.all(registrations.map(async registration => ({
+      ...registration.toObject(),
+      waitlistPosition: await waitlistService.getPosition(registration)
+    })));
+
     res.json({
       success: true,
-      registrations
+      registrations: withPositions
     });
 
   } catch (error) {
@@ -431,6 +639,303 @@ router.get('/my-registrations', auth, async (req, res) => {
   }
 });
 
+// Get invitations waiting on the logged-in user's answer
+router.get('/my-invitations', auth, async (req, res) => {
+  try {
+    const invitations = await teamInvitationService.getPending(req.user);
+
+    res.json({
+      success: true,
+      invitations
+    });
+
+  } catch (error) {
+    console.error('Get user invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving invitations',
+      error: error.message
+    });
+  }
+});
+
+// Answer an invitation from a notification
+router.put('/my-invitations/:invitationId', [
+  auth,
+  body('response').isIn(['Accepted', 'Declined']).withMessage('Response must be Accepted or Declined')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await TeamInvitation.findById(req.params.invitationId);
+    if (!invitation || !isInvitee(invitation, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await answerInvitation(req, res, invitation, req.user, req.body.response);
+
+  } catch (error) {
+    console.error('Answer invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error answering invitation',
+      error: error.message
+    });
+  }
+});
+
+// View an invitation from its emailed link
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await teamInvitationService.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await invitation.populate([
+      { path: 'tournament', select: 'name sport startDate endDate venue' },
+      { path: 'invitedBy', select: 'firstName lastName' },
+      { path: 'registration', select: 'teamName status' }
+    ]);
+
+    res.json({
+      success: true,
+      invitation: {
+        _id: invitation._id,
+        email: invitation.email,
+        status: invitation.status,
+        hasAccount: Boolean(invitation.user),
+        tournament: invitation.tournament,
+        invitedBy: invitation.invitedBy,
+        registration: invitation.registration
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving invitation',
+      error: error.message
+    });
+  }
+});
+
+// Accept an invitation from its emailed link; invitees without an account
+// sign up first
+router.post('/invitations/:token/accept', auth, async (req, res) => {
+  try {
+    const invitation = await teamInvitationService.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.user && invitation.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to another account'
+      });
+    }
+
+    await answerInvitation(req, res, invitation, req.user, 'Accepted');
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting invitation',
+      error: error.message
+    });
+  }
+});
+
+// Decline an invitation from its emailed link, no account needed
+router.post('/invitations/:token/decline', async (req, res) => {
+  try {
+    const invitation = await teamInvitationService.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await answerInvitation(req, res, invitation, null, 'Declined');
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining invitation',
+      error: error.message
+    });
+  }
+});
+
+// Get a team's invitations and each member's answer (captain or admin)
+router.get('/:registrationId/invitations', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId);
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.captain.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team captain can view its invitations'
+      });
+    }
+
+    const roster = await teamInvitationService.getRoster(registration);
+
+    res.json({
+      success: true,
+      roster
+    });
+
+  } catch (error) {
+    console.error('Get team invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving invitations',
+      error: error.message
+    });
+  }
+});
+
+// Invite more members to a team, e.g. to replace those who declined
+router.post('/:registrationId/invitations', [
+  auth,
+  body('teamMembers').isArray({ min: 1 }).withMessage('At least one team member is required'),
+  ...inviteeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const registration = await Registration.findById(req.params.registrationId).populate('tournament', 'startDate');
+    if (!registration || registration.type !== 'Team') {
+      return res.status(404).json({
+        success: false,
+        message: 'Team registration not found'
+      });
+    }
+
+    if (registration.captain.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team captain can invite members'
+      });
+    }
+
+    if (['Rejected', 'Expired'].includes(registration.status) || new Date() >= registration.tournament.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'This team can no longer invite members'
+      });
+    }
+
+    const { invitees, problems } = await teamInvitationService.prepare(
+      { tournament: registration.tournament._id, division: registration.division },
+      req.body.teamMembers,
+      req.user,
+      registration._id
+    );
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more team members could not be invited',
+        errors: describeInvitationProblems(problems)
+      });
+    }
+
+    const invitations = await teamInvitationService.createInvitations(registration, invitees, req.user._id);
+    await sendInvitations(req, registration, invitations);
+
+    res.status(201).json({
+      success: true,
+      message: `${invitations.length} invitation${invitations.length === 1 ? '' : 's'} sent`,
+      roster: await teamInvitationService.getRoster(registration)
+    });
+
+  } catch (error) {
+    console.error('Invite team members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error inviting team members',
+      error: error.message
+    });
+  }
+});
+
+// Withdraw an unanswered invitation (captain only)
+router.delete('/:registrationId/invitations/:invitationId', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId);
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.captain.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the team captain can withdraw invitations'
+      });
+    }
+
+    const revoked = await teamInvitationService.revoke(registration._id, req.params.invitationId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or already answered'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation withdrawn',
+      roster: await teamInvitationService.getRoster(registration)
+    });
+
+  } catch (error) {
+    console.error('Withdraw invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing invitation',
+      error: error.message
+    });
+  }
+});
+
 // Update registration status (admin only)
 router.put('/:registrationId/status', [
   adminAuth,
@@ -457,23 +962,46 @@ router.put('/:registrationId/status', [
       });
     }
 
-    registration.status = status;
-    if (notes) registration.notes = notes;
-    await registration.save();
+    if (['Waitlisted', 'Expired'].includes(registration.status) && status !== 'Rejected') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot set a ${registration.status.toLowerCase()} registration to ${status.toLowerCase()}; places are offered from the waitlist in queue order`
+      });
+    }
 
-    // Update tournament capacity if status changed to/from approved
-    const tournament = await Tournament.findById(registration.tournament);
-    const approvedCount = await Registration.countDocuments({
-      tournament: registration.tournament,
-      status: 'Approved'
-    });
+    // A team can't be approved until enough invited members have accepted
+    if (status === 'Approved' && registration.type === 'Team' && !registration.rosterComplete) {
+      return res.status(400).json({
+        success: false,
+        message: `Team roster is incomplete: ${registration.teamMembers.length} of ${registration.minRosterSize} required members have accepted`
+      });
+    }
 
-    await Tournament.findByIdAndUpdate(registration.tournament, {
-      currentParticipants: approvedCount,
-      status: approvedCount >= tournament.maxParticipants ? 'Full' : 'Open'
-    });
+    // Take or give up the entry's place along with the status change
+    const previousStatus = registration.status;
+    const result = await capacityService.transition(registration, status, notes ? { notes } : {});
 
-    await registration.populate([
+    if (result.full) {
+      return res.status(400).json({
+        success: false,
+        message: registration.division ? 'This division is full' : 'Tournament is full'
+      });
+    }
+
+    if (!result.registration) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration was changed by another request; please reload and try again'
+      });
+    }
+
+    // A rejection frees a place for the next entry on the waitlist
+    if (seatChange(previousStatus, status) < 0) {
+      await waitlistService.promoteNext(registration.tournament, req.app.get('notificationService'), registration.division);
+    }
+
+    const updatedRegistration = result.registration;
+    await updatedRegistration.populate([
       { path: 'captain', select: 'firstName lastName email' },
       { path: 'tournament', select: 'name sport' }
     ]);
@@ -481,7 +1009,7 @@ router.put('/:registrationId/status', [
     res.json({
       success: true,
       message: `Registration ${status.toLowerCase()} successfully`,
-      registration
+      registration: updatedRegistration
     });
 
   } catch (error) {
@@ -625,18 +1153,21 @@ router.delete('/:registrationId', auth, async (req, res) => {
       });
     }
 
-    await Registration.findByIdAndDelete(req.params.registrationId);
+    // Delete the entry and give up its place
+    const cancelled = await capacityService.cancel(registration._id);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
 
-    // Update tournament capacity
-    const approvedCount = await Registration.countDocuments({
-      tournament: registration.tournament,
-      status: 'Approved'
-    });
+    await teamInvitationService.revokeAll(cancelled._id);
 
-    await Tournament.findByIdAndUpdate(registration.tournament, {
-      currentParticipants: approvedCount,
-      status: 'Open' // Reopen if was full
-    });
+    // Offer the freed place to the next entry on the waitlist
+    if (holdsSeat(cancelled.status)) {
+      await waitlistService.promoteNext(registration.tournament, req.app.get('notificationService'), registration.division);
+    }
 
     res.json({
       success: true,
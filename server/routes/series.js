@@ -0,0 +1,48 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { adminAuth } = require('../middleware/auth');
+const {
+  createSeries,
+  updateSeries,
+  getSeriesList,
+  getSeriesLeaderboard
+} = require('../controllers/seriesController');
+const { SPORTS } = require('../utils/validation');
+
+const router = express.Router();
+
+// Get all series
+router.get('/', getSeriesList);
+
+// Public ladder for a series, filterable by sport, state and skill level
+router.get('/:id/leaderboard', getSeriesLeaderboard);
+
+// Create series (admin only)
+router.post('/', adminAuth, [
+  body('name').notEmpty().trim().withMessage('Series name is required'),
+  body('season').notEmpty().trim().withMessage('Season is required'),
+  body('sport').optional().isIn(SPORTS).withMessage('Valid sport required'),
+  body('tournaments').optional().isArray(),
+  body('tournaments.*').isMongoId().withMessage('Valid tournament ID required'),
+  body('pointsTable').optional().isArray({ min: 1 }).withMessage('Points table needs at least one position'),
+  body('pointsTable.*').isInt({ min: 0 }).withMessage('Ranking points must be non-negative whole numbers'),
+  body('participationPoints').optional().isInt({ min: 0 }).withMessage('Participation points must be non-negative'),
+  body('bestResults').optional().isInt({ min: 1 }).withMessage('Best results must be at least 1'),
+  body('status').optional().isIn(['Upcoming', 'Active', 'Completed'])
+], createSeries);
+
+// Update series (admin only)
+router.put('/:id', adminAuth, [
+  body('name').optional().notEmpty().trim(),
+  body('season').optional().notEmpty().trim(),
+  body('sport').optional().isIn(SPORTS),
+  body('tournaments').optional().isArray(),
+  body('tournaments.*').isMongoId(),
+  body('pointsTable').optional().isArray({ min: 1 }),
+  body('pointsTable.*').isInt({ min: 0 }),
+  body('participationPoints').optional().isInt({ min: 0 }),
+  body('bestResults').optional().isInt({ min: 1 }),
+  body('status').optional().isIn(['Upcoming', 'Active', 'Completed'])
+], updateSeries);
+
+module.exports = router;
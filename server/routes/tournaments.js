@@ -4,6 +4,7 @@ const Tournament = require('../models/Tournament');
 const Team = require('../models/Team');
 const Registration = require('../models/Registration');
 const { auth, adminAuth } = require('../middleware/auth');
+const capacityService = require('../services/capacityService');
 const {
   createTournament,
   updateTournament,
@@ -11,6 +12,21 @@ const {
   calculateFinalStandings,
   distributePrizes
 } = require('../controllers/tournamentController');
+const {
+  getEligibilityReport,
+  grantEligibilityOverride,
+  revokeEligibilityOverride
+} = require('../controllers/eligibilityController');
+const {
+  addDivision,
+  updateDivision,
+  removeDivision
+} = require('../controllers/divisionController');
+const { TIEBREAKERS, BONUS_POINT_TYPES } = require('../utils/standingsRules');
+const { ACCREDITATION_LEVELS } = require('../utils/officialAssignment');
+const { resolveWaitlist } = require('../utils/waitlist');
+const { AGE_REFERENCES } = require('../utils/eligibility');
+const { duplicateNames } = require('../utils/divisions');
 
 const router = express.Router();
 
@@ -26,6 +42,32 @@ const AUSTRALIAN_STATES = [
   'Northern Territory'
 ];
 
+// Skill levels a tournament can be limited to
+const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Professional'];
+
+const FORMATS = ['Single Elimination', 'Double Elimination', 'Round Robin', 'Group Stage + Knockout', 'Swiss'];
+
+// A division's fields, under prefix (e.g. 'divisions.*.'). New divisions need
+// a name and places; everything else falls back to the tournament's.
+const divisionValidators = (prefix = '', { creating = true } = {}) => {
+  const field = (name) => (creating ? body(`${prefix}${name}`) : body(`${prefix}${name}`).optional());
+
+  return [
+    field('name').trim().isLength({ min: 1, max: 60 }).withMessage('Division name of up to 60 characters is required'),
+    field('maxParticipants').isInt({ min: 2 }).withMessage('Each division needs at least 2 places'),
+    body(`${prefix}entryFee`).optional().isFloat({ min: 0 }).withMessage('Entry fee must be non-negative'),
+    body(`${prefix}format`).optional().isIn(FORMATS).withMessage('Invalid tournament format'),
+    body(`${prefix}ageRestrictions.minAge`).optional({ values: 'null' }).isInt({ min: 5, max: 100 }).withMessage('Minimum age must be between 5 and 100'),
+    body(`${prefix}ageRestrictions.maxAge`).optional({ values: 'null' }).isInt({ min: 5, max: 100 }).withMessage('Maximum age must be between 5 and 100'),
+    body(`${prefix}skillLevelRestrictions`).optional().isArray().withMessage('Skill level restrictions must be a list'),
+    body(`${prefix}skillLevelRestrictions.*`).isIn(SKILL_LEVELS).withMessage('Invalid skill level'),
+    body(`${prefix}groupStage.groupCount`).optional().isInt({ min: 1 }).withMessage('Group count must be at least 1'),
+    body(`${prefix}groupStage.groupSize`).optional().isInt({ min: 2 }).withMessage('Group size must be at least 2'),
+    body(`${prefix}groupStage.qualifiersPerGroup`).optional().isInt({ min: 1 }).withMessage('At least 1 qualifier per group required'),
+    body(`${prefix}swiss.totalRounds`).optional().isInt({ min: 1 }).withMessage('Swiss tournaments need at least 1 round')
+  ];
+};
+
 // Get all tournaments with advanced filtering and search
 router.get('/', async (req, res) => {
   try {
@@ -122,22 +164,12 @@ router.get('/', async (req, res) => {
     const totalCount = await Tournament.countDocuments(filter);
 
     // Calculate availability for each tournament
-    const tournamentsWithAvailability = await Promise.all(
-      tournaments.map(async (tournament) => {
-        const registrationCount = await Registration.countDocuments({
-          tournament: tournament._id,
-          status: { $in: ['Pending', 'Approved'] }
-        });
-
-        return {
-          ...tournament,
-          currentParticipants: registrationCount,
-          availableSpots: tournament.maxParticipants - registrationCount,
-          isAvailable: registrationCount < tournament.maxParticipants,
-          registrationDeadlinePassed: new Date() > new Date(tournament.registrationDeadline)
-        };
-      })
-    );
+    const tournamentsWithAvailability = tournaments.map(tournament => ({
+      ...tournament,
+      availableSpots: tournament.maxParticipants - tournament.currentParticipants,
+      isAvailable: tournament.currentParticipants < tournament.maxParticipants,
+      registrationDeadlinePassed: new Date() > new Date(tournament.registrationDeadline)
+    }));
 
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / parseInt(limit));
@@ -330,13 +362,19 @@ router.get('/:id', async (req, res) => {
     const pendingRegistrations = registrations.filter(reg => reg.status === 'Pending');
 
     // Calculate availability
-    const currentParticipants = registrations.filter(reg => 
-      reg.status === 'Approved' || reg.status === 'Pending'
-    ).length;
-    
+    const { currentParticipants } = tournament;
     const availableSpots = tournament.maxParticipants - currentParticipants;
     const isAvailable = availableSpots > 0 && new Date() <= new Date(tournament.registrationDeadline);
     const registrationDeadlinePassed = new Date() > new Date(tournament.registrationDeadline);
+    const divisionAvailability = tournament.divisions.map(division => ({
+      _id: division._id,
+      name: division.name,
+      currentParticipants: division.currentParticipants,
+      availableSpots: division.maxParticipants - division.currentParticipants,
+      isAvailable: division.currentParticipants < division.maxParticipants && !registrationDeadlinePassed,
+      waitlistedCount: registrations
+        .filter(reg => reg.status === 'Waitlisted' && String(reg.division) === String(division._id)).length
+    }));
 
     // Get similar tournaments (same sport, different tournament)
     const similarTournaments = await Tournament.find({
@@ -356,7 +394,10 @@ router.get('/:id', async (req, res) => {
         isAvailable,
         registrationDeadlinePassed,
         approvedCount: approvedRegistrations.length,
-        pendingCount: pendingRegistrations.length
+        pendingCount: pendingRegistrations.length,
+        waitlistedCount: registrations.filter(reg => reg.status === 'Waitlisted').length,
+        waitlistOpen: !isAvailable && !registrationDeadlinePassed && resolveWaitlist(tournament.waitlist).enabled,
+        divisions: divisionAvailability
       },
       registrations: {
         approved: approvedRegistrations,
@@ -377,9 +418,7 @@ router.post('/', adminAuth, [
     'Basketball', 'Football', 'Tennis', 'Volleyball', 'Cricket', 
     'Rugby', 'Netball', 'Badminton', 'Table Tennis', 'Squash'
   ]).withMessage('Invalid sport selection'),
-  body('format').isIn([
-    'Single Elimination', 'Double Elimination', 'Round Robin', 'Group Stage + Knockout'
-  ]).withMessage('Invalid tournament format'),
+  body('format').isIn(FORMATS).withMessage('Invalid tournament format'),
   body('venue').notEmpty().trim().withMessage('Venue is required'),
   body('startDate').isISO8601().withMessage('Valid start date is required'),
   body('endDate').isISO8601().withMessage('Valid end date is required'),
@@ -391,13 +430,50 @@ router.post('/', adminAuth, [
     'South Australia', 'Tasmania', 'Australian Capital Territory', 'Northern Territory'
   ]).withMessage('Valid Australian state is required'),
   body('address.postcode').matches(/^\d{4}$/).withMessage('Valid 4-digit postcode is required'),
-  body('maxParticipants').isInt({ min: 2 }).withMessage('At least 2 participants required'),
+  // With divisions, the tournament's places are the divisions' together
+  body('maxParticipants').if((value, { req }) => !(req.body.divisions || []).length)
+    .isInt({ min: 2 }).withMessage('At least 2 participants required'),
   body('entryFee').isFloat({ min: 0 }).withMessage('Entry fee must be non-negative'),
   body('prizePool.first').isFloat({ min: 0 }).withMessage('First place prize must be non-negative'),
   body('organizerBankDetails.accountName').notEmpty().trim().withMessage('Account name is required'),
   body('organizerBankDetails.bsb').matches(/^\d{3}-?\d{3}$/).withMessage('Valid BSB format required'),
   body('organizerBankDetails.accountNumber').matches(/^\d{6,10}$/).withMessage('Valid account number required'),
-  body('organizerBankDetails.bankName').notEmpty().trim().withMessage('Bank name is required')
+  body('organizerBankDetails.bankName').notEmpty().trim().withMessage('Bank name is required'),
+  body('groupStage.groupCount').optional().isInt({ min: 1 }).withMessage('Group count must be at least 1'),
+  body('groupStage.groupSize').optional().isInt({ min: 2 }).withMessage('Group size must be at least 2'),
+  body('groupStage.qualifiersPerGroup').optional().isInt({ min: 1 }).withMessage('At least 1 qualifier per group required'),
+  body('swiss.totalRounds').optional().isInt({ min: 1 }).withMessage('Swiss tournaments need at least 1 round'),
+  body('scoring.bestOf').optional().isIn([1, 3, 5, 7]).withMessage('Matches must be best of 1, 3, 5 or 7 sets'),
+  body('scoring.periods').optional().isInt({ min: 1 }).withMessage('At least 1 period required'),
+  body('scoring.inningsPerSide').optional().isIn([1, 2]).withMessage('Each side bats 1 or 2 innings'),
+  body('scoring.oversPerInnings').optional().isInt({ min: 1 }).withMessage('At least 1 over per innings required'),
+  body('standings.rankBy').optional().isIn(['points', 'winPercentage']).withMessage('Rank by points or win percentage'),
+  body('standings.points.*').optional().isInt().withMessage('Standings points must be whole numbers'),
+  body('standings.forfeitScore.*').optional().isInt({ min: 0 }).withMessage('Forfeit scores must be non-negative'),
+  body('standings.bonusPoints').optional().isArray(),
+  body('standings.bonusPoints.*.type').isIn(BONUS_POINT_TYPES).withMessage('Invalid bonus point type'),
+  body('standings.bonusPoints.*.threshold').isInt({ min: 0 }).withMessage('Bonus point threshold required'),
+  body('standings.tiebreakers').optional().isArray(),
+  body('standings.tiebreakers.*').isIn(TIEBREAKERS).withMessage('Invalid tiebreaker'),
+  body('amendmentPolicy').optional().isIn(['refuse', 'cascade']).withMessage('Amendment policy must be refuse or cascade'),
+  body('ratings.enabled').optional().isBoolean().withMessage('Ratings enabled must be a boolean value'),
+  body('ratings.kFactor').optional().isInt({ min: 1, max: 100 }).withMessage('K-factor must be between 1 and 100'),
+  body('waitlist.enabled').optional().isBoolean().withMessage('Waitlist enabled must be a boolean value'),
+  body('waitlist.offerHours').optional().isInt({ min: 1, max: 336 }).withMessage('Offer window must be between 1 and 336 hours'),
+  body('officiating.officialsPerFixture').optional().isInt({ min: 0, max: 6 }).withMessage('Officials per fixture must be between 0 and 6'),
+  body('officiating.minimumLevel').optional().isIn(ACCREDITATION_LEVELS).withMessage('Invalid accreditation level'),
+  body('officiating.maxConsecutiveFixtures').optional().isInt({ min: 1 }).withMessage('Officials need at least 1 fixture before a break'),
+  body('officiating.minBreakMinutes').optional().isInt({ min: 0 }).withMessage('Break must be a non-negative number of minutes'),
+  body('officiating.maxFixturesPerDay').optional().isInt({ min: 1 }).withMessage('Daily limit must be at least 1 fixture'),
+  body('ageRestrictions.minAge').optional().isInt({ min: 5, max: 100 }).withMessage('Minimum age must be between 5 and 100'),
+  body('ageRestrictions.maxAge').optional().isInt({ min: 5, max: 100 }).withMessage('Maximum age must be between 5 and 100'),
+  body('skillLevelRestrictions').optional().isArray().withMessage('Skill level restrictions must be a list'),
+  body('skillLevelRestrictions.*').isIn(SKILL_LEVELS).withMessage('Invalid skill level'),
+  body('eligibility.ageReference').optional().isIn(AGE_REFERENCES).withMessage('Invalid age reference'),
+  body('eligibility.ageReferenceDate').optional().isISO8601().withMessage('Valid age reference date is required'),
+  body('divisions').optional().isArray().withMessage('Divisions must be a list')
+    .custom(divisions => duplicateNames(divisions).length === 0).withMessage('Each division needs a different name'),
+  ...divisionValidators('divisions.*.')
 ], createTournament);
 
 // Update tournament (admin only)
@@ -407,19 +483,49 @@ router.put('/:id', adminAuth, [
     'Basketball', 'Football', 'Tennis', 'Volleyball', 'Cricket', 
     'Rugby', 'Netball', 'Badminton', 'Table Tennis', 'Squash'
   ]),
-  body('format').optional().isIn([
-    'Single Elimination', 'Double Elimination', 'Round Robin', 'Group Stage + Knockout'
-  ]),
+  body('format').optional().isIn(FORMATS),
   body('venue').optional().notEmpty().trim(),
   body('startDate').optional().isISO8601(),
   body('endDate').optional().isISO8601(),
   body('registrationDeadline').optional().isISO8601(),
   body('maxParticipants').optional().isInt({ min: 2 }),
   body('entryFee').optional().isFloat({ min: 0 }),
-  body('prizePool.first').optional().isFloat({ min: 0 })
+  body('prizePool.first').optional().isFloat({ min: 0 }),
+  body('groupStage.groupCount').optional().isInt({ min: 1 }),
+  body('groupStage.groupSize').optional().isInt({ min: 2 }),
+  body('groupStage.qualifiersPerGroup').optional().isInt({ min: 1 }),
+  body('swiss.totalRounds').optional().isInt({ min: 1 }),
+  body('scoring.bestOf').optional().isIn([1, 3, 5, 7]),
+  body('scoring.periods').optional().isInt({ min: 1 }),
+  body('scoring.inningsPerSide').optional().isIn([1, 2]),
+  body('scoring.oversPerInnings').optional().isInt({ min: 1 }),
+  body('standings.rankBy').optional().isIn(['points', 'winPercentage']),
+  body('standings.points.*').optional().isInt(),
+  body('standings.forfeitScore.*').optional().isInt({ min: 0 }),
+  body('standings.bonusPoints').optional().isArray(),
+  body('standings.bonusPoints.*.type').isIn(BONUS_POINT_TYPES),
+  body('standings.bonusPoints.*.threshold').isInt({ min: 0 }),
+  body('standings.tiebreakers').optional().isArray(),
+  body('standings.tiebreakers.*').isIn(TIEBREAKERS),
+  body('amendmentPolicy').optional().isIn(['refuse', 'cascade']),
+  body('ratings.enabled').optional().isBoolean(),
+  body('ratings.kFactor').optional().isInt({ min: 1, max: 100 }),
+  body('waitlist.enabled').optional().isBoolean(),
+  body('waitlist.offerHours').optional().isInt({ min: 1, max: 336 }),
+  body('officiating.officialsPerFixture').optional().isInt({ min: 0, max: 6 }),
+  body('officiating.minimumLevel').optional().isIn(ACCREDITATION_LEVELS),
+  body('officiating.maxConsecutiveFixtures').optional().isInt({ min: 1 }),
+  body('officiating.minBreakMinutes').optional().isInt({ min: 0 }),
+  body('officiating.maxFixturesPerDay').optional().isInt({ min: 1 }),
+  body('ageRestrictions.minAge').optional().isInt({ min: 5, max: 100 }),
+  body('ageRestrictions.maxAge').optional().isInt({ min: 5, max: 100 }),
+  body('skillLevelRestrictions').optional().isArray(),
+  body('skillLevelRestrictions.*').isIn(SKILL_LEVELS),
+  body('eligibility.ageReference').optional().isIn(AGE_REFERENCES),
+  body('eligibility.ageReferenceDate').optional().isISO8601()
 ], updateTournament);
 
-// Update tournament status based on capacity
+// Recount a tournament's places from its registrations and update its status
 router.put('/:id/capacity', auth, async (req, res) => {
   try {
     const tournament = await Tournament.findById(req.params.id);
@@ -428,35 +534,13 @@ router.put('/:id/capacity', auth, async (req, res) => {
       return res.status(404).json({ message: 'Tournament not found' });
     }
 
-    // Count current registrations
-    const currentRegistrations = await Registration.countDocuments({
-      tournament: tournament._id,
-      status: { $in: ['Pending', 'Approved'] }
-    });
-
-    // Update tournament status based on capacity
-    let newStatus = tournament.status;
-    if (currentRegistrations >= tournament.maxParticipants) {
-      newStatus = 'Full';
-    } else if (tournament.status === 'Full' && currentRegistrations < tournament.maxParticipants) {
-      newStatus = 'Open';
-    }
-
-    // Update current participants count
-    const updatedTournament = await Tournament.findByIdAndUpdate(
-      req.params.id,
-      { 
-        currentParticipants: currentRegistrations,
-        status: newStatus
-      },
-      { new: true }
-    );
+    const updatedTournament = await capacityService.recount(tournament._id);
 
     res.json({
       tournament: updatedTournament,
-      currentParticipants: currentRegistrations,
-      availableSpots: tournament.maxParticipants - currentRegistrations,
-      statusChanged: newStatus !== tournament.status
+      currentParticipants: updatedTournament.currentParticipants,
+      availableSpots: updatedTournament.maxParticipants - updatedTournament.currentParticipants,
+      statusChanged: updatedTournament.status !== tournament.status
     });
   } catch (error) {
     console.error('Tournament capacity update error:', error);
@@ -481,21 +565,11 @@ router.get('/featured/highlights', async (req, res) => {
     .lean();
 
     // Add availability info
-    const tournamentsWithAvailability = await Promise.all(
-      featuredTournaments.map(async (tournament) => {
-        const registrationCount = await Registration.countDocuments({
-          tournament: tournament._id,
-          status: { $in: ['Pending', 'Approved'] }
-        });
-
-        return {
-          ...tournament,
-          currentParticipants: registrationCount,
-          availableSpots: tournament.maxParticipants - registrationCount,
-          isAvailable: registrationCount < tournament.maxParticipants
-        };
-      })
-    );
+    const tournamentsWithAvailability = featuredTournaments.map(tournament => ({
+      ...tournament,
+      availableSpots: tournament.maxParticipants - tournament.currentParticipants,
+      isAvailable: tournament.currentParticipants < tournament.maxParticipants
+    }));
 
     res.json(tournamentsWithAvailability);
   } catch (error) {
@@ -504,7 +578,7 @@ router.get('/featured/highlights', async (req, res) => {
   }
 });
 
-// Get tournament standings
+// Get tournament standings, e.g. /:id/standings?division=<id>
 router.get('/:id/standings', auth, getTournamentStandings);
 
 // Calculate final standings and complete tournament
@@ -513,6 +587,27 @@ router.post('/:id/calculate-standings', adminAuth, calculateFinalStandings);
 // Distribute prizes
 router.post('/:id/distribute-prizes', adminAuth, distributePrizes);
 
+// Check every entry against the tournament's age and skill limits (organiser)
+router.get('/:id/eligibility', auth, getEligibilityReport);
+
+// Let a player in despite failing the limits (organiser)
+router.post('/:id/eligibility/overrides', auth, [
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('justification').trim().isLength({ min: 1, max: 500 }).withMessage('A justification of up to 500 characters is required')
+], grantEligibilityOverride);
+
+// Withdraw a player's override (organiser)
+router.delete('/:id/eligibility/overrides/:userId', auth, revokeEligibilityOverride);
+
+// Add a division, e.g. Men's A or Under 16 (organiser)
+router.post('/:id/divisions', auth, divisionValidators(), addDivision);
+
+// Change a division's name, places or settings (organiser)
+router.put('/:id/divisions/:divisionId', auth, divisionValidators('', { creating: false }), updateDivision);
+
+// Remove a division nobody has entered (organiser)
+router.delete('/:id/divisions/:divisionId', auth, removeDivision);
+
 // Delete tournament (admin only)
 router.delete('/:id', adminAuth, async (req, res) => {
   try {
@@ -3,7 +3,13 @@ const router = express.Router();
 const User = require('../models/User');
 const Registration = require('../models/Registration');
 const Tournament = require('../models/Tournament');
-const { auth } = require('../middleware/auth');
+const Fixture = require('../models/Fixture');
+const Notification = require('../models/Notification');
+const { auth, adminAuth } = require('../middleware/auth');
+const ratingService = require('../services/ratingService');
+const { buildTournamentStandings, flattenStandings } = require('../controllers/tournamentController');
+const { calculateMatchStats } = require('../utils/matchStats');
+const { forDivision, inDivision } = require('../utils/divisions');
 
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
@@ -90,13 +96,28 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
+// Registrations the user plays in, as captain or team member
+const findPlayerRegistrations = (userId, filter = {}) => Registration.find({
+  $or: [{ captain: userId }, { teamMembers: userId }],
+  ...filter
+});
+
+// Fixtures involving any of the given registrations
+const findRegistrationFixtures = (registrationIds, filter = {}) => Fixture.find({
+  $or: [
+    { participant1: { $in: registrationIds } },
+    { participant2: { $in: registrationIds } }
+  ],
+  ...filter
+});
+
 // Get dashboard statistics
 router.get('/dashboard/stats', auth, async (req, res) => {
   try {
     const userId = req.user.id;
 
     // Get user's registrations
-    const registrations = await Registration.find({ captain: userId })
+    const registrations = await findPlayerRegistrations(userId)
       .populate('tournament', 'startDate endDate status')
       .lean();
 
@@ -112,30 +133,52 @@ router.get('/dashboard/stats', auth, async (req, res) => {
     });
 
     const pendingPayments = registrations.filter(reg => 
-      reg.paymentStatus === 'Pending' && reg.status !== 'Rejected'
+      String(reg.captain) === String(userId) && reg.paymentStatus === 'Pending' && reg.status !== 'Rejected'
     );
 
-    // Mock match statistics - in real app this would come from fixtures/results
-    const mockMatchStats = {
-      totalMatches: completedTournaments.length * 3, // Assume 3 matches per tournament on average
-      wins: Math.floor(completedTournaments.length * 2), // Mock win count
-      losses: Math.floor(completedTournaments.length * 1), // Mock loss count
-    };
+    // Match statistics from every entry the user has played in
+    const approvedIds = registrations.filter(reg => reg.status === 'Approved').map(reg => reg._id);
+    const fixtures = await findRegistrationFixtures(approvedIds)
+      .populate('tournament', 'name sport')
+      .lean();
+    const matchStats = calculateMatchStats(fixtures, approvedIds);
 
-    const winRate = mockMatchStats.totalMatches > 0 
-      ? Math.round((mockMatchStats.wins / mockMatchStats.totalMatches) * 100)
-      : 0;
+    const upcomingMatches = fixtures
+      .filter(fixture => ['Scheduled', 'Postponed'].includes(fixture.status) &&
+        fixture.scheduledDate && new Date(fixture.scheduledDate) >= new Date())
+      .sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate));
+
+    const unreadNotifications = await Notification.countDocuments({
+      recipient: userId,
+      isRead: false
+    });
 
     const stats = {
       tournamentsPlayed: completedTournaments.length,
       totalRegistrations: registrations.length,
       upcomingTournaments: upcomingTournaments.length,
       pendingPayments: pendingPayments.length,
-      wins: mockMatchStats.wins,
-      losses: mockMatchStats.losses,
-      winRate,
-      unreadNotifications: 3, // Mock - would come from notifications system
-      upcomingMatches: upcomingTournaments.length * 2 // Mock - assume 2 matches per upcoming tournament
+      matchesPlayed: matchStats.matchesPlayed,
+      wins: matchStats.wins,
+      losses: matchStats.losses,
+      draws: matchStats.draws,
+      winRate: matchStats.winRate,
+      winRateBySport: matchStats.bySport,
+      pointsFor: matchStats.pointsFor,
+      pointsAgainst: matchStats.pointsAgainst,
+      longestWinStreak: matchStats.longestWinStreak,
+      unreadNotifications,
+      upcomingMatches: upcomingMatches.length,
+      nextMatches: upcomingMatches.slice(0, 5).map(fixture => ({
+        _id: fixture._id,
+        tournament: fixture.tournament,
+        round: fixture.round,
+        bracketPosition: fixture.bracketPosition,
+        scheduledDate: fixture.scheduledDate,
+        venue: fixture.venue,
+        court: fixture.court,
+        status: fixture.status
+      }))
     };
 
     res.json({
@@ -157,39 +200,66 @@ router.get('/tournament-history', auth, async (req, res) => {
     const userId = req.user.id;
 
     // Get completed registrations with tournament details
-    const registrations = await Registration.find({ 
-      captain: userId,
-      status: 'Approved'
-    })
+    const registrations = await findPlayerRegistrations(userId, { status: 'Approved' })
     .populate({
       path: 'tournament',
-      select: 'name sport venue address startDate endDate prizePool status'
+      select: 'name sport format venue address startDate endDate prizePool status standings divisions'
     })
     .populate({
       path: 'teamMembers',
       select: 'firstName lastName email'
     })
-    .sort({ 'tournament.endDate': -1 })
     .lean();
 
-    // Filter completed tournaments and add mock results
-    const completedHistory = registrations
+    const completed = registrations
       .filter(reg => {
         const tournament = reg.tournament;
         return tournament && new Date(tournament.endDate) < new Date();
       })
-      .map((reg, index) => ({
+      .sort((a, b) => new Date(b.tournament.endDate) - new Date(a.tournament.endDate));
+
+    const fixtures = await findRegistrationFixtures(completed.map(reg => reg._id))
+      .populate('tournament', 'sport')
+      .lean();
+
+    const completedHistory = await Promise.all(completed.map(async reg => {
+      const { tournament } = reg;
+      // Entries are placed within their division, among its own entrants
+      const draw = forDivision(tournament, reg.division) || tournament;
+      const totalParticipants = await Registration.countDocuments({
+        tournament: tournament._id,
+        ...inDivision(draw),
+        status: 'Approved'
+      });
+
+      // Placings are recorded when the tournament is finalised; work them out
+      // from the standings for tournaments finalised before that
+      let position = reg.finalPosition || null;
+      if (!position && tournament.status === 'Completed') {
+        const placings = flattenStandings(await buildTournamentStandings(draw));
+        const index = placings.findIndex(standing => String(standing.participant._id) === String(reg._id));
+        position = index === -1 ? null : index + 1;
+      }
+
+      const stats = calculateMatchStats(
+        fixtures.filter(fixture => String(fixture.tournament._id) === String(tournament._id)),
+        [reg._id]
+      );
+      const prizes = [tournament.prizePool.first, tournament.prizePool.second, tournament.prizePool.third];
+
+      return {
         ...reg,
-        // Mock results for demonstration - in real app this would come from fixtures/results
         result: {
-          position: Math.floor(Math.random() * 8) + 1,
-          totalParticipants: Math.floor(Math.random() * 20) + 10,
-          prizeWon: index % 3 === 0 ? reg.tournament.prizePool.first * 0.1 : 0,
-          matchesPlayed: Math.floor(Math.random() * 5) + 3,
-          matchesWon: Math.floor(Math.random() * 4) + 1,
-          matchesLost: Math.floor(Math.random() * 3) + 1,
+          position,
+          totalParticipants,
+          prizeWon: position && position <= 3 ? prizes[position - 1] || 0 : 0,
+          matchesPlayed: stats.matchesPlayed,
+          matchesWon: stats.wins,
+          matchesLost: stats.losses,
+          matchesDrawn: stats.draws
         }
-      }));
+      };
+    }));
 
     res.json({
       success: true,
@@ -245,4 +315,52 @@ router.get('/search', auth, async (req, res) => {
   }
 });
 
+// Recompute every rating from all completed fixtures, optionally for one sport (admin only)
+router.post('/ratings/recompute', adminAuth, async (req, res) => {
+  try {
+    const { sport } = req.body;
+    const summary = await ratingService.recomputeRatings({ sport });
+
+    res.json({
+      success: true,
+      summary,
+      message: `Ratings recomputed from ${summary.fixturesRated} fixtures`
+    });
+  } catch (error) {
+    console.error('Recompute ratings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get a user's ratings and rating timeline, optionally for one sport
+router.get('/:id/ratings', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('firstName lastName skillLevel');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { ratings, history } = await ratingService.getUserTimeline(user._id, { sport: req.query.sport });
+
+    res.json({
+      success: true,
+      user,
+      ratings,
+      timeline: history
+    });
+  } catch (error) {
+    console.error('Get user ratings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const { SEAT_HOLDING_STATUSES, holdsSeat, seatChange, capacityStatus } = require('../utils/capacity');
+
+// A division's field in an aggregation expression, so a query can compare
+// two fields of the same division
+const divisionField = (field, divisionId) => ({
+  $arrayElemAt: [
+    `$divisions.${field}`,
+    { $indexOfArray: ['$divisions._id', new mongoose.Types.ObjectId(String(divisionId))] }
+  ]
+});
+
+// Tournament.currentParticipants is the single record of places taken (see
+// utils/capacity), kept per division as well in tournaments with divisions.
+// Every place is taken or given up here with a conditional $inc, so
+// concurrent sign-ups can never take more places than there are.
+class CapacityService {
+  // Take a place in a tournament, or in one of its divisions. Resolves to the
+  // updated tournament, or null when it (or the division) is at capacity.
+  async reserveSeat(tournamentId, divisionId = null) {
+    const tournament = divisionId
+      ? await Tournament.findOneAndUpdate(
+        {
+          _id: tournamentId,
+          'divisions._id': divisionId,
+          $expr: { $lt: [divisionField('currentParticipants', divisionId), divisionField('maxParticipants', divisionId)] }
+        },
+        { $inc: { currentParticipants: 1, 'divisions.$.currentParticipants': 1 } },
+        { new: true }
+      )
+      : await Tournament.findOneAndUpdate(
+        { _id: tournamentId, $expr: { $lt: ['$currentParticipants', '$maxParticipants'] } },
+        { $inc: { currentParticipants: 1 } },
+        { new: true }
+      );
+    if (tournament) await this.syncStatus(tournamentId);
+    return tournament;
+  }
+
+  // Give a place back
+  async releaseSeat(tournamentId, divisionId = null) {
+    const tournament = divisionId
+      ? await Tournament.findOneAndUpdate(
+        { _id: tournamentId, divisions: { $elemMatch: { _id: divisionId, currentParticipants: { $gt: 0 } } } },
+        { $inc: { currentParticipants: -1, 'divisions.$.currentParticipants': -1 } },
+        { new: true }
+      )
+      : await Tournament.findOneAndUpdate(
+        { _id: tournamentId, currentParticipants: { $gt: 0 } },
+        { $inc: { currentParticipants: -1 } },
+        { new: true }
+      );
+    await this.syncStatus(tournamentId);
+    return tournament;
+  }
+
+  // Bring an Open or Full tournament's status in line with its counter. Both
+  // updates are conditional on the counter at the moment they run, and every
+  // change of the counter is followed by a sync, so the last sync to run
+  // always leaves the right status. A tournament with divisions is Full once
+  // every division is, as its capacity is theirs together.
+  async syncStatus(tournamentId) {
+    await Tournament.updateOne(
+      { _id: tournamentId, status: 'Open', $expr: { $gte: ['$currentParticipants', '$maxParticipants'] } },
+      { status: 'Full' }
+    );
+    await Tournament.updateOne(
+      { _id: tournamentId, status: 'Full', $expr: { $lt: ['$currentParticipants', '$maxParticipants'] } },
+      { status: 'Open' }
+    );
+  }
+
+  // Save a new entry with a place if one is free in its tournament or
+  // division, otherwise on the waitlist when allowWaitlist is set. Resolves to
+  // the saved registration, or null when full and the entry cannot wait.
+  async createRegistration(fields, { allowWaitlist = false } = {}) {
+    const reserved = await this.reserveSeat(fields.tournament, fields.division);
+    if (!reserved && !allowWaitlist) return null;
+
+    const registration = new Registration({
+      ...fields,
+      status: reserved ? 'Pending' : 'Waitlisted',
+      waitlistedAt: reserved ? undefined : new Date()
+    });
+
+    try {
+      await registration.save();
+    } catch (error) {
+      if (reserved) await this.releaseSeat(fields.tournament, fields.division);
+      throw error;
+    }
+
+    return registration;
+  }
+
+  // Move a registration to a new status, taking or giving up its place. The
+  // change only applies if the registration still has the status it was read
+  // with, so two requests racing on one entry move the counter once.
+  // Resolves to { registration, full }: registration is null when the change
+  // did not apply, and full is set when that was for want of a place.
+  async transition(registration, status, update = {}) {
+    const from = registration.status;
+    const change = seatChange(from, status);
+
+    if (change > 0 && !(await this.reserveSeat(registration.tournament, registration.division))) {
+      return { registration: null, full: true };
+    }
+
+    const updated = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: from },
+      { ...update, status },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      if (change > 0) await this.releaseSeat(registration.tournament, registration.division);
+      return { registration: null, full: false };
+    }
+
+    if (change < 0) await this.releaseSeat(registration.tournament, registration.division);
+    return { registration: updated, full: false };
+  }
+
+  // Delete a registration, giving up its place. Resolves to the deleted
+  // registration, or null if it had already gone.
+  async cancel(registrationId) {
+    const cancelled = await Registration.findByIdAndDelete(registrationId);
+    if (cancelled && holdsSeat(cancelled.status)) {
+      await this.releaseSeat(cancelled.tournament, cancelled.division);
+    }
+    return cancelled;
+  }
+
+  // Reset a tournament's counters from its registrations, for repairing
+  // counts written before places were tracked here
+  async recount(tournamentId) {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) return null;
+
+    const counts = await Registration.aggregate([
+      { $match: { tournament: tournament._id, status: { $in: SEAT_HOLDING_STATUSES } } },
+      { $group: { _id: '$division', count: { $sum: 1 } } }
+    ]);
+    const byDivision = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    const currentParticipants = counts.reduce((total, { count }) => total + count, 0);
+
+    const update = {
+      currentParticipants,
+      status: capacityStatus(tournament.status, currentParticipants, tournament.maxParticipants)
+    };
+    tournament.divisions.forEach((division, index) => {
+      update[`divisions.${index}.currentParticipants`] = byDivision.get(String(division._id)) || 0;
+    });
+
+    return Tournament.findByIdAndUpdate(tournament._id, update, { new: true });
+  }
+}
+
+module.exports = new CapacityService();
@@ -0,0 +1,94 @@
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { ageReferenceDate, hasRestrictions, evaluateEntry } = require('../utils/eligibility');
+const { hasDivisions, divisionViews } = require('../utils/divisions');
+const { idOf } = require('../utils/ids');
+
+// What eligibility checks need to know about a player
+const PLAYER_FIELDS = 'firstName lastName dateOfBirth skillLevel';
+
+// Entries the report covers: everyone entered or waiting for a place
+const REPORTED_STATUSES = ['Pending', 'Approved', 'Waitlisted'];
+
+class EligibilityService {
+  // A tournament's overrides, keyed by user id
+  overridesFor(tournament) {
+    return new Map((tournament.eligibilityOverrides || []).map(override => [idOf(override.user), override]));
+  }
+
+  // Check the players in an entry against the tournament's limits (see
+  // utils/eligibility), or a division's when seen from one (see
+  // utils/divisions). players are { user, role } with user ids.
+  async checkEntry(tournament, players) {
+    if (!hasRestrictions(tournament)) {
+      return { eligible: true, referenceDate: ageReferenceDate(tournament), players: [] };
+    }
+
+    const users = await User.find({ _id: { $in: players.map(player => player.user) } }).select(PLAYER_FIELDS);
+    const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+    return evaluateEntry(
+      players
+        .filter(player => byId.has(String(player.user)))
+        .map(player => ({ user: byId.get(String(player.user)), role: player.role })),
+      tournament,
+      this.overridesFor(tournament)
+    );
+  }
+
+  // Every entry in a tournament checked against its limits, for organisers.
+  // Entries in a division are checked against that division's limits.
+  async getReport(tournament) {
+    const registrations = await Registration.find({
+      tournament: tournament._id,
+      status: { $in: REPORTED_STATUSES }
+    })
+      .populate('captain', PLAYER_FIELDS)
+      .populate('teamMembers', PLAYER_FIELDS)
+      .sort({ registrationDate: 1 });
+
+    const overrides = this.overridesFor(tournament);
+    const views = new Map(divisionViews(tournament).map(view => [String(view.division || ''), view]));
+    const entries = registrations.map(registration => {
+      const { eligible, players } = evaluateEntry([
+        { user: registration.captain, role: registration.type === 'Team' ? 'Captain' : 'Player' },
+        ...registration.teamMembers.map(member => ({ user: member, role: 'Member' }))
+      ], views.get(String(registration.division || '')) || tournament, overrides);
+
+      return {
+        registration: registration._id,
+        division: registration.division,
+        type: registration.type,
+        teamName: registration.teamName,
+        status: registration.status,
+        eligible,
+        overridden: players.some(player => player.override),
+        players
+      };
+    });
+
+    return {
+      referenceDate: ageReferenceDate(tournament),
+      ageRestrictions: tournament.ageRestrictions,
+      skillLevelRestrictions: tournament.skillLevelRestrictions,
+      divisions: hasDivisions(tournament)
+        ? [...views.values()].map(view => ({
+          _id: view.division,
+          name: view.divisionName,
+          ageRestrictions: view.ageRestrictions,
+          skillLevelRestrictions: view.skillLevelRestrictions
+        }))
+        : undefined,
+      summary: {
+        entries: entries.length,
+        eligible: entries.filter(entry => entry.eligible && !entry.overridden).length,
+        overridden: entries.filter(entry => entry.eligible && entry.overridden).length,
+        ineligible: entries.filter(entry => !entry.eligible).length
+      },
+      entries,
+      overrides: tournament.eligibilityOverrides
+    };
+  }
+}
+
+module.exports = new EligibilityService();
@@ -56,6 +56,52 @@ class EmailService {
     }
   }
 
+  // A waitlisted entry has been offered a place, or the offer has lapsed
+  async sendWaitlistEmail(user, tournament, registration, paymentInstructions, isExpired = false) {
+    const subject = isExpired
+      ? `Waitlist Offer Expired - ${tournament.name}`
+      : `A Place Has Opened - ${tournament.name}`;
+
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@sportstournament.com.au',
+      to: user.email,
+      subject: subject,
+      html: this.generateWaitlistHTML(user, tournament, registration, paymentInstructions, isExpired)
+    };
+
+    try {
+      if (process.env.NODE_ENV === 'production') {
+        await this.transporter.sendMail(mailOptions);
+        console.log(`Waitlist email sent to ${user.email}`);
+      } else {
+        console.log('Email would be sent in production:', mailOptions);
+      }
+    } catch (error) {
+      console.error('Error sending waitlist email:', error);
+    }
+  }
+
+  // Ask someone to join a team, with a link to accept or decline
+  async sendTeamInvitationEmail(invitation, tournament, registration, captain) {
+    const mailOptions = {
+      from: process.env.EMAIL_FROM || 'noreply@sportstournament.com.au',
+      to: invitation.email,
+      subject: `Team Invitation - ${registration.teamName} - ${tournament.name}`,
+      html: this.generateTeamInvitationHTML(invitation, tournament, registration, captain)
+    };
+
+    try {
+      if (process.env.NODE_ENV === 'production') {
+        await this.transporter.sendMail(mailOptions);
+        console.log(`Team invitation email sent to ${invitation.email}`);
+      } else {
+        console.log('Email would be sent in production:', mailOptions);
+      }
+    } catch (error) {
+      console.error('Error sending team invitation email:', error);
+    }
+  }
+
   async sendTournamentUpdateEmail(users, tournament, updateType, message) {
     const subject = `Tournament Update - ${tournament.name}`;
 
@@ -321,6 +367,129 @@ class EmailService {
     `;
   }
 
+  generateWaitlistHTML(user, tournament, registration, paymentInstructions, isExpired) {
+    const statusColor = isExpired ? '#f44336' : '#4caf50';
+    const deadline = registration.offerExpiresAt
+      ? new Date(registration.offerExpiresAt).toLocaleString('en-AU')
+      : null;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${isExpired ? 'Waitlist Offer Expired' : 'A Place Has Opened'}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: ${statusColor}; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+          .payment-box { background: #e3f2fd; border: 2px solid #2196f3; border-radius: 8px; padding: 20px; margin: 20px 0; }
+          .reference-box { background: #fff3cd; border: 2px solid #ffc107; border-radius: 5px; padding: 15px; margin: 15px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; }
+          .btn { display: inline-block; background: #2196f3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${isExpired ? 'Waitlist Offer Expired' : '🎉 You\'re Off the Waitlist!'}</h1>
+            <p>${tournament.name}</p>
+          </div>
+
+          <div class="content">
+            <h2>G'day ${user.firstName}!</h2>
+
+            ${isExpired ? `
+              <p>We didn't receive payment for your place in <strong>${tournament.name}</strong> before the offer closed, so it has been passed to the next entry on the waitlist.</p>
+              <p>If you have already paid, please contact the tournament organizer.</p>
+            ` : `
+              <p>A place has opened in <strong>${tournament.name}</strong>${registration.teamName ? ` for <strong>${registration.teamName}</strong>` : ''}.</p>
+              <p>To keep it, please pay the entry fee and upload your payment confirmation${deadline ? ` by <strong>${deadline}</strong>` : ''}. If we don't hear from you by then, the place will be offered to the next entry on the waitlist.</p>
+
+              <div class="payment-box">
+                <h3>💳 Payment Instructions</h3>
+                <p><strong>Entry Fee: $${tournament.entryFee}</strong></p>
+                <p><strong>Account Name:</strong> ${paymentInstructions.bankDetails.accountName}</p>
+                <p><strong>BSB:</strong> ${paymentInstructions.bankDetails.bsb}</p>
+                <p><strong>Account Number:</strong> ${paymentInstructions.bankDetails.accountNumber}</p>
+                <p><strong>Bank:</strong> ${paymentInstructions.bankDetails.bankName}</p>
+
+                <div class="reference-box">
+                  <h4>⚠️ IMPORTANT: Payment Reference</h4>
+                  <p style="font-size: 18px; font-weight: bold; color: #d32f2f;">${paymentInstructions.paymentReference}</p>
+                </div>
+              </div>
+            `}
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.CLIENT_URL}/dashboard" class="btn">View My Dashboard</a>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>Australian Sports Tournament Platform</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  generateTeamInvitationHTML(invitation, tournament, registration, captain) {
+    const invitationUrl = `${process.env.CLIENT_URL}/invitations/${invitation.token}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Team Invitation</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2196f3; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+          .details { background: white; border-radius: 8px; padding: 20px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; }
+          .btn { display: inline-block; background: #2196f3; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 5px; }
+          .btn-decline { background: #9e9e9e; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🤝 You're Invited!</h1>
+            <p>${registration.teamName}</p>
+          </div>
+
+          <div class="content">
+            <h2>G'day!</h2>
+            <p><strong>${captain.firstName} ${captain.lastName}</strong> has invited you to play for <strong>${registration.teamName}</strong> in <strong>${tournament.name}</strong>.</p>
+
+            <div class="details">
+              <p><strong>Sport:</strong> ${tournament.sport}</p>
+              <p><strong>Dates:</strong> ${new Date(tournament.startDate).toLocaleDateString('en-AU')} - ${new Date(tournament.endDate).toLocaleDateString('en-AU')}</p>
+              <p><strong>Venue:</strong> ${tournament.venue}</p>
+            </div>
+
+            <p>The team's entry is only complete once enough players have accepted, so please let ${captain.firstName} know either way. If you don't have an account yet, you can create one with this email address to accept.</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${invitationUrl}?response=accept" class="btn">Accept Invitation</a>
+              <a href="${invitationUrl}?response=decline" class="btn btn-decline">Decline</a>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>Australian Sports Tournament Platform</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   generateTournamentUpdateHTML(user, tournament, updateType, message) {
     return `
       <!DOCTYPE html>
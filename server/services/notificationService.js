@@ -1,5 +1,7 @@
 const Notification = require('../models/Notification');
 const emailService = require('./emailService');
+const { forDivision } = require('../utils/divisions');
+const { entrantName } = require('../utils/entrants');
 
 class NotificationService {
   constructor(io = null) {
@@ -127,6 +129,219 @@ class NotificationService {
     }
   }
 
+  // Ask the opposing captain to confirm a result submitted by the other side
+  async notifyResultSubmitted(fixtureId, submittingSide) {
+    try {
+      const Fixture = require('../models/Fixture');
+      
+      const fixture = await Fixture.findById(fixtureId)
+        .populate('tournament', 'name')
+        .populate({ path: 'participant1 participant2', populate: { path: 'captain', select: 'firstName lastName' } });
+
+      if (!fixture) {
+        throw new Error('Fixture not found');
+      }
+
+      const opponent = submittingSide === 1 ? fixture.participant2 : fixture.participant1;
+      const submitter = submittingSide === 1 ? fixture.participant1 : fixture.participant2;
+
+      return await this.createNotification({
+        recipient: opponent.captain._id,
+        type: 'tournament',
+        title: 'Confirm Match Result',
+        message: `${entrantName(submitter)} has submitted the result of your ${fixture.bracketPosition} match in ${fixture.tournament.name}. Please submit your score to confirm it.`,
+        priority: 'high',
+        actionUrl: `/tournaments/${fixture.tournament._id}`,
+        actionText: 'Submit Result',
+        relatedId: fixtureId,
+        relatedModel: 'Fixture',
+        metadata: {
+          tournamentName: fixture.tournament.name,
+          matchDate: fixture.scheduledDate
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying result submission:', error);
+      throw error;
+    }
+  }
+
+  // Tell the organiser that the two captains' results don't match
+  async notifyResultDisputed(fixtureId, claims) {
+    try {
+      const Fixture = require('../models/Fixture');
+      
+      const fixture = await Fixture.findById(fixtureId)
+        .populate('tournament', 'name createdBy')
+        .populate({ path: 'participant1 participant2', populate: { path: 'captain', select: 'firstName lastName' } });
+
+      if (!fixture) {
+        throw new Error('Fixture not found');
+      }
+
+      const name1 = entrantName(fixture.participant1);
+      const name2 = entrantName(fixture.participant2);
+      const describeClaim = (claim) => `${claim.result.participant1Score}-${claim.result.participant2Score}` +
+        (claim.result.summary ? ` (${claim.result.summary})` : '');
+
+      return await this.createNotification({
+        recipient: fixture.tournament.createdBy,
+        type: 'tournament',
+        title: 'Match Result Disputed',
+        message: `The captains disagree on ${name1} vs ${name2} (${fixture.bracketPosition}) in ${fixture.tournament.name}. ` +
+          `${name1} reported ${describeClaim(claims[0])}; ${name2} reported ${describeClaim(claims[1])}. Please review and decide the result.`,
+        priority: 'urgent',
+        actionUrl: `/tournaments/${fixture.tournament._id}`,
+        actionText: 'Review Result',
+        relatedId: fixtureId,
+        relatedModel: 'Fixture',
+        metadata: {
+          tournamentName: fixture.tournament.name,
+          matchDate: fixture.scheduledDate
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying result dispute:', error);
+      throw error;
+    }
+  }
+
+  // Notify captains that a fixture was decided by walkover. The forfeiting
+  // captain can be left out, e.g. when they are told about a withdrawal once.
+  async notifyWalkover(fixtureId, { notifyForfeiting = true } = {}) {
+    try {
+      const Fixture = require('../models/Fixture');
+      
+      const fixture = await Fixture.findById(fixtureId)
+        .populate('tournament', 'name')
+        .populate({ path: 'participant1 participant2', populate: { path: 'captain', select: 'firstName lastName' } });
+
+      if (!fixture || !fixture.result || !fixture.result.forfeitedBy) {
+        throw new Error('Walkover fixture not found');
+      }
+
+      const forfeiting = fixture.result.forfeitedBy === 1 ? fixture.participant1 : fixture.participant2;
+      const awarded = fixture.result.forfeitedBy === 1 ? fixture.participant2 : fixture.participant1;
+      const reason = fixture.result.forfeitReason ? ` Reason: ${fixture.result.forfeitReason}` : '';
+      const notifications = [];
+
+      const base = {
+        type: 'tournament',
+        actionUrl: `/tournaments/${fixture.tournament._id}`,
+        actionText: 'View Tournament',
+        relatedId: fixtureId,
+        relatedModel: 'Fixture',
+        metadata: {
+          tournamentName: fixture.tournament.name,
+          matchDate: fixture.scheduledDate
+        }
+      };
+
+      notifications.push(await this.createNotification({
+        ...base,
+        recipient: awarded.captain._id,
+        title: 'Walkover Awarded',
+        message: `${entrantName(forfeiting)} forfeited your ${fixture.bracketPosition} match in ${fixture.tournament.name}. You have been awarded the win.${reason}`,
+        priority: 'high'
+      }));
+
+      if (notifyForfeiting) {
+        notifications.push(await this.createNotification({
+          ...base,
+          recipient: forfeiting.captain._id,
+          title: 'Walkover Recorded',
+          message: `Your ${fixture.bracketPosition} match in ${fixture.tournament.name} has been recorded as a forfeit.${reason}`,
+          priority: 'high'
+        }));
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error notifying walkover:', error);
+      throw error;
+    }
+  }
+
+  // Confirm to a captain that their entry has been withdrawn
+  async notifyWithdrawal(registrationId) {
+    try {
+      const Registration = require('../models/Registration');
+      
+      const registration = await Registration.findById(registrationId)
+        .populate('tournament', 'name');
+
+      if (!registration) {
+        throw new Error('Registration not found');
+      }
+
+      return await this.createNotification({
+        recipient: registration.captain,
+        type: 'tournament',
+        title: 'Withdrawn from Tournament',
+        message: `Your entry has been withdrawn from ${registration.tournament.name}. Your remaining matches have been awarded to your opponents.` +
+          (registration.withdrawalReason ? ` Reason: ${registration.withdrawalReason}` : ''),
+        priority: 'high',
+        actionUrl: `/tournaments/${registration.tournament._id}`,
+        actionText: 'View Tournament',
+        relatedId: registrationId,
+        relatedModel: 'Registration',
+        metadata: {
+          tournamentName: registration.tournament.name,
+          teamName: registration.teamName
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying withdrawal:', error);
+      throw error;
+    }
+  }
+
+  // Tell officials they have been appointed to a fixture
+  async notifyOfficialsAssigned(fixtureId, officialIds) {
+    try {
+      const Fixture = require('../models/Fixture');
+
+      const fixture = await Fixture.findById(fixtureId)
+        .populate('tournament', 'name')
+        .populate({ path: 'participant1 participant2', populate: { path: 'captain', select: 'firstName lastName' } });
+
+      if (!fixture) {
+        throw new Error('Fixture not found');
+      }
+
+      const matchup = [fixture.participant1, fixture.participant2]
+        .map(entrantName)
+        .join(' vs ');
+      const when = [
+        fixture.scheduledDate ? new Date(fixture.scheduledDate).toLocaleString('en-AU') : null,
+        fixture.court
+      ].filter(Boolean).join(', ');
+
+      const recipients = officialIds.map(String);
+      return await Promise.all(fixture.officials
+        .filter(assignment => recipients.includes(assignment.user.toString()))
+        .map(assignment => this.createNotification({
+          recipient: assignment.user,
+          type: 'schedule',
+          title: 'Officiating Appointment',
+          message: `You have been appointed ${assignment.role} for ${matchup} (${fixture.bracketPosition}) in ${fixture.tournament.name}${when ? ` on ${when}` : ''}.`,
+          priority: 'high',
+          actionUrl: '/dashboard?tab=officiating',
+          actionText: 'View Appointments',
+          relatedId: fixture._id,
+          relatedModel: 'Fixture',
+          metadata: {
+            tournamentName: fixture.tournament.name,
+            matchDate: fixture.scheduledDate,
+            venue: fixture.venue
+          }
+        })));
+    } catch (error) {
+      console.error('Error notifying official appointment:', error);
+      throw error;
+    }
+  }
+
   // Notify about tournament bracket updates
   async notifyBracketUpdate(tournamentId, updateMessage) {
     try {
@@ -205,6 +420,185 @@ class NotificationService {
     }
   }
 
+  // Offer a waitlisted entry the place that has opened for it, by
+  // notification and email with the payment details
+  async notifyWaitlistOffer(registrationId) {
+    try {
+      const Registration = require('../models/Registration');
+      const registration = await Registration.findById(registrationId)
+        .populate('captain', 'firstName lastName email')
+        .populate('tournament', 'name startDate entryFee organizerBankDetails divisions');
+
+      if (!registration) {
+        throw new Error('Registration not found');
+      }
+
+      // The entry fee is the division's, when the entry is in one
+      const tournament = forDivision(registration.tournament, registration.division);
+      const deadline = new Date(registration.offerExpiresAt).toLocaleString('en-AU');
+      const paymentInstructions = {
+        bankDetails: tournament.organizerBankDetails,
+        paymentReference: registration.paymentReference,
+        amount: tournament.entryFee
+      };
+
+      const notification = await this.createNotification({
+        recipient: registration.captain._id,
+        type: 'tournament',
+        title: 'A Place Has Opened',
+        message: `You're off the waitlist for ${tournament.name}! Pay the $${tournament.entryFee} entry fee (reference ${registration.paymentReference}) by ${deadline} to keep your place.`,
+        priority: 'urgent',
+        actionUrl: `/tournaments/${tournament._id}`,
+        actionText: 'Pay Now',
+        relatedId: registrationId,
+        relatedModel: 'Registration',
+        metadata: {
+          tournamentName: tournament.name,
+          amount: tournament.entryFee,
+          matchDate: tournament.startDate,
+          teamName: registration.teamName
+        }
+      });
+
+      await emailService.sendWaitlistEmail(registration.captain, tournament, registration, paymentInstructions);
+
+      return notification;
+    } catch (error) {
+      console.error('Error notifying waitlist offer:', error);
+      throw error;
+    }
+  }
+
+  // Tell an entry its waitlist offer lapsed without payment
+  async notifyWaitlistOfferExpired(registrationId) {
+    try {
+      const Registration = require('../models/Registration');
+      const registration = await Registration.findById(registrationId)
+        .populate('captain', 'firstName lastName email')
+        .populate('tournament', 'name entryFee');
+
+      if (!registration) {
+        throw new Error('Registration not found');
+      }
+
+      const notification = await this.createNotification({
+        recipient: registration.captain._id,
+        type: 'tournament',
+        title: 'Waitlist Offer Expired',
+        message: `Your offer of a place in ${registration.tournament.name} expired before payment was received, so it has passed to the next entry on the waitlist.`,
+        priority: 'high',
+        actionUrl: `/tournaments/${registration.tournament._id}`,
+        actionText: 'View Tournament',
+        relatedId: registrationId,
+        relatedModel: 'Registration',
+        metadata: {
+          tournamentName: registration.tournament.name,
+          teamName: registration.teamName
+        }
+      });
+
+      await emailService.sendWaitlistEmail(registration.captain, registration.tournament, registration, null, true);
+
+      return notification;
+    } catch (error) {
+      console.error('Error notifying waitlist expiry:', error);
+      throw error;
+    }
+  }
+
+  // Ask invitees to join a team: a notification for those with accounts and
+  // an email with accept/decline links for everyone. Takes the invitation
+  // documents as created, since their tokens are not read back.
+  async notifyTeamInvitations(registrationId, invitations) {
+    try {
+      const Registration = require('../models/Registration');
+      const registration = await Registration.findById(registrationId)
+        .populate('captain', 'firstName lastName email')
+        .populate('tournament', 'name sport startDate endDate venue');
+
+      if (!registration) {
+        throw new Error('Registration not found');
+      }
+
+      const { captain, tournament } = registration;
+      const notifications = [];
+
+      for (const invitation of invitations) {
+        if (invitation.user) {
+          notifications.push(await this.createNotification({
+            recipient: invitation.user,
+            type: 'team',
+            title: 'Team Invitation',
+            message: `${captain.firstName} ${captain.lastName} has invited you to play for ${registration.teamName} in ${tournament.name}.`,
+            priority: 'high',
+            actionUrl: `/invitations/${invitation.token}`,
+            actionText: 'Respond',
+            relatedId: registrationId,
+            relatedModel: 'Registration',
+            metadata: {
+              tournamentName: tournament.name,
+              teamName: registration.teamName
+            }
+          }));
+        }
+
+        await emailService.sendTeamInvitationEmail(invitation, tournament, registration, captain);
+      }
+
+      return notifications;
+    } catch (error) {
+      console.error('Error notifying team invitations:', error);
+      throw error;
+    }
+  }
+
+  // Tell a captain an invitee has answered, and whether the roster is complete
+  async notifyInvitationResponse(invitationId) {
+    try {
+      const TeamInvitation = require('../models/TeamInvitation');
+      const invitation = await TeamInvitation.findById(invitationId)
+        .populate('user', 'firstName lastName')
+        .populate('registration', 'captain teamName teamMembers minRosterSize rosterComplete')
+        .populate('tournament', 'name');
+
+      if (!invitation) {
+        throw new Error('Invitation not found');
+      }
+
+      const { registration, tournament } = invitation;
+      const name = invitation.user
+        ? `${invitation.user.firstName} ${invitation.user.lastName}`
+        : invitation.email;
+      const accepted = invitation.status === 'Accepted';
+
+      let message = `${name} has ${accepted ? 'accepted' : 'declined'} your invitation to join ${registration.teamName} in ${tournament.name}.`;
+      if (registration.rosterComplete) {
+        message += ' Your roster is complete.';
+      } else {
+        message += ` ${registration.teamMembers.length} of ${registration.minRosterSize} players needed have accepted.`;
+      }
+
+      return await this.createNotification({
+        recipient: registration.captain,
+        type: 'team',
+        title: accepted ? 'Invitation Accepted' : 'Invitation Declined',
+        message,
+        priority: accepted ? 'medium' : 'high',
+        actionUrl: '/dashboard?tab=registrations',
+        actionText: 'View Roster',
+        relatedId: registration._id,
+        relatedModel: 'Registration',
+        metadata: {
+          tournamentName: tournament.name,
+          teamName: registration.teamName
+        }
+      });
+    } catch (error) {
+      console.error('Error notifying invitation response:', error);
+      throw error;
+    }
+  }
+
   // Notify about upcoming tournaments (24 hours before)
   async notifyUpcomingTournaments() {
     try {
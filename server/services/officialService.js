@@ -0,0 +1,120 @@
+const Fixture = require('../models/Fixture');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const { fixtureInterval, assignOfficials } = require('../utils/officialAssignment');
+const { idOf } = require('../utils/ids');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const OFFICIAL_FIELDS = 'firstName lastName email phone official';
+
+class OfficialService {
+  // Users accredited to officiate a sport
+  async getOfficials(sport) {
+    return User.find({
+      'official.isOfficial': true,
+      'official.accreditations.sport': sport
+    }).select(OFFICIAL_FIELDS);
+  }
+
+  // Each official's fixtures between two dates, both the ones they officiate
+  // and the ones they play in, as a Map of official id to
+  // [{ fixtureId, start, end, playing }]
+  async getCommitments(officialIds, from, to) {
+    const ids = officialIds.map(idOf);
+    const commitments = new Map(ids.map(id => [id, []]));
+    if (ids.length === 0) return commitments;
+
+    // A day either side catches long fixtures and back-to-back runs at the edges
+    const scheduledDate = { $gte: new Date(from.getTime() - DAY), $lte: new Date(to.getTime() + DAY) };
+    const status = { $ne: 'Cancelled' };
+
+    const officiated = await Fixture.find({ 'officials.user': { $in: ids }, scheduledDate, status })
+      .select('scheduledDate estimatedDuration officials');
+    officiated.forEach(fixture => fixture.officials
+      .filter(assignment => commitments.has(idOf(assignment.user)))
+      .forEach(assignment => commitments.get(idOf(assignment.user)).push({
+        fixtureId: idOf(fixture._id),
+        ...fixtureInterval(fixture),
+        playing: false
+      })));
+
+    const entries = await Registration.find({
+      $or: [{ captain: { $in: ids } }, { teamMembers: { $in: ids } }],
+      status: 'Approved'
+    }).select('captain teamMembers');
+    if (entries.length === 0) return commitments;
+
+    const entryIds = entries.map(entry => entry._id);
+    const played = await Fixture.find({
+      $or: [{ participant1: { $in: entryIds } }, { participant2: { $in: entryIds } }],
+      scheduledDate,
+      status
+    }).select('scheduledDate estimatedDuration participant1 participant2');
+
+    played.forEach(fixture => {
+      const sides = [idOf(fixture.participant1), idOf(fixture.participant2)];
+      const players = new Set(entries
+        .filter(entry => sides.includes(idOf(entry._id)))
+        .flatMap(entry => [entry.captain, ...entry.teamMembers])
+        .map(idOf));
+
+      players.forEach(player => {
+        if (!commitments.has(player)) return;
+        commitments.get(player).push({ fixtureId: idOf(fixture._id), ...fixtureInterval(fixture), playing: true });
+      });
+    });
+
+    return commitments;
+  }
+
+  // Appoint officials to every scheduled fixture in a tournament that still
+  // has open places. Fixtures wait until both sides are known, so conflicts of
+  // interest can be checked. Returns { assignments, unfilled }.
+  async autoAssign(tournament, assignedBy) {
+    const fixtures = await Fixture.find({
+      tournament: tournament._id,
+      status: { $in: ['Scheduled', 'Postponed'] },
+      scheduledDate: { $exists: true, $ne: null },
+      isBye: false,
+      participant1: { $ne: null },
+      participant2: { $ne: null }
+    }).populate('participant1 participant2', 'captain teamMembers teamName');
+
+    if (fixtures.length === 0) return { assignments: [], unfilled: [] };
+
+    const officials = await this.getOfficials(tournament.sport);
+    const times = fixtures.map(fixture => fixtureInterval(fixture));
+    const commitments = await this.getCommitments(
+      officials.map(official => official._id),
+      new Date(Math.min(...times.map(time => time.start))),
+      new Date(Math.max(...times.map(time => time.end)))
+    );
+
+    const result = assignOfficials(fixtures, officials, {
+      sport: tournament.sport,
+      settings: tournament.officiating,
+      commitments
+    });
+
+    const byFixture = new Map();
+    result.assignments.forEach(({ fixture, official, role }) => {
+      const id = idOf(fixture._id);
+      if (!byFixture.has(id)) byFixture.set(id, []);
+      byFixture.get(id).push({ user: official._id, role, autoAssigned: true, assignedBy });
+    });
+
+    if (byFixture.size > 0) {
+      await Fixture.bulkWrite([...byFixture].map(([id, assignments]) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $push: { officials: { $each: assignments } } }
+        }
+      })));
+    }
+
+    return result;
+  }
+}
+
+module.exports = new OfficialService();
@@ -0,0 +1,201 @@
+const Fixture = require('../models/Fixture');
+const Rating = require('../models/Rating');
+const RatingHistory = require('../models/RatingHistory');
+const Tournament = require('../models/Tournament');
+const {
+  DEFAULT_K_FACTOR,
+  initialRating,
+  calculateRatingChanges,
+  rosterRating,
+  isRatedFixture,
+  scoreFor
+} = require('../utils/elo');
+const { idOf } = require('../utils/ids');
+
+// The tally a fixture's score counts towards
+const resultField = (score) => {
+  if (score === 1) return 'wins';
+  if (score === 0) return 'losses';
+  return 'draws';
+};
+
+// The rating a player's or a team roster's change applies to
+const ratingFilter = ({ user, registration, sport }) => (user ? { user, sport } : { registration });
+
+class RatingService {
+  // K-factor for a tournament's fixtures
+  getKFactor(tournament) {
+    return (tournament.ratings && tournament.ratings.kFactor) || DEFAULT_K_FACTOR;
+  }
+
+  // Current rating for a user in a sport, starting from their skill level
+  async getUserRating(user, sport) {
+    const existing = await Rating.findOne({ user: user._id, sport });
+    return existing || new Rating({ user: user._id, sport, rating: initialRating(user.skillLevel) });
+  }
+
+  // Load the ratings one entry plays at: its members' and, for a team, its
+  // roster's, which starts at the members' average
+  async loadSide(registration, sport) {
+    const players = [registration.captain, ...(registration.type === 'Team' ? registration.teamMembers : [])]
+      .filter(Boolean)
+      .filter((player, index, all) => all.findIndex(other => idOf(other) === idOf(player)) === index);
+    const members = await Promise.all(players.map(player => this.getUserRating(player, sport)));
+
+    let roster = null;
+    if (registration.type === 'Team') {
+      roster = await Rating.findOne({ registration: registration._id }) ||
+        new Rating({ registration: registration._id, sport, rating: rosterRating(members.map(member => member.rating)) });
+    }
+
+    return {
+      registration,
+      members,
+      roster,
+      rating: roster ? roster.rating : members[0].rating
+    };
+  }
+
+  // Update ratings for a completed fixture. Byes, walkovers and fixtures that
+  // were already rated are skipped. Returns the history entries written.
+  async rateFixture(fixtureId) {
+    const fixture = await Fixture.findById(fixtureId)
+      .populate('tournament')
+      .populate({
+        path: 'participant1 participant2',
+        populate: { path: 'captain teamMembers', select: 'skillLevel' }
+      });
+
+    if (!fixture || !isRatedFixture(fixture)) return [];
+    const { tournament } = fixture;
+    if (tournament.ratings && tournament.ratings.enabled === false) return [];
+    if (await RatingHistory.exists({ fixture: fixture._id })) return [];
+
+    const sport = tournament.sport;
+    const kFactor = this.getKFactor(tournament);
+    const playedAt = (fixture.result && fixture.result.completedAt) || fixture.updatedAt || new Date();
+    const sides = [
+      await this.loadSide(fixture.participant1, sport),
+      await this.loadSide(fixture.participant2, sport)
+    ];
+    const changes = calculateRatingChanges(sides[0].rating, sides[1].rating, scoreFor(fixture), kFactor);
+    const history = [];
+
+    for (const [index, side] of sides.entries()) {
+      const change = changes[`participant${index + 1}`];
+      const opponent = sides[1 - index].registration._id;
+
+      for (const rating of [side.roster, ...side.members].filter(Boolean)) {
+        const updated = await this.applyChange(rating, change, playedAt);
+
+        history.push({
+          user: rating.user,
+          registration: side.registration._id,
+          sport,
+          fixture: fixture._id,
+          tournament: tournament._id,
+          opponent,
+          ratingBefore: updated.rating - change.change,
+          ratingAfter: updated.rating,
+          change: change.change,
+          expectedScore: change.expectedScore,
+          score: change.score,
+          kFactor,
+          playedAt
+        });
+      }
+    }
+
+    return RatingHistory.insertMany(history);
+  }
+
+  // Add one fixture's change to a rating with $inc, so results recorded at the
+  // same time don't overwrite each other. A rating not saved yet is created at
+  // its starting value first. Resolves to the updated rating.
+  async applyChange(rating, { change, score }, playedAt) {
+    const filter = ratingFilter(rating);
+
+    if (rating.isNew) {
+      try {
+        await Rating.updateOne(filter, { $setOnInsert: { sport: rating.sport, rating: rating.rating } }, { upsert: true });
+      } catch (error) {
+        // Another result created it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return Rating.findOneAndUpdate(filter, {
+      $inc: { rating: change, matchesPlayed: 1, [resultField(score)]: 1 },
+      $set: { lastPlayedAt: playedAt }
+    }, { new: true });
+  }
+
+  // Take back the rating changes a fixture made. Returns the history entries
+  // removed.
+  async unrateFixture(fixtureId) {
+    const history = await RatingHistory.find({ fixture: fixtureId });
+
+    for (const entry of history) {
+      await Rating.updateOne(ratingFilter(entry), {
+        $inc: { rating: -entry.change, matchesPlayed: -1, [resultField(entry.score)]: -1 }
+      });
+    }
+    await RatingHistory.deleteMany({ fixture: fixtureId });
+
+    return history;
+  }
+
+  // Rate a fixture again after its result changed: its old changes are taken
+  // back and its current result, if any, rated. A fixture that was reset or
+  // removed since is only taken back.
+  async rerateFixture(fixtureId) {
+    await this.unrateFixture(fixtureId);
+    return this.rateFixture(fixtureId);
+  }
+
+  // Throw away ratings (for one sport, or all) and replay every completed
+  // fixture in the order it was played
+  async recomputeRatings({ sport } = {}) {
+    const filter = sport ? { sport } : {};
+    await Rating.deleteMany(filter);
+    await RatingHistory.deleteMany(filter);
+
+    const tournaments = await Tournament.find(filter).select('_id');
+    const fixtures = await Fixture.find({
+      tournament: { $in: tournaments.map(tournament => tournament._id) },
+      status: 'Completed',
+      isBye: false
+    }).select('result.completedAt updatedAt');
+
+    const playedAt = (fixture) => new Date((fixture.result && fixture.result.completedAt) || fixture.updatedAt);
+    fixtures.sort((a, b) => playedAt(a) - playedAt(b));
+
+    let fixturesRated = 0;
+    for (const fixture of fixtures) {
+      const history = await this.rateFixture(fixture._id);
+      if (history.length > 0) fixturesRated++;
+    }
+
+    return {
+      fixturesRated,
+      ratings: await Rating.countDocuments(filter)
+    };
+  }
+
+  // A user's current ratings and how they got there, oldest change first
+  async getUserTimeline(userId, { sport } = {}) {
+    const filter = sport ? { user: userId, sport } : { user: userId };
+
+    const [ratings, history] = await Promise.all([
+      Rating.find(filter).sort({ rating: -1 }),
+      RatingHistory.find(filter)
+        .populate('tournament', 'name')
+        .populate({ path: 'opponent', select: 'teamName captain type', populate: { path: 'captain', select: 'firstName lastName' } })
+        .sort({ playedAt: 1 })
+    ]);
+
+    return { ratings, history };
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,403 @@
+const Fixture = require('../models/Fixture');
+const { idOf } = require('../utils/ids');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  dailyStartTime: '09:00',
+  dailyEndTime: '18:00',
+  courts: ['Court 1'],
+  minRestMinutes: 30,
+  changeoverMinutes: 0
+};
+
+class SchedulingService {
+  // Merge request options over the tournament's stored scheduling settings
+  resolveOptions(tournament, overrides = {}) {
+    const stored = tournament.scheduling ? tournament.scheduling.toObject?.() || tournament.scheduling : {};
+    const options = { ...DEFAULT_OPTIONS };
+
+    Object.keys(DEFAULT_OPTIONS).forEach(key => {
+      if (overrides[key] !== undefined && overrides[key] !== null) {
+        options[key] = overrides[key];
+      } else if (stored[key] !== undefined && stored[key] !== null && !(Array.isArray(stored[key]) && stored[key].length === 0)) {
+        options[key] = stored[key];
+      }
+    });
+
+    options.days = Array.isArray(overrides.days) && overrides.days.length > 0
+      ? overrides.days.map(day => String(day).slice(0, 10))
+      : this.getTournamentDays(tournament.startDate, tournament.endDate);
+    options.venue = overrides.venue || tournament.venue;
+    return options;
+  }
+
+  // Every calendar day from start to end inclusive, as YYYY-MM-DD strings
+  getTournamentDays(startDate, endDate) {
+    const days = [];
+    const current = new Date(startDate);
+    current.setHours(0, 0, 0, 0);
+    const last = new Date(endDate || startDate);
+    last.setHours(0, 0, 0, 0);
+
+    while (current <= last) {
+      const month = String(current.getMonth() + 1).padStart(2, '0');
+      const day = String(current.getDate()).padStart(2, '0');
+      days.push(`${current.getFullYear()}-${month}-${day}`);
+      current.setDate(current.getDate() + 1);
+    }
+
+    return days;
+  }
+
+  // Daily playing windows as [start, end] Date pairs in local time
+  getDayWindows(days, dailyStartTime, dailyEndTime) {
+    return days
+      .map(day => [new Date(`${day}T${dailyStartTime}:00`), new Date(`${day}T${dailyEndTime}:00`)])
+      .filter(([start, end]) => end > start)
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  // Earliest start on a court at or after `earliest` that fits `duration`
+  // inside one of the day windows without overlapping the court's bookings
+  findCourtSlot(bookings, windows, earliest, duration, changeover) {
+    for (const [windowStart, windowEnd] of windows) {
+      let start = new Date(Math.max(earliest, windowStart));
+
+      for (const booking of bookings) {
+        if (start.getTime() + duration <= booking.start.getTime() - changeover) break;
+        if (booking.end.getTime() + changeover > start.getTime()) {
+          start = new Date(booking.end.getTime() + changeover);
+        }
+      }
+
+      if (start.getTime() + duration <= windowEnd.getTime()) {
+        return start;
+      }
+    }
+
+    return null;
+  }
+
+  // Assign times and courts to fixtures. Fixtures already in progress or
+  // completed keep their slot and block their court and participants; byes are
+  // skipped. A fixture can't start until every fixture in its previousMatches
+  // has finished, and participants get at least minRestMinutes between matches.
+  // Fixtures that don't fit are reported rather than double-booked.
+  scheduleFixtures(fixtures, options) {
+    const {
+      days,
+      dailyStartTime,
+      dailyEndTime,
+      courts,
+      minRestMinutes,
+      changeoverMinutes,
+      venue
+    } = { ...DEFAULT_OPTIONS, ...options };
+    const windows = this.getDayWindows(days || [], dailyStartTime, dailyEndTime);
+    const rest = minRestMinutes * MINUTE;
+    const changeover = changeoverMinutes * MINUTE;
+
+    const courtBookings = new Map(courts.map(court => [court, []]));
+    const participantFreeAt = new Map();
+    const fixtureEnds = new Map();
+    const scheduled = [];
+    const unscheduled = [];
+
+    const book = (court, start, end) => {
+      if (!courtBookings.has(court)) courtBookings.set(court, []);
+      const bookings = courtBookings.get(court);
+      bookings.push({ start, end });
+      bookings.sort((a, b) => a.start - b.start);
+    };
+
+    const markParticipantsBusy = (fixture, end) => {
+      [fixture.participant1, fixture.participant2].filter(Boolean).forEach(participant => {
+        const key = idOf(participant);
+        participantFreeAt.set(key, Math.max(participantFreeAt.get(key) || 0, end.getTime() + rest));
+      });
+    };
+
+    const toSchedule = [];
+
+    fixtures.forEach(fixture => {
+      const duration = (fixture.estimatedDuration || 60) * MINUTE;
+
+      if (fixture.isBye) {
+        fixtureEnds.set(idOf(fixture._id), 0);
+      } else if (['Completed', 'InProgress', 'Disputed', 'Cancelled'].includes(fixture.status)) {
+        if (fixture.scheduledDate) {
+          const start = new Date(fixture.scheduledDate);
+          const end = fixture.result?.completedAt
+            ? new Date(fixture.result.completedAt)
+            : new Date(start.getTime() + duration);
+          if (fixture.court && fixture.status !== 'Cancelled') book(fixture.court, start, end);
+          if (fixture.status !== 'Cancelled') markParticipantsBusy(fixture, end);
+          fixtureEnds.set(idOf(fixture._id), end.getTime());
+        } else {
+          fixtureEnds.set(idOf(fixture._id), 0);
+        }
+      } else {
+        toSchedule.push(fixture);
+      }
+    });
+
+    const knownFixtures = new Set(fixtures.map(fixture => idOf(fixture._id)));
+    const failed = new Set();
+    let pending = toSchedule.sort((a, b) => a.round - b.round || a.matchNumber - b.matchNumber);
+
+    const scheduleOne = (fixture) => {
+      const duration = (fixture.estimatedDuration || 60) * MINUTE;
+      const dependencies = (fixture.previousMatches || []).map(idOf).filter(id => knownFixtures.has(id));
+
+      if (dependencies.some(dependency => failed.has(dependency))) {
+        failed.add(idOf(fixture._id));
+        unscheduled.push({
+          fixtureId: idOf(fixture._id),
+          bracketPosition: fixture.bracketPosition,
+          reason: 'Depends on a fixture that could not be scheduled'
+        });
+        return;
+      }
+
+      const participantKeys = [fixture.participant1, fixture.participant2].filter(Boolean).map(idOf);
+      const earliest = Math.max(
+        0,
+        ...dependencies.map(dependency => fixtureEnds.get(dependency) + rest),
+        ...participantKeys.map(key => participantFreeAt.get(key) || 0)
+      );
+
+      let best = null;
+      courts.forEach(court => {
+        const start = this.findCourtSlot(courtBookings.get(court), windows, earliest, duration, changeover);
+        if (start && (!best || start < best.start)) {
+          best = { court, start };
+        }
+      });
+
+      if (!best) {
+        failed.add(idOf(fixture._id));
+        unscheduled.push({
+          fixtureId: idOf(fixture._id),
+          bracketPosition: fixture.bracketPosition,
+          reason: 'No court time left within the tournament days'
+        });
+        return;
+      }
+
+      const end = new Date(best.start.getTime() + duration);
+      book(best.court, best.start, end);
+      markParticipantsBusy(fixture, end);
+      fixtureEnds.set(idOf(fixture._id), end.getTime());
+
+      scheduled.push({
+        fixtureId: idOf(fixture._id),
+        bracketPosition: fixture.bracketPosition,
+        scheduledDate: best.start,
+        court: best.court,
+        venue
+      });
+    };
+
+    // Work in round order, but only take a fixture once everything feeding it
+    // has been placed (or has failed), since round numbers across winners and
+    // losers brackets don't give a strict dependency order
+    while (pending.length > 0) {
+      const isResolved = (id) => !knownFixtures.has(id) || fixtureEnds.has(id) || failed.has(id);
+      const ready = pending.find(fixture => (fixture.previousMatches || []).map(idOf).every(isResolved));
+
+      if (!ready) {
+        pending.forEach(fixture => {
+          unscheduled.push({
+            fixtureId: idOf(fixture._id),
+            bracketPosition: fixture.bracketPosition,
+            reason: 'Circular bracket dependency'
+          });
+        });
+        break;
+      }
+
+      scheduleOne(ready);
+      pending = pending.filter(fixture => fixture !== ready);
+    }
+
+    return { scheduled, unscheduled };
+  }
+
+  // Schedule every open fixture of a tournament and save the assignments
+  async scheduleTournament(tournament, overrides = {}) {
+    const options = this.resolveOptions(tournament, overrides);
+    const fixtures = await Fixture.find({ tournament: tournament._id });
+    const report = this.scheduleFixtures(fixtures, options);
+
+    if (report.scheduled.length > 0) {
+      await Fixture.bulkWrite(report.scheduled.map(assignment => ({
+        updateOne: {
+          filter: { _id: assignment.fixtureId },
+          update: {
+            $set: {
+              scheduledDate: assignment.scheduledDate,
+              court: assignment.court,
+              venue: assignment.venue
+            }
+          }
+        }
+      })));
+    }
+
+    return report;
+  }
+
+  // First start at or after `start` that fits inside a playing window, or
+  // null if the fixture can't fit in any remaining playing day
+  fitToWindows(start, duration, windows) {
+    if (windows.length === 0) return start;
+
+    for (const [windowStart, windowEnd] of windows) {
+      const candidate = new Date(Math.max(start, windowStart));
+      if (candidate.getTime() + duration <= windowEnd.getTime()) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  // Push a fixture to a new start and cascade the delay to everything that
+  // depends on it: later fixtures on the same court, later fixtures involving
+  // the same participants (with rest), and the fixtures its winner or loser
+  // feeds. Fixtures only ever move later, and ones already started or finished
+  // stay put. Returns the list of changes and any fixtures that no longer fit
+  // inside the tournament days.
+  reflowSchedule(fixtures, fixtureId, newStart, options) {
+    const {
+      days,
+      dailyStartTime,
+      dailyEndTime,
+      minRestMinutes,
+      changeoverMinutes
+    } = { ...DEFAULT_OPTIONS, ...options };
+    const windows = this.getDayWindows(days || [], dailyStartTime, dailyEndTime);
+    const rest = minRestMinutes * MINUTE;
+    const changeover = changeoverMinutes * MINUTE;
+
+    const byId = new Map(fixtures.map(fixture => [idOf(fixture._id), fixture]));
+    const originalStarts = new Map(fixtures
+      .filter(fixture => fixture.scheduledDate)
+      .map(fixture => [idOf(fixture._id), new Date(fixture.scheduledDate).getTime()]));
+    const starts = new Map(originalStarts);
+    const durationOf = (fixture) => (fixture.estimatedDuration || 60) * MINUTE;
+    const participantsOf = (fixture) =>
+      [fixture.participant1, fixture.participant2].filter(Boolean).map(idOf);
+    const isMovable = (fixture) => ['Scheduled', 'Postponed'].includes(fixture.status) && !fixture.isBye;
+    const unplaceable = new Set();
+
+    // Fixtures that have to wait for `fixture` to finish, with the gap they need
+    const dependentsOf = (fixture) => {
+      const id = idOf(fixture._id);
+      const originalStart = originalStarts.get(id);
+      const participants = participantsOf(fixture);
+      const dependents = [];
+
+      fixtures.forEach(other => {
+        const otherId = idOf(other._id);
+        if (otherId === id || !isMovable(other) || !starts.has(otherId)) return;
+
+        const feeds = [fixture.nextMatchId, fixture.loserNextMatchId].filter(Boolean).map(idOf).includes(otherId) ||
+          (other.previousMatches || []).map(idOf).includes(id);
+        const comesAfter = originalStarts.get(otherId) > originalStart;
+        const sameCourt = comesAfter && fixture.court && other.court === fixture.court;
+        const sharesParticipant = comesAfter &&
+          participantsOf(other).some(participant => participants.includes(participant));
+
+        if (feeds || sharesParticipant) {
+          dependents.push({ fixture: other, gap: rest });
+        } else if (sameCourt) {
+          dependents.push({ fixture: other, gap: changeover });
+        }
+      });
+
+      return dependents;
+    };
+
+    const moved = byId.get(String(fixtureId));
+    if (!moved) {
+      throw new Error('Fixture not found in tournament schedule');
+    }
+
+    // The delayed fixture has to fit the playing days just like those after it
+    const movedId = idOf(moved._id);
+    const fittedStart = this.fitToWindows(new Date(newStart), durationOf(moved), windows);
+    if (!fittedStart) unplaceable.add(movedId);
+    starts.set(movedId, (fittedStart || new Date(newStart)).getTime());
+    const queue = [moved];
+
+    while (queue.length > 0) {
+      const fixture = queue.shift();
+      const end = starts.get(idOf(fixture._id)) + durationOf(fixture);
+
+      dependentsOf(fixture).forEach(({ fixture: dependent, gap }) => {
+        const dependentId = idOf(dependent._id);
+        const required = end + gap;
+        if (starts.get(dependentId) >= required) return;
+
+        const fitted = this.fitToWindows(new Date(required), durationOf(dependent), windows);
+        if (!fitted) unplaceable.add(dependentId);
+        starts.set(dependentId, (fitted || new Date(required)).getTime());
+        queue.push(dependent);
+      });
+    }
+
+    const changes = [];
+    starts.forEach((start, id) => {
+      if (start === originalStarts.get(id)) return;
+      const fixture = byId.get(id);
+      changes.push({
+        fixtureId: id,
+        bracketPosition: fixture.bracketPosition,
+        court: fixture.court,
+        originalDate: originalStarts.has(id) ? new Date(originalStarts.get(id)) : null,
+        newDate: new Date(start)
+      });
+    });
+
+    changes.sort((a, b) => a.newDate - b.newDate);
+
+    return {
+      changes,
+      unplaceable: changes.filter(change => unplaceable.has(change.fixtureId))
+    };
+  }
+
+  // Reflow a tournament's schedule around one delayed or postponed fixture
+  // and save every moved fixture
+  async reflowTournament(tournament, fixtureId, newStart, { postpone = false, ...overrides } = {}) {
+    const options = this.resolveOptions(tournament, overrides);
+    const fixtures = await Fixture.find({ tournament: tournament._id });
+    const report = this.reflowSchedule(fixtures, fixtureId, newStart, options);
+
+    const updates = report.changes.map(change => ({
+      updateOne: {
+        filter: { _id: change.fixtureId },
+        update: { $set: { scheduledDate: change.newDate } }
+      }
+    }));
+
+    if (postpone) {
+      updates.push({
+        updateOne: {
+          filter: { _id: fixtureId },
+          update: { $set: { status: 'Postponed' } }
+        }
+      });
+    }
+
+    if (updates.length > 0) {
+      await Fixture.bulkWrite(updates);
+    }
+
+    return report;
+  }
+}
+
+module.exports = new SchedulingService();
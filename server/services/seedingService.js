@@ -0,0 +1,143 @@
+const Fixture = require('../models/Fixture');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const { calculateSeedRating, orderBySeed } = require('../utils/seeding');
+const { inDivision } = require('../utils/divisions');
+const { idOf } = require('../utils/ids');
+
+// Everyone playing in an entry: the captain plus any team members
+const playersOf = (registration) => [registration.captain, ...(registration.teamMembers || [])]
+  .filter(Boolean)
+  .map(idOf);
+
+class SeedingService {
+  // Win/loss/draw record of each entry's players in earlier tournaments of the
+  // same sport. A fixture counts once per entry however many of its players
+  // took part. Returns a Map of registration id to { wins, losses, draws }.
+  async getPastRecords(tournament, registrations) {
+    const records = new Map(registrations.map(registration => [
+      idOf(registration._id),
+      { wins: 0, losses: 0, draws: 0 }
+    ]));
+
+    const players = [...new Set(registrations.flatMap(playersOf))];
+    if (players.length === 0) return records;
+
+    const earlierTournaments = await Tournament.find({
+      sport: tournament.sport,
+      _id: { $ne: tournament._id }
+    }).select('_id');
+
+    const pastEntries = await Registration.find({
+      tournament: { $in: earlierTournaments.map(t => t._id) },
+      $or: [
+        { captain: { $in: players } },
+        { teamMembers: { $in: players } }
+      ]
+    }).select('captain teamMembers');
+    if (pastEntries.length === 0) return records;
+
+    const fixtures = await Fixture.find({
+      status: 'Completed',
+      isBye: false,
+      $or: [
+        { participant1: { $in: pastEntries.map(entry => entry._id) } },
+        { participant2: { $in: pastEntries.map(entry => entry._id) } }
+      ]
+    }).select('participant1 participant2 winner');
+
+    registrations.forEach(registration => {
+      const entryPlayers = new Set(playersOf(registration));
+      const pastIds = new Set(pastEntries
+        .filter(entry => playersOf(entry).some(player => entryPlayers.has(player)))
+        .map(entry => idOf(entry._id)));
+      const record = records.get(idOf(registration._id));
+
+      fixtures.forEach(fixture => {
+        const onSide1 = pastIds.has(idOf(fixture.participant1));
+        const onSide2 = pastIds.has(idOf(fixture.participant2));
+        // Players who met each other say nothing about the entry as a whole
+        if (onSide1 === onSide2) return;
+
+        const side = onSide1 ? fixture.participant1 : fixture.participant2;
+        if (!fixture.winner) {
+          record.draws++;
+        } else if (idOf(fixture.winner) === idOf(side)) {
+          record.wins++;
+        } else {
+          record.losses++;
+        }
+      });
+    });
+
+    return records;
+  }
+
+  // Seed a tournament's approved entrants. Manual seeds come from `seeds`
+  // ([{ registrationId, seed }]) or, when none are given, from the seeds the
+  // organiser saved earlier. With the rating method everyone else is ordered
+  // by rating; otherwise by registration date. Returns the entrants in seed
+  // order as { registration, seed, rating, record, source }. Seen from a
+  // division (see utils/divisions), only its entrants are seeded.
+  async seedEntrants(tournament, { method = 'rating', seeds } = {}) {
+    const registrations = await Registration.find({
+      tournament: tournament._id,
+      ...inDivision(tournament),
+      status: 'Approved'
+    })
+      .populate('captain teamMembers', 'firstName lastName skillLevel')
+      .sort({ registrationDate: 1 });
+
+    const manualSeeds = new Map(Array.isArray(seeds)
+      ? seeds.map(({ registrationId, seed }) => [String(registrationId), seed])
+      : registrations
+        .filter(registration => registration.seedSource === 'manual' && registration.seed)
+        .map(registration => [idOf(registration._id), registration.seed]));
+
+    const records = method === 'rating'
+      ? await this.getPastRecords(tournament, registrations)
+      : new Map();
+
+    const entrants = registrations.map(registration => {
+      const id = idOf(registration._id);
+      const record = records.get(id);
+      const skillLevels = [registration.captain, ...(registration.teamMembers || [])]
+        .filter(player => player && player.skillLevel)
+        .map(player => player.skillLevel);
+
+      return {
+        id,
+        registration,
+        seed: manualSeeds.get(id),
+        record,
+        rating: method === 'rating' ? calculateSeedRating(skillLevels, record) : undefined,
+        registrationDate: registration.registrationDate
+      };
+    });
+
+    return orderBySeed(entrants, { method }).map(({ registration, seed, rating, record, source }) => ({
+      registration,
+      seed,
+      rating,
+      record,
+      source
+    }));
+  }
+
+  // Store the seeds on the registrations so the draw, bracket and standings
+  // can show them
+  async saveSeeds(seeded) {
+    if (seeded.length === 0) return;
+
+    await Registration.bulkWrite(seeded.map(({ registration, seed, rating, source }) => ({
+      updateOne: {
+        filter: { _id: registration._id },
+        update: rating === undefined
+          ? { $set: { seed, seedSource: source }, $unset: { seedRating: '' } }
+          : { $set: { seed, seedSource: source, seedRating: rating } }
+      }
+    })));
+  }
+}
+
+module.exports = new SeedingService();
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const Registration = require('../models/Registration');
+const TeamInvitation = require('../models/TeamInvitation');
+const User = require('../models/User');
+const { ACTIVE_STATUSES, normaliseEmail, planInvitations, rosterSummary } = require('../utils/teamInvitations');
+const { idOf } = require('../utils/ids');
+
+class TeamInvitationService {
+  // Work out who a captain's list invites (see utils/teamInvitations), also
+  // refusing account holders already entered in the tournament, or in the
+  // division when entry is { tournament, division }. Resolves to
+  // { invitees, problems }; problems add the reason alreadyEntered.
+  async prepare(entry, requested, captain, registrationId = null) {
+    const userIds = requested.filter(invitee => invitee.userId).map(invitee => invitee.userId);
+    const emails = requested.filter(invitee => invitee.email).map(invitee => normaliseEmail(invitee.email));
+
+    const users = await User.find({
+      $or: [{ _id: { $in: userIds } }, { email: { $in: emails } }]
+    }).select('firstName lastName email');
+
+    const existing = registrationId
+      ? await TeamInvitation.find({ registration: registrationId, status: { $in: ACTIVE_STATUSES } })
+      : [];
+
+    const { invitees, problems } = planInvitations(requested, { users, captain, existing });
+
+    const entered = await this.findEntered(entry, invitees.map(invitee => invitee.user).filter(Boolean));
+    return {
+      invitees: invitees.filter(invitee => !invitee.user || !entered.has(String(invitee.user))),
+      problems: [
+        ...problems,
+        ...invitees
+          .filter(invitee => invitee.user && entered.has(String(invitee.user)))
+          .map(invitee => ({ invitee: { userId: invitee.user, email: invitee.email }, reason: 'alreadyEntered' }))
+      ]
+    };
+  }
+
+  // Which of these users already captain or play for an entry in the
+  // tournament, or in its division when it has them. Players may enter
+  // several divisions of a tournament, once each.
+  async findEntered({ tournament, division }, userIds) {
+    if (userIds.length === 0) return new Set();
+
+    const registrations = await Registration.find({
+      tournament: idOf(tournament),
+      division: division || null,
+      $or: [
+        { captain: { $in: userIds } },
+        { teamMembers: { $in: userIds } }
+      ]
+    }).select('captain teamMembers');
+
+    const wanted = new Set(userIds.map(String));
+    return new Set(registrations
+      .flatMap(registration => [registration.captain, ...registration.teamMembers])
+      .map(String)
+      .filter(id => wanted.has(id)));
+  }
+
+  // Send invitations from a registration's captain. The returned documents
+  // still carry their tokens, for the invitation emails.
+  async createInvitations(registration, invitees, invitedBy) {
+    return TeamInvitation.insertMany(invitees.map(invitee => ({
+      registration: registration._id,
+      tournament: idOf(registration.tournament),
+      invitedBy,
+      email: invitee.email,
+      user: invitee.user,
+      token: crypto.randomBytes(24).toString('hex')
+    })));
+  }
+
+  // Find an invitation by the secret in its emailed link
+  async findByToken(token) {
+    return TeamInvitation.findOne({ token });
+  }
+
+  // Record an invitee's answer. Accepting adds them to the team's roster.
+  // The invitation is claimed while still unanswered, so a second answer
+  // changes nothing. Resolves to { invitation } or { reason }, where reason
+  // is alreadyEntered or alreadyAnswered.
+  async respond(invitation, user, response) {
+    const userId = user ? user._id : invitation.user;
+
+    if (response === 'Accepted') {
+      const team = await Registration.findById(invitation.registration).select('tournament division');
+      const entered = await this.findEntered(team || invitation, [userId]);
+      if (entered.size > 0) return { reason: 'alreadyEntered' };
+    }
+
+    const answered = await TeamInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'Invited' },
+      { status: response, user: userId, respondedAt: new Date() },
+      { new: true }
+    );
+    if (!answered) return { reason: 'alreadyAnswered' };
+
+    if (response === 'Accepted') {
+      await Registration.updateOne(
+        { _id: answered.registration },
+        { $addToSet: { teamMembers: userId } }
+      );
+      await this.syncRoster(answered.registration);
+    }
+
+    return { invitation: answered };
+  }
+
+  // Withdraw an invitation that has not been answered yet
+  async revoke(registrationId, invitationId) {
+    return TeamInvitation.findOneAndUpdate(
+      { _id: invitationId, registration: registrationId, status: 'Invited' },
+      { status: 'Revoked', respondedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // Withdraw every unanswered invitation to a team, when its entry is cancelled
+  async revokeAll(registrationId) {
+    await TeamInvitation.updateMany(
+      { registration: registrationId, status: 'Invited' },
+      { status: 'Revoked', respondedAt: new Date() }
+    );
+  }
+
+  // A team's invitations with each member's answer, and where its roster
+  // stands. Teams entered before invitations have no minRosterSize and were
+  // complete when entered.
+  async getRoster(registration) {
+    const invitations = await TeamInvitation.find({
+      registration: registration._id,
+      status: { $ne: 'Revoked' }
+    })
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    return {
+      invitations,
+      summary: rosterSummary(invitations, registration.minRosterSize || 0)
+    };
+  }
+
+  // Mark a roster complete once enough members have accepted. Conditional on
+  // the roster as it stands when it runs, so concurrent acceptances cannot
+  // leave it marked incomplete.
+  async syncRoster(registrationId) {
+    await Registration.updateOne(
+      {
+        _id: registrationId,
+        rosterComplete: false,
+        $expr: { $gte: [{ $size: '$teamMembers' }, '$minRosterSize'] }
+      },
+      { rosterComplete: true }
+    );
+  }
+
+  // Attach invitations sent to a new account's email address
+  async linkAccount(user) {
+    const result = await TeamInvitation.updateMany(
+      { email: normaliseEmail(user.email), user: null },
+      { user: user._id }
+    );
+    return result.modifiedCount;
+  }
+
+  // Invitations waiting on a user's answer
+  async getPending(user) {
+    return TeamInvitation.find({
+      status: 'Invited',
+      $or: [{ user: user._id }, { email: normaliseEmail(user.email) }]
+    })
+      .populate('tournament', 'name sport startDate')
+      .populate('invitedBy', 'firstName lastName')
+      .populate('registration', 'teamName status')
+      .sort({ createdAt: -1 });
+  }
+}
+
+module.exports = new TeamInvitationService();
@@ -0,0 +1,124 @@
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const capacityService = require('./capacityService');
+const { resolveWaitlist, offerDeadline, isOfferExpired } = require('../utils/waitlist');
+const { hasDivisions } = require('../utils/divisions');
+
+class WaitlistService {
+  // Position of a waitlisted entry in its tournament's (or division's) queue,
+  // or null
+  async getPosition(registration) {
+    if (registration.status !== 'Waitlisted') return null;
+
+    const ahead = await Registration.countDocuments({
+      tournament: registration.tournament,
+      division: registration.division || null,
+      status: 'Waitlisted',
+      $or: [
+        { waitlistedAt: { $lt: registration.waitlistedAt } },
+        { waitlistedAt: registration.waitlistedAt, _id: { $lt: registration._id } }
+      ]
+    });
+    return ahead + 1;
+  }
+
+  // Offer every open place to the front of the queue. Each promotion reserves
+  // a place before claiming an entry, so concurrent calls never promote more
+  // entries than there are places, nor the same entry twice. In a tournament
+  // with divisions each division's places go to its own queue; without a
+  // division every division is filled. Returns the promoted registrations.
+  async promoteNext(tournamentId, notificationService = null, divisionId = null) {
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament || new Date() >= tournament.startDate) return [];
+
+    if (!divisionId && hasDivisions(tournament)) {
+      const promoted = [];
+      for (const division of tournament.divisions) {
+        promoted.push(...await this.promoteNext(tournament._id, notificationService, division._id));
+      }
+      return promoted;
+    }
+
+    const { offerHours } = resolveWaitlist(tournament.waitlist);
+    const promoted = [];
+
+    while (await capacityService.reserveSeat(tournament._id, divisionId)) {
+      const now = new Date();
+      const next = await Registration.findOneAndUpdate(
+        { tournament: tournament._id, division: divisionId || null, status: 'Waitlisted' },
+        {
+          status: 'Pending',
+          promotedAt: now,
+          offerExpiresAt: offerDeadline(now, offerHours, tournament.startDate)
+        },
+        { sort: { waitlistedAt: 1, _id: 1 }, new: true }
+      );
+
+      // The queue ran out before the places did
+      if (!next) {
+        await capacityService.releaseSeat(tournament._id, divisionId);
+        break;
+      }
+
+      promoted.push(next);
+    }
+
+    if (notificationService) {
+      for (const registration of promoted) {
+        try {
+          await notificationService.notifyWaitlistOffer(registration._id);
+        } catch (notificationError) {
+          console.error('Error sending waitlist offer notification:', notificationError);
+        }
+      }
+    }
+
+    return promoted;
+  }
+
+  // Lapse offers whose payment window has closed and pass each place on.
+  // Returns the number of offers that lapsed.
+  async expireOffers(notificationService = null) {
+    const now = new Date();
+    const candidates = await Registration.find({
+      status: 'Pending',
+      offerExpiresAt: { $lte: now },
+      paymentStatus: { $ne: 'Confirmed' },
+      paymentConfirmation: null
+    });
+
+    // Queues with a place given back, as tournament and division
+    const queues = new Map();
+    let expired = 0;
+
+    for (const candidate of candidates.filter(registration => isOfferExpired(registration, now))) {
+      // Payment may have arrived since the query ran
+      const lapsed = await Registration.findOneAndUpdate(
+        { _id: candidate._id, status: 'Pending', paymentStatus: { $ne: 'Confirmed' }, paymentConfirmation: null },
+        { status: 'Expired' },
+        { new: true }
+      );
+      if (!lapsed) continue;
+
+      await capacityService.releaseSeat(lapsed.tournament, lapsed.division);
+      expired++;
+      queues.set(`${lapsed.tournament}:${lapsed.division || ''}`, [lapsed.tournament, lapsed.division]);
+
+      if (notificationService) {
+        try {
+          await notificationService.notifyWaitlistOfferExpired(lapsed._id);
+        } catch (notificationError) {
+          console.error('Error sending waitlist expiry notification:', notificationError);
+        }
+      }
+    }
+
+    for (const [tournamentId, divisionId] of queues.values()) {
+      await this.promoteNext(tournamentId, notificationService, divisionId);
+    }
+
+    return expired;
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,154 @@
+const {
+  nextPowerOfTwo,
+  getSeedOrder,
+  getBracketPosition,
+  generateSingleEliminationBracket,
+  generateDoubleEliminationBracket
+} = require('../utils/bracketGenerator');
+
+const makeParticipants = (count) => Array.from({ length: count }, (_, i) => `seed${i + 1}`);
+
+describe('Bracket Generator', () => {
+  describe('Seeding helpers', () => {
+    test('should pad participant counts to a power of two', () => {
+      expect(nextPowerOfTwo(2)).toBe(2);
+      expect(nextPowerOfTwo(5)).toBe(8);
+      expect(nextPowerOfTwo(16)).toBe(16);
+      expect(nextPowerOfTwo(17)).toBe(32);
+    });
+
+    test('should place seeds in standard bracket order', () => {
+      expect(getSeedOrder(4)).toEqual([1, 4, 2, 3]);
+      expect(getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+      expect(getSeedOrder(16).slice(0, 4)).toEqual([1, 16, 8, 9]);
+    });
+
+    test('should label rounds relative to the final', () => {
+      expect(getBracketPosition(4, 4, 1)).toBe('F1');
+      expect(getBracketPosition(3, 4, 2)).toBe('SF2');
+      expect(getBracketPosition(2, 4, 3)).toBe('QF3');
+      expect(getBracketPosition(1, 4, 5)).toBe('R1-M5');
+    });
+  });
+
+  describe('Single elimination', () => {
+    test('should reject fewer than two participants', () => {
+      expect(() => generateSingleEliminationBracket(['only'])).toThrow();
+    });
+
+    test('should build every round up front for a full bracket', () => {
+      const fixtures = generateSingleEliminationBracket(makeParticipants(8));
+
+      expect(fixtures).toHaveLength(7);
+      expect(fixtures.filter(f => f.round === 1)).toHaveLength(4);
+      expect(fixtures.filter(f => f.isBye)).toHaveLength(0);
+
+      const firstMatch = fixtures[0];
+      expect(firstMatch.bracketPosition).toBe('QF1');
+      expect(firstMatch.participant1).toBe('seed1');
+      expect(firstMatch.participant2).toBe('seed8');
+
+      const final = fixtures.find(f => f.bracketPosition === 'F1');
+      expect(final.participant1).toBeNull();
+      expect(final.participant2).toBeNull();
+      expect(final.previousMatchKeys).toEqual(['R2-M1', 'R2-M2']);
+      expect(final.nextMatchKey).toBeNull();
+    });
+
+    test('should link every non-final fixture to its next match', () => {
+      const fixtures = generateSingleEliminationBracket(makeParticipants(16));
+      const byKey = new Map(fixtures.map(f => [f.key, f]));
+
+      fixtures.filter(f => f.bracketPosition !== 'F1').forEach(fixture => {
+        const next = byKey.get(fixture.nextMatchKey);
+        expect(next).toBeDefined();
+        expect(next.previousMatchKeys).toContain(fixture.key);
+      });
+    });
+
+    test('should give byes to the top seeds and advance them', () => {
+      const fixtures = generateSingleEliminationBracket(makeParticipants(5));
+      const byes = fixtures.filter(f => f.isBye);
+
+      expect(fixtures).toHaveLength(7);
+      expect(byes).toHaveLength(3);
+      expect(byes.map(f => f.winner).sort()).toEqual(['seed1', 'seed2', 'seed3']);
+      byes.forEach(bye => {
+        expect(bye.status).toBe('Completed');
+        expect(bye.participant2).toBeNull();
+      });
+
+      // 4 vs 5 is the only first-round match with two real entrants
+      const realMatches = fixtures.filter(f => f.round === 1 && !f.isBye);
+      expect(realMatches).toHaveLength(1);
+      expect(realMatches[0].participant1).toBe('seed4');
+      expect(realMatches[0].participant2).toBe('seed5');
+
+      const semiFinals = fixtures.filter(f => f.round === 2);
+      expect(semiFinals[0].participant1).toBe('seed1');
+      expect(semiFinals[0].participant2).toBeNull();
+      expect(semiFinals[1].participant1).toBe('seed2');
+      expect(semiFinals[1].participant2).toBe('seed3');
+    });
+  });
+
+  describe('Double elimination', () => {
+    const byKey = (fixtures) => new Map(fixtures.map(f => [f.key, f]));
+
+    test('should build winners, losers and grand final brackets', () => {
+      const fixtures = generateDoubleEliminationBracket(makeParticipants(8));
+
+      expect(fixtures.filter(f => f.bracket === 'Winners')).toHaveLength(7);
+      // 2 + 2 + 1 + 1 losers-bracket matches for an 8 draw
+      expect(fixtures.filter(f => f.bracket === 'Losers')).toHaveLength(6);
+      expect(fixtures.filter(f => f.bracket === 'GrandFinal').map(f => f.key)).toEqual(['GF1', 'GF2']);
+    });
+
+    test('should route every winners-bracket loser into the losers bracket', () => {
+      const fixtures = generateDoubleEliminationBracket(makeParticipants(8));
+      const lookup = byKey(fixtures);
+
+      fixtures.filter(f => f.bracket === 'Winners').forEach(fixture => {
+        const target = lookup.get(fixture.loserNextMatchKey);
+        expect(target.bracket).toBe('Losers');
+        expect(target.previousMatchKeys).toContain(fixture.key);
+      });
+
+      // Winners-bracket final loser meets the losers-bracket survivor in the losers final
+      const winnersFinal = fixtures.find(f => f.bracketPosition === 'WF1');
+      expect(lookup.get(winnersFinal.loserNextMatchKey).key).toBe('L4-M1');
+      expect(lookup.get('GF1').previousMatchKeys).toEqual([winnersFinal.key, 'L4-M1']);
+    });
+
+    test('should reverse drop-down order to avoid immediate rematches', () => {
+      const fixtures = generateDoubleEliminationBracket(makeParticipants(8));
+      const lookup = byKey(fixtures);
+
+      expect(lookup.get('R2-M1').loserNextMatchKey).toBe('L2-M2');
+      expect(lookup.get('R2-M2').loserNextMatchKey).toBe('L2-M1');
+    });
+
+    test('should flag losers-bracket matches starved by byes', () => {
+      const fixtures = generateDoubleEliminationBracket(makeParticipants(5));
+      const lookup = byKey(fixtures);
+
+      // WB R1: 1 v bye, 4 v 5, 2 v bye, 3 v bye
+      expect(lookup.get('L1-M1').isBye).toBe(true);
+      expect(lookup.get('L1-M1').status).toBe('Scheduled');
+      expect(lookup.get('L1-M2').isBye).toBe(true);
+      expect(lookup.get('L1-M2').status).toBe('Completed');
+      expect(lookup.get('L2-M1').isBye).toBe(false);
+      expect(lookup.get('L2-M2').isBye).toBe(true);
+    });
+
+    test('should support two entrants and optional bracket reset', () => {
+      const fixtures = generateDoubleEliminationBracket(makeParticipants(2), { bracketReset: false });
+      const lookup = byKey(fixtures);
+
+      expect(fixtures.find(f => f.bracketPosition === 'WF1').participant1).toBe('seed1');
+      expect(fixtures.find(f => f.bracketPosition === 'WF1').participant2).toBe('seed2');
+      expect(lookup.get('L2-M1').isBye).toBe(true);
+      expect(lookup.has('GF2')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { slotsFedBy, planBracketRollback } = require('../utils/bracketRollback');
+
+const fixture = (id, fields = {}) => ({
+  _id: id,
+  status: 'Scheduled',
+  previousMatches: [],
+  isBye: false,
+  ...fields
+});
+const ids = (fixtures) => fixtures.map(f => f._id);
+
+// Four-entrant double elimination: two opening matches, a winners final,
+// a losers final for the opening losers, then the grand final and its reset
+const doubleElimination = () => {
+  const wb1 = fixture('wb1', { participant1: 'a', participant2: 'b', winner: 'a', status: 'Completed', nextMatchId: 'wf', loserNextMatchId: 'lb1' });
+  const wb2 = fixture('wb2', { participant1: 'c', participant2: 'd', winner: 'c', status: 'Completed', nextMatchId: 'wf', loserNextMatchId: 'lb1' });
+  const wf = fixture('wf', { participant1: 'a', participant2: 'c', previousMatches: ['wb1', 'wb2'], nextMatchId: 'gf1' });
+  const lb1 = fixture('lb1', { participant1: 'b', participant2: 'd', previousMatches: ['wb1', 'wb2'] });
+  const gf1 = fixture('gf1', { previousMatches: ['wf', 'lb1'] });
+  const gf2 = fixture('gf2', { previousMatches: ['gf1'] });
+  return [wb1, wb2, wf, lb1, gf1, gf2];
+};
+
+describe('Bracket Rollback', () => {
+  test('should find the slots a fixture fed by previousMatches order', () => {
+    const [wb1, wb2, wf] = doubleElimination();
+    expect(slotsFedBy(wb1, wf)).toEqual([1]);
+    expect(slotsFedBy(wb2, wf)).toEqual([2]);
+
+    // The grand final reset takes both entrants from the grand final
+    expect(slotsFedBy(fixture('gf1', { participant1: 'a', participant2: 'b' }), fixture('gf2', { previousMatches: ['gf1'] })))
+      .toEqual([1, 2]);
+
+    // Without previousMatches, match on the entrants instead
+    const source = fixture('r1', { participant1: 'a', participant2: 'b', nextMatchId: 'r2' });
+    expect(slotsFedBy(source, fixture('r2', { participant1: 'x', participant2: 'b' }))).toEqual([2]);
+  });
+
+  test('should clear the winner and loser slots of unplayed fixtures', () => {
+    const fixtures = doubleElimination();
+    const plan = planBracketRollback(fixtures, fixtures[0]);
+
+    expect(plan.affected.map(entry => [entry.fixture._id, entry.slots, entry.reset]))
+      .toEqual([['wf', [1], false], ['lb1', [1], false]]);
+    expect(plan.played).toEqual([]);
+  });
+
+  test('should follow played fixtures down to the grand final', () => {
+    const fixtures = doubleElimination();
+    const wf = fixtures.find(f => f._id === 'wf');
+    const gf1 = fixtures.find(f => f._id === 'gf1');
+    Object.assign(wf, { status: 'Completed', winner: 'a' });
+    Object.assign(gf1, { participant1: 'a', participant2: 'd', status: 'Completed', winner: 'a' });
+    Object.assign(fixtures.find(f => f._id === 'gf2'), { participant1: 'a', participant2: 'd', status: 'Cancelled' });
+
+    const plan = planBracketRollback(fixtures, fixtures[0]);
+
+    expect(ids(plan.affected.map(entry => entry.fixture))).toEqual(['wf', 'lb1', 'gf1', 'gf2']);
+    expect(ids(plan.played)).toEqual(['wf', 'gf1']);
+    expect(plan.affected.find(entry => entry.fixture._id === 'gf2')).toEqual(
+      expect.objectContaining({ slots: [1, 2], reset: true, played: false })
+    );
+  });
+
+  test('should reset an auto-resolved bye without counting it as played', () => {
+    const r1 = fixture('r1', { participant1: 'a', participant2: 'b', winner: 'a', status: 'Completed', nextMatchId: 'r2' });
+    const r2 = fixture('r2', { participant1: 'a', previousMatches: ['r1'], isBye: true, winner: 'a', status: 'Completed', nextMatchId: 'r3' });
+    const r3 = fixture('r3', { participant1: 'a', participant2: 'c', previousMatches: ['r2', 'other'] });
+
+    const plan = planBracketRollback([r1, r2, r3], r1);
+
+    expect(plan.affected.map(entry => [entry.fixture._id, entry.reset])).toEqual([['r2', true], ['r3', false]]);
+    expect(plan.played).toEqual([]);
+  });
+});
@@ -0,0 +1,29 @@
+const { holdsSeat, seatChange, capacityStatus } = require('../utils/capacity');
+
+describe('Tournament Capacity', () => {
+  test('should only hold places for pending and approved entries', () => {
+    expect(holdsSeat('Pending')).toBe(true);
+    expect(holdsSeat('Approved')).toBe(true);
+    expect(['Rejected', 'Waitlisted', 'Expired', null].some(holdsSeat)).toBe(false);
+  });
+
+  test('should move at most one place per status change', () => {
+    expect(seatChange(null, 'Pending')).toBe(1);
+    expect(seatChange(null, 'Waitlisted')).toBe(0);
+    expect(seatChange('Waitlisted', 'Pending')).toBe(1);
+    expect(seatChange('Pending', 'Approved')).toBe(0);
+    expect(seatChange('Approved', 'Rejected')).toBe(-1);
+    expect(seatChange('Rejected', 'Approved')).toBe(1);
+    expect(seatChange('Pending', 'Expired')).toBe(-1);
+    expect(seatChange('Approved', null)).toBe(-1);
+    expect(seatChange('Waitlisted', null)).toBe(0);
+  });
+
+  test('should fill and reopen only open or full tournaments', () => {
+    expect(capacityStatus('Open', 16, 16)).toBe('Full');
+    expect(capacityStatus('Open', 17, 16)).toBe('Full');
+    expect(capacityStatus('Full', 15, 16)).toBe('Open');
+    expect(capacityStatus('Draft', 16, 16)).toBe('Draft');
+    expect(capacityStatus('InProgress', 3, 16)).toBe('InProgress');
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  checkDivisionChoice,
+  forDivision,
+  divisionViews,
+  inDivision,
+  duplicateNames
+} = require('../utils/divisions');
+const { queuePositions } = require('../utils/waitlist');
+
+const tournament = (divisions = []) => ({
+  _id: 't1',
+  name: 'Summer Open',
+  format: 'Single Elimination',
+  entryFee: 40,
+  maxParticipants: 32,
+  currentParticipants: 5,
+  ageRestrictions: { minAge: 18 },
+  skillLevelRestrictions: ['Advanced'],
+  divisions
+});
+
+const mensA = { _id: 'd1', name: "Men's A", maxParticipants: 16, currentParticipants: 3, skillLevelRestrictions: [] };
+const under16 = {
+  _id: 'd2',
+  name: 'Under 16',
+  maxParticipants: 8,
+  currentParticipants: 2,
+  entryFee: 15,
+  format: 'Round Robin',
+  ageRestrictions: { maxAge: 15 },
+  skillLevelRestrictions: []
+};
+
+describe('Tournament Divisions', () => {
+  test('should need a division of its own for tournaments that have them', () => {
+    expect(checkDivisionChoice(tournament(), undefined)).toBeNull();
+    expect(checkDivisionChoice(tournament(), 'd1')).toBe('noDivisions');
+    expect(checkDivisionChoice(tournament([mensA]), undefined)).toBe('required');
+    expect(checkDivisionChoice(tournament([mensA]), 'd9')).toBe('notFound');
+    expect(checkDivisionChoice(tournament([mensA]), 'd1')).toBeNull();
+  });
+
+  test('should use the division\'s places and settings over the tournament\'s', () => {
+    const event = tournament([mensA, under16]);
+
+    expect(forDivision(event, undefined)).toBe(event);
+    expect(forDivision(event, 'd9')).toBeNull();
+    expect(forDivision(event, 'd1')).toMatchObject({
+      format: 'Single Elimination',
+      entryFee: 40,
+      maxParticipants: 16,
+      currentParticipants: 3,
+      ageRestrictions: { minAge: 18 },
+      skillLevelRestrictions: ['Advanced'],
+      division: 'd1',
+      divisionName: "Men's A"
+    });
+    expect(forDivision(event, 'd2')).toMatchObject({
+      format: 'Round Robin',
+      entryFee: 15,
+      maxParticipants: 8,
+      ageRestrictions: { maxAge: 15 },
+      skillLevelRestrictions: ['Advanced']
+    });
+    expect(divisionViews(event).map(view => view.divisionName)).toEqual(["Men's A", 'Under 16']);
+    expect(divisionViews(tournament())).toEqual([tournament()]);
+    expect(inDivision(forDivision(event, 'd2'))).toEqual({ division: 'd2' });
+    expect(inDivision(tournament())).toEqual({ division: null });
+  });
+
+  test('should keep division names distinct and queue each division separately', () => {
+    expect(duplicateNames([{ name: 'Mixed' }, { name: ' mixed ' }, { name: 'Open' }])).toEqual(['mixed']);
+    expect(duplicateNames([mensA, under16])).toEqual([]);
+
+    const waitlistedAt = new Date('2025-03-01T10:00:00Z');
+    const positions = queuePositions([
+      { _id: 'a', division: 'd1', status: 'Waitlisted', waitlistedAt },
+      { _id: 'b', division: 'd2', status: 'Waitlisted', waitlistedAt },
+      { _id: 'c', division: 'd1', status: 'Waitlisted', waitlistedAt }
+    ]);
+    expect([...positions]).toEqual([['a', 1], ['b', 1], ['c', 2]]);
+  });
+});
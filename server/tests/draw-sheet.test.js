@@ -0,0 +1,97 @@
+const { fitText, layoutBracket, layoutGrid, buildDrawSheet } = require('../utils/drawSheet');
+const { paginate, renderSvg, renderPdf } = require('../utils/sheetRenderer');
+
+const entrant = (id, teamName) => ({ _id: id, teamName });
+const hawks = entrant('r1', 'Hawks');
+const eagles = entrant('r2', 'Eagles');
+const owls = entrant('r3', 'Owls & Co');
+const crows = entrant('r4', 'Crows');
+
+const fixture = (id, round, matchNumber, fields = {}) => ({
+  _id: id,
+  round,
+  matchNumber,
+  status: 'Scheduled',
+  previousMatches: [],
+  ...fields
+});
+
+const semiFinal1 = fixture('f1', 1, 1, {
+  participant1: hawks,
+  participant2: eagles,
+  status: 'Completed',
+  result: { participant1Score: 3, participant2Score: 1 },
+  winner: hawks,
+  court: 'Court 1'
+});
+const semiFinal2 = fixture('f2', 1, 2, { participant1: owls, participant2: crows, court: 'Court 2' });
+const final = fixture('f3', 2, 1, { participant1: hawks, previousMatches: ['f1', 'f2'] });
+const texts = (section) => section.shapes.filter(shape => shape.type === 'text').map(shape => shape.text);
+
+describe('Draw Sheets', () => {
+  test('should shorten names that do not fit their box', () => {
+    expect(fitText('Hawks', 100, 9)).toBe('Hawks');
+    const fitted = fitText('The Extremely Long Named Basketball Club', 80, 9);
+    expect(fitted.endsWith('...')).toBe(true);
+    expect(fitted.length).toBeLessThan(20);
+  });
+
+  test('should lay a bracket out by round with names, scores and courts', () => {
+    const section = layoutBracket('Draw', [semiFinal1, semiFinal2, final]);
+
+    expect(texts(section)).toEqual(expect.arrayContaining(['Semi-finals', 'Final', 'Hawks', 'Eagles', '3', '1', 'TBD', 'Court 1']));
+    expect(section.width).toBeGreaterThan(0);
+    expect(section.height).toBeGreaterThan(0);
+
+    // The final sits level with the two semi-finals that feed it
+    const boxes = section.shapes.filter(shape => shape.type === 'rect' && shape.stroke);
+    const [first, second, last] = boxes;
+    expect(last.y).toBeCloseTo((first.y + second.y) / 2);
+    expect(last.x).toBeGreaterThan(first.x);
+  });
+
+  test('should fill a results grid from each row entrant\'s side', () => {
+    const section = layoutGrid('Results', [hawks, eagles], [semiFinal1]);
+
+    expect(texts(section)).toEqual(expect.arrayContaining(['1. Hawks', '2. Eagles', '3-1', '1-3']));
+  });
+
+  test('should build winners, losers and grand final sections for double elimination', () => {
+    const sections = buildDrawSheet({ format: 'Double Elimination' }, [
+      { ...semiFinal1, bracket: 'Winners' },
+      { ...semiFinal2, bracket: 'Losers' },
+      { ...final, bracket: 'GrandFinal', previousMatches: [] }
+    ], []);
+
+    expect(sections.map(section => section.title)).toEqual(['Winners bracket', 'Losers bracket', 'Grand final']);
+  });
+
+  test('should fit every section inside the page margins', () => {
+    const sections = [layoutBracket('Draw', [semiFinal1, semiFinal2, final])];
+
+    ['A4', 'A3'].forEach(paper => {
+      const [page] = paginate(sections, { paper, orientation: 'landscape' });
+      expect(page.width).toBeGreaterThan(page.height);
+      expect(page.offsetX).toBeGreaterThanOrEqual(0);
+      expect(page.offsetX * 2 + page.section.width * page.scale).toBeCloseTo(page.width);
+    });
+  });
+
+  test('should render escaped SVG and a well-formed PDF', () => {
+    const sections = [layoutBracket('Draw', [semiFinal1, semiFinal2, final])];
+
+    const svg = renderSvg(sections, { title: 'Spring Cup', paper: 'A4' });
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="297mm" height="210mm"');
+    expect(svg).toContain('Owls &amp; Co');
+
+    const pdf = renderPdf(sections, { title: 'Spring (Cup)', paper: 'A3' }).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf.endsWith('%%EOF\n')).toBe(true);
+    expect(pdf).toContain('/MediaBox [0 0 1190.55 841.89]');
+    expect(pdf).toContain('(Spring \\(Cup\\))');
+
+    // startxref points at the cross-reference table
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+  });
+});
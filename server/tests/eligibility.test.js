@@ -0,0 +1,72 @@
+const {
+  resolveEligibility,
+  ageReferenceDate,
+  ageOn,
+  checkPlayer,
+  evaluateEntry
+} = require('../utils/eligibility');
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+
+const tournament = (fields = {}) => ({
+  startDate: day('2025-03-15'),
+  ageRestrictions: { minAge: 16, maxAge: 18 },
+  skillLevelRestrictions: [],
+  ...fields
+});
+
+const player = (id, dateOfBirth, skillLevel = 'Intermediate') => ({
+  _id: id,
+  firstName: 'Player',
+  lastName: id,
+  dateOfBirth: dateOfBirth && day(dateOfBirth),
+  skillLevel
+});
+
+describe('Tournament Eligibility', () => {
+  test('should work out ages on the start date, 1 January or a chosen date', () => {
+    expect(resolveEligibility(undefined)).toEqual({ ageReference: 'tournamentStart', ageReferenceDate: null });
+    expect(ageReferenceDate(tournament())).toEqual(day('2025-03-15'));
+    expect(ageReferenceDate(tournament({ eligibility: { ageReference: 'yearStart' } }))).toEqual(day('2025-01-01'));
+    expect(ageReferenceDate(tournament({ eligibility: { ageReference: 'custom', ageReferenceDate: day('2024-12-31') } })))
+      .toEqual(day('2024-12-31'));
+    expect(ageReferenceDate(tournament({ eligibility: { ageReference: 'custom' } }))).toEqual(day('2025-03-15'));
+  });
+
+  test('should only count a year once the birthday has been reached', () => {
+    expect(ageOn(day('2009-03-15'), day('2025-03-15'))).toBe(16);
+    expect(ageOn(day('2009-03-16'), day('2025-03-15'))).toBe(15);
+    expect(ageOn(day('2008-02-29'), day('2025-02-28'))).toBe(16);
+  });
+
+  test('should give every reason a player fails the limits', () => {
+    const limited = tournament({ skillLevelRestrictions: ['Beginner'] });
+
+    expect(checkPlayer(player('p1', '2008-01-01', 'Beginner'), limited)).toEqual([]);
+    expect(checkPlayer(player('p2', '2010-01-01'), limited)).toEqual([
+      { code: 'tooYoung', age: 15, minAge: 16 },
+      { code: 'skillLevel', skillLevel: 'Intermediate', allowed: ['Beginner'] }
+    ]);
+    expect(checkPlayer(player('p3', '2005-01-01', 'Beginner'), limited)).toEqual([{ code: 'tooOld', age: 20, maxAge: 18 }]);
+    expect(checkPlayer(player('p4', null, 'Beginner'), limited)).toEqual([{ code: 'missingDateOfBirth' }]);
+    expect(checkPlayer(player('p4', null), tournament({ ageRestrictions: {} }))).toEqual([]);
+  });
+
+  test('should let overridden players in and explain the rest', () => {
+    const overrides = new Map([['p2', { justification: 'Turns 16 during the event', grantedBy: 'o1' }]]);
+    const result = evaluateEntry([
+      { user: player('p1', '2008-01-01'), role: 'Captain' },
+      { user: player('p2', '2009-06-01'), role: 'Member' },
+      { user: player('p3', '2010-06-01'), role: 'Member' }
+    ], tournament({ eligibility: { ageReference: 'yearStart' } }), overrides);
+
+    expect(result.eligible).toBe(false);
+    expect(result.players.map(({ user, eligible, age }) => [user, eligible, age])).toEqual([
+      ['p1', true, 17],
+      ['p2', true, 15],
+      ['p3', false, 14]
+    ]);
+    expect(result.players[1].override).toEqual({ justification: 'Turns 16 during the event', grantedBy: 'o1' });
+    expect(result.players[2].reasons[0].message).toBe('Player p3 will be 14 on 01/01/2025; the minimum age is 16');
+  });
+});
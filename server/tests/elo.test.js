@@ -0,0 +1,64 @@
+const {
+  initialRating,
+  expectedScore,
+  calculateRatingChanges,
+  rosterRating,
+  isRatedFixture,
+  scoreFor
+} = require('../utils/elo');
+
+const completed = (fields = {}) => ({
+  status: 'Completed',
+  isBye: false,
+  participant1: { _id: 'a' },
+  participant2: { _id: 'b' },
+  winner: 'a',
+  result: { participant1Score: 2, participant2Score: 1 },
+  ...fields
+});
+
+describe('Elo Ratings', () => {
+  test('should start from the declared skill level', () => {
+    expect(initialRating('Professional')).toBe(1600);
+    expect(initialRating('Intermediate')).toBe(1200);
+    expect(initialRating(undefined)).toBe(1000);
+  });
+
+  test('should expect the higher rating to win', () => {
+    expect(expectedScore(1200, 1200)).toBe(0.5);
+    expect(expectedScore(1600, 1200)).toBeCloseTo(10 / 11);
+    expect(expectedScore(1200, 1600) + expectedScore(1600, 1200)).toBeCloseTo(1);
+  });
+
+  test('should move both sides by the same amount in opposite directions', () => {
+    const even = calculateRatingChanges(1200, 1200, 1);
+    expect(even.participant1.change).toBe(16);
+    expect(even.participant2.change).toBe(-16);
+    expect(even.participant2.score).toBe(0);
+
+    // An upset moves ratings further than an expected win, and K scales it
+    const upset = calculateRatingChanges(1000, 1400, 1);
+    const expected = calculateRatingChanges(1400, 1000, 1);
+    expect(upset.participant1.change).toBeGreaterThan(expected.participant1.change);
+    expect(calculateRatingChanges(1200, 1200, 1, 16).participant1.change).toBe(8);
+
+    // A draw against a stronger side still gains
+    expect(calculateRatingChanges(1000, 1400, 0.5).participant1.change).toBeGreaterThan(0);
+  });
+
+  test('should start a team roster at its members\' average', () => {
+    expect(rosterRating([1000, 1200, 1400, 1600])).toBe(1300);
+    expect(rosterRating([])).toBe(1000);
+  });
+
+  test('should only rate fixtures that were actually played', () => {
+    expect(isRatedFixture(completed())).toBe(true);
+    expect(isRatedFixture(completed({ isBye: true, participant2: null }))).toBe(false);
+    expect(isRatedFixture(completed({ result: { forfeit: true, participant1Score: 3, participant2Score: 0 } }))).toBe(false);
+    expect(isRatedFixture(completed({ status: 'Scheduled' }))).toBe(false);
+
+    expect(scoreFor(completed())).toBe(1);
+    expect(scoreFor(completed({ winner: { _id: 'b' } }))).toBe(0);
+    expect(scoreFor(completed({ winner: null }))).toBe(0.5);
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  allocateGroups,
+  generateGroupStageFixtures,
+  generateKnockoutFromGroups
+} = require('../utils/groupStageGenerator');
+
+const makeParticipants = (count) => Array.from({ length: count }, (_, i) => `seed${i + 1}`);
+
+describe('Group Stage Generator', () => {
+  describe('Group allocation', () => {
+    test('should snake-seed participants into groups', () => {
+      const groups = allocateGroups(makeParticipants(8), 4);
+
+      expect(groups.map(g => g.name)).toEqual(['A', 'B', 'C', 'D']);
+      expect(groups[0].participants).toEqual(['seed1', 'seed8']);
+      expect(groups[3].participants).toEqual(['seed4', 'seed5']);
+    });
+
+    test('should spread uneven counts across groups', () => {
+      const groups = allocateGroups(makeParticipants(10), 3);
+
+      expect(groups.map(g => g.participants.length)).toEqual([3, 3, 4]);
+      expect(groups[0].participants).toEqual(['seed1', 'seed6', 'seed7']);
+      expect(groups[2].participants).toEqual(['seed3', 'seed4', 'seed9', 'seed10']);
+    });
+
+    test('should reject groups smaller than two', () => {
+      expect(() => allocateGroups(makeParticipants(5), 3)).toThrow();
+    });
+  });
+
+  describe('Group fixtures', () => {
+    test('should play a round robin inside each group only', () => {
+      const groups = allocateGroups(makeParticipants(8), 2);
+      const fixtures = generateGroupStageFixtures(groups);
+
+      // Two groups of four: 6 fixtures each
+      expect(fixtures).toHaveLength(12);
+      fixtures.forEach(fixture => {
+        const group = groups.find(g => g.name === fixture.group);
+        expect(group.participants).toContain(fixture.participant1);
+        expect(group.participants).toContain(fixture.participant2);
+      });
+
+      const roundOne = fixtures.filter(f => f.round === 1);
+      expect(roundOne.map(f => f.matchNumber)).toEqual([1, 2, 3, 4]);
+      expect(roundOne[0].bracketPosition).toBe('A-R1-M1');
+    });
+  });
+
+  describe('Knockout population', () => {
+    test('should cross over group winners and runners-up', () => {
+      const tables = [
+        { name: 'A', participants: ['A1', 'A2', 'A3'] },
+        { name: 'B', participants: ['B1', 'B2', 'B3'] }
+      ];
+      const fixtures = generateKnockoutFromGroups(tables, 2, { roundOffset: 3 });
+      const semiFinals = fixtures.filter(f => f.round === 4);
+
+      expect(fixtures).toHaveLength(3);
+      expect(semiFinals.map(f => [f.participant1, f.participant2])).toEqual([
+        ['A1', 'B2'],
+        ['B1', 'A2']
+      ]);
+
+      const final = fixtures.find(f => f.bracketPosition === 'F1');
+      expect(final.round).toBe(5);
+      expect(final.previousMatchKeys).toEqual(semiFinals.map(f => f.key));
+    });
+
+    test('should avoid same-group first-round matches', () => {
+      const tables = ['A', 'B', 'C'].map(name => ({
+        name,
+        participants: [`${name}1`, `${name}2`]
+      }));
+      const fixtures = generateKnockoutFromGroups(tables, 2);
+
+      fixtures.filter(f => f.round === 1 && !f.isBye).forEach(fixture => {
+        expect(fixture.participant1[0]).not.toBe(fixture.participant2[0]);
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildFixtureEvent,
+  buildCalendar
+} = require('../utils/icalendar');
+
+const fixture = (fields = {}) => ({
+  _id: 'f1',
+  scheduledDate: new Date('2025-03-01T09:30:00Z'),
+  estimatedDuration: 90,
+  venue: 'Olympic Park',
+  court: 'Court 2',
+  status: 'Scheduled',
+  createdAt: new Date('2025-02-01T00:00:00Z'),
+  updatedAt: new Date('2025-02-01T00:00:00Z'),
+  ...fields
+});
+const details = { summary: 'Spring Cup: Hawks vs Eagles', description: 'Basketball - SF1', domain: 'example.com' };
+const lineOf = (lines, name) => lines.find(line => line.startsWith(`${name}:`));
+
+describe('iCalendar Feeds', () => {
+  test('should escape text and format UTC times', () => {
+    expect(escapeText('Court 1, North; Hall\\B\nLevel 2')).toBe('Court 1\\, North\\; Hall\\\\B\\nLevel 2');
+    expect(formatDateTime('2025-03-01T09:30:00.000Z')).toBe('20250301T093000Z');
+  });
+
+  test('should fold long lines at 75 octets', () => {
+    const folded = foldLine(`SUMMARY:${'x'.repeat(150)}`).split('\r\n');
+    expect(folded[0]).toHaveLength(75);
+    expect(folded.slice(1).every(line => line.startsWith(' ') && line.length <= 75)).toBe(true);
+    expect(folded.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'x'.repeat(150)}`);
+  });
+
+  test('should build an event from the fixture time, duration and place', () => {
+    const lines = buildFixtureEvent(fixture(), details);
+
+    expect(lineOf(lines, 'UID')).toBe('UID:fixture-f1@example.com');
+    expect(lineOf(lines, 'DTSTART')).toBe('DTSTART:20250301T093000Z');
+    expect(lineOf(lines, 'DTEND')).toBe('DTEND:20250301T110000Z');
+    expect(lineOf(lines, 'LOCATION')).toBe('LOCATION:Olympic Park\\, Court 2');
+    expect(lineOf(lines, 'STATUS')).toBe('STATUS:CONFIRMED');
+    expect(lineOf(lines, 'SEQUENCE')).toBe('SEQUENCE:0');
+  });
+
+  test('should keep the UID and raise the sequence when a fixture is rescheduled', () => {
+    const original = buildFixtureEvent(fixture(), details);
+    const moved = buildFixtureEvent(fixture({
+      scheduledDate: new Date('2025-03-02T10:00:00Z'),
+      updatedAt: new Date('2025-02-10T00:00:00Z')
+    }), details);
+
+    expect(lineOf(moved, 'UID')).toBe(lineOf(original, 'UID'));
+    expect(Number(lineOf(moved, 'SEQUENCE').split(':')[1])).toBeGreaterThan(0);
+  });
+
+  test('should mark cancelled fixtures and skip unscheduled ones', () => {
+    expect(lineOf(buildFixtureEvent(fixture({ status: 'Cancelled' }), details), 'STATUS')).toBe('STATUS:CANCELLED');
+    expect(buildFixtureEvent(fixture({ scheduledDate: null }), details)).toEqual([]);
+  });
+
+  test('should wrap events in a calendar with CRLF line endings', () => {
+    const calendar = buildCalendar({ name: 'Spring Cup', events: [buildFixtureEvent(fixture(), details)] });
+
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar).toContain('X-WR-CALNAME:Spring Cup\r\n');
+    expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,104 @@
+const { getScoringRules, evaluateResult } = require('../utils/scoringRules');
+const {
+  validateLiveEvent,
+  replayLiveEvents,
+  buildResultFromEvents
+} = require('../utils/liveScoring');
+
+const points = (participant, count, value = 1) =>
+  Array.from({ length: count }, () => ({ type: 'point', participant, points: value }));
+const endPeriod = { type: 'endPeriod' };
+
+describe('Live Scoring', () => {
+  test('should replay points and periods into a live score', () => {
+    const rules = getScoringRules('Rugby');
+    const score = replayLiveEvents([
+      ...points(1, 2, 5),
+      ...points(2, 1, 3),
+      endPeriod,
+      ...points(2, 1, 7)
+    ], rules);
+
+    expect(score.periodName).toBe('half');
+    expect(score.periods).toEqual([expect.objectContaining({ participant1Score: 10, participant2Score: 3 })]);
+    expect(score.current).toEqual(expect.objectContaining({ participant1Score: 0, participant2Score: 7 }));
+    expect(score.totals).toEqual({ participant1Score: 10, participant2Score: 10 });
+  });
+
+  test('should skip undone events', () => {
+    const rules = getScoringRules('Basketball');
+    const events = [...points(1, 1, 3), { type: 'point', participant: 2, points: 2, undone: true }];
+
+    expect(replayLiveEvents(events, rules).totals).toEqual({ participant1Score: 3, participant2Score: 0 });
+  });
+
+  test('should track sets won and stop scoring once the match is decided', () => {
+    const rules = getScoringRules('Badminton');
+    const events = [
+      ...points(1, 21), ...points(2, 15), endPeriod,
+      ...points(1, 21), ...points(2, 19), endPeriod
+    ];
+    const score = replayLiveEvents(events, rules);
+
+    expect(score.setsWon).toEqual({ participant1: 2, participant2: 0 });
+    expect(score.decided).toBe(true);
+    expect(validateLiveEvent(score, { type: 'point', participant: 2, points: 1 }, rules))
+      .toBe('The match has already been decided');
+
+    const evaluation = evaluateResult('Badminton', buildResultFromEvents(events, rules));
+    expect(evaluation.valid).toBe(true);
+    expect(evaluation.winner).toBe(1);
+    expect(evaluation.result.sets).toEqual([
+      { participant1Score: 21, participant2Score: 15 },
+      { participant1Score: 21, participant2Score: 19 }
+    ]);
+  });
+
+  test('should reject events that do not fit the sport', () => {
+    const rules = getScoringRules('Netball');
+    const score = replayLiveEvents([], rules);
+
+    expect(validateLiveEvent(score, { type: 'wicket', participant: 1 }, rules)).toBe('Wickets only apply to cricket');
+    expect(validateLiveEvent(score, endPeriod, rules)).toBe('Nothing has been scored in this quarter');
+    expect(validateLiveEvent(score, { type: 'point', participant: 3, points: 1 }, rules)).toBe('Participant must be 1 or 2');
+    expect(validateLiveEvent(score, { type: 'point', participant: 1, points: 1 }, rules)).toBeNull();
+  });
+
+  test('should build cricket innings from runs and wickets', () => {
+    const rules = getScoringRules('Cricket');
+    const events = [
+      ...points(1, 30, 4),
+      ...Array.from({ length: 10 }, () => ({ type: 'wicket', participant: 1 })),
+      endPeriod,
+      ...points(2, 20, 6),
+      { type: 'wicket', participant: 2 }
+    ];
+
+    const before = replayLiveEvents(events.slice(0, 5), rules);
+    expect(validateLiveEvent(before, { type: 'point', participant: 2, points: 1 }, rules))
+      .toBe('Participant 1 is batting in this innings');
+
+    const result = buildResultFromEvents(events, rules);
+    expect(result.innings).toEqual([
+      { battingSide: 1, runs: 120, wickets: 10 },
+      { battingSide: 2, runs: 120, wickets: 1 }
+    ]);
+    expect(evaluateResult('Cricket', result).result.summary).toBe('Match tied');
+  });
+
+  test('should flag overtime when extra periods are played', () => {
+    const rules = getScoringRules('Netball');
+    const events = [
+      ...points(1, 10), endPeriod,
+      ...points(2, 10), endPeriod,
+      ...points(1, 5), endPeriod,
+      ...points(2, 5), endPeriod,
+      ...points(1, 2)
+    ];
+    const result = buildResultFromEvents(events, rules);
+
+    expect(result.overtime).toBe(true);
+    expect(result.periods).toHaveLength(5);
+    expect(evaluateResult('Netball', result).winner).toBe(1);
+  });
+});
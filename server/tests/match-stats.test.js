@@ -0,0 +1,70 @@
+const { calculateMatchStats } = require('../utils/matchStats');
+
+const fixture = (day, home, away, homeScore, awayScore, sport = 'Football', extra = {}) => ({
+  status: 'Completed',
+  isBye: false,
+  tournament: { sport },
+  participant1: home,
+  participant2: away,
+  winner: homeScore === awayScore ? null : (homeScore > awayScore ? home : away),
+  result: { participant1Score: homeScore, participant2Score: awayScore, completedAt: new Date(`2024-03-${String(day).padStart(2, '0')}`) },
+  ...extra
+});
+
+describe('Match Statistics', () => {
+  test('should total results from either side of a fixture', () => {
+    const stats = calculateMatchStats([
+      fixture(1, 'me', 'x', 3, 1),
+      fixture(2, 'y', 'me', 2, 2),
+      fixture(3, 'z', 'me', 4, 0)
+    ], ['me']);
+
+    expect(stats).toEqual(expect.objectContaining({
+      matchesPlayed: 3,
+      wins: 1,
+      draws: 1,
+      losses: 1,
+      winRate: 33,
+      pointsFor: 5,
+      pointsAgainst: 7
+    }));
+  });
+
+  test('should split win rate by sport across entries', () => {
+    const stats = calculateMatchStats([
+      fixture(1, 'singles', 'x', 2, 0, 'Tennis'),
+      fixture(2, 'team', 'y', 1, 3, 'Football'),
+      fixture(3, 'team', 'z', 2, 1, 'Football')
+    ], ['singles', 'team']);
+
+    expect(stats.bySport).toEqual({
+      Tennis: { matchesPlayed: 1, wins: 1, losses: 0, draws: 0, winRate: 100 },
+      Football: { matchesPlayed: 2, wins: 1, losses: 1, draws: 0, winRate: 50 }
+    });
+  });
+
+  test('should find the longest winning run in date order', () => {
+    const stats = calculateMatchStats([
+      fixture(5, 'me', 'a', 1, 0),
+      fixture(1, 'me', 'b', 1, 0),
+      fixture(3, 'me', 'c', 0, 1),
+      fixture(4, 'me', 'd', 1, 0),
+      fixture(2, 'me', 'e', 1, 0),
+      fixture(6, 'me', 'f', 1, 0)
+    ], ['me']);
+
+    expect(stats.longestWinStreak).toBe(3);
+  });
+
+  test('should leave out byes, unplayed fixtures and other entrants\' matches', () => {
+    const stats = calculateMatchStats([
+      fixture(1, 'me', null, 0, 0, 'Football', { isBye: true, winner: 'me' }),
+      fixture(2, 'me', 'x', 0, 0, 'Football', { status: 'Scheduled', result: undefined }),
+      fixture(3, 'x', 'y', 2, 0)
+    ], ['me']);
+
+    expect(stats.matchesPlayed).toBe(0);
+    expect(stats.winRate).toBe(0);
+    expect(stats.bySport).toEqual({});
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  resolveOfficiating,
+  consecutiveRun,
+  assessOfficial,
+  assignOfficials
+} = require('../utils/officialAssignment');
+
+const at = (time) => new Date(`2025-03-01T${time}:00`);
+const interval = (start, end) => ({ start: at(start), end: at(end) });
+
+const official = (id, fields = {}) => ({
+  _id: id,
+  official: {
+    isOfficial: true,
+    accreditations: [{ sport: 'Basketball', level: 'Level 2' }],
+    availability: [interval('08:00', '20:00')],
+    ...fields
+  }
+});
+
+const entry = (id, captain, teamMembers = []) => ({ _id: id, captain, teamMembers });
+const fixture = (id, time, fields = {}) => ({
+  _id: id,
+  scheduledDate: at(time),
+  estimatedDuration: 60,
+  participant1: entry('r1', 'p1', ['p2']),
+  participant2: entry('r2', 'p3'),
+  officials: [],
+  ...fields
+});
+
+const options = (fields = {}) => ({ sport: 'Basketball', settings: {}, ...fields });
+
+describe('Official Assignment', () => {
+  test('should fill in defaults for missing officiating settings', () => {
+    expect(resolveOfficiating({ officialsPerFixture: 2, minimumLevel: null })).toEqual({
+      officialsPerFixture: 2,
+      minimumLevel: null,
+      maxConsecutiveFixtures: 2,
+      minBreakMinutes: 30,
+      maxFixturesPerDay: 6
+    });
+  });
+
+  test('should require an in-date accreditation at the minimum level', () => {
+    const match = fixture('f1', '10:00');
+
+    expect(assessOfficial(official('o1'), match, options())).toBeNull();
+    expect(assessOfficial(official('o1'), match, options({ sport: 'Netball' }))).toBe('notAccredited');
+    expect(assessOfficial(official('o1'), match, options({ settings: { minimumLevel: 'Level 3' } })))
+      .toBe('belowMinimumLevel');
+    expect(assessOfficial(official('o1', {
+      accreditations: [{ sport: 'Basketball', level: 'National', expiresAt: at('09:00') }]
+    }), match, options())).toBe('notAccredited');
+  });
+
+  test('should refuse officials who play for either side or are not available', () => {
+    expect(assessOfficial(official('p2'), fixture('f1', '10:00'), options())).toBe('conflictOfInterest');
+    expect(assessOfficial(official('o1', { availability: [interval('08:00', '10:30')] }), fixture('f1', '10:00'), options()))
+      .toBe('unavailable');
+    expect(assessOfficial(official('o1', { availability: [] }), fixture('f1', '10:00'), options())).toBe('unavailable');
+  });
+
+  test('should refuse clashes, back-to-back overload and the daily limit', () => {
+    const match = fixture('f1', '12:00');
+    const playing = [{ fixtureId: 'x', ...interval('11:30', '12:30'), playing: true }];
+    const runOfTwo = [
+      { fixtureId: 'a', ...interval('10:00', '11:00') },
+      { fixtureId: 'b', ...interval('11:00', '12:00') }
+    ];
+
+    expect(assessOfficial(official('o1'), match, options({ commitments: playing }))).toBe('clash');
+    expect(assessOfficial(official('o1'), match, options({ commitments: runOfTwo }))).toBe('backToBack');
+    expect(assessOfficial(official('o1'), fixture('f1', '12:30'), options({ commitments: runOfTwo }))).toBeNull();
+    expect(assessOfficial(official('o1', { maxFixturesPerDay: 2 }), fixture('f1', '15:00'), options({ commitments: runOfTwo })))
+      .toBe('dailyLimit');
+    expect(consecutiveRun(runOfTwo, interval('12:10', '13:10'), 30)).toBe(3);
+  });
+
+  test('should share fixtures between officials and report places left open', () => {
+    const fixtures = [fixture('f1', '10:00'), fixture('f2', '11:00'), fixture('f3', '12:00')];
+    const commitments = new Map();
+
+    const { assignments, unfilled } = assignOfficials(fixtures, [official('o1'), official('o2'), official('p1')], {
+      sport: 'Basketball',
+      settings: { officialsPerFixture: 1 },
+      commitments
+    });
+
+    expect(assignments.map(({ fixture: match, official: chosen, role }) => [match._id, chosen._id, role])).toEqual([
+      ['f1', 'o1', 'Referee'],
+      ['f2', 'o2', 'Referee'],
+      ['f3', 'o1', 'Referee']
+    ]);
+    expect(unfilled).toEqual([]);
+    expect(commitments.get('o1')).toHaveLength(2);
+
+    const crowded = assignOfficials([fixture('f4', '10:00')], [official('o1'), official('p3')], {
+      sport: 'Basketball',
+      settings: { officialsPerFixture: 2 },
+      commitments
+    });
+    expect(crowded.assignments).toHaveLength(0);
+    expect(crowded.unfilled[0]).toEqual(expect.objectContaining({ needed: 2, reasons: { clash: 1, conflictOfInterest: 1 } }));
+  });
+});
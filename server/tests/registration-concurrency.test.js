@@ -0,0 +1,263 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const Registration = require('../models/Registration');
+const capacityService = require('../services/capacityService');
+
+// Create a test app without starting the server
+const express = require('express');
+const registrationRoutes = require('../routes/registrations');
+
+const app = express();
+app.use(express.json());
+app.use('/api/registrations', registrationRoutes);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const emergencyContact = {
+  name: 'Test Contact',
+  phone: '0412345678',
+  relationship: 'Parent'
+};
+
+const tokenFor = (user) => jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'fallback_secret');
+
+describe('Registration Concurrency', () => {
+  let adminUser, adminToken, players;
+
+  const createUsers = (count, prefix) => User.insertMany(Array.from({ length: count }, (_, i) => ({
+    firstName: 'Player',
+    lastName: `${prefix}${i}`,
+    email: `${prefix}${i}@test.com`,
+    password: 'password123',
+    phone: '+61412345678',
+    state: 'New South Wales',
+    isVerified: true
+  })));
+
+  const createTournament = (fields = {}) => Tournament.create({
+    name: 'Capacity Test Tournament',
+    sport: 'Tennis',
+    format: 'Single Elimination',
+    description: 'A tournament for testing concurrent registrations',
+    rules: 'Standard rules apply',
+    startDate: new Date(Date.now() + 7 * DAY),
+    endDate: new Date(Date.now() + 9 * DAY),
+    registrationDeadline: new Date(Date.now() + 5 * DAY),
+    venue: 'Test Sports Centre',
+    address: {
+      street: '123 Test Street',
+      city: 'Sydney',
+      state: 'New South Wales',
+      postcode: '2000'
+    },
+    maxParticipants: 8,
+    entryFee: 50,
+    prizePool: { first: 500 },
+    organizerBankDetails: {
+      accountName: 'Test Tournament Organizer',
+      bsb: '123-456',
+      accountNumber: '12345678',
+      bankName: 'Test Bank'
+    },
+    status: 'Open',
+    createdBy: adminUser._id,
+    ...fields
+  });
+
+  const signUp = (user, tournament) => request(app)
+    .post('/api/registrations/individual')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .send({ tournamentId: tournament._id.toString(), emergencyContact });
+
+  const setStatus = (registration, status) => request(app)
+    .put(`/api/registrations/${registration._id}/status`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ status });
+
+  const cancel = (registration, user) => request(app)
+    .delete(`/api/registrations/${registration._id}`)
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+  // The counter must always match the entries holding a place
+  const expectConsistent = async (tournament) => {
+    const updated = await Tournament.findById(tournament._id);
+    const holding = await Registration.countDocuments({
+      tournament: tournament._id,
+      status: { $in: ['Pending', 'Approved'] }
+    });
+
+    expect(updated.currentParticipants).toBe(holding);
+    expect(updated.currentParticipants).toBeLessThanOrEqual(updated.maxParticipants);
+    expect(updated.status).toBe(holding >= updated.maxParticipants ? 'Full' : 'Open');
+    return updated;
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/tournament_test');
+    }
+
+    // Clear test data
+    await User.deleteMany({});
+    await Tournament.deleteMany({});
+    await Registration.deleteMany({});
+
+    adminUser = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'password123',
+      phone: '+61412345678',
+      state: 'New South Wales',
+      isAdmin: true,
+      isVerified: true
+    });
+    adminToken = tokenFor(adminUser);
+
+    players = await createUsers(30, 'player');
+  });
+
+  afterEach(async () => {
+    await Tournament.deleteMany({});
+    await Registration.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  test('should never take more places than the tournament has', async () => {
+    const tournament = await createTournament({ waitlist: { enabled: false } });
+
+    const responses = await Promise.all(players.slice(0, 20).map(player => signUp(player, tournament)));
+
+    expect(responses.filter(response => response.status === 201)).toHaveLength(8);
+    expect(responses.filter(response => response.status === 400)).toHaveLength(12);
+    responses
+      .filter(response => response.status === 400)
+      .forEach(response => expect(response.body.message).toBe('Tournament is full'));
+
+    const updated = await expectConsistent(tournament);
+    expect(updated.currentParticipants).toBe(8);
+    expect(updated.status).toBe('Full');
+  });
+
+  test('should waitlist every entry that misses out on a place', async () => {
+    const tournament = await createTournament();
+
+    const responses = await Promise.all(players.slice(0, 20).map(player => signUp(player, tournament)));
+
+    expect(responses.every(response => response.status === 201)).toBe(true);
+    expect(responses.filter(response => response.body.registration.status === 'Pending')).toHaveLength(8);
+    expect(responses.filter(response => response.body.waitlistPosition)).toHaveLength(12);
+
+    await expectConsistent(tournament);
+  });
+
+  test('should never take more places for simultaneous team entries', async () => {
+    const tournament = await createTournament({ maxParticipants: 4, waitlist: { enabled: false } });
+    const members = await createUsers(20, 'member');
+
+    const responses = await Promise.all(players.slice(0, 10).map((captain, i) => request(app)
+      .post('/api/registrations/team')
+      .set('Authorization', `Bearer ${tokenFor(captain)}`)
+      .send({
+        tournamentId: tournament._id.toString(),
+        teamName: `Team ${i}`,
+        teamMembers: members.slice(i * 2, i * 2 + 2).map(member => ({ userId: member._id.toString() })),
+        emergencyContact
+      })));
+
+    expect(responses.filter(response => response.status === 201)).toHaveLength(4);
+    await expectConsistent(tournament);
+  });
+
+  test('should give each freed place to one waitlisted entry', async () => {
+    const tournament = await createTournament();
+    const entrants = players.slice(0, 14);
+    await Promise.all(entrants.map(player => signUp(player, tournament)));
+
+    const holding = await Registration.find({ tournament: tournament._id, status: 'Pending' }).sort({ _id: 1 });
+    const captainOf = (registration) => entrants.find(player => player._id.equals(registration.captain));
+
+    // Two cancellations, two rejections and an approval all at once
+    await Promise.all([
+      cancel(holding[0], captainOf(holding[0])),
+      cancel(holding[1], captainOf(holding[1])),
+      setStatus(holding[2], 'Rejected'),
+      setStatus(holding[3], 'Rejected'),
+      setStatus(holding[4], 'Approved')
+    ]);
+
+    const updated = await expectConsistent(tournament);
+    expect(updated.currentParticipants).toBe(8);
+    expect(await Registration.countDocuments({ tournament: tournament._id, status: 'Waitlisted' })).toBe(2);
+    expect(await Registration.countDocuments({ tournament: tournament._id, promotedAt: { $ne: null } })).toBe(4);
+  });
+
+  test('should reopen a full tournament once the waitlist runs out', async () => {
+    const tournament = await createTournament();
+    await Promise.all(players.slice(0, 9).map(player => signUp(player, tournament)));
+
+    const holding = await Registration.find({ tournament: tournament._id, status: 'Pending' });
+    await Promise.all(holding.slice(0, 3).map(registration => setStatus(registration, 'Rejected')));
+
+    const updated = await expectConsistent(tournament);
+    expect(updated.currentParticipants).toBe(6);
+    expect(updated.status).toBe('Open');
+  });
+
+  test('should give up a place once when the same change races with itself', async () => {
+    const tournament = await createTournament({ waitlist: { enabled: false } });
+    await Promise.all(players.slice(0, 8).map(player => signUp(player, tournament)));
+    const [registration] = await Registration.find({ tournament: tournament._id });
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => setStatus(registration, 'Rejected')));
+
+    expect(responses.filter(response => response.status === 200).length).toBeGreaterThanOrEqual(1);
+    const updated = await expectConsistent(tournament);
+    expect(updated.currentParticipants).toBe(7);
+  });
+
+  test('should refuse to reinstate a rejected entry into a full tournament', async () => {
+    const tournament = await createTournament({ waitlist: { enabled: false } });
+    await Promise.all(players.slice(0, 8).map(player => signUp(player, tournament)));
+    const [rejected] = await Registration.find({ tournament: tournament._id });
+
+    await setStatus(rejected, 'Rejected');
+    const responses = await Promise.all([
+      signUp(players[8], tournament),
+      signUp(players[9], tournament),
+      setStatus(rejected, 'Approved')
+    ]);
+
+    expect(responses.filter(response => response.status < 300)).toHaveLength(1);
+    await expectConsistent(tournament);
+  });
+
+  test('should hand out exactly the free places to parallel reservations', async () => {
+    const tournament = await createTournament({ maxParticipants: 5 });
+
+    const reserved = await Promise.all(Array.from({ length: 25 }, () => capacityService.reserveSeat(tournament._id)));
+
+    expect(reserved.filter(Boolean)).toHaveLength(5);
+    const updated = await Tournament.findById(tournament._id);
+    expect(updated.currentParticipants).toBe(5);
+    expect(updated.status).toBe('Full');
+  });
+
+  test('should repair a counter that has drifted from its registrations', async () => {
+    const tournament = await createTournament();
+    await Promise.all(players.slice(0, 3).map(player => signUp(player, tournament)));
+    await Tournament.updateOne({ _id: tournament._id }, { currentParticipants: 8, status: 'Full' });
+
+    const repaired = await capacityService.recount(tournament._id);
+
+    expect(repaired.currentParticipants).toBe(3);
+    expect(repaired.status).toBe('Open');
+  });
+});
@@ -0,0 +1,71 @@
+const { getCirclePairings, generateRoundRobinSchedule } = require('../utils/roundRobinGenerator');
+
+const makeParticipants = (count) => Array.from({ length: count }, (_, i) => `team${i + 1}`);
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+describe('Round Robin Generator', () => {
+  test('should reject fewer than two participants', () => {
+    expect(() => generateRoundRobinSchedule(['only'])).toThrow();
+  });
+
+  test('should pair every participant once per round with the circle method', () => {
+    const rounds = getCirclePairings(makeParticipants(6));
+
+    expect(rounds).toHaveLength(5);
+    rounds.forEach(pairings => {
+      expect(pairings).toHaveLength(3);
+      const playing = pairings.flat();
+      expect(new Set(playing).size).toBe(6);
+    });
+  });
+
+  test('should give one participant a bye each round for odd counts', () => {
+    const participants = makeParticipants(5);
+    const rounds = getCirclePairings(participants);
+
+    expect(rounds).toHaveLength(5);
+    const byes = rounds.map(pairings => {
+      const playing = pairings.flat();
+      return participants.find(p => !playing.includes(p));
+    });
+    expect(new Set(byes).size).toBe(5);
+  });
+
+  test('should schedule every pairing exactly once in a single round robin', () => {
+    const fixtures = generateRoundRobinSchedule(makeParticipants(7));
+    const pairs = fixtures.map(f => pairKey(f.participant1, f.participant2));
+
+    expect(fixtures).toHaveLength(21);
+    expect(new Set(pairs).size).toBe(21);
+    expect(Math.max(...fixtures.map(f => f.round))).toBe(7);
+    expect(fixtures[0].bracketPosition).toBe('RR1-M1');
+  });
+
+  test('should balance home and away games', () => {
+    const fixtures = generateRoundRobinSchedule(makeParticipants(8));
+    const homeCounts = {};
+    fixtures.forEach(f => {
+      homeCounts[f.participant1] = (homeCounts[f.participant1] || 0) + 1;
+    });
+
+    Object.values(homeCounts).forEach(homes => {
+      expect(homes === 3 || homes === 4).toBe(true);
+    });
+  });
+
+  test('should reverse home and away in the second leg', () => {
+    const fixtures = generateRoundRobinSchedule(makeParticipants(4), { legs: 2 });
+    const firstLeg = fixtures.filter(f => f.round <= 3);
+    const secondLeg = fixtures.filter(f => f.round > 3);
+
+    expect(fixtures).toHaveLength(12);
+    expect(secondLeg).toHaveLength(6);
+    firstLeg.forEach(fixture => {
+      const returnFixture = secondLeg.find(f =>
+        f.participant1 === fixture.participant2 && f.participant2 === fixture.participant1
+      );
+      expect(returnFixture).toBeDefined();
+    });
+  });
+});
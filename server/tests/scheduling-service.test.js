@@ -0,0 +1,194 @@
+const schedulingService = require('../services/schedulingService');
+
+const at = (time) => new Date(`2030-03-01T${time}:00`);
+
+const fixture = (id, round, matchNumber, participant1, participant2, extra = {}) => ({
+  _id: id,
+  round,
+  matchNumber,
+  bracketPosition: id,
+  participant1,
+  participant2,
+  status: 'Scheduled',
+  estimatedDuration: 60,
+  previousMatches: [],
+  ...extra
+});
+
+const baseOptions = {
+  days: ['2030-03-01'],
+  dailyStartTime: '09:00',
+  dailyEndTime: '18:00',
+  courts: ['Court 1', 'Court 2'],
+  minRestMinutes: 30,
+  changeoverMinutes: 0,
+  venue: 'Test Arena'
+};
+
+describe('Scheduling Service', () => {
+  test('should list every tournament day', () => {
+    const days = schedulingService.getTournamentDays(
+      new Date('2030-03-01T10:00:00'),
+      new Date('2030-03-03T10:00:00')
+    );
+    expect(days).toEqual(['2030-03-01', '2030-03-02', '2030-03-03']);
+  });
+
+  test('should spread independent fixtures across courts', () => {
+    const { scheduled, unscheduled } = schedulingService.scheduleFixtures([
+      fixture('m1', 1, 1, 'a', 'b'),
+      fixture('m2', 1, 2, 'c', 'd'),
+      fixture('m3', 1, 3, 'e', 'f')
+    ], baseOptions);
+
+    expect(unscheduled).toHaveLength(0);
+    expect(scheduled.map(s => [s.court, s.scheduledDate.getTime()])).toEqual([
+      ['Court 1', at('09:00').getTime()],
+      ['Court 2', at('09:00').getTime()],
+      ['Court 1', at('10:00').getTime()]
+    ]);
+    expect(scheduled[0].venue).toBe('Test Arena');
+  });
+
+  test('should respect rest periods and bracket dependencies', () => {
+    const { scheduled } = schedulingService.scheduleFixtures([
+      fixture('sf1', 1, 1, 'a', 'b'),
+      fixture('sf2', 1, 2, 'c', 'd', { estimatedDuration: 90 }),
+      fixture('f1', 2, 1, null, null, { previousMatches: ['sf1', 'sf2'] }),
+      fixture('x1', 1, 3, 'a', 'e')
+    ], baseOptions);
+    const byId = Object.fromEntries(scheduled.map(s => [s.fixtureId, s]));
+
+    // Final waits for the longer semi (ends 10:30) plus 30 minutes rest
+    expect(byId.f1.scheduledDate).toEqual(at('11:00'));
+    // 'a' finishes at 10:00 so can't play again before 10:30
+    expect(byId.x1.scheduledDate).toEqual(at('10:30'));
+  });
+
+  test('should fill gaps left on a court', () => {
+    const { scheduled } = schedulingService.scheduleFixtures([
+      fixture('m1', 1, 1, 'a', 'b', { status: 'Completed', scheduledDate: at('11:00'), court: 'Court 1' }),
+      fixture('m2', 2, 1, 'c', 'd')
+    ], { ...baseOptions, courts: ['Court 1'] });
+
+    expect(scheduled).toHaveLength(1);
+    expect(scheduled[0].scheduledDate).toEqual(at('09:00'));
+  });
+
+  test('should report fixtures that do not fit instead of overlapping', () => {
+    const { scheduled, unscheduled } = schedulingService.scheduleFixtures([
+      fixture('m1', 1, 1, 'a', 'b'),
+      fixture('m2', 1, 2, 'c', 'd'),
+      fixture('m3', 2, 1, null, null, { previousMatches: ['m1', 'm2'] })
+    ], { ...baseOptions, courts: ['Court 1'], dailyEndTime: '11:00' });
+
+    expect(scheduled.map(s => s.fixtureId)).toEqual(['m1', 'm2']);
+    expect(unscheduled).toEqual([
+      expect.objectContaining({ fixtureId: 'm3', reason: expect.any(String) })
+    ]);
+  });
+
+  test('should skip byes and report fixtures blocked by unscheduled dependencies', () => {
+    const { scheduled, unscheduled } = schedulingService.scheduleFixtures([
+      fixture('bye', 1, 1, 'a', null, { isBye: true, status: 'Completed' }),
+      fixture('m1', 1, 2, 'b', 'c', { estimatedDuration: 600 }),
+      fixture('f1', 2, 1, 'a', null, { previousMatches: ['bye', 'm1'] })
+    ], baseOptions);
+
+    expect(scheduled).toHaveLength(0);
+    expect(unscheduled.map(u => u.fixtureId)).toEqual(['m1', 'f1']);
+  });
+
+  test('should wait for feeders even when they sit in a later match number', () => {
+    const { scheduled, unscheduled } = schedulingService.scheduleFixtures([
+      fixture('w1', 2, 2, 'a', 'b'),
+      fixture('l1', 2, 1, 'c', null, { previousMatches: ['w1'] })
+    ], baseOptions);
+    const byId = Object.fromEntries(scheduled.map(s => [s.fixtureId, s]));
+
+    expect(unscheduled).toHaveLength(0);
+    expect(byId.l1.scheduledDate).toEqual(at('10:30'));
+  });
+
+  describe('reflowSchedule', () => {
+    const scheduledAt = (time, court = 'Court 1') => ({ scheduledDate: at(time), court });
+
+    test('should push later fixtures on the same court back', () => {
+      const { changes, unplaceable } = schedulingService.reflowSchedule([
+        fixture('m1', 1, 1, 'a', 'b', scheduledAt('09:00')),
+        fixture('m2', 1, 2, 'c', 'd', scheduledAt('10:00')),
+        fixture('m3', 1, 3, 'e', 'f', scheduledAt('09:00', 'Court 2'))
+      ], 'm1', at('09:30'), baseOptions);
+
+      expect(unplaceable).toHaveLength(0);
+      expect(changes.map(c => [c.fixtureId, c.newDate])).toEqual([
+        ['m1', at('09:30')],
+        ['m2', at('10:30')]
+      ]);
+      expect(changes[1].originalDate).toEqual(at('10:00'));
+    });
+
+    test('should keep rest periods and follow the bracket chain', () => {
+      const { changes } = schedulingService.reflowSchedule([
+        fixture('sf1', 1, 1, 'a', 'b', scheduledAt('09:00')),
+        fixture('sf2', 1, 2, 'c', 'd', scheduledAt('09:00', 'Court 2')),
+        fixture('x1', 1, 3, 'a', 'e', scheduledAt('10:30', 'Court 2')),
+        fixture('f1', 2, 1, null, null, { ...scheduledAt('11:00', 'Court 2'), previousMatches: ['sf1', 'sf2'] })
+      ], 'sf1', at('10:00'), baseOptions);
+      const byId = Object.fromEntries(changes.map(c => [c.fixtureId, c.newDate]));
+
+      // 'a' finishes at 11:00 and needs 30 minutes before x1
+      expect(byId.x1).toEqual(at('11:30'));
+      // The final waits for sf1 plus rest, then for x1 on the same court
+      expect(byId.f1).toEqual(at('12:30'));
+      expect(byId.sf2).toBeUndefined();
+    });
+
+    test('should leave started and completed fixtures alone', () => {
+      const { changes } = schedulingService.reflowSchedule([
+        fixture('m1', 1, 1, 'a', 'b', scheduledAt('09:00')),
+        fixture('m2', 1, 2, 'c', 'd', { ...scheduledAt('10:00'), status: 'InProgress' }),
+        fixture('m3', 1, 3, 'a', 'e', { ...scheduledAt('10:30', 'Court 2'), status: 'Completed' })
+      ], 'm1', at('09:45'), baseOptions);
+
+      expect(changes.map(c => c.fixtureId)).toEqual(['m1']);
+    });
+
+    test('should roll fixtures over to the next day and flag ones that no longer fit', () => {
+      const options = { ...baseOptions, days: ['2030-03-01', '2030-03-02'] };
+      const fixtures = [
+        fixture('m1', 1, 1, 'a', 'b', scheduledAt('16:00')),
+        fixture('m2', 1, 2, 'c', 'd', scheduledAt('17:00'))
+      ];
+
+      const nextDay = schedulingService.reflowSchedule(fixtures, 'm1', at('16:30'), options);
+      expect(nextDay.changes[1].newDate).toEqual(new Date('2030-03-02T09:00:00'));
+      expect(nextDay.unplaceable).toHaveLength(0);
+
+      const tooLate = schedulingService.reflowSchedule(fixtures, 'm1', at('16:30'), baseOptions);
+      expect(tooLate.unplaceable.map(c => c.fixtureId)).toEqual(['m2']);
+    });
+
+    test('should fit the delayed fixture itself into the playing days', () => {
+      const fixtures = [
+        fixture('m1', 1, 1, 'a', 'b', scheduledAt('16:00')),
+        fixture('m2', 1, 2, 'c', 'd', scheduledAt('17:00', 'Court 2'))
+      ];
+
+      // An hour-long match can't start at 17:30 when play ends at 18:00
+      const nextDay = schedulingService.reflowSchedule(fixtures, 'm1', at('17:30'),
+        { ...baseOptions, days: ['2030-03-01', '2030-03-02'] });
+      expect(nextDay.changes.map(c => [c.fixtureId, c.newDate]))
+        .toEqual([['m1', new Date('2030-03-02T09:00:00')]]);
+      expect(nextDay.unplaceable).toHaveLength(0);
+
+      const tooLate = schedulingService.reflowSchedule(fixtures, 'm1', at('17:30'), baseOptions);
+      expect(tooLate.unplaceable.map(c => c.fixtureId)).toEqual(['m1']);
+    });
+
+    test('should reject unknown fixtures', () => {
+      expect(() => schedulingService.reflowSchedule([], 'missing', at('10:00'), baseOptions))
+        .toThrow('Fixture not found in tournament schedule');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const {
+  getScoringRules,
+  registerScoringRules,
+  validateSetScore,
+  evaluateResult,
+  isSameResult
+} = require('../utils/scoringRules');
+
+const sets = (...scores) => scores.map(([participant1Score, participant2Score]) => ({ participant1Score, participant2Score }));
+
+describe('Scoring Rules', () => {
+  test('should validate set scores against target, margin and cap', () => {
+    const tennis = getScoringRules('Tennis').set;
+    expect(validateSetScore(6, 4, tennis)).toBeNull();
+    expect(validateSetScore(7, 5, tennis)).toBeNull();
+    expect(validateSetScore(7, 6, tennis)).toBeNull();
+    expect(validateSetScore(6, 5, tennis)).toMatch('won by 2');
+    expect(validateSetScore(8, 6, tennis)).toMatch('beyond 7');
+    expect(validateSetScore(7, 3, tennis)).toMatch('ended at 6');
+
+    const volleyball = getScoringRules('Volleyball').set;
+    expect(validateSetScore(25, 23, volleyball)).toBeNull();
+    expect(validateSetScore(28, 26, volleyball)).toBeNull();
+    expect(validateSetScore(25, 24, volleyball)).toMatch('won by 2');
+    expect(validateSetScore(24, 20, volleyball)).toMatch('played to 25');
+
+    const badminton = getScoringRules('Badminton').set;
+    expect(validateSetScore(30, 29, badminton)).toBeNull();
+  });
+
+  test('should decide set-based matches by sets won', () => {
+    const evaluation = evaluateResult('Volleyball', {
+      sets: sets([25, 20], [23, 25], [25, 27], [25, 19], [15, 13])
+    });
+
+    expect(evaluation.valid).toBe(true);
+    expect(evaluation.winner).toBe(1);
+    expect(evaluation.result.participant1Score).toBe(3);
+    expect(evaluation.result.participant2Score).toBe(2);
+    expect(evaluation.result.summary).toBe('won 3-2 in sets');
+  });
+
+  test('should reject invalid or incomplete set-based results', () => {
+    // The deciding fifth set is played to 15, not 25
+    expect(evaluateResult('Volleyball', {
+      sets: sets([25, 20], [23, 25], [25, 27], [25, 19], [25, 20])
+    }).errors).toEqual(['Set 5 (25-20) should have ended at 15']);
+
+    expect(evaluateResult('Tennis', { sets: sets([6, 3]) }).errors[0]).toMatch('needs a winner of 2 sets');
+    expect(evaluateResult('Tennis', { sets: sets([6, 3], [6, 4], [6, 2]) }).errors[0]).toMatch('already decided');
+    expect(evaluateResult('Tennis', {
+      participant1Score: 6,
+      participant2Score: 3,
+      sets: sets([6, 3], [6, 4])
+    }).errors[0]).toMatch('does not match sets won');
+    expect(evaluateResult('Tennis', { sets: sets([6, 3], [6, 4], [6, 2]) }, { bestOf: 5 }).valid).toBe(true);
+  });
+
+  test('should describe cricket results by wickets, runs or an innings', () => {
+    const chase = evaluateResult('Cricket', {
+      innings: [
+        { battingSide: 1, runs: 180, wickets: 6, overs: 20 },
+        { battingSide: 2, runs: 181, wickets: 5, overs: 18.4 }
+      ]
+    }, { oversPerInnings: 20 });
+    expect(chase.valid).toBe(true);
+    expect(chase.winner).toBe(2);
+    expect(chase.result.summary).toBe('won by 5 wickets');
+
+    const defended = evaluateResult('Cricket', {
+      innings: [
+        { battingSide: 2, runs: 250, wickets: 8 },
+        { battingSide: 1, runs: 230, wickets: 10 }
+      ]
+    });
+    expect(defended.winner).toBe(2);
+    expect(defended.result.participant1Score).toBe(230);
+    expect(defended.result.summary).toBe('won by 20 runs');
+
+    const innings = evaluateResult('Cricket', {
+      innings: [
+        { battingSide: 1, runs: 450, wickets: 7, declared: true },
+        { battingSide: 2, runs: 150, wickets: 10 },
+        { battingSide: 2, runs: 200, wickets: 10 }
+      ]
+    }, { inningsPerSide: 2 });
+    expect(innings.winner).toBe(1);
+    expect(innings.result.summary).toBe('won by an innings and 100 runs');
+
+    const drawn = evaluateResult('Cricket', {
+      innings: [
+        { battingSide: 1, runs: 300, wickets: 10 },
+        { battingSide: 2, runs: 280, wickets: 10 },
+        { battingSide: 1, runs: 200, wickets: 5, declared: true },
+        { battingSide: 2, runs: 150, wickets: 6 }
+      ]
+    }, { inningsPerSide: 2 });
+    expect(drawn.winner).toBeNull();
+    expect(drawn.result.drawn).toBe(true);
+    expect(drawn.result.summary).toBe('Match drawn');
+  });
+
+  test('should reject invalid cricket innings', () => {
+    const evaluation = evaluateResult('Cricket', {
+      innings: [
+        { battingSide: 1, runs: 180, wickets: 11, overs: 20.7 },
+        { battingSide: 1, runs: 50, wickets: 2, overs: 5 }
+      ]
+    });
+
+    expect(evaluation.valid).toBe(false);
+    expect(evaluation.errors).toEqual(expect.arrayContaining([
+      'Both sides must bat before either bats again',
+      'Innings 1 wickets must be between 0 and 10',
+      'Innings 1 overs must be written as overs.balls with at most 5 balls',
+      'Participant 1 cannot bat more than 1 innings'
+    ]));
+  });
+
+  test('should not decide a cricket match until both sides have batted', () => {
+    const evaluation = evaluateResult('Cricket', {
+      innings: [{ battingSide: 1, runs: 150, wickets: 4, overs: 20 }]
+    });
+
+    expect(evaluation.valid).toBe(false);
+    expect(evaluation.errors).toEqual(['Participant 2 must bat before the match can be decided']);
+  });
+
+  test('should total period scores and allow draws', () => {
+    const rugby = evaluateResult('Rugby', {
+      participant1Score: 24,
+      participant2Score: 17,
+      periods: sets([10, 7], [14, 10])
+    });
+    expect(rugby.valid).toBe(true);
+    expect(rugby.winner).toBe(1);
+
+    expect(evaluateResult('Netball', { periods: sets([10, 12], [11, 9]) }).errors[0])
+      .toBe('Scores are required for all 4 quarters');
+    expect(evaluateResult('Rugby', { periods: sets([10, 7], [14, 10], [3, 0]) }).errors[0])
+      .toMatch('without overtime');
+
+    const draw = evaluateResult('Netball', { periods: sets([10, 12], [11, 9], [12, 12], [9, 9]) });
+    expect(draw.winner).toBeNull();
+    expect(draw.result.drawn).toBe(true);
+  });
+
+  test('should fall back to plain scores for other sports', () => {
+    const evaluation = evaluateResult('Basketball', { participant1Score: 78, participant2Score: 81 });
+    expect(evaluation.valid).toBe(true);
+    expect(evaluation.winner).toBe(2);
+    expect(evaluateResult('Basketball', {}).errors).toEqual(['A score is required for both participants']);
+  });
+
+  test('should compare normalised results from both captains', () => {
+    const first = evaluateResult('Tennis', { sets: sets([6, 3], [4, 6], [7, 6]) }).result;
+    const same = evaluateResult('Tennis', { participant1Score: 2, participant2Score: 1, sets: sets([6, 3], [4, 6], [7, 6]) }).result;
+    const different = evaluateResult('Tennis', { sets: sets([6, 3], [4, 6], [7, 5]) }).result;
+
+    expect(isSameResult(first, same)).toBe(true);
+    expect(isSameResult(first, different)).toBe(false);
+    expect(isSameResult({ participant1Score: 2, participant2Score: 1 }, { participant1Score: 1, participant2Score: 2 })).toBe(false);
+  });
+
+  test('should allow custom rules to be registered', () => {
+    registerScoringRules('Pickleball', { type: 'sets', bestOf: 3, set: { pointsToWin: 11, winBy: 2 } });
+    expect(evaluateResult('Pickleball', { sets: sets([11, 9], [11, 4]) }).winner).toBe(1);
+    expect(() => registerScoringRules('Chess', { type: 'moves' })).toThrow('Unknown scoring type');
+  });
+});
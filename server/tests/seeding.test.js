@@ -0,0 +1,58 @@
+const {
+  calculateSeedRating,
+  orderBySeed,
+  validateManualSeeds
+} = require('../utils/seeding');
+
+const entrant = (id, fields = {}) => ({ id, registrationDate: new Date(`2024-01-0${fields.day || 1}`), ...fields });
+
+describe('Seeding', () => {
+  test('should rate entries from skill level and past results', () => {
+    expect(calculateSeedRating(['Advanced'])).toBe(1400);
+    expect(calculateSeedRating(['Beginner', 'Advanced'])).toBe(1200);
+    expect(calculateSeedRating([])).toBe(1000);
+
+    // 10 wins from 10 games is half way to the full swing
+    expect(calculateSeedRating(['Intermediate'], { wins: 10 })).toBe(1300);
+    expect(calculateSeedRating(['Intermediate'], { losses: 10 })).toBe(1100);
+    expect(calculateSeedRating(['Intermediate'], { wins: 5, losses: 5 })).toBe(1200);
+    expect(calculateSeedRating(['Intermediate'], { wins: 2 })).toBeLessThan(calculateSeedRating(['Intermediate'], { wins: 20 }));
+  });
+
+  test('should put manual seeds first, then order by rating and registration date', () => {
+    const seeded = orderBySeed([
+      entrant('a', { rating: 1100, day: 1 }),
+      entrant('b', { rating: 1400, day: 2 }),
+      entrant('c', { rating: 1100, day: 3, seed: 1 }),
+      entrant('d', { rating: 1100, day: 4 })
+    ]);
+
+    expect(seeded.map(e => [e.id, e.seed, e.source])).toEqual([
+      ['c', 1, 'manual'],
+      ['b', 2, 'rating'],
+      ['a', 3, 'rating'],
+      ['d', 4, 'rating']
+    ]);
+  });
+
+  test('should keep registration order when there are no ratings', () => {
+    const seeded = orderBySeed([entrant('late', { day: 5 }), entrant('early', { day: 2 })]);
+    expect(seeded.map(e => e.id)).toEqual(['early', 'late']);
+
+    const manual = orderBySeed([entrant('late', { day: 5 }), entrant('early', { day: 2, seed: 1 })], { method: 'manual' });
+    expect(manual.map(e => [e.id, e.source])).toEqual([['early', 'manual'], ['late', 'registration']]);
+  });
+
+  test('should reject manual seeds that do not fit the entrants', () => {
+    const ids = ['a', 'b', 'c'];
+
+    expect(validateManualSeeds([{ registrationId: 'a', seed: 1 }, { registrationId: 'b', seed: 2 }], ids)).toEqual([]);
+    expect(validateManualSeeds([{ registrationId: 'x', seed: 1 }], ids)).toEqual(['Registration x is not an approved entrant']);
+    expect(validateManualSeeds([{ registrationId: 'a', seed: 4 }], ids)).toEqual(['Seed 4 must be between 1 and 3']);
+    expect(validateManualSeeds([{ registrationId: 'a', seed: 1 }, { registrationId: 'b', seed: 1 }], ids))
+      .toEqual(['Seed 1 is given to more than one entrant']);
+    expect(validateManualSeeds([{ registrationId: 'a', seed: 1 }, { registrationId: 'a', seed: 2 }], ids))
+      .toEqual(['Registration a is seeded more than once']);
+    expect(validateManualSeeds([{ registrationId: 'a', seed: 2 }], ids)).toEqual(['Manual seeds must run from 1 without gaps']);
+  });
+});
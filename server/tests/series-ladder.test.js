@@ -0,0 +1,67 @@
+const { pointsForPosition, buildLadder } = require('../utils/seriesLadder');
+
+const TABLE = [100, 80, 65, 55];
+const result = (player, tournament, position) => ({
+  player,
+  tournament,
+  position,
+  points: pointsForPosition(position, TABLE, 5)
+});
+
+describe('Series Ladder', () => {
+  test('should award points by final position', () => {
+    expect(pointsForPosition(1, TABLE, 5)).toBe(100);
+    expect(pointsForPosition(4, TABLE, 5)).toBe(55);
+    expect(pointsForPosition(9, TABLE, 5)).toBe(5);
+    expect(pointsForPosition(null, TABLE, 5)).toBe(0);
+  });
+
+  test('should total every result when there is no best-N rule', () => {
+    const ladder = buildLadder([
+      result('ann', 't1', 1),
+      result('bob', 't1', 2),
+      result('bob', 't2', 1),
+      result('ann', 't2', 9)
+    ]);
+
+    expect(ladder.map(row => [row.player, row.totalPoints, row.rank])).toEqual([
+      ['bob', 180, 1],
+      ['ann', 105, 2]
+    ]);
+  });
+
+  test('should only count each player\'s best results', () => {
+    const ladder = buildLadder([
+      result('ann', 't1', 1),
+      result('ann', 't2', 4),
+      result('ann', 't3', 2),
+      result('bob', 't1', 2),
+      result('bob', 't2', 1)
+    ], { bestResults: 2 });
+
+    expect(ladder[0]).toEqual(expect.objectContaining({ player: 'ann', totalPoints: 180, eventsPlayed: 3 }));
+    expect(ladder[0].results.map(r => [r.tournament, r.counted])).toEqual([
+      ['t1', true],
+      ['t3', true],
+      ['t2', false]
+    ]);
+    expect(ladder[1]).toEqual(expect.objectContaining({ player: 'bob', totalPoints: 180, rank: 2 }));
+  });
+
+  test('should separate level players by best finish, then share a rank', () => {
+    const ladder = buildLadder([
+      result('ann', 't1', 2),
+      result('ann', 't2', 2),
+      result('bob', 't1', 1),
+      result('bob', 't2', 9),
+      result('cat', 't1', 9),
+      result('cat', 't2', 1)
+    ]);
+
+    expect(ladder.map(row => [row.player, row.totalPoints, row.rank])).toEqual([
+      ['ann', 160, 1],
+      ['bob', 105, 2],
+      ['cat', 105, 2]
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+const {
+  resolveStandingsConfig,
+  calculateBonusPoints,
+  rankStandings
+} = require('../utils/standingsRules');
+const { calculateRoundRobinStandings } = require('../controllers/tournamentController');
+
+const team = (id) => ({ _id: id });
+const played = (home, away, homeScore, awayScore, extra = {}) => ({
+  status: 'Completed',
+  participant1: team(home),
+  participant2: team(away),
+  winner: homeScore === awayScore ? null : team(homeScore > awayScore ? home : away),
+  result: { participant1Score: homeScore, participant2Score: awayScore, ...extra }
+});
+const order = (standings) => standings.map(standing => standing.participant._id);
+
+describe('Standings Rules', () => {
+  test('should layer tournament settings over the sport preset', () => {
+    expect(resolveStandingsConfig('Football')).toEqual({
+      rankBy: 'points',
+      points: { win: 3, draw: 1, loss: 0, forfeit: 0 },
+      forfeitScore: { winner: 3, loser: 0 },
+      bonusPoints: [],
+      tiebreakers: ['goalDifference', 'goalsFor']
+    });
+
+    const rugby = resolveStandingsConfig('Rugby', { points: { win: 5 }, tiebreakers: ['drawingOfLots'] });
+    expect(rugby.points).toEqual({ win: 5, draw: 2, loss: 0, forfeit: 0 });
+    expect(rugby.bonusPoints).toHaveLength(2);
+    expect(rugby.tiebreakers).toEqual(['drawingOfLots']);
+  });
+
+  test('should award rugby try and losing bonus points', () => {
+    const config = resolveStandingsConfig('Rugby');
+    const result = { participant1Score: 24, participant2Score: 20, participant1Tries: 4, participant2Tries: 2 };
+
+    expect(calculateBonusPoints(result, 1, true, false, config)).toBe(1);
+    expect(calculateBonusPoints(result, 2, false, true, config)).toBe(1);
+    expect(calculateBonusPoints({ ...result, participant2Score: 10 }, 2, false, true, config)).toBe(0);
+  });
+
+  test('should keep the default 3/1/0 table with goal difference', () => {
+    const standings = calculateRoundRobinStandings([team('a'), team('b'), team('c')], [
+      played('a', 'b', 2, 0),
+      played('b', 'c', 1, 1),
+      played('c', 'a', 3, 1)
+    ]);
+
+    expect(order(standings)).toEqual(['c', 'a', 'b']);
+    expect(standings.map(standing => standing.points)).toEqual([4, 3, 1]);
+  });
+
+  test('should use forfeit points and bonus points from the config', () => {
+    const config = resolveStandingsConfig('Rugby', { points: { forfeit: -2 } });
+    const standings = calculateRoundRobinStandings([team('a'), team('b')], [
+      played('a', 'b', 28, 0, { forfeit: true, participant1Tries: 4 })
+    ], config);
+
+    expect(standings[0]).toEqual(expect.objectContaining({ points: 5, bonusPoints: 1 }));
+    expect(standings[1]).toEqual(expect.objectContaining({ points: -2, forfeits: 1 }));
+  });
+
+  test('should separate level teams with a head-to-head mini table', () => {
+    const teams = ['a', 'b', 'c', 'd'].map(team);
+    const fixtures = [
+      played('a', 'b', 1, 0),
+      played('c', 'a', 1, 0),
+      played('b', 'c', 5, 0),
+      played('a', 'd', 1, 0),
+      played('b', 'd', 5, 0),
+      played('d', 'c', 1, 0)
+    ];
+
+    // a and b both have 6 points; b has the better goal difference but lost to a
+    expect(order(calculateRoundRobinStandings(teams, fixtures)).slice(0, 2)).toEqual(['b', 'a']);
+
+    const config = resolveStandingsConfig('Football', { tiebreakers: ['headToHead', 'goalDifference'] });
+    const standings = calculateRoundRobinStandings(teams, fixtures, config);
+    expect(standings.map(standing => standing.points)).toEqual([6, 6, 3, 3]);
+    expect(order(standings)).toEqual(['a', 'b', 'd', 'c']);
+  });
+
+  test('should rank by percentage and win percentage', () => {
+    const netball = calculateRoundRobinStandings([team('a'), team('b'), team('c')], [
+      played('a', 'b', 50, 40),
+      played('b', 'c', 45, 40),
+      played('c', 'a', 60, 30)
+    ], resolveStandingsConfig('Netball'));
+    expect(order(netball)).toEqual(['c', 'b', 'a']);
+
+    const standings = [
+      { participant: team('a'), points: 10, winPercentage: 50 },
+      { participant: team('b'), points: 6, winPercentage: 75 }
+    ];
+    expect(order(rankStandings(standings, [], resolveStandingsConfig('Basketball')))).toEqual(['b', 'a']);
+  });
+
+  test('should draw lots consistently for the same seed', () => {
+    const rows = () => ['a', 'b', 'c', 'd'].map(id => ({ participant: team(id), points: 0 }));
+    const config = resolveStandingsConfig('Football', { tiebreakers: ['drawingOfLots'] });
+
+    const first = order(rankStandings(rows(), [], config, { seed: 'tournament-1' }));
+    const second = order(rankStandings(rows().reverse(), [], config, { seed: 'tournament-1' }));
+    expect(first).toEqual(second);
+    expect([...first].sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
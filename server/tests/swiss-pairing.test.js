@@ -0,0 +1,128 @@
+const {
+  getDefaultSwissRounds,
+  calculateSwissScores,
+  calculateSwissTiebreaks,
+  generateSwissRound
+} = require('../utils/swissPairing');
+
+const makeParticipants = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+// Complete a round's fixtures, letting the lower seed number win
+const completeRound = (fixtures) => fixtures.map(fixture => {
+  if (fixture.isBye) return fixture;
+  const [winner] = [fixture.participant1, fixture.participant2]
+    .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+  return { ...fixture, status: 'Completed', winner };
+});
+
+describe('Swiss Pairing', () => {
+  test('should default to log2 rounds', () => {
+    expect(getDefaultSwissRounds(8)).toBe(3);
+    expect(getDefaultSwissRounds(9)).toBe(4);
+  });
+
+  test('should pair the top half against the bottom half in round one', () => {
+    const fixtures = generateSwissRound(makeParticipants(8), [], 1);
+
+    expect(fixtures.map(f => [f.participant1, f.participant2])).toEqual([
+      ['p1', 'p5'],
+      ['p2', 'p6'],
+      ['p3', 'p7'],
+      ['p4', 'p8']
+    ]);
+  });
+
+  test('should give the bye to the lowest-ranked player', () => {
+    const fixtures = generateSwissRound(makeParticipants(5), [], 1);
+    const bye = fixtures.find(f => f.isBye);
+
+    expect(bye.participant1).toBe('p5');
+    expect(bye.winner).toBe('p5');
+    expect(bye.status).toBe('Completed');
+    expect(fixtures.filter(f => !f.isBye)).toHaveLength(2);
+  });
+
+  test('should not give the same player a second bye', () => {
+    const participants = makeParticipants(5);
+    const roundOne = completeRound(generateSwissRound(participants, [], 1));
+    const roundTwo = generateSwissRound(participants, roundOne, 2);
+
+    const byeOne = roundOne.find(f => f.isBye).participant1;
+    const byeTwo = roundTwo.find(f => f.isBye).participant1;
+    expect(byeTwo).not.toBe(byeOne);
+  });
+
+  test('should pair equal scores without rematches', () => {
+    const participants = makeParticipants(8);
+    let history = completeRound(generateSwissRound(participants, [], 1));
+    const roundTwo = generateSwissRound(participants, history, 2);
+    const scores = calculateSwissScores(participants, history);
+
+    roundTwo.forEach(fixture => {
+      expect(scores.get(fixture.participant1).score).toBe(scores.get(fixture.participant2).score);
+    });
+
+    history = history.concat(completeRound(roundTwo));
+    const roundThree = generateSwissRound(participants, history, 3);
+    const played = new Set(history.map(f => [f.participant1, f.participant2].sort().join('|')));
+
+    roundThree.forEach(fixture => {
+      expect(played.has([fixture.participant1, fixture.participant2].sort().join('|'))).toBe(false);
+    });
+  });
+
+  test('should compute Buchholz and Sonneborn-Berger tiebreaks', () => {
+    const participants = ['a', 'b', 'c', 'd'];
+    const fixtures = [
+      { participant1: 'a', participant2: 'b', winner: 'a', status: 'Completed' },
+      { participant1: 'c', participant2: 'd', winner: null, status: 'Completed' },
+      { participant1: 'a', participant2: 'c', winner: 'a', status: 'Completed' },
+      { participant1: 'b', participant2: 'd', winner: 'b', status: 'Completed' }
+    ];
+    const records = calculateSwissTiebreaks(calculateSwissScores(participants, fixtures));
+
+    expect(records.get('a').score).toBe(2);
+    expect(records.get('c').score).toBe(0.5);
+    // a beat b (1) and c (0.5)
+    expect(records.get('a').buchholz).toBe(1.5);
+    expect(records.get('a').sonnebornBerger).toBe(1.5);
+    // c drew d (0.5) and lost to a (2)
+    expect(records.get('c').buchholz).toBe(2.5);
+    expect(records.get('c').sonnebornBerger).toBe(0.25);
+  });
+
+  test('should leave withdrawn participants out of the pairing', () => {
+    const participants = ['a', 'b', 'c', 'd', 'e'];
+    const fixtures = [
+      { participant1: 'a', participant2: 'e', winner: 'a', status: 'Completed' },
+      { participant1: 'b', participant2: 'c', winner: 'b', status: 'Completed' },
+      { participant1: 'd', participant2: null, winner: 'd', isBye: true, status: 'Completed' }
+    ];
+    const round = generateSwissRound(participants, fixtures, 2, { withdrawn: ['e'] });
+    const paired = round.flatMap(f => [f.participant1, f.participant2]).filter(Boolean);
+
+    expect(paired.sort()).toEqual(['a', 'b', 'c', 'd']);
+    expect(round.some(f => f.isBye)).toBe(false);
+  });
+  test('should fall back to rematches quickly when no clean pairing exists', () => {
+    const participants = makeParticipants(22);
+    // The three lowest seeds have already played everyone else, and lost
+    const exhausted = ['p20', 'p21', 'p22'];
+    const fixtures = exhausted.flatMap((player, index) => participants
+      .filter(other => other !== player && !exhausted.slice(0, index).includes(other))
+      .map(other => ({ participant1: other, participant2: player, winner: other, status: 'Completed' })));
+    const played = new Set(fixtures.map(f => [f.participant1, f.participant2].sort().join('|')));
+
+    const startedAt = Date.now();
+    const round = generateSwissRound(participants, fixtures, 20);
+
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(round).toHaveLength(11);
+    expect(round.flatMap(f => [f.participant1, f.participant2]).sort()).toEqual([...participants].sort());
+    round
+      .filter(fixture => played.has([fixture.participant1, fixture.participant2].sort().join('|')))
+      .forEach(fixture => {
+        expect([fixture.participant1, fixture.participant2].some(player => exhausted.includes(player))).toBe(true);
+      });
+  });
+});
@@ -0,0 +1,76 @@
+const { toInvitee, planInvitations, isInvitee, rosterSummary } = require('../utils/teamInvitations');
+
+const captain = { _id: 'c1', email: 'captain@test.com' };
+const users = [
+  { _id: 'u1', email: 'jess@test.com' },
+  { _id: 'u2', email: 'sam@test.com' }
+];
+
+describe('Team Invitations', () => {
+  test('should invite accounts by id or email and strangers by email', () => {
+    const { invitees, problems } = planInvitations([
+      { userId: 'u1' },
+      { email: ' Sam@Test.com ' },
+      { email: 'new.player@test.com' }
+    ], { users, captain });
+
+    expect(problems).toEqual([]);
+    expect(invitees).toEqual([
+      { user: 'u1', email: 'jess@test.com' },
+      { user: 'u2', email: 'sam@test.com' },
+      { user: undefined, email: 'new.player@test.com' }
+    ]);
+  });
+
+  test('should still accept team members sent as bare user ids', () => {
+    const requested = ['u1', { email: 'new.player@test.com' }].map(toInvitee);
+    expect(requested).toEqual([{ userId: 'u1' }, { email: 'new.player@test.com' }]);
+
+    const { invitees, problems } = planInvitations(requested, { users, captain });
+    expect(problems).toEqual([]);
+    expect(invitees).toEqual([
+      { user: 'u1', email: 'jess@test.com' },
+      { user: undefined, email: 'new.player@test.com' }
+    ]);
+  });
+
+  test('should refuse unknown accounts, the captain and anyone asked twice', () => {
+    const { invitees, problems } = planInvitations([
+      { userId: 'u9' },
+      { email: 'CAPTAIN@test.com' },
+      { userId: 'u1' },
+      { email: 'jess@test.com' },
+      { email: 'sam@test.com' }
+    ], { users, captain, existing: [{ user: 'u2', email: 'sam@test.com', status: 'Invited' }] });
+
+    expect(invitees).toEqual([{ user: 'u1', email: 'jess@test.com' }]);
+    expect(problems.map(problem => problem.reason)).toEqual(['notFound', 'captain', 'duplicate', 'duplicate']);
+  });
+
+  test('should recognise an invitee by account or by email', () => {
+    expect(isInvitee({ user: 'u1', email: 'jess@test.com' }, { _id: 'u1', email: 'other@test.com' })).toBe(true);
+    expect(isInvitee({ email: 'new.player@test.com' }, { _id: 'u3', email: 'New.Player@test.com' })).toBe(true);
+    expect(isInvitee({ user: 'u1', email: 'jess@test.com' }, { _id: 'u2', email: 'sam@test.com' })).toBe(false);
+  });
+
+  test('should count a roster complete once enough members accept', () => {
+    const invitations = [
+      { status: 'Accepted' },
+      { status: 'Accepted' },
+      { status: 'Invited' },
+      { status: 'Declined' },
+      { status: 'Revoked' }
+    ];
+
+    expect(rosterSummary(invitations, 3)).toEqual({
+      required: 3,
+      accepted: 2,
+      awaiting: 1,
+      declined: 1,
+      complete: false,
+      canComplete: true
+    });
+    expect(rosterSummary(invitations, 2).complete).toBe(true);
+    expect(rosterSummary(invitations, 4).canComplete).toBe(false);
+  });
+});
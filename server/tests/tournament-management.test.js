@@ -207,28 +207,6 @@ describe('Tournament Management', () => {
 
     test('should generate fixtures for tournament', async () => {
       const fixtureData = {
-        fixtures: [
-          {
-            round: 1,
-            matchNumber: 1,
-            participant1: registrations[0],
-            participant2: registrations[1],
-            scheduledDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-            venue: tournament.venue,
-            court: 'Court 1',
-            bracketPosition: 'SF1'
-          },
-          {
-            round: 1,
-            matchNumber: 2,
-            participant1: registrations[2],
-            participant2: registrations[3],
-            scheduledDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-            venue: tournament.venue,
-            court: 'Court 2',
-            bracketPosition: 'SF2'
-          }
-        ],
         settings: {
           startTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
           matchDuration: 60,
@@ -246,7 +224,12 @@ describe('Tournament Management', () => {
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
-      expect(response.body.data.length).toBe(2);
+      // Two semi-finals plus a placeholder final
+      expect(response.body.data.length).toBe(3);
+
+      const final = response.body.data.find(fixture => fixture.bracketPosition === 'F1');
+      expect(final.previousMatches.length).toBe(2);
+      expect(final.participant1).toBeFalsy();
     });
 
     test('should get tournament fixtures', async () => {
@@ -257,7 +240,7 @@ describe('Tournament Management', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.data)).toBe(true);
-      expect(response.body.data.length).toBe(2);
+      expect(response.body.data.length).toBe(3);
     });
   });
 
@@ -265,8 +248,8 @@ describe('Tournament Management', () => {
     let fixture;
 
     beforeAll(async () => {
-      // Get the first fixture
-      const fixtures = await Fixture.find({ tournament: tournament._id });
+      // Get the first semi-final
+      const fixtures = await Fixture.find({ tournament: tournament._id, round: 1 });
       fixture = fixtures[0];
     });
 
@@ -294,6 +277,27 @@ describe('Tournament Management', () => {
       expect(response.body.data.winner).toBeDefined();
     });
 
+    test('should award a forfeit to the side that did not forfeit', async () => {
+      const [, other] = await Fixture.find({ tournament: tournament._id, round: 1 });
+
+      const missingSide = await request(app)
+        .put(`/api/fixtures/${other._id}/result`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ result: { participant1Score: 0, participant2Score: 0, forfeit: true } });
+
+      expect(missingSide.status).toBe(400);
+
+      // JSON clients may send the side as a string
+      const response = await request(app)
+        .put(`/api/fixtures/${other._id}/result`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ result: { participant1Score: 0, participant2Score: 0, forfeit: true, forfeitedBy: '1' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.result.forfeitedBy).toBe(1);
+      expect(String(response.body.data.winner._id)).toBe(String(other.participant2));
+    });
+
     test('should update fixture status', async () => {
       const statusData = {
         status: 'InProgress'
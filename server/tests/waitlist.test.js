@@ -0,0 +1,49 @@
+const {
+  resolveWaitlist,
+  offerDeadline,
+  openPlaces,
+  queuePositions,
+  isOfferExpired
+} = require('../utils/waitlist');
+
+const at = (value) => new Date(`2025-03-${value}:00Z`);
+
+describe('Tournament Waitlist', () => {
+  test('should enable the waitlist with a 48 hour offer by default', () => {
+    expect(resolveWaitlist(undefined)).toEqual({ enabled: true, offerHours: 48 });
+    expect(resolveWaitlist({ enabled: false, offerHours: 12 })).toEqual({ enabled: false, offerHours: 12 });
+  });
+
+  test('should close offers after the window or at the start of the tournament', () => {
+    expect(offerDeadline(at('01T09:00'), 24, at('10T09:00'))).toEqual(at('02T09:00'));
+    expect(offerDeadline(at('01T09:00'), 48, at('02T08:00'))).toEqual(at('02T08:00'));
+    expect(openPlaces(16, 15)).toBe(1);
+    expect(openPlaces(16, 17)).toBe(0);
+  });
+
+  test('should number the queue in the order entries were waitlisted', () => {
+    const positions = queuePositions([
+      { _id: 'c', status: 'Waitlisted', waitlistedAt: at('02T10:00') },
+      { _id: 'a', status: 'Pending', waitlistedAt: at('01T10:00') },
+      { _id: 'b', status: 'Waitlisted', waitlistedAt: at('02T09:00') },
+      { _id: 'd', status: 'Waitlisted', waitlistedAt: at('02T10:00') }
+    ]);
+
+    expect([...positions]).toEqual([['b', 1], ['c', 2], ['d', 3]]);
+  });
+
+  test('should only expire unpaid offers past their deadline', () => {
+    const offer = {
+      status: 'Pending',
+      offerExpiresAt: at('02T09:00'),
+      paymentStatus: 'Pending'
+    };
+
+    expect(isOfferExpired(offer, at('02T09:00'))).toBe(true);
+    expect(isOfferExpired(offer, at('02T08:59'))).toBe(false);
+    expect(isOfferExpired({ ...offer, paymentConfirmation: 'uploads/payment.pdf' }, at('03T09:00'))).toBe(false);
+    expect(isOfferExpired({ ...offer, paymentStatus: 'Confirmed' }, at('03T09:00'))).toBe(false);
+    expect(isOfferExpired({ ...offer, status: 'Approved' }, at('03T09:00'))).toBe(false);
+    expect(isOfferExpired({ status: 'Pending', paymentStatus: 'Pending' }, at('03T09:00'))).toBe(false);
+  });
+});
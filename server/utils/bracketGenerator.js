@@ -0,0 +1,252 @@
+// Bracket generation helpers
+// These functions are pure: they take participant IDs (already ordered by seed,
+// index 0 = top seed) and return plain fixture descriptors. Descriptors link to
+// each other through a `key` so the caller can allocate real ObjectIds before
+// persisting them.
+
+// Smallest power of two that can hold the given number of participants
+const nextPowerOfTwo = (count) => {
+  let size = 1;
+  while (size < count) {
+    size *= 2;
+  }
+  return size;
+};
+
+// Standard seed placement for a bracket of the given size, e.g. for 8:
+// [1, 8, 4, 5, 2, 7, 3, 6] so that 1 plays 8, 4 plays 5 and so on, and the
+// top two seeds can only meet in the final
+const getSeedOrder = (bracketSize) => {
+  let order = [1];
+  while (order.length < bracketSize) {
+    const size = order.length * 2;
+    order = order.flatMap(seed => [seed, size + 1 - seed]);
+  }
+  return order;
+};
+
+// Label a match by its distance from the final (F1, SF1, QF1, otherwise R1-M1)
+const getBracketPosition = (round, totalRounds, matchNumber) => {
+  const roundsFromFinal = totalRounds - round;
+  if (roundsFromFinal === 0) return `F${matchNumber}`;
+  if (roundsFromFinal === 1) return `SF${matchNumber}`;
+  if (roundsFromFinal === 2) return `QF${matchNumber}`;
+  return `R${round}-M${matchNumber}`;
+};
+
+// Build a full single-elimination tree. Empty slots are padded with byes, bye
+// fixtures are marked completed with their participant as the winner, and that
+// winner is already placed in the next-round fixture.
+const generateSingleEliminationBracket = (participants, { minBracketSize = 2 } = {}) => {
+  if (!Array.isArray(participants) || participants.length < 2) {
+    throw new Error('At least 2 participants are required to generate a bracket');
+  }
+
+  const bracketSize = Math.max(nextPowerOfTwo(participants.length), nextPowerOfTwo(minBracketSize));
+  const totalRounds = Math.log2(bracketSize);
+  const seedOrder = getSeedOrder(bracketSize);
+  const fixtures = [];
+  let previousRound = [];
+
+  for (let round = 1; round <= totalRounds; round++) {
+    const matchCount = bracketSize / Math.pow(2, round);
+    const currentRound = [];
+
+    for (let index = 0; index < matchCount; index++) {
+      const matchNumber = index + 1;
+      const fixture = {
+        key: `R${round}-M${matchNumber}`,
+        round,
+        matchNumber,
+        bracketPosition: getBracketPosition(round, totalRounds, matchNumber),
+        bracket: 'Winners',
+        participant1: null,
+        participant2: null,
+        winner: null,
+        isBye: false,
+        status: 'Scheduled',
+        nextMatchKey: null,
+        previousMatchKeys: []
+      };
+
+      if (round === 1) {
+        const seed1 = seedOrder[index * 2];
+        const seed2 = seedOrder[index * 2 + 1];
+        fixture.participant1 = seed1 <= participants.length ? participants[seed1 - 1] : null;
+        fixture.participant2 = seed2 <= participants.length ? participants[seed2 - 1] : null;
+
+        if (!fixture.participant1 || !fixture.participant2) {
+          fixture.isBye = true;
+          fixture.status = 'Completed';
+          fixture.winner = fixture.participant1 || fixture.participant2;
+          // Keep the real participant in the first slot
+          fixture.participant1 = fixture.winner;
+          fixture.participant2 = null;
+        }
+      } else {
+        const feeders = previousRound.slice(index * 2, index * 2 + 2);
+        fixture.previousMatchKeys = feeders.map(feeder => feeder.key);
+
+        feeders.forEach((feeder, slot) => {
+          feeder.nextMatchKey = fixture.key;
+          if (feeder.isBye) {
+            fixture[slot === 0 ? 'participant1' : 'participant2'] = feeder.winner;
+          }
+        });
+      }
+
+      currentRound.push(fixture);
+    }
+
+    fixtures.push(...currentRound);
+    previousRound = currentRound;
+  }
+
+  return fixtures;
+};
+
+// Build a double-elimination draw: the winners bracket from the single
+// elimination generator, a losers bracket fed by every winners-bracket loser,
+// and a grand final with an optional bracket-reset match.
+//
+// Losers-bracket rounds alternate between a round where losers-bracket
+// survivors play each other and a "drop-down" round where they meet the
+// losers of the next winners-bracket round. Drop-down order is reversed every
+// other round to delay rematches.
+//
+// Fixtures that can only ever receive one entrant (because a feeder was a bye)
+// are flagged `isBye`; they resolve themselves once that entrant arrives.
+// Fixtures that can receive nobody are completed straight away with no winner.
+const generateDoubleEliminationBracket = (participants, { bracketReset = true } = {}) => {
+  const winners = generateSingleEliminationBracket(participants, { minBracketSize: 4 })
+    .map(fixture => ({ ...fixture, loserNextMatchKey: null }));
+  const totalWinnersRounds = Math.max(...winners.map(fixture => fixture.round));
+  const winnersRound = (round) => winners.filter(fixture => fixture.round === round);
+  const winnersFinal = winnersRound(totalWinnersRounds)[0];
+  winnersFinal.bracketPosition = 'WF1';
+
+  // Whether a feeder will actually send someone into the fixture it feeds
+  const producesEntrant = new Map();
+  winners.forEach(fixture => {
+    producesEntrant.set(`${fixture.key}:winner`, true);
+    producesEntrant.set(`${fixture.key}:loser`, !fixture.isBye);
+  });
+
+  const createLosersFixture = (round, matchNumber, feeders) => {
+    const fixture = {
+      key: `L${round}-M${matchNumber}`,
+      round,
+      matchNumber,
+      bracketPosition: `L${round}-M${matchNumber}`,
+      bracket: 'Losers',
+      participant1: null,
+      participant2: null,
+      winner: null,
+      isBye: false,
+      status: 'Scheduled',
+      nextMatchKey: null,
+      loserNextMatchKey: null,
+      previousMatchKeys: feeders.map(feeder => feeder.fixture.key)
+    };
+
+    feeders.forEach(feeder => {
+      if (feeder.outcome === 'winner') {
+        feeder.fixture.nextMatchKey = fixture.key;
+      } else {
+        feeder.fixture.loserNextMatchKey = fixture.key;
+      }
+    });
+
+    const entrants = feeders
+      .filter(feeder => producesEntrant.get(`${feeder.fixture.key}:${feeder.outcome}`))
+      .length;
+
+    if (entrants < 2) {
+      fixture.isBye = true;
+    }
+    if (entrants === 0) {
+      fixture.status = 'Completed';
+    }
+    producesEntrant.set(`${fixture.key}:winner`, entrants > 0);
+
+    return fixture;
+  };
+
+  const losers = [];
+  let previousLosersRound = [];
+
+  for (let stage = 1; stage < totalWinnersRounds; stage++) {
+    // Survivors round (or the first round, made of winners-bracket round 1 losers)
+    const survivorRound = 2 * stage - 1;
+    const survivorFeeders = stage === 1
+      ? winnersRound(1).map(fixture => ({ fixture, outcome: 'loser' }))
+      : previousLosersRound.map(fixture => ({ fixture, outcome: 'winner' }));
+    const survivorFixtures = [];
+
+    for (let index = 0; index < survivorFeeders.length / 2; index++) {
+      survivorFixtures.push(createLosersFixture(
+        survivorRound,
+        index + 1,
+        survivorFeeders.slice(index * 2, index * 2 + 2)
+      ));
+    }
+
+    // Drop-down round against the losers of the next winners-bracket round
+    const dropDownRound = 2 * stage;
+    const droppingLosers = winnersRound(stage + 1);
+    const dropDownFixtures = survivorFixtures.map((survivorFixture, index) => {
+      const winnersIndex = stage % 2 === 1 ? droppingLosers.length - 1 - index : index;
+      return createLosersFixture(dropDownRound, index + 1, [
+        { fixture: survivorFixture, outcome: 'winner' },
+        { fixture: droppingLosers[winnersIndex], outcome: 'loser' }
+      ]);
+    });
+
+    losers.push(...survivorFixtures, ...dropDownFixtures);
+    previousLosersRound = dropDownFixtures;
+  }
+
+  const losersFinal = previousLosersRound[0];
+  const grandFinalRound = losersFinal.round + 1;
+  const grandFinal = {
+    key: 'GF1',
+    round: grandFinalRound,
+    matchNumber: 1,
+    bracketPosition: 'GF1',
+    bracket: 'GrandFinal',
+    participant1: null,
+    participant2: null,
+    winner: null,
+    isBye: false,
+    status: 'Scheduled',
+    nextMatchKey: null,
+    loserNextMatchKey: null,
+    previousMatchKeys: [winnersFinal.key, losersFinal.key]
+  };
+  winnersFinal.nextMatchKey = grandFinal.key;
+  losersFinal.nextMatchKey = grandFinal.key;
+
+  const fixtures = [...winners, ...losers, grandFinal];
+
+  // The reset match is only played if the losers-bracket champion wins GF1,
+  // so it isn't linked through nextMatchKey
+  if (bracketReset) {
+    fixtures.push({
+      ...grandFinal,
+      key: 'GF2',
+      round: grandFinalRound + 1,
+      bracketPosition: 'GF2',
+      previousMatchKeys: [grandFinal.key]
+    });
+  }
+
+  return fixtures;
+};
+
+module.exports = {
+  nextPowerOfTwo,
+  getSeedOrder,
+  getBracketPosition,
+  generateSingleEliminationBracket,
+  generateDoubleEliminationBracket
+};
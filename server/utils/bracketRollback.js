@@ -0,0 +1,89 @@
+// Working out what an amended result undoes in a linked bracket.
+// A fixture feeds its winner into nextMatchId and, in double elimination, its
+// loser into loserNextMatchId. If either entrant changes, every later fixture
+// reached from those slots holds a stale entrant and has to be rolled back.
+
+const { idOf } = require('./ids');
+
+// Statuses that mean a match has been (or is being) played for real
+const PLAYED_STATUSES = ['InProgress', 'Completed', 'Disputed'];
+
+// Whether a fixture's outcome came from an actual match rather than a bye
+const isPlayed = (fixture) => !fixture.isBye && PLAYED_STATUSES.includes(fixture.status);
+
+// Slots (1 and/or 2) of target that were filled from source. The order of the
+// target's previousMatches decides the slot, as in Fixture#feedInto; a target
+// with a single feeder (the grand final reset) takes both entrants from it.
+const slotsFedBy = (source, target) => {
+  const previous = (target.previousMatches || []).map(idOf);
+  const index = previous.indexOf(idOf(source._id));
+
+  if (index !== -1) {
+    return previous.length === 1 ? [1, 2] : [index + 1];
+  }
+
+  // Links without previousMatches: find the slot holding one of source's entrants
+  const entrants = [source.participant1, source.participant2].filter(Boolean).map(idOf);
+  return [1, 2].filter(slot => {
+    const participant = target[`participant${slot}`];
+    return participant && entrants.includes(idOf(participant));
+  });
+};
+
+// Fixtures that take an entrant straight from source
+const dependentsOf = (fixtures, source) => {
+  const sourceId = idOf(source._id);
+  const linked = [source.nextMatchId, source.loserNextMatchId].filter(Boolean).map(idOf);
+
+  return fixtures.filter(fixture => {
+    const id = idOf(fixture._id);
+    if (id === sourceId) return false;
+    return linked.includes(id) || (fixture.previousMatches || []).some(previous => idOf(previous) === sourceId);
+  });
+};
+
+// Plan the rollback when fixture's entrants going forward change. Returns the
+// affected fixtures in the order they were reached, each with the slots to
+// clear and whether its own outcome has to be reset, plus the ones among them
+// that were actually played. Only fixtures that produced an outcome pass the
+// rollback on further.
+const planBracketRollback = (fixtures, fixture) => {
+  const plan = new Map();
+  const queue = [fixture];
+
+  while (queue.length > 0) {
+    const source = queue.shift();
+
+    dependentsOf(fixtures, source).forEach(dependent => {
+      const id = idOf(dependent._id);
+      const slots = slotsFedBy(source, dependent);
+      if (slots.length === 0) return;
+
+      if (plan.has(id)) {
+        const entry = plan.get(id);
+        entry.slots = [...new Set([...entry.slots, ...slots])].sort();
+        return;
+      }
+
+      // A cancelled grand final reset was decided by the match before it
+      const reset = Boolean(dependent.winner) || ['Completed', 'Cancelled', 'InProgress', 'Disputed'].includes(dependent.status);
+      plan.set(id, { fixture: dependent, slots, reset, played: isPlayed(dependent) });
+
+      if (dependent.winner) {
+        queue.push(dependent);
+      }
+    });
+  }
+
+  const affected = [...plan.values()];
+  return {
+    affected,
+    played: affected.filter(entry => entry.played).map(entry => entry.fixture)
+  };
+};
+
+module.exports = {
+  isPlayed,
+  slotsFedBy,
+  planBracketRollback
+};
@@ -0,0 +1,32 @@
+// Tournament capacity
+// A tournament's currentParticipants is a counter of the places taken by its
+// entries. An entry holds a place while it is Pending or Approved; every
+// change of status moves the counter by at most one place, and the tournament
+// is Full exactly while the counter has reached maxParticipants.
+
+const SEAT_HOLDING_STATUSES = ['Pending', 'Approved'];
+
+// Statuses the capacity rules may move a tournament between
+const CAPACITY_STATUSES = ['Open', 'Full'];
+
+// Whether an entry with this status holds a place
+const holdsSeat = (status) => SEAT_HOLDING_STATUSES.includes(status);
+
+// Places an entry takes (+1) or gives up (-1) moving between two statuses.
+// A new entry moves from null; a cancelled one moves to null.
+const seatChange = (from, to) => Number(holdsSeat(to)) - Number(holdsSeat(from));
+
+// The status a tournament should have with this many places taken. Only Open
+// and Full tournaments change; Draft, InProgress and Completed are left alone.
+const capacityStatus = (status, currentParticipants, maxParticipants) => {
+  if (!CAPACITY_STATUSES.includes(status)) return status;
+  return currentParticipants >= maxParticipants ? 'Full' : 'Open';
+};
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  CAPACITY_STATUSES,
+  holdsSeat,
+  seatChange,
+  capacityStatus
+};
@@ -0,0 +1,101 @@
+// Tournament divisions
+// One event can run several draws side by side, e.g. Men's A, Women's, Mixed
+// and Under 16. Each division has its own places (maxParticipants and a
+// currentParticipants counter) and may set its own entry fee, format, draw
+// settings and eligibility limits; anything it leaves unset comes from the
+// tournament. Registrations and fixtures record their division, and a
+// tournament without divisions is a single draw as before.
+
+// Settings a division may set for itself
+const DIVISION_SETTINGS = ['entryFee', 'format', 'ageRestrictions', 'skillLevelRestrictions', 'groupStage', 'swiss'];
+
+// Whether a tournament is split into divisions
+const hasDivisions = (tournament) => Array.isArray(tournament.divisions) && tournament.divisions.length > 0;
+
+// A tournament's division by id, or null
+const findDivision = (tournament, divisionId) => {
+  if (!divisionId || !hasDivisions(tournament)) return null;
+  return tournament.divisions.find(division => String(division._id) === String(divisionId)) || null;
+};
+
+// Why a division can't be entered or drawn from: required when the tournament
+// has divisions and none was chosen, notFound when the id isn't one of them,
+// noDivisions when one was chosen for a tournament without. Null if it fits.
+const checkDivisionChoice = (tournament, divisionId) => {
+  if (!hasDivisions(tournament)) return divisionId ? 'noDivisions' : null;
+  if (!divisionId) return 'required';
+  return findDivision(tournament, divisionId) ? null : 'notFound';
+};
+
+// Whether a division has set a value itself: limits need at least one entry
+const isSet = (value) => {
+  if (value == null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.values(value).some(field => field != null);
+  }
+  return true;
+};
+
+// The tournament as seen from one of its divisions: a plain copy with the
+// division's own settings and places over the tournament's, plus division
+// (its id) and divisionName. Without a division, the tournament itself; null
+// if the division isn't one of the tournament's.
+const forDivision = (tournament, divisionId) => {
+  if (!divisionId) return tournament;
+
+  const base = typeof tournament.toObject === 'function' ? tournament.toObject() : tournament;
+  const division = findDivision(base, divisionId);
+  if (!division) return null;
+
+  const own = DIVISION_SETTINGS
+    .filter(setting => isSet(division[setting]))
+    .reduce((settings, setting) => ({ ...settings, [setting]: division[setting] }), {});
+
+  return {
+    ...base,
+    ...own,
+    maxParticipants: division.maxParticipants,
+    currentParticipants: division.currentParticipants || 0,
+    division: division._id,
+    divisionName: division.name
+  };
+};
+
+// The tournament as seen from each of its divisions in turn, or on its own
+// when it has none
+const divisionViews = (tournament) => (hasDivisions(tournament)
+  ? tournament.divisions.map(division => forDivision(tournament, division._id))
+  : [tournament]);
+
+// Query condition for the registrations or fixtures of the division a
+// tournament is seen from (see forDivision). Entries of tournaments without
+// divisions have none, which null matches.
+const inDivision = (tournament) => ({ division: tournament.division || null });
+
+// A division choice problem from checkDivisionChoice, in words
+const DIVISION_CHOICE_MESSAGES = {
+  required: 'Choose one of the tournament\'s divisions',
+  notFound: 'Division not found in this tournament',
+  noDivisions: 'This tournament has no divisions'
+};
+
+// Names used more than once, compared without case or surrounding spaces
+const duplicateNames = (divisions) => {
+  const seen = new Set();
+  return [...new Set(divisions
+    .map(division => String(division.name || '').trim().toLowerCase())
+    .filter(name => (seen.has(name) ? true : (seen.add(name), false))))];
+};
+
+module.exports = {
+  DIVISION_SETTINGS,
+  DIVISION_CHOICE_MESSAGES,
+  hasDivisions,
+  findDivision,
+  checkDivisionChoice,
+  forDivision,
+  divisionViews,
+  inDivision,
+  duplicateNames
+};
@@ -0,0 +1,337 @@
+// Printable draw sheets
+// Lays a tournament's draw out as sections of boxes, lines and text measured
+// in points (1/72 inch). Each section is one bracket, group table or results
+// grid. utils/sheetRenderer turns the same sections into SVG or PDF, so both
+// exports always show the same sheet.
+
+const { idOf } = require('./ids');
+const { entrantName } = require('./entrants');
+
+const BOX_WIDTH = 180;
+const ROW_HEIGHT = 18;
+const BOX_HEIGHT = ROW_HEIGHT * 2;
+const SCORE_WIDTH = 32;
+const DETAIL_HEIGHT = 12;
+const MATCH_GAP = 14;
+const ROUND_GAP = 48;
+const HEADER_HEIGHT = 22;
+const FONT_SIZE = 9;
+const SMALL_FONT_SIZE = 7;
+const NAME_WIDTH = 170;
+const CELL_WIDTH = 72;
+const CELL_HEIGHT = 28;
+const TABLE_ROW_HEIGHT = 18;
+const WINNER_FILL = '#e8eef7';
+const SHADE_FILL = '#d9d9d9';
+
+// Helvetica is roughly this wide per point of font size; bold a little wider
+const textWidth = (text, size, bold = false) => String(text).length * size * (bold ? 0.6 : 0.55);
+
+// Shorten text with an ellipsis until it fits the width
+const fitText = (text, width, size, bold = false) => {
+  const value = String(text === undefined || text === null ? '' : text);
+  if (textWidth(value, size, bold) <= width) return value;
+
+  let cut = value;
+  while (cut.length > 0 && textWidth(`${cut}...`, size, bold) > width) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut.trimEnd()}...`;
+};
+
+const rect = (x, y, width, height, { fill = null, stroke = '#000000' } = {}) =>
+  ({ type: 'rect', x, y, width, height, fill, stroke });
+const line = (x1, y1, x2, y2) => ({ type: 'line', x1, y1, x2, y2 });
+const text = (x, y, value, { size = FONT_SIZE, bold = false, anchor = 'start' } = {}) =>
+  ({ type: 'text', x, y, text: String(value), size, bold, anchor });
+
+const sameId = (a, b) => Boolean(a && b) && idOf(a) === idOf(b);
+
+// e.g. "Sat 1 Mar 09:30" in the server's time zone, like the schedule
+const formatMatchTime = (date) => (date
+  ? new Date(date).toLocaleString('en-AU', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).replace(/,/g, '')
+  : null);
+
+// Court and start time, whichever are known
+const matchDetails = (fixture) => [fixture.court, formatMatchTime(fixture.scheduledDate)]
+  .filter(Boolean)
+  .join(' · ');
+
+const isCompleted = (fixture) => fixture.status === 'Completed' && Boolean(fixture.result);
+
+// Score shown for one side (1 or 2); walkovers show W/O for the side that advanced
+const sideScore = (fixture, side) => {
+  if (!isCompleted(fixture)) return '';
+  const participant = side === 1 ? fixture.participant1 : fixture.participant2;
+  if (fixture.result.forfeit) return sameId(fixture.winner, participant) ? 'W/O' : 'FF';
+
+  const score = side === 1 ? fixture.result.participant1Score : fixture.result.participant2Score;
+  return score === undefined || score === null ? '' : String(score);
+};
+
+// One match box: two rows of name and score, with court and time underneath
+const matchShapes = (fixture, x, y) => {
+  const shapes = [];
+  const sides = [
+    { participant: fixture.participant1, side: 1 },
+    { participant: fixture.participant2, side: 2 }
+  ];
+
+  sides.forEach(({ participant, side }, row) => {
+    const top = y + row * ROW_HEIGHT;
+    const won = sameId(fixture.winner, participant);
+    const name = !participant && fixture.isBye ? 'BYE' : entrantName(participant);
+
+    if (won) shapes.push(rect(x, top, BOX_WIDTH, ROW_HEIGHT, { fill: WINNER_FILL, stroke: null }));
+    shapes.push(text(x + 4, top + 12.5, fitText(name, BOX_WIDTH - SCORE_WIDTH - 8, FONT_SIZE, won), { bold: won }));
+    shapes.push(text(x + BOX_WIDTH - 4, top + 12.5, sideScore(fixture, side), { bold: won, anchor: 'end' }));
+  });
+
+  shapes.push(rect(x, y, BOX_WIDTH, BOX_HEIGHT));
+  shapes.push(line(x, y + ROW_HEIGHT, x + BOX_WIDTH, y + ROW_HEIGHT));
+  shapes.push(line(x + BOX_WIDTH - SCORE_WIDTH, y, x + BOX_WIDTH - SCORE_WIDTH, y + BOX_HEIGHT));
+
+  const details = [fixture.bracketPosition, matchDetails(fixture)].filter(Boolean).join(' · ');
+  if (details) {
+    shapes.push(text(x, y + BOX_HEIGHT + 9, fitText(details, BOX_WIDTH, SMALL_FONT_SIZE), { size: SMALL_FONT_SIZE }));
+  }
+  return shapes;
+};
+
+// Elbow line from the right edge of a feeding match to the left edge of the next
+const connectorShapes = (from, to) => {
+  const fromX = from.x + BOX_WIDTH;
+  const fromY = from.y + BOX_HEIGHT / 2;
+  const toY = to.y + BOX_HEIGHT / 2;
+  const middleX = to.x - ROUND_GAP / 2;
+
+  return [
+    line(fromX, fromY, middleX, fromY),
+    line(middleX, fromY, middleX, toY),
+    line(middleX, toY, to.x, toY)
+  ];
+};
+
+const defaultRoundLabel = (round, index, rounds, matchCount) => {
+  if (index === rounds.length - 1 && matchCount === 1) return 'Final';
+  if (index === rounds.length - 2 && matchCount === 2) return 'Semi-finals';
+  return `Round ${round}`;
+};
+
+// Elimination bracket with one column per round. A match sits level with the
+// matches that feed it from this bracket; the rest are packed top to bottom.
+const layoutBracket = (title, fixtures, { connectors = true, roundLabel = defaultRoundLabel } = {}) => {
+  const rounds = [...new Set(fixtures.map(fixture => fixture.round))].sort((a, b) => a - b);
+  const positions = new Map();
+  const shapes = [];
+  let height = 0;
+
+  rounds.forEach((round, index) => {
+    const x = index * (BOX_WIDTH + ROUND_GAP);
+    const roundFixtures = fixtures
+      .filter(fixture => fixture.round === round)
+      .sort((a, b) => a.matchNumber - b.matchNumber);
+    let nextTop = HEADER_HEIGHT;
+
+    shapes.push(text(x, 12, roundLabel(round, index, rounds, roundFixtures.length), { bold: true }));
+
+    roundFixtures.forEach(fixture => {
+      const feeders = (fixture.previousMatches || [])
+        .map(previous => positions.get(idOf(previous)))
+        .filter(Boolean);
+      const centre = feeders.length > 0
+        ? feeders.reduce((sum, feeder) => sum + feeder.y, 0) / feeders.length
+        : nextTop;
+      const position = { x, y: Math.max(nextTop, centre) };
+
+      positions.set(fixture._id.toString(), position);
+      shapes.push(...matchShapes(fixture, position.x, position.y));
+      if (connectors) {
+        feeders.forEach(feeder => shapes.push(...connectorShapes(feeder, position)));
+      }
+
+      nextTop = position.y + BOX_HEIGHT + DETAIL_HEIGHT + MATCH_GAP;
+      height = Math.max(height, nextTop - MATCH_GAP);
+    });
+  });
+
+  return {
+    title,
+    width: rounds.length > 0 ? rounds.length * (BOX_WIDTH + ROUND_GAP) - ROUND_GAP : 0,
+    height,
+    shapes
+  };
+};
+
+const TABLE_COLUMNS = [
+  { label: '#', width: 24, value: row => row.position },
+  { label: 'Name', width: NAME_WIDTH, value: row => entrantName(row.participant), align: 'start' },
+  { label: 'P', width: 28, value: row => row.matchesPlayed },
+  { label: 'W', width: 28, value: row => row.wins },
+  { label: 'D', width: 28, value: row => row.draws },
+  { label: 'L', width: 28, value: row => row.losses },
+  { label: 'F', width: 36, value: row => row.goalsFor },
+  { label: 'A', width: 36, value: row => row.goalsAgainst },
+  { label: 'Pts', width: 36, value: row => row.points }
+];
+
+// Standings table. Columns no row has a value for (e.g. scores in Swiss) are left out.
+const layoutTable = (title, standings) => {
+  if (standings.length === 0) return { title, width: 0, height: 0, shapes: [] };
+
+  const columns = TABLE_COLUMNS.filter(column =>
+    standings.some(row => column.value(row) !== undefined && column.value(row) !== null));
+  const width = columns.reduce((sum, column) => sum + column.width, 0);
+  const shapes = [rect(0, 0, width, TABLE_ROW_HEIGHT, { fill: SHADE_FILL, stroke: null })];
+
+  const cells = (values, top, bold) => {
+    let x = 0;
+    columns.forEach((column, index) => {
+      const value = values[index];
+      if (column.align === 'start') {
+        shapes.push(text(x + 4, top + 12.5, fitText(value, column.width - 8, FONT_SIZE, bold), { bold }));
+      } else {
+        shapes.push(text(x + column.width / 2, top + 12.5, value, { bold, anchor: 'middle' }));
+      }
+      x += column.width;
+    });
+  };
+
+  cells(columns.map(column => column.label), 0, true);
+  standings.forEach((row, index) => {
+    const top = (index + 1) * TABLE_ROW_HEIGHT;
+    cells(columns.map(column => {
+      const value = column.value(row);
+      return value === undefined || value === null ? '' : value;
+    }), top, false);
+    shapes.push(line(0, top, width, top));
+  });
+
+  const height = (standings.length + 1) * TABLE_ROW_HEIGHT;
+  shapes.push(rect(0, 0, width, height));
+  return { title, width, height, shapes };
+};
+
+// Cross-table of every pairing, read from the row entrant's side. Played
+// matches show the score; the rest show their court and time.
+const layoutGrid = (title, entrants, fixtures) => {
+  if (entrants.length === 0) return { title, width: 0, height: 0, shapes: [] };
+
+  const count = entrants.length;
+  const width = NAME_WIDTH + count * CELL_WIDTH;
+  const height = (count + 1) * CELL_HEIGHT;
+  const shapes = [rect(0, 0, width, CELL_HEIGHT, { fill: SHADE_FILL, stroke: null })];
+
+  entrants.forEach((entrant, column) => {
+    const x = NAME_WIDTH + column * CELL_WIDTH;
+    shapes.push(text(x + CELL_WIDTH / 2, 17, column + 1, { bold: true, anchor: 'middle' }));
+  });
+
+  entrants.forEach((entrant, row) => {
+    const top = (row + 1) * CELL_HEIGHT;
+    shapes.push(text(4, top + 17, fitText(`${row + 1}. ${entrantName(entrant)}`, NAME_WIDTH - 8, FONT_SIZE)));
+
+    entrants.forEach((opponent, column) => {
+      const x = NAME_WIDTH + column * CELL_WIDTH;
+      if (row === column) {
+        shapes.push(rect(x, top, CELL_WIDTH, CELL_HEIGHT, { fill: SHADE_FILL, stroke: null }));
+        return;
+      }
+
+      const meetings = fixtures.filter(fixture =>
+        (sameId(fixture.participant1, entrant) && sameId(fixture.participant2, opponent)) ||
+        (sameId(fixture.participant1, opponent) && sameId(fixture.participant2, entrant)));
+      const played = meetings.filter(isCompleted);
+
+      if (played.length > 0) {
+        const scores = played.map(fixture => {
+          const side = sameId(fixture.participant1, entrant) ? 1 : 2;
+          return `${sideScore(fixture, side)}-${sideScore(fixture, 3 - side)}`;
+        });
+        const won = played.length === 1 && sameId(played[0].winner, entrant);
+        shapes.push(text(x + CELL_WIDTH / 2, top + 17,
+          fitText(scores.join(' / '), CELL_WIDTH - 4, FONT_SIZE, won), { bold: won, anchor: 'middle' }));
+      } else if (meetings.length > 0) {
+        const next = meetings[0];
+        if (next.court) {
+          shapes.push(text(x + CELL_WIDTH / 2, top + 11,
+            fitText(next.court, CELL_WIDTH - 4, SMALL_FONT_SIZE), { size: SMALL_FONT_SIZE, anchor: 'middle' }));
+        }
+        const time = formatMatchTime(next.scheduledDate);
+        if (time) {
+          shapes.push(text(x + CELL_WIDTH / 2, top + 21,
+            fitText(time, CELL_WIDTH - 4, SMALL_FONT_SIZE), { size: SMALL_FONT_SIZE, anchor: 'middle' }));
+        }
+      }
+    });
+  });
+
+  for (let index = 1; index <= count; index++) {
+    shapes.push(line(0, index * CELL_HEIGHT, width, index * CELL_HEIGHT));
+    shapes.push(line(NAME_WIDTH + (index - 1) * CELL_WIDTH, 0, NAME_WIDTH + (index - 1) * CELL_WIDTH, height));
+  }
+  shapes.push(rect(0, 0, width, height));
+
+  return { title, width, height, shapes };
+};
+
+const GRAND_FINAL_LABELS = ['Grand final', 'Grand final reset'];
+
+// Every section of a tournament's draw sheet, in print order. standings is
+// what buildTournamentStandings returns for the tournament.
+const buildDrawSheet = (tournament, fixtures, standings) => {
+  let sections;
+
+  if (tournament.format === 'Double Elimination') {
+    sections = [
+      layoutBracket('Winners bracket', fixtures.filter(fixture => fixture.bracket === 'Winners')),
+      layoutBracket('Losers bracket', fixtures.filter(fixture => fixture.bracket === 'Losers'), {
+        roundLabel: (round) => `Round ${round}`
+      }),
+      layoutBracket('Grand final', fixtures.filter(fixture => fixture.bracket === 'GrandFinal'), {
+        roundLabel: (round, index) => GRAND_FINAL_LABELS[index] || `Round ${round}`
+      })
+    ];
+  } else if (tournament.format === 'Round Robin') {
+    sections = [
+      layoutTable('Standings', standings),
+      layoutGrid('Results', standings.map(row => row.participant), fixtures)
+    ];
+  } else if (tournament.format === 'Group Stage + Knockout') {
+    sections = [
+      ...standings.groups.flatMap(({ group, standings: table }) => [
+        layoutTable(`Group ${group}`, table),
+        layoutGrid(`Group ${group} results`, table.map(row => row.participant),
+          fixtures.filter(fixture => fixture.group === group))
+      ]),
+      layoutBracket('Knockout', fixtures.filter(fixture => !fixture.group))
+    ];
+  } else if (tournament.format === 'Swiss') {
+    sections = [
+      layoutTable('Standings', standings),
+      layoutBracket('Rounds', fixtures, { connectors: false, roundLabel: (round) => `Round ${round}` })
+    ];
+  } else {
+    sections = [layoutBracket('Draw', fixtures)];
+  }
+
+  return sections.filter(section => section.shapes.length > 0);
+};
+
+module.exports = {
+  textWidth,
+  fitText,
+  entrantName,
+  matchDetails,
+  layoutBracket,
+  layoutTable,
+  layoutGrid,
+  buildDrawSheet
+};
@@ -0,0 +1,128 @@
+// Tournament eligibility
+// A tournament may limit entry by age (ageRestrictions) and by skill level
+// (skillLevelRestrictions). Ages are worked out on a reference date: the day
+// the tournament starts, 1 January of the year it starts in, or a date the
+// organiser picks. Players who fail a limit can still be let in by an
+// organiser override, which records why.
+
+const AGE_REFERENCES = ['tournamentStart', 'yearStart', 'custom'];
+
+const DEFAULT_ELIGIBILITY = {
+  ageReference: 'tournamentStart',
+  ageReferenceDate: null
+};
+
+// Tournament eligibility settings over the defaults
+const resolveEligibility = (settings) => ({
+  ageReference: (settings && settings.ageReference) || DEFAULT_ELIGIBILITY.ageReference,
+  ageReferenceDate: (settings && settings.ageReferenceDate) || DEFAULT_ELIGIBILITY.ageReferenceDate
+});
+
+// The date ages are worked out on. A custom reference without a date falls
+// back to the start of the tournament.
+const ageReferenceDate = (tournament) => {
+  const { ageReference, ageReferenceDate: customDate } = resolveEligibility(tournament.eligibility);
+  const start = new Date(tournament.startDate);
+
+  if (ageReference === 'yearStart') return new Date(Date.UTC(start.getUTCFullYear(), 0, 1));
+  if (ageReference === 'custom' && customDate) return new Date(customDate);
+  return start;
+};
+
+// Age in whole years on a date
+const ageOn = (dateOfBirth, date) => {
+  const born = new Date(dateOfBirth);
+  const on = new Date(date);
+  const age = on.getUTCFullYear() - born.getUTCFullYear();
+  const hadBirthday = on.getUTCMonth() > born.getUTCMonth() ||
+    (on.getUTCMonth() === born.getUTCMonth() && on.getUTCDate() >= born.getUTCDate());
+  return hadBirthday ? age : age - 1;
+};
+
+// Whether a tournament has any limits to check
+const hasRestrictions = (tournament) => {
+  const { minAge, maxAge } = tournament.ageRestrictions || {};
+  return minAge != null || maxAge != null || (tournament.skillLevelRestrictions || []).length > 0;
+};
+
+// Every limit a player fails, as { code, ... } with the figures behind it:
+// missingDateOfBirth, tooYoung, tooOld or skillLevel
+const checkPlayer = (user, tournament, referenceDate = ageReferenceDate(tournament)) => {
+  const reasons = [];
+  const { minAge, maxAge } = tournament.ageRestrictions || {};
+
+  if (minAge != null || maxAge != null) {
+    if (!user.dateOfBirth) {
+      reasons.push({ code: 'missingDateOfBirth' });
+    } else {
+      const age = ageOn(user.dateOfBirth, referenceDate);
+      if (minAge != null && age < minAge) reasons.push({ code: 'tooYoung', age, minAge });
+      if (maxAge != null && age > maxAge) reasons.push({ code: 'tooOld', age, maxAge });
+    }
+  }
+
+  const allowed = tournament.skillLevelRestrictions || [];
+  if (allowed.length > 0 && !allowed.includes(user.skillLevel)) {
+    reasons.push({ code: 'skillLevel', skillLevel: user.skillLevel, allowed });
+  }
+
+  return reasons;
+};
+
+// A failure reason in words, completing "<name> ..."
+const describeReason = (reason, referenceDate) => {
+  const on = new Date(referenceDate).toLocaleDateString('en-AU', { timeZone: 'UTC' });
+  switch (reason.code) {
+    case 'missingDateOfBirth':
+      return 'has no date of birth on their profile, which this tournament needs to check ages';
+    case 'tooYoung':
+      return `will be ${reason.age} on ${on}; the minimum age is ${reason.minAge}`;
+    case 'tooOld':
+      return `will be ${reason.age} on ${on}; the maximum age is ${reason.maxAge}`;
+    case 'skillLevel':
+      return `is ${reason.skillLevel}; this tournament is for ${reason.allowed.join(', ')} players`;
+    default:
+      return 'is not eligible';
+  }
+};
+
+// Check every player in an entry. players are { user, role } with the user's
+// name, dateOfBirth and skillLevel; overrides are the tournament's, keyed by
+// user id. An entry is eligible when every player passes or is overridden.
+const evaluateEntry = (players, tournament, overrides = new Map()) => {
+  const referenceDate = ageReferenceDate(tournament);
+
+  const results = players.map(({ user, role }) => {
+    const reasons = checkPlayer(user, tournament, referenceDate);
+    const override = reasons.length > 0 ? overrides.get(String(user._id)) : undefined;
+    const name = `${user.firstName} ${user.lastName}`;
+
+    return {
+      user: user._id,
+      name,
+      role,
+      age: user.dateOfBirth ? ageOn(user.dateOfBirth, referenceDate) : null,
+      eligible: reasons.length === 0 || Boolean(override),
+      reasons: reasons.map(reason => ({ ...reason, message: `${name} ${describeReason(reason, referenceDate)}` })),
+      override: override ? { justification: override.justification, grantedBy: override.grantedBy } : null
+    };
+  });
+
+  return {
+    eligible: results.every(result => result.eligible),
+    referenceDate,
+    players: results
+  };
+};
+
+module.exports = {
+  AGE_REFERENCES,
+  DEFAULT_ELIGIBILITY,
+  resolveEligibility,
+  ageReferenceDate,
+  ageOn,
+  hasRestrictions,
+  checkPlayer,
+  describeReason,
+  evaluateEntry
+};
@@ -0,0 +1,57 @@
+// Elo ratings
+// Every player starts from the rating for their declared skill level. After
+// a rated fixture each side moves by K times the difference between how it
+// did (1 win, 0.5 draw, 0 loss) and how the ratings expected it to do. A team
+// plays at its roster's rating, and every member moves by the team's change.
+
+const { SKILL_LEVEL_RATINGS } = require('./seeding');
+
+const DEFAULT_K_FACTOR = 32;
+
+// Starting rating for a player who has never played a rated fixture
+const initialRating = (skillLevel) => SKILL_LEVEL_RATINGS[skillLevel] || SKILL_LEVEL_RATINGS.Beginner;
+
+// Chance the first rating beats the second
+const expectedScore = (rating, opponentRating) => 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+// Rating changes for both sides of a fixture. score is the first side's
+// result: 1 for a win, 0.5 for a draw, 0 for a loss.
+const calculateRatingChanges = (rating1, rating2, score, kFactor = DEFAULT_K_FACTOR) => {
+  const expected1 = expectedScore(rating1, rating2);
+  const change1 = Math.round(kFactor * (score - expected1));
+
+  return {
+    participant1: { expectedScore: expected1, score, change: change1 },
+    participant2: { expectedScore: 1 - expected1, score: 1 - score, change: -change1 }
+  };
+};
+
+// Rating a team plays at when its roster hasn't played together before
+const rosterRating = (memberRatings) => {
+  if (memberRatings.length === 0) return initialRating();
+  return Math.round(memberRatings.reduce((sum, rating) => sum + rating, 0) / memberRatings.length);
+};
+
+// Whether a fixture should move ratings: two entrants actually played it
+const isRatedFixture = (fixture) =>
+  fixture.status === 'Completed' &&
+  !fixture.isBye &&
+  Boolean(fixture.participant1 && fixture.participant2 && fixture.result) &&
+  !fixture.result.forfeit;
+
+// First side's score in a completed fixture
+const scoreFor = (fixture) => {
+  if (!fixture.winner) return 0.5;
+  const winnerId = String(fixture.winner._id || fixture.winner);
+  return winnerId === String(fixture.participant1._id || fixture.participant1) ? 1 : 0;
+};
+
+module.exports = {
+  DEFAULT_K_FACTOR,
+  initialRating,
+  expectedScore,
+  calculateRatingChanges,
+  rosterRating,
+  isRatedFixture,
+  scoreFor
+};
@@ -0,0 +1,14 @@
+// Tournament entrants
+// How a registration is named wherever people see it.
+
+// Team name, or the player's name for individual entries
+const entrantName = (registration) => {
+  if (!registration) return 'TBD';
+  if (registration.teamName) return registration.teamName;
+  const { captain } = registration;
+  return captain && captain.firstName ? `${captain.firstName} ${captain.lastName}` : 'TBD';
+};
+
+module.exports = {
+  entrantName
+};
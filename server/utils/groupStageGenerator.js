@@ -0,0 +1,109 @@
+// Group stage + knockout generation helpers
+// Like the other generators these are pure and return plain fixture
+// descriptors for the fixture controller to persist.
+const { generateSingleEliminationBracket } = require('./bracketGenerator');
+const { generateRoundRobinSchedule } = require('./roundRobinGenerator');
+
+const getGroupName = (index) => String.fromCharCode(65 + index);
+
+// Snake-seed participants (ordered by seed) into groups: seeds 1-4 go to
+// A-D, seeds 5-8 go to D-A, and so on, so each group gets a fair spread
+const allocateGroups = (participants, groupCount) => {
+  if (!Number.isInteger(groupCount) || groupCount < 1) {
+    throw new Error('Group count must be a positive integer');
+  }
+  if (participants.length < groupCount * 2) {
+    throw new Error('Every group needs at least 2 participants');
+  }
+
+  const groups = Array.from({ length: groupCount }, (_, index) => ({
+    name: getGroupName(index),
+    participants: []
+  }));
+
+  participants.forEach((participant, index) => {
+    const row = Math.floor(index / groupCount);
+    const column = index % groupCount;
+    const groupIndex = row % 2 === 0 ? column : groupCount - 1 - column;
+    groups[groupIndex].participants.push(participant);
+  });
+
+  return groups;
+};
+
+// Round-robin fixtures within each group. Groups share round numbers so the
+// same round can be played in parallel; match numbers run on across groups.
+const generateGroupStageFixtures = (groups) => {
+  const matchCounts = {};
+
+  return groups.flatMap(group => generateRoundRobinSchedule(group.participants).map(fixture => {
+    matchCounts[fixture.round] = (matchCounts[fixture.round] || 0) + 1;
+    const position = `${group.name}-R${fixture.round}-M${fixture.matchNumber}`;
+
+    return {
+      ...fixture,
+      key: position,
+      matchNumber: matchCounts[fixture.round],
+      bracketPosition: position,
+      group: group.name
+    };
+  }));
+};
+
+// Build the knockout bracket from final group tables. groupTables is a list
+// of { name, participants } with participants in finishing order.
+//
+// Qualifiers are seeded by finishing position, then group (A1, B1, ... A2,
+// B2, ...), so group winners meet runners-up from another group (A1 vs B2,
+// B1 vs A2 for two groups). Any first-round match that still pairs two teams
+// from the same group swaps opponents with a neighbouring match.
+const generateKnockoutFromGroups = (groupTables, qualifiersPerGroup, { roundOffset = 0 } = {}) => {
+  const groupOf = new Map();
+  const qualifiers = [];
+
+  for (let position = 0; position < qualifiersPerGroup; position++) {
+    groupTables.forEach(table => {
+      const participant = table.participants[position];
+      if (participant) {
+        qualifiers.push(participant);
+        groupOf.set(String(participant), table.name);
+      }
+    });
+  }
+
+  const fixtures = generateSingleEliminationBracket(qualifiers);
+  const firstRound = fixtures.filter(fixture => fixture.round === 1 && !fixture.isBye);
+  const sameGroup = (fixture) =>
+    groupOf.get(String(fixture.participant1)) === groupOf.get(String(fixture.participant2));
+
+  firstRound.forEach((fixture, index) => {
+    if (!sameGroup(fixture)) return;
+
+    const swapWith = firstRound.find((other, otherIndex) => {
+      if (otherIndex === index) return false;
+      const group = groupOf.get(String(fixture.participant2));
+      const otherGroup = groupOf.get(String(other.participant2));
+      return groupOf.get(String(other.participant1)) !== group &&
+        groupOf.get(String(fixture.participant1)) !== otherGroup;
+    });
+
+    if (swapWith) {
+      [fixture.participant2, swapWith.participant2] = [swapWith.participant2, fixture.participant2];
+    }
+  });
+
+  return fixtures.map(fixture => ({
+    ...fixture,
+    key: `KO-${fixture.key}`,
+    round: fixture.round + roundOffset,
+    nextMatchKey: fixture.nextMatchKey ? `KO-${fixture.nextMatchKey}` : null,
+    previousMatchKeys: fixture.previousMatchKeys.map(key => `KO-${key}`)
+  }));
+};
+
+module.exports = {
+  getGroupName,
+  allocateGroups,
+  generateGroupStageFixtures,
+  generateKnockoutFromGroups
+};
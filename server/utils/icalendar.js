@@ -0,0 +1,97 @@
+// iCalendar (RFC 5545) feeds for fixtures
+// Each fixture keeps the same UID for life, so when a calendar app polls the
+// feed again a rescheduled match replaces the old event instead of being
+// added twice. SEQUENCE grows with every change to the fixture.
+
+const PRODUCT_ID = '-//Australian Sports Tournament Platform//Fixtures//EN';
+const MINUTE = 60 * 1000;
+
+// Escape text values: backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time in the basic format, e.g. 20250301T093000Z
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let length = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    if (length + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      length = 0;
+    }
+    current += character;
+    length += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Stable identifier for a fixture's event
+const fixtureUid = (fixture, domain) => `fixture-${fixture._id}@${domain}`;
+
+const EVENT_STATUS = {
+  Cancelled: 'CANCELLED',
+  Postponed: 'TENTATIVE'
+};
+
+// VEVENT lines for one fixture. details supplies the display text:
+// { summary, description, domain }. Fixtures without a time are skipped.
+const buildFixtureEvent = (fixture, { summary, description, domain }) => {
+  if (!fixture.scheduledDate) return [];
+
+  const start = new Date(fixture.scheduledDate);
+  const end = new Date(start.getTime() + (fixture.estimatedDuration || 60) * MINUTE);
+  const updatedAt = fixture.updatedAt ? new Date(fixture.updatedAt) : new Date();
+  const createdAt = fixture.createdAt ? new Date(fixture.createdAt) : updatedAt;
+  const location = [fixture.venue, fixture.court].filter(Boolean).join(', ');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${fixtureUid(fixture, domain)}`,
+    `DTSTAMP:${formatDateTime(updatedAt)}`,
+    `LAST-MODIFIED:${formatDateTime(updatedAt)}`,
+    // Seconds since creation only ever grows, so each change supersedes the last
+    `SEQUENCE:${Math.max(0, Math.floor((updatedAt - createdAt) / 1000))}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    `STATUS:${EVENT_STATUS[fixture.status] || 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
+
+// Whole calendar as a string, with CRLF line endings as the format requires
+const buildCalendar = ({ name, events }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODUCT_ID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  ...events.flat(),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  fixtureUid,
+  buildFixtureEvent,
+  buildCalendar
+};
@@ -0,0 +1,10 @@
+// Document ids
+// References may be populated documents, documents or bare ids; compare them
+// by their ids as strings.
+
+// The id of a document or reference, as a string
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+module.exports = {
+  idOf
+};
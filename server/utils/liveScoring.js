@@ -0,0 +1,145 @@
+// Live point-by-point scoring
+// A fixture's live score is never stored directly: it is replayed from the
+// fixture's event log, so undoing an action is just skipping that event.
+// Events are { type: 'point' | 'wicket' | 'endPeriod', participant, points }
+// and rules come from getScoringRules in ./scoringRules.
+
+const LIVE_EVENT_TYPES = ['point', 'wicket', 'endPeriod'];
+
+const emptyPeriod = () => ({
+  participant1Score: 0,
+  participant2Score: 0,
+  participant1Wickets: 0,
+  participant2Wickets: 0
+});
+
+const isEmptyPeriod = (period) =>
+  period.participant1Score === 0 && period.participant2Score === 0 &&
+  period.participant1Wickets === 0 && period.participant2Wickets === 0;
+
+// Which side is batting in a cricket innings, once anyone has scored
+const battingSideOf = (period) => {
+  if (period.participant1Score > 0 || period.participant1Wickets > 0) return 1;
+  if (period.participant2Score > 0 || period.participant2Wickets > 0) return 2;
+  return null;
+};
+
+const activeEvents = (events) => (events || []).filter(event => !event.undone);
+
+// Reason an event can't be applied to the current state, or null
+const validateLiveEvent = (state, event, rules) => {
+  if (!LIVE_EVENT_TYPES.includes(event.type)) {
+    return `Unknown event type: ${event.type}`;
+  }
+  if (state.decided) {
+    return 'The match has already been decided';
+  }
+  if (event.type === 'endPeriod') {
+    return isEmptyPeriod(state.current) ? `Nothing has been scored in this ${state.periodName}` : null;
+  }
+  if (![1, 2].includes(event.participant)) {
+    return 'Participant must be 1 or 2';
+  }
+  if (event.type === 'wicket') {
+    if (rules.type !== 'innings') return 'Wickets only apply to cricket';
+    if (state.current[`participant${event.participant}Wickets`] >= 10) return 'All 10 wickets have already fallen';
+  }
+  if (event.type === 'point' && !(Number.isInteger(event.points) && event.points > 0)) {
+    return 'Points must be a positive whole number';
+  }
+  if (rules.type === 'innings') {
+    const battingSide = battingSideOf(state.current);
+    if (battingSide && battingSide !== event.participant) {
+      return `Participant ${battingSide} is batting in this innings`;
+    }
+  }
+  return null;
+};
+
+// Close the current period and, for sets, check whether the match is over
+const closePeriod = (state, rules) => {
+  state.periods.push(state.current);
+  state.current = emptyPeriod();
+
+  if (rules.type === 'sets') {
+    const setsToWin = Math.ceil(rules.bestOf / 2);
+    const won = [1, 2].map(side => state.periods.filter(period =>
+      period[`participant${side}Score`] > period[`participant${side === 1 ? 2 : 1}Score`]
+    ).length);
+    state.setsWon = { participant1: won[0], participant2: won[1] };
+    state.decided = won.some(count => count >= setsToWin);
+  }
+};
+
+// Replay an event log into the live score. Invalid events are skipped so a
+// bad entry can never corrupt the score.
+const replayLiveEvents = (events, rules) => {
+  const periodName = { sets: 'set', innings: 'innings', periods: rules.periodName || 'period' }[rules.type] || 'period';
+  const state = {
+    periodName,
+    periods: [],
+    current: emptyPeriod(),
+    decided: false
+  };
+  if (rules.type === 'sets') {
+    state.setsWon = { participant1: 0, participant2: 0 };
+  }
+
+  activeEvents(events).forEach(event => {
+    if (validateLiveEvent(state, event, rules)) return;
+
+    if (event.type === 'endPeriod') {
+      closePeriod(state, rules);
+    } else if (event.type === 'wicket') {
+      state.current[`participant${event.participant}Wickets`] += 1;
+    } else {
+      state.current[`participant${event.participant}Score`] += event.points;
+    }
+  });
+
+  const all = isEmptyPeriod(state.current) ? state.periods : [...state.periods, state.current];
+  state.totals = {
+    participant1Score: all.reduce((sum, period) => sum + period.participant1Score, 0),
+    participant2Score: all.reduce((sum, period) => sum + period.participant2Score, 0)
+  };
+
+  return state;
+};
+
+// Build a result in the shape updateFixtureResult accepts from the log. An
+// unfinished final period counts as played.
+const buildResultFromEvents = (events, rules) => {
+  const state = replayLiveEvents(events, rules);
+  const periods = isEmptyPeriod(state.current) ? state.periods : [...state.periods, state.current];
+  const scores = ({ participant1Score, participant2Score }) => ({ participant1Score, participant2Score });
+
+  if (rules.type === 'sets') {
+    return { sets: periods.map(scores) };
+  }
+  if (rules.type === 'innings') {
+    return {
+      innings: periods.map(period => {
+        const battingSide = battingSideOf(period);
+        return {
+          battingSide,
+          runs: period[`participant${battingSide}Score`],
+          wickets: period[`participant${battingSide}Wickets`]
+        };
+      })
+    };
+  }
+
+  const result = { ...state.totals };
+  if (rules.type === 'periods') {
+    result.periods = periods.map(scores);
+    result.overtime = periods.length > rules.periods;
+  }
+  return result;
+};
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  validateLiveEvent,
+  replayLiveEvents,
+  buildResultFromEvents
+};
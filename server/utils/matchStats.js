@@ -0,0 +1,64 @@
+// Personal match statistics
+// Built from the completed fixtures of every entry a user played in, as
+// captain or team member. Byes aren't matches, so they are left out.
+
+const { idOf } = require('./ids');
+
+const emptyRecord = () => ({ matchesPlayed: 0, wins: 0, losses: 0, draws: 0, winRate: 0 });
+
+const winRateOf = (record) => (record.matchesPlayed > 0 ? Math.round((record.wins / record.matchesPlayed) * 100) : 0);
+
+// When a fixture was played, for putting results in order
+const playedAt = (fixture) => new Date(
+  (fixture.result && fixture.result.completedAt) || fixture.scheduledDate || fixture.updatedAt || 0
+);
+
+// Aggregate the user's results. registrationIds are the user's entries;
+// sport is looked up from each fixture's populated tournament.
+const calculateMatchStats = (fixtures, registrationIds) => {
+  const entries = new Set(registrationIds.map(idOf));
+  const stats = {
+    ...emptyRecord(),
+    pointsFor: 0,
+    pointsAgainst: 0,
+    longestWinStreak: 0,
+    bySport: {}
+  };
+  let streak = 0;
+
+  fixtures
+    .filter(fixture => fixture.status === 'Completed' && !fixture.isBye && fixture.result &&
+      fixture.participant1 && fixture.participant2)
+    .sort((a, b) => playedAt(a) - playedAt(b))
+    .forEach(fixture => {
+      const side = entries.has(idOf(fixture.participant1)) ? 1 : (entries.has(idOf(fixture.participant2)) ? 2 : null);
+      if (!side) return;
+
+      const sport = (fixture.tournament && fixture.tournament.sport) || 'Unknown';
+      const sportRecord = stats.bySport[sport] || (stats.bySport[sport] = emptyRecord());
+      const won = fixture.winner && idOf(fixture.winner) === idOf(fixture[`participant${side}`]);
+      const outcome = !fixture.winner ? 'draws' : (won ? 'wins' : 'losses');
+
+      [stats, sportRecord].forEach(record => {
+        record.matchesPlayed++;
+        record[outcome]++;
+      });
+
+      stats.pointsFor += fixture.result[`participant${side}Score`] || 0;
+      stats.pointsAgainst += fixture.result[`participant${side === 1 ? 2 : 1}Score`] || 0;
+
+      streak = outcome === 'wins' ? streak + 1 : 0;
+      stats.longestWinStreak = Math.max(stats.longestWinStreak, streak);
+    });
+
+  stats.winRate = winRateOf(stats);
+  Object.values(stats.bySport).forEach(record => {
+    record.winRate = winRateOf(record);
+  });
+
+  return stats;
+};
+
+module.exports = {
+  calculateMatchStats
+};
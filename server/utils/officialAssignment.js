@@ -0,0 +1,181 @@
+// Official assignment
+// An official can take a fixture when they hold an in-date accreditation for
+// the sport at the tournament's minimum level, have said they are available
+// for the whole match, do not play for either side, are not busy elsewhere
+// at the time, and would stay within the limits on back-to-back and daily
+// fixtures. Open places go to the least busy officials first so the work is
+// shared out.
+
+const { idOf } = require('./ids');
+
+const ACCREDITATION_LEVELS = ['Trainee', 'Level 1', 'Level 2', 'Level 3', 'National'];
+const OFFICIAL_ROLES = ['Referee', 'Umpire', 'Assistant', 'Scorer', 'Timekeeper'];
+
+// Sports where the person in charge of a match is called an umpire
+const UMPIRE_SPORTS = ['Cricket', 'Tennis', 'Netball', 'Badminton', 'Table Tennis'];
+
+const DEFAULT_OFFICIATING = {
+  officialsPerFixture: 1,
+  minimumLevel: null,
+  maxConsecutiveFixtures: 2,
+  minBreakMinutes: 30,
+  maxFixturesPerDay: 6
+};
+
+const MINUTE = 60 * 1000;
+
+// Tournament officiating settings over the defaults
+const resolveOfficiating = (settings) => {
+  const stored = settings ? settings.toObject?.() || settings : {};
+  const resolved = { ...DEFAULT_OFFICIATING };
+
+  Object.keys(DEFAULT_OFFICIATING).forEach(key => {
+    if (stored[key] !== undefined && stored[key] !== null) resolved[key] = stored[key];
+  });
+  return resolved;
+};
+
+// Role given to the first official on a fixture; later ones assist
+const primaryRole = (sport) => (UMPIRE_SPORTS.includes(sport) ? 'Umpire' : 'Referee');
+
+// When a fixture starts and ends
+const fixtureInterval = (fixture) => {
+  const start = new Date(fixture.scheduledDate);
+  return { start, end: new Date(start.getTime() + (fixture.estimatedDuration || 60) * MINUTE) };
+};
+
+const levelRank = (level) => ACCREDITATION_LEVELS.indexOf(level);
+
+// The official's highest accreditation for a sport still valid on a date, or null
+const findAccreditation = (official, sport, date) => {
+  const accreditations = ((official.official && official.official.accreditations) || [])
+    .filter(accreditation => accreditation.sport === sport)
+    .filter(accreditation => !accreditation.expiresAt || new Date(accreditation.expiresAt) >= date)
+    .sort((a, b) => levelRank(b.level) - levelRank(a.level));
+
+  return accreditations[0] || null;
+};
+
+// Whether one of the official's availability windows covers the whole fixture
+const isAvailable = (official, { start, end }) => ((official.official && official.official.availability) || [])
+  .some(window => new Date(window.start) <= start && new Date(window.end) >= end);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Everyone playing for either side of a fixture with populated participants
+const fixturePlayers = (fixture) => new Set([fixture.participant1, fixture.participant2]
+  .filter(Boolean)
+  .flatMap(registration => [registration.captain, ...(registration.teamMembers || [])])
+  .filter(Boolean)
+  .map(idOf));
+
+// Number of fixtures in the back-to-back run the interval would join. Fixtures
+// less than minBreakMinutes apart are back to back.
+const consecutiveRun = (intervals, interval, minBreakMinutes) => {
+  const sorted = [...intervals, interval].sort((a, b) => a.start - b.start);
+  const index = sorted.indexOf(interval);
+  const breakLength = minBreakMinutes * MINUTE;
+  let first = index;
+  let last = index;
+
+  while (first > 0 && sorted[first].start - sorted[first - 1].end < breakLength) first--;
+  while (last < sorted.length - 1 && sorted[last + 1].start - sorted[last].end < breakLength) last++;
+
+  return last - first + 1;
+};
+
+const sameDay = (a, b) => a.toDateString() === b.toDateString();
+
+// Why an official cannot take a fixture, or null when they can. commitments
+// are the official's other fixtures as { fixtureId, start, end, playing },
+// where playing marks fixtures they play in rather than officiate.
+const assessOfficial = (official, fixture, { sport, commitments = [], settings } = {}) => {
+  const resolved = resolveOfficiating(settings);
+  const interval = fixtureInterval(fixture);
+  const accreditation = findAccreditation(official, sport, interval.start);
+
+  if (!accreditation) return 'notAccredited';
+  if (resolved.minimumLevel && levelRank(accreditation.level) < levelRank(resolved.minimumLevel)) {
+    return 'belowMinimumLevel';
+  }
+  if (fixturePlayers(fixture).has(idOf(official._id))) return 'conflictOfInterest';
+  if (!isAvailable(official, interval)) return 'unavailable';
+
+  const others = commitments.filter(commitment => commitment.fixtureId !== idOf(fixture._id));
+  if (others.some(commitment => overlaps(commitment, interval))) return 'clash';
+
+  const officiating = others.filter(commitment => !commitment.playing);
+  const dailyLimit = Math.min(
+    resolved.maxFixturesPerDay,
+    (official.official && official.official.maxFixturesPerDay) || Infinity
+  );
+  if (officiating.filter(commitment => sameDay(commitment.start, interval.start)).length >= dailyLimit) {
+    return 'dailyLimit';
+  }
+  if (consecutiveRun(officiating, interval, resolved.minBreakMinutes) > resolved.maxConsecutiveFixtures) {
+    return 'backToBack';
+  }
+  return null;
+};
+
+// Fill each scheduled fixture's open official places, earliest fixture first.
+// commitments is a Map of official id to their commitments and gains every
+// new assignment. Returns { assignments: [{ fixture, official, role }],
+// unfilled: [{ fixture, needed, reasons }] } where reasons counts why
+// officials were passed over.
+const assignOfficials = (fixtures, officials, { sport, settings, commitments = new Map() } = {}) => {
+  const resolved = resolveOfficiating(settings);
+  const commitmentsOf = (official) => {
+    const id = idOf(official._id);
+    if (!commitments.has(id)) commitments.set(id, []);
+    return commitments.get(id);
+  };
+  const load = (official) => commitmentsOf(official).filter(commitment => !commitment.playing).length;
+
+  const assignments = [];
+  const unfilled = [];
+
+  fixtures
+    .filter(fixture => fixture.scheduledDate)
+    .sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate))
+    .forEach(fixture => {
+      const current = (fixture.officials || []).map(assignment => idOf(assignment.user));
+      const needed = resolved.officialsPerFixture - current.length;
+      if (needed <= 0) return;
+
+      const reasons = {};
+      const candidates = officials
+        .filter(official => !current.includes(idOf(official._id)))
+        .filter(official => {
+          const reason = assessOfficial(official, fixture, { sport, commitments: commitmentsOf(official), settings: resolved });
+          if (reason) reasons[reason] = (reasons[reason] || 0) + 1;
+          return !reason;
+        })
+        .sort((a, b) => load(a) - load(b) || idOf(a._id).localeCompare(idOf(b._id)));
+
+      candidates.slice(0, needed).forEach((official, index) => {
+        const role = current.length + index === 0 ? primaryRole(sport) : 'Assistant';
+        assignments.push({ fixture, official, role });
+        commitmentsOf(official).push({ fixtureId: idOf(fixture._id), ...fixtureInterval(fixture), playing: false });
+      });
+
+      if (candidates.length < needed) {
+        unfilled.push({ fixture, needed: needed - candidates.length, reasons });
+      }
+    });
+
+  return { assignments, unfilled };
+};
+
+module.exports = {
+  ACCREDITATION_LEVELS,
+  OFFICIAL_ROLES,
+  DEFAULT_OFFICIATING,
+  resolveOfficiating,
+  primaryRole,
+  fixtureInterval,
+  findAccreditation,
+  consecutiveRun,
+  assessOfficial,
+  assignOfficials
+};
@@ -0,0 +1,10 @@
+// Permissions
+// Organisers manage the tournaments they created; admins manage every one.
+
+// Whether a user may manage a tournament
+const canManage = (tournament, user) =>
+  tournament.createdBy.toString() === user._id.toString() || user.isAdmin;
+
+module.exports = {
+  canManage
+};
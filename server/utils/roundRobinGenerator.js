@@ -0,0 +1,96 @@
+// Round-robin schedule generation
+// Returns plain fixture descriptors in the same shape as the bracket generator
+// so the fixture controller can persist either without special cases.
+
+// Pair everyone with the circle method: the first entrant stays fixed while the
+// rest rotate one place each round. With an odd count a null "bye" entrant is
+// added and whoever draws it sits the round out.
+const getCirclePairings = (participants) => {
+  const entrants = participants.length % 2 === 0 ? [...participants] : [...participants, null];
+  const roundCount = entrants.length - 1;
+  const half = entrants.length / 2;
+  const rounds = [];
+  let rotation = entrants.slice(1);
+
+  for (let round = 0; round < roundCount; round++) {
+    const lineup = [entrants[0], ...rotation];
+    const pairings = [];
+
+    for (let index = 0; index < half; index++) {
+      const first = lineup[index];
+      const second = lineup[lineup.length - 1 - index];
+      if (first !== null && second !== null) {
+        pairings.push([first, second]);
+      }
+    }
+
+    rounds.push(pairings);
+    rotation = [rotation[rotation.length - 1], ...rotation.slice(0, -1)];
+  }
+
+  return rounds;
+};
+
+// Give home advantage to whoever has had fewer home games so far, falling back
+// to whoever played away in their previous match
+const balanceHomeAndAway = (rounds) => {
+  const homeCounts = new Map();
+  const lastWasHome = new Map();
+
+  return rounds.map(pairings => pairings.map(([first, second]) => {
+    const firstHomes = homeCounts.get(first) || 0;
+    const secondHomes = homeCounts.get(second) || 0;
+    let firstIsHome;
+
+    if (firstHomes !== secondHomes) {
+      firstIsHome = firstHomes < secondHomes;
+    } else {
+      firstIsHome = !lastWasHome.get(first);
+    }
+
+    const [home, away] = firstIsHome ? [first, second] : [second, first];
+    homeCounts.set(home, (homeCounts.get(home) || 0) + 1);
+    lastWasHome.set(home, true);
+    lastWasHome.set(away, false);
+
+    return [home, away];
+  }));
+};
+
+// Build a full round-robin schedule. participant1 is the home side. With
+// legs = 2 every pairing is played again in a second half of the schedule
+// with home and away reversed.
+const generateRoundRobinSchedule = (participants, { legs = 1 } = {}) => {
+  if (!Array.isArray(participants) || participants.length < 2) {
+    throw new Error('At least 2 participants are required to generate a schedule');
+  }
+
+  const firstLeg = balanceHomeAndAway(getCirclePairings(participants));
+  const rounds = legs === 2
+    ? [...firstLeg, ...firstLeg.map(pairings => pairings.map(([home, away]) => [away, home]))]
+    : firstLeg;
+
+  return rounds.flatMap((pairings, roundIndex) => pairings.map(([home, away], matchIndex) => {
+    const round = roundIndex + 1;
+    const matchNumber = matchIndex + 1;
+
+    return {
+      key: `RR${round}-M${matchNumber}`,
+      round,
+      matchNumber,
+      bracketPosition: `RR${round}-M${matchNumber}`,
+      participant1: home,
+      participant2: away,
+      winner: null,
+      isBye: false,
+      status: 'Scheduled',
+      nextMatchKey: null,
+      previousMatchKeys: []
+    };
+  }));
+};
+
+module.exports = {
+  getCirclePairings,
+  generateRoundRobinSchedule
+};
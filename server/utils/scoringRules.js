@@ -0,0 +1,287 @@
+// Sport-specific scoring rules
+// Each sport maps to a scoring type (sets, innings, periods or plain points)
+// plus its parameters. evaluateResult validates a submitted result against
+// those rules and normalises it so participant1Score/participant2Score always
+// decide the winner: sets won, total runs or total points.
+
+const SCORING_RULES = {
+  Tennis: { type: 'sets', bestOf: 3, set: { pointsToWin: 6, winBy: 2, cap: 7 } },
+  Volleyball: {
+    type: 'sets',
+    bestOf: 5,
+    set: { pointsToWin: 25, winBy: 2 },
+    decidingSet: { pointsToWin: 15, winBy: 2 }
+  },
+  Badminton: { type: 'sets', bestOf: 3, set: { pointsToWin: 21, winBy: 2, cap: 30 } },
+  Squash: { type: 'sets', bestOf: 5, set: { pointsToWin: 11, winBy: 2 } },
+  'Table Tennis': { type: 'sets', bestOf: 5, set: { pointsToWin: 11, winBy: 2 } },
+  Cricket: { type: 'innings', inningsPerSide: 1, oversPerInnings: null },
+  Rugby: { type: 'periods', periods: 2, periodName: 'half' },
+  Netball: { type: 'periods', periods: 4, periodName: 'quarter' },
+  Basketball: { type: 'points' },
+  Football: { type: 'points' }
+};
+
+const DEFAULT_RULES = { type: 'points' };
+
+const isScore = (value) => Number.isInteger(value) && value >= 0;
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Rules for a sport, with per-tournament overrides (bestOf, periods,
+// oversPerInnings, inningsPerSide) applied on top
+const getScoringRules = (sport, overrides = {}) => {
+  const rules = SCORING_RULES[sport] || DEFAULT_RULES;
+  const applied = {};
+  Object.keys(rules).forEach(key => {
+    if (overrides && overrides[key] !== undefined && overrides[key] !== null) {
+      applied[key] = overrides[key];
+    }
+  });
+  return { ...rules, ...applied };
+};
+
+// Add or replace the rules for a sport
+const registerScoringRules = (sport, rules) => {
+  if (!rules || !SCORERS[rules.type]) {
+    throw new Error(`Unknown scoring type: ${rules && rules.type}`);
+  }
+  SCORING_RULES[sport] = rules;
+};
+
+// Check one set score: the winner reaches pointsToWin with a winBy margin,
+// play extends past pointsToWin until someone leads by winBy, and a cap
+// (e.g. a 7-6 tennis tiebreak or 30-29 in badminton) ends the set outright
+const validateSetScore = (first, second, { pointsToWin, winBy = 2, cap }) => {
+  const high = Math.max(first, second);
+  const low = Math.min(first, second);
+
+  if (high === low) return 'cannot be tied';
+  if (high < pointsToWin) return `must be played to ${pointsToWin}`;
+  if (cap && high > cap) return `cannot go beyond ${cap}`;
+  if (cap && high === cap && low === cap - 1) return null;
+  if (high - low < winBy) return `must be won by ${winBy}`;
+  if (high === pointsToWin || high - low === winBy) return null;
+
+  return `should have ended at ${pointsToWin}`;
+};
+
+const evaluateSets = (result, rules) => {
+  const sets = result.sets || [];
+  const setsToWin = Math.ceil(rules.bestOf / 2);
+  const errors = [];
+  let won1 = 0;
+  let won2 = 0;
+
+  if (sets.length === 0) {
+    errors.push('Set scores are required');
+  }
+
+  sets.forEach((set, index) => {
+    const label = `Set ${index + 1}`;
+    if (!isScore(set.participant1Score) || !isScore(set.participant2Score)) {
+      errors.push(`${label} needs a score for both participants`);
+      return;
+    }
+    if (won1 === setsToWin || won2 === setsToWin) {
+      errors.push(`${label} was played after the match was already decided`);
+      return;
+    }
+
+    const isDecidingSet = index === rules.bestOf - 1;
+    const setRules = isDecidingSet && rules.decidingSet ? rules.decidingSet : rules.set;
+    const problem = validateSetScore(set.participant1Score, set.participant2Score, setRules);
+    if (problem) {
+      errors.push(`${label} (${set.participant1Score}-${set.participant2Score}) ${problem}`);
+      return;
+    }
+
+    if (set.participant1Score > set.participant2Score) won1 += 1;
+    else won2 += 1;
+  });
+
+  if (errors.length === 0 && won1 < setsToWin && won2 < setsToWin) {
+    errors.push(`A best of ${rules.bestOf} match needs a winner of ${setsToWin} sets`);
+  }
+  if (errors.length === 0 && isScore(result.participant1Score) && isScore(result.participant2Score) &&
+      (result.participant1Score !== won1 || result.participant2Score !== won2)) {
+    errors.push(`Match score ${result.participant1Score}-${result.participant2Score} does not match sets won (${won1}-${won2})`);
+  }
+
+  return {
+    errors,
+    participant1Score: won1,
+    participant2Score: won2,
+    summary: `won ${Math.max(won1, won2)}-${Math.min(won1, won2)} in sets`
+  };
+};
+
+// Overs are written as completed overs plus balls, e.g. 19.4
+const isValidOvers = (overs) => {
+  if (typeof overs !== 'number' || overs < 0) return false;
+  const balls = Math.round((overs % 1) * 10);
+  return balls <= 5;
+};
+
+const evaluateInnings = (result, rules) => {
+  const innings = result.innings || [];
+  const errors = [];
+  const totals = { 1: 0, 2: 0 };
+  const counts = { 1: 0, 2: 0 };
+
+  if (innings.length === 0) {
+    errors.push('Innings scores are required');
+  }
+  if (innings.length > 1 && innings[0].battingSide === innings[1].battingSide) {
+    errors.push('Both sides must bat before either bats again');
+  }
+
+  innings.forEach((entry, index) => {
+    const label = `Innings ${index + 1}`;
+    if (![1, 2].includes(entry.battingSide)) {
+      errors.push(`${label} needs a batting side of 1 or 2`);
+      return;
+    }
+    if (!isScore(entry.runs)) {
+      errors.push(`${label} needs a valid run total`);
+    }
+    if (!Number.isInteger(entry.wickets) || entry.wickets < 0 || entry.wickets > 10) {
+      errors.push(`${label} wickets must be between 0 and 10`);
+    }
+    if (entry.overs !== undefined && !isValidOvers(entry.overs)) {
+      errors.push(`${label} overs must be written as overs.balls with at most 5 balls`);
+    }
+    if (rules.oversPerInnings && entry.overs > rules.oversPerInnings) {
+      errors.push(`${label} exceeds the ${rules.oversPerInnings} over limit`);
+    }
+
+    counts[entry.battingSide] += 1;
+    totals[entry.battingSide] += entry.runs || 0;
+  });
+
+  [1, 2].forEach(side => {
+    if (innings.length > 0 && counts[side] === 0) {
+      errors.push(`Participant ${side} must bat before the match can be decided`);
+    }
+    if (counts[side] > rules.inningsPerSide) {
+      errors.push(`Participant ${side} cannot bat more than ${rules.inningsPerSide} innings`);
+    }
+  });
+
+  const outcome = { errors, participant1Score: totals[1], participant2Score: totals[2] };
+  if (errors.length > 0) return outcome;
+
+  const last = innings[innings.length - 1];
+  const chasingSide = last.battingSide;
+  const defendingSide = chasingSide === 1 ? 2 : 1;
+  const allOut = last.wickets === 10 || last.declared;
+
+  if (totals[chasingSide] > totals[defendingSide]) {
+    outcome.summary = `won by ${plural(10 - last.wickets, 'wicket')}`;
+  } else if (rules.inningsPerSide > 1 && !allOut) {
+    // A multi-innings match that runs out of time before a result is a draw
+    outcome.drawn = true;
+    outcome.summary = 'Match drawn';
+  } else if (totals[chasingSide] === totals[defendingSide]) {
+    outcome.summary = 'Match tied';
+  } else if (counts[defendingSide] < counts[chasingSide]) {
+    outcome.summary = `won by an innings and ${plural(totals[defendingSide] - totals[chasingSide], 'run')}`;
+  } else {
+    outcome.summary = `won by ${plural(totals[defendingSide] - totals[chasingSide], 'run')}`;
+  }
+
+  return outcome;
+};
+
+const evaluatePeriods = (result, rules) => {
+  const periods = result.periods || [];
+  const errors = [];
+
+  if (periods.length === 0) {
+    return evaluatePoints(result);
+  }
+
+  if (periods.length < rules.periods) {
+    errors.push(`Scores are required for all ${rules.periods} ${rules.periodName}s`);
+  } else if (periods.length > rules.periods && !result.overtime) {
+    errors.push(`Only ${rules.periods} ${rules.periodName}s are played without overtime`);
+  }
+
+  let total1 = 0;
+  let total2 = 0;
+  periods.forEach((period, index) => {
+    if (!isScore(period.participant1Score) || !isScore(period.participant2Score)) {
+      errors.push(`Period ${index + 1} needs a score for both participants`);
+      return;
+    }
+    total1 += period.participant1Score;
+    total2 += period.participant2Score;
+  });
+
+  if (errors.length === 0 && isScore(result.participant1Score) && isScore(result.participant2Score) &&
+      (result.participant1Score !== total1 || result.participant2Score !== total2)) {
+    errors.push(`Final score ${result.participant1Score}-${result.participant2Score} does not match the ${rules.periodName} scores (${total1}-${total2})`);
+  }
+
+  return { errors, participant1Score: total1, participant2Score: total2 };
+};
+
+const evaluatePoints = (result) => {
+  const errors = [];
+  if (!isScore(result.participant1Score) || !isScore(result.participant2Score)) {
+    errors.push('A score is required for both participants');
+  }
+  return { errors, participant1Score: result.participant1Score, participant2Score: result.participant2Score };
+};
+
+const SCORERS = {
+  sets: evaluateSets,
+  innings: evaluateInnings,
+  periods: evaluatePeriods,
+  points: evaluatePoints
+};
+
+// Validate a submitted result for a sport. Returns the list of problems, the
+// normalised result and which participant won (1, 2 or null for a draw).
+const evaluateResult = (sport, result, overrides) => {
+  const rules = getScoringRules(sport, overrides);
+  const outcome = SCORERS[rules.type](result || {}, rules);
+
+  let winner = null;
+  if (!outcome.drawn && outcome.participant1Score !== outcome.participant2Score) {
+    winner = outcome.participant1Score > outcome.participant2Score ? 1 : 2;
+  }
+
+  return {
+    valid: outcome.errors.length === 0,
+    errors: outcome.errors,
+    winner,
+    result: {
+      ...result,
+      participant1Score: outcome.participant1Score,
+      participant2Score: outcome.participant2Score,
+      drawn: winner === null,
+      summary: outcome.summary
+    }
+  };
+};
+
+// Whether two normalised results describe the same match outcome
+const isSameResult = (first, second) => {
+  const pick = (result) => JSON.stringify([
+    result.participant1Score,
+    result.participant2Score,
+    (result.sets || []).map(set => [set.participant1Score, set.participant2Score]),
+    (result.periods || []).map(period => [period.participant1Score, period.participant2Score]),
+    (result.innings || []).map(entry => [entry.battingSide, entry.runs, entry.wickets])
+  ]);
+  return pick(first) === pick(second);
+};
+
+module.exports = {
+  SCORING_RULES,
+  getScoringRules,
+  registerScoringRules,
+  validateSetScore,
+  evaluateResult,
+  isSameResult
+};
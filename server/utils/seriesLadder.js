@@ -0,0 +1,62 @@
+// Series ladders
+// Each result is one player's finish in one tournament. Players score the
+// points table's value for their position, or participation points beyond
+// it, and with a best-N rule only their N highest-scoring results count.
+
+const { idOf } = require('./ids');
+
+// Ranking points for a final position
+const pointsForPosition = (position, pointsTable = [], participationPoints = 0) => {
+  if (!Number.isInteger(position) || position < 1) return 0;
+  return position <= pointsTable.length ? pointsTable[position - 1] : participationPoints;
+};
+
+// Build the ladder from results ({ player, tournament, position, points }).
+// Players are ranked by counted points, then best finish, then events played.
+const buildLadder = (results, { bestResults } = {}) => {
+  const players = new Map();
+
+  results.forEach(result => {
+    const id = idOf(result.player);
+    if (!players.has(id)) {
+      players.set(id, { player: result.player, results: [] });
+    }
+    players.get(id).results.push(result);
+  });
+
+  const rows = [...players.values()].map(({ player, results: playerResults }) => {
+    const ordered = [...playerResults].sort((a, b) => b.points - a.points || a.position - b.position);
+    const counted = bestResults ? ordered.slice(0, bestResults) : ordered;
+
+    return {
+      player,
+      totalPoints: counted.reduce((sum, result) => sum + result.points, 0),
+      eventsPlayed: playerResults.length,
+      bestFinish: Math.min(...playerResults.map(result => result.position)),
+      results: ordered.map(result => ({ ...result, counted: counted.includes(result) }))
+    };
+  });
+
+  rows.sort((a, b) =>
+    b.totalPoints - a.totalPoints ||
+    a.bestFinish - b.bestFinish ||
+    b.eventsPlayed - a.eventsPlayed);
+
+  // Players level on every measure share a rank
+  rows.forEach((row, index) => {
+    const previous = rows[index - 1];
+    row.rank = previous &&
+      previous.totalPoints === row.totalPoints &&
+      previous.bestFinish === row.bestFinish &&
+      previous.eventsPlayed === row.eventsPlayed
+      ? previous.rank
+      : index + 1;
+  });
+
+  return rows;
+};
+
+module.exports = {
+  pointsForPosition,
+  buildLadder
+};
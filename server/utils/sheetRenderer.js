@@ -0,0 +1,203 @@
+// SVG and PDF output for draw sheets (see utils/drawSheet)
+// Each section gets a page of the chosen paper size, scaled to fit inside
+// the margins. The PDF is written by hand with the standard Helvetica fonts,
+// which every reader has built in, so nothing needs to be installed or
+// embedded.
+
+const { textWidth } = require('./drawSheet');
+
+// Portrait width and height in points
+const PAPER_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  A3: { width: 841.89, height: 1190.55 }
+};
+const ORIENTATIONS = ['landscape', 'portrait'];
+const MM_PER_POINT = 25.4 / 72;
+const MARGIN = 28;
+const TITLE_HEIGHT = 30;
+const FOOTER_HEIGHT = 14;
+const MAX_SCALE = 1.5;
+
+// One page per section, with the scale and offset that fit it on the paper
+const paginate = (sections, { paper = 'A4', orientation = 'landscape' } = {}) => {
+  const size = PAPER_SIZES[paper] || PAPER_SIZES.A4;
+  const width = orientation === 'portrait' ? size.width : size.height;
+  const height = orientation === 'portrait' ? size.height : size.width;
+  const areaWidth = width - MARGIN * 2;
+  const areaHeight = height - MARGIN * 2 - TITLE_HEIGHT - FOOTER_HEIGHT;
+
+  return sections.map(section => {
+    const scale = Math.min(MAX_SCALE, areaWidth / section.width, areaHeight / section.height);
+    return {
+      section,
+      width,
+      height,
+      scale,
+      offsetX: MARGIN + (areaWidth - section.width * scale) / 2,
+      offsetY: MARGIN + TITLE_HEIGHT
+    };
+  });
+};
+
+// Page title and footer, in page coordinates
+const pageFurniture = (page, index, pages, title) => [
+  { type: 'text', x: MARGIN, y: MARGIN + 14, text: title, size: 16, bold: true, anchor: 'start' },
+  { type: 'text', x: page.width - MARGIN, y: MARGIN + 14, text: page.section.title, size: 12, bold: true, anchor: 'end' },
+  { type: 'text', x: page.width - MARGIN, y: page.height - MARGIN, text: `Page ${index + 1} of ${pages.length}`, size: 8, bold: false, anchor: 'end' }
+];
+
+const round = (value) => Number(value.toFixed(2));
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const svgShape = (shape) => {
+  if (shape.type === 'rect') {
+    return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.width)}" height="${round(shape.height)}" ` +
+      `fill="${shape.fill || 'none'}" stroke="${shape.stroke || 'none'}"/>`;
+  }
+  if (shape.type === 'line') {
+    return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" stroke="#000000"/>`;
+  }
+  return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${shape.size}" text-anchor="${shape.anchor}"` +
+    `${shape.bold ? ' font-weight="bold"' : ''}>${escapeXml(shape.text)}</text>`;
+};
+
+// One SVG with the pages stacked top to bottom at their printed size in
+// millimetres, so printing at 100% puts each page on its own sheet
+const renderSvg = (sections, { title = '', ...options } = {}) => {
+  const pages = paginate(sections, options);
+  const width = pages.length > 0 ? pages[0].width : PAPER_SIZES.A4.height;
+  const pageHeight = pages.length > 0 ? pages[0].height : PAPER_SIZES.A4.width;
+  const height = pageHeight * Math.max(pages.length, 1);
+
+  const body = pages.map((page, index) => [
+    `<g transform="translate(0 ${round(index * page.height)})">`,
+    `<rect x="0" y="0" width="${round(page.width)}" height="${round(page.height)}" fill="#ffffff"/>`,
+    ...pageFurniture(page, index, pages, title).map(svgShape),
+    `<g transform="translate(${round(page.offsetX)} ${round(page.offsetY)}) scale(${Number(page.scale.toFixed(4))})" stroke-width="0.75">`,
+    ...page.section.shapes.map(svgShape),
+    '</g>',
+    '</g>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width * MM_PER_POINT)}mm" height="${round(height * MM_PER_POINT)}mm" ` +
+      `viewBox="0 0 ${round(width)} ${round(height)}" font-family="Helvetica, Arial, sans-serif">`,
+    `<title>${escapeXml(title)}</title>`,
+    ...body,
+    '</svg>'
+  ].join('\n') + '\n';
+};
+
+// Text as a PDF literal string in WinAnsi encoding; characters it cannot
+// show become question marks
+const pdfString = (value) => {
+  const encoded = [...String(value)].map(character => {
+    const code = character.charCodeAt(0);
+    if (code < 32 || code > 255 || (code >= 0x7f && code < 0xa0)) return '?';
+    return character;
+  }).join('');
+  return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+};
+
+const pdfColour = (hex) => [1, 3, 5]
+  .map(start => round(parseInt(hex.slice(start, start + 2), 16) / 255))
+  .join(' ');
+
+// Content stream operators for one shape. x and y map sheet points to PDF
+// user space, whose origin is the bottom-left corner.
+const pdfShape = (shape, { scale, x: toX, y: toY }) => {
+  if (shape.type === 'rect') {
+    const operators = [];
+    if (shape.fill) operators.push(`${pdfColour(shape.fill)} rg`);
+    if (shape.stroke) operators.push(`${pdfColour(shape.stroke)} RG`);
+    operators.push(`${round(toX(shape.x))} ${round(toY(shape.y + shape.height))} ` +
+      `${round(shape.width * scale)} ${round(shape.height * scale)} re`);
+    operators.push(shape.fill && shape.stroke ? 'B' : shape.fill ? 'f' : 'S');
+    return operators.join('\n');
+  }
+  if (shape.type === 'line') {
+    return `0 0 0 RG\n${round(toX(shape.x1))} ${round(toY(shape.y1))} m ${round(toX(shape.x2))} ${round(toY(shape.y2))} l S`;
+  }
+
+  const size = shape.size * scale;
+  const width = textWidth(shape.text, size, shape.bold);
+  const shift = shape.anchor === 'end' ? width : shape.anchor === 'middle' ? width / 2 : 0;
+  return `0 0 0 rg\nBT /${shape.bold ? 'F2' : 'F1'} ${round(size)} Tf ` +
+    `${round(toX(shape.x) - shift)} ${round(toY(shape.y))} Td ${pdfString(shape.text)} Tj ET`;
+};
+
+const pageContent = (page, index, pages, title) => {
+  const flip = (y) => page.height - y;
+  const furniture = { scale: 1, x: x => x, y: flip };
+  const sheet = {
+    scale: page.scale,
+    x: x => page.offsetX + x * page.scale,
+    y: y => flip(page.offsetY + y * page.scale)
+  };
+
+  return [
+    `${round(0.75 * page.scale)} w`,
+    ...page.section.shapes.map(shape => pdfShape(shape, sheet)),
+    ...pageFurniture(page, index, pages, title).map(shape => pdfShape(shape, furniture))
+  ].join('\n');
+};
+
+// A PDF with one page per section, as a Buffer
+const renderPdf = (sections, { title = '', ...options } = {}) => {
+  const pages = paginate(sections, options);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title ${pdfString(title)} /Producer (Tournament draw sheet) >>`);
+
+  // An empty draw still prints as one blank page with its title
+  const printed = pages.length > 0
+    ? pages
+    : [{ section: { title: '', shapes: [] }, width: PAPER_SIZES.A4.height, height: PAPER_SIZES.A4.width, scale: 1, offsetX: MARGIN, offsetY: MARGIN }];
+
+  const pageIds = printed.map((page, index) => {
+    const content = pageContent(page, index, printed, title);
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${round(page.width)} ${round(page.height)}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  PAPER_SIZES,
+  ORIENTATIONS,
+  paginate,
+  renderSvg,
+  renderPdf
+};
@@ -0,0 +1,215 @@
+// League table configuration: points per result, bonus points and the
+// ordered tiebreakers used to separate participants level on points.
+// Sports start from a preset that a tournament's `standings` settings
+// override field by field.
+
+const { idOf } = require('./ids');
+
+const TIEBREAKERS = [
+  'headToHead',
+  'goalDifference',
+  'goalsFor',
+  'percentage',
+  'wins',
+  'winPercentage',
+  'drawingOfLots'
+];
+
+const BONUS_POINT_TYPES = ['tries', 'losingMargin', 'winningMargin'];
+
+const DEFAULT_STANDINGS_CONFIG = {
+  rankBy: 'points',
+  points: { win: 3, draw: 1, loss: 0, forfeit: 0 },
+  forfeitScore: { winner: 1, loser: 0 }, // Score recorded for a walkover
+  bonusPoints: [],
+  tiebreakers: ['goalDifference', 'goalsFor']
+};
+
+const SPORT_STANDINGS_PRESETS = {
+  Football: {
+    forfeitScore: { winner: 3, loser: 0 }
+  },
+  Rugby: {
+    points: { win: 4, draw: 2, loss: 0, forfeit: 0 },
+    forfeitScore: { winner: 28, loser: 0 },
+    bonusPoints: [
+      { type: 'tries', threshold: 4, points: 1 },
+      { type: 'losingMargin', threshold: 7, points: 1 }
+    ],
+    tiebreakers: ['goalDifference', 'headToHead', 'goalsFor']
+  },
+  Netball: {
+    points: { win: 2, draw: 1, loss: 0, forfeit: 0 },
+    forfeitScore: { winner: 10, loser: 0 },
+    tiebreakers: ['percentage', 'headToHead']
+  },
+  Basketball: {
+    rankBy: 'winPercentage',
+    points: { win: 2, draw: 1, loss: 1, forfeit: 0 },
+    forfeitScore: { winner: 20, loser: 0 },
+    tiebreakers: ['headToHead', 'goalDifference']
+  }
+};
+
+// Merge the sport preset and tournament settings over the defaults. Settings
+// may be a mongoose subdocument, so only known fields are read.
+const resolveStandingsConfig = (sport, settings = {}) => {
+  const preset = SPORT_STANDINGS_PRESETS[sport] || {};
+  const base = { ...DEFAULT_STANDINGS_CONFIG, ...preset };
+  const overrides = settings || {};
+  const pick = (defaults, values) => {
+    const picked = { ...defaults };
+    Object.keys(picked).forEach(key => {
+      if (values && typeof values[key] === 'number') {
+        picked[key] = values[key];
+      }
+    });
+    return picked;
+  };
+
+  const hasList = (list) => Array.isArray(list) && list.length > 0;
+
+  return {
+    rankBy: overrides.rankBy || base.rankBy,
+    points: pick(base.points, overrides.points),
+    forfeitScore: pick(base.forfeitScore, overrides.forfeitScore),
+    bonusPoints: hasList(overrides.bonusPoints)
+      ? overrides.bonusPoints.map(({ type, threshold, points: bonus = 1 }) => ({ type, threshold, points: bonus }))
+      : base.bonusPoints,
+    tiebreakers: hasList(overrides.tiebreakers) ? [...overrides.tiebreakers] : base.tiebreakers
+  };
+};
+
+// Bonus points earned by one side of a completed fixture
+const calculateBonusPoints = (result, side, isWinner, isLoser, config) => {
+  const scored = result[`participant${side}Score`];
+  const conceded = result[`participant${side === 1 ? 2 : 1}Score`];
+  const tries = result[`participant${side}Tries`];
+
+  return config.bonusPoints.reduce((total, rule) => {
+    if (rule.type === 'tries' && typeof tries === 'number' && tries >= rule.threshold) {
+      return total + rule.points;
+    }
+    if (rule.type === 'losingMargin' && isLoser && !result.forfeit && conceded - scored <= rule.threshold) {
+      return total + rule.points;
+    }
+    if (rule.type === 'winningMargin' && isWinner && scored - conceded >= rule.threshold) {
+      return total + rule.points;
+    }
+    return total;
+  }, 0);
+};
+
+// Stable pseudo-random number for a participant, so a drawing of lots gives
+// the same order every time the table is calculated
+const lotFor = (seed, participantId) => {
+  let hash = 2166136261;
+  for (const character of `${seed}:${participantId}`) {
+    hash ^= character.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+// Points and goal difference in the games played only between the tied rows
+const headToHeadKey = (rows, fixtures, config) => {
+  const ids = new Set(rows.map(row => idOf(row.participant)));
+  const table = new Map(rows.map(row => [idOf(row.participant), { points: 0, difference: 0 }]));
+
+  fixtures.forEach(fixture => {
+    const first = idOf(fixture.participant1);
+    const second = idOf(fixture.participant2);
+    if (!ids.has(first) || !ids.has(second)) return;
+
+    const { participant1Score, participant2Score } = fixture.result;
+    const winner = fixture.winner ? idOf(fixture.winner) : null;
+    [[first, participant1Score - participant2Score], [second, participant2Score - participant1Score]]
+      .forEach(([id, difference]) => {
+        const entry = table.get(id);
+        entry.difference += difference;
+        if (!winner) entry.points += config.points.draw;
+        else if (winner === id) entry.points += config.points.win;
+        else entry.points += config.points.loss;
+      });
+  });
+
+  return (row) => {
+    const entry = table.get(idOf(row.participant));
+    return [entry.points, entry.difference];
+  };
+};
+
+const tiebreakerKey = (tiebreaker, rows, fixtures, config, seed) => {
+  switch (tiebreaker) {
+    case 'headToHead':
+      return headToHeadKey(rows, fixtures, config);
+    case 'percentage':
+      // Nothing conceded ranks above any percentage
+      return (row) => [row.goalsAgainst > 0 ? row.goalsFor / row.goalsAgainst : (row.goalsFor > 0 ? Infinity : 0)];
+    case 'drawingOfLots':
+      return (row) => [lotFor(seed, idOf(row.participant))];
+    default:
+      return (row) => [row[tiebreaker]];
+  }
+};
+
+const compareKeys = (a, b) => {
+  for (let index = 0; index < a.length; index++) {
+    if (b[index] !== a[index]) return b[index] - a[index];
+  }
+  return 0;
+};
+
+// Split rows into runs of equal key, best first
+const splitTies = (rows, key) => {
+  const keyed = rows.map(row => ({ row, key: key(row) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+  const groups = [];
+
+  keyed.forEach(entry => {
+    const last = groups[groups.length - 1];
+    if (last && compareKeys(last.key, entry.key) === 0) {
+      last.rows.push(entry.row);
+    } else {
+      groups.push({ key: entry.key, rows: [entry.row] });
+    }
+  });
+
+  return groups.map(group => group.rows);
+};
+
+// Apply tiebreakers in order, each only to the rows still level. Head-to-head
+// is calculated among just the rows tied at that point.
+const breakTies = (rows, tiebreakers, fixtures, config, seed) => {
+  if (rows.length < 2 || tiebreakers.length === 0) return rows;
+
+  const [tiebreaker, ...rest] = tiebreakers;
+  return splitTies(rows, tiebreakerKey(tiebreaker, rows, fixtures, config, seed))
+    .flatMap(group => breakTies(group, rest, fixtures, config, seed));
+};
+
+// Sort standings rows and assign positions. Fixtures are the completed
+// fixtures used to build the rows; seed fixes the drawing of lots.
+const rankStandings = (standings, fixtures, config, { seed = '' } = {}) => {
+  const primary = config.rankBy === 'winPercentage'
+    ? (row) => [row.winPercentage, row.points]
+    : (row) => [row.points];
+
+  const ranked = splitTies(standings, primary)
+    .flatMap(group => breakTies(group, config.tiebreakers, fixtures, config, seed));
+
+  ranked.forEach((standing, index) => {
+    standing.position = index + 1;
+  });
+
+  return ranked;
+};
+
+module.exports = {
+  TIEBREAKERS,
+  BONUS_POINT_TYPES,
+  DEFAULT_STANDINGS_CONFIG,
+  resolveStandingsConfig,
+  calculateBonusPoints,
+  rankStandings
+};
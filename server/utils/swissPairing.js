@@ -0,0 +1,190 @@
+// Swiss-system pairing and tiebreak helpers
+// Participants are passed in seed order. Fixtures are plain objects or
+// Fixture documents with participant1, participant2, winner, isBye and status.
+
+const { idOf } = require('./ids');
+
+// Default number of rounds: enough to leave a single unbeaten player
+const getDefaultSwissRounds = (participantCount) => Math.max(1, Math.ceil(Math.log2(participantCount)));
+
+// Score every participant from completed fixtures: a win or bye is worth 1,
+// a draw 0.5. Also records who each participant has played and how.
+const calculateSwissScores = (participants, fixtures) => {
+  const records = new Map(participants.map(participant => [idOf(participant), {
+    participant,
+    score: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    byes: 0,
+    opponents: [] // [{ opponent, result }] with result 1, 0.5 or 0
+  }]));
+
+  fixtures
+    .filter(fixture => fixture.status === 'Completed')
+    .forEach(fixture => {
+      const first = records.get(idOf(fixture.participant1));
+
+      if (fixture.isBye) {
+        if (first) {
+          first.score += 1;
+          first.byes += 1;
+        }
+        return;
+      }
+
+      const second = records.get(idOf(fixture.participant2));
+      if (!first || !second) return;
+
+      let firstResult = 0.5;
+      if (fixture.winner) {
+        firstResult = idOf(fixture.winner) === idOf(fixture.participant1) ? 1 : 0;
+      }
+
+      [[first, second, firstResult], [second, first, 1 - firstResult]].forEach(([record, opponent, result]) => {
+        record.score += result;
+        if (result === 1) record.wins += 1;
+        else if (result === 0) record.losses += 1;
+        else record.draws += 1;
+        record.opponents.push({ opponent: idOf(opponent.participant), result });
+      });
+    });
+
+  return records;
+};
+
+// Buchholz is the sum of opponents' scores; Sonneborn-Berger adds the full
+// score of every opponent beaten and half the score of every opponent drawn
+const calculateSwissTiebreaks = (records) => {
+  records.forEach(record => {
+    record.buchholz = 0;
+    record.sonnebornBerger = 0;
+
+    record.opponents.forEach(({ opponent, result }) => {
+      const opponentScore = records.get(opponent).score;
+      record.buchholz += opponentScore;
+      record.sonnebornBerger += opponentScore * result;
+    });
+  });
+
+  return records;
+};
+
+// Candidate opponents for the top unpaired player, Dutch style: the top half
+// of a score group meets the bottom half, then lower score groups as floaters
+const getCandidateOrder = (unpaired) => {
+  const [player, ...rest] = unpaired;
+  const sameScore = rest.filter(other => other.score === player.score);
+  const lowerScores = rest.filter(other => other.score !== player.score);
+  const half = Math.floor((sameScore.length + 1) / 2) - 1;
+
+  return [
+    ...sameScore.slice(Math.max(half, 0)),
+    ...sameScore.slice(0, Math.max(half, 0)).reverse(),
+    ...lowerScores
+  ];
+};
+
+// Most pairing attempts the search for a round without rematches may make
+// before falling back to allowing them. Enough for any pairing with a little
+// room to spare; a field where none exists would otherwise try every one.
+const MAX_PAIRING_STEPS = 10000;
+
+// Depth-first search for a pairing with no rematches, giving up (null) once
+// it has made `steps.left` attempts. With rematches allowed, opponents not
+// yet played still come first and any pairing will do, so it never backtracks.
+const findPairings = (unpaired, allowRematches, steps = { left: MAX_PAIRING_STEPS }) => {
+  if (unpaired.length === 0) return [];
+
+  const [player] = unpaired;
+  const candidates = getCandidateOrder(unpaired);
+  const ordered = allowRematches
+    ? [...candidates.filter(other => !player.played.has(other.key)),
+      ...candidates.filter(other => player.played.has(other.key))]
+    : candidates.filter(other => !player.played.has(other.key));
+
+  for (const opponent of ordered) {
+    if (steps.left <= 0) return null;
+    steps.left -= 1;
+
+    const remaining = unpaired.filter(other => other !== player && other !== opponent);
+    const rest = findPairings(remaining, allowRematches, steps);
+    if (rest) {
+      return [[player, opponent], ...rest];
+    }
+  }
+
+  return null;
+};
+
+// Pair the next Swiss round. Returns fixture descriptors; with an odd count
+// the lowest-ranked player who hasn't had a bye yet gets one. Withdrawn
+// participants still count towards their opponents' scores but aren't paired.
+const generateSwissRound = (participants, fixtures, round, { withdrawn = [] } = {}) => {
+  const withdrawnKeys = new Set(withdrawn.map(idOf));
+  if (!Array.isArray(participants) || participants.filter(p => !withdrawnKeys.has(idOf(p))).length < 2) {
+    throw new Error('At least 2 participants are required to pair a round');
+  }
+
+  const records = calculateSwissScores(participants, fixtures);
+  const ranked = participants
+    .map((participant, seedIndex) => {
+      const record = records.get(idOf(participant));
+      return {
+        key: idOf(participant),
+        participant: idOf(participant),
+        score: record.score,
+        hadBye: record.byes > 0,
+        played: new Set(record.opponents.map(({ opponent }) => opponent)),
+        seedIndex
+      };
+    })
+    .filter(player => !withdrawnKeys.has(player.key))
+    .sort((a, b) => b.score - a.score || a.seedIndex - b.seedIndex);
+
+  const descriptors = [];
+  let toPair = ranked;
+
+  if (ranked.length % 2 === 1) {
+    const byePlayer = [...ranked].reverse().find(player => !player.hadBye) || ranked[ranked.length - 1];
+    toPair = ranked.filter(player => player !== byePlayer);
+    descriptors.push({
+      key: `S${round}-BYE`,
+      round,
+      bracketPosition: `S${round}-BYE`,
+      participant1: byePlayer.participant,
+      participant2: null,
+      winner: byePlayer.participant,
+      isBye: true,
+      status: 'Completed'
+    });
+  }
+
+  // Fall back to allowing rematches if no clean pairing turns up in time
+  const pairings = findPairings(toPair, false) || findPairings(toPair, true);
+
+  const matches = pairings.map(([first, second], index) => ({
+    key: `S${round}-M${index + 1}`,
+    round,
+    bracketPosition: `S${round}-M${index + 1}`,
+    participant1: first.participant,
+    participant2: second.participant,
+    winner: null,
+    isBye: false,
+    status: 'Scheduled'
+  }));
+
+  return [...matches, ...descriptors].map((descriptor, index) => ({
+    ...descriptor,
+    matchNumber: index + 1,
+    nextMatchKey: null,
+    previousMatchKeys: []
+  }));
+};
+
+module.exports = {
+  getDefaultSwissRounds,
+  calculateSwissScores,
+  calculateSwissTiebreaks,
+  generateSwissRound
+};
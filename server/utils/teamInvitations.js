@@ -0,0 +1,95 @@
+// Team invitations
+// Captains invite members by account or by email address, so people without
+// an account yet can be asked too. Each invitee answers once; those who
+// accept join the team's roster, and a team entry is complete once as many
+// have accepted as its sport's minimum team size.
+
+const INVITATION_STATUSES = ['Invited', 'Accepted', 'Declined', 'Revoked'];
+
+// Invitations still standing: answered yes, or not answered yet
+const ACTIVE_STATUSES = ['Invited', 'Accepted'];
+
+const normaliseEmail = (email) => String(email).trim().toLowerCase();
+
+// A requested invitee as { userId } or { email }. Team members used to be
+// sent as bare user ids, which still name an account.
+const toInvitee = (member) => (typeof member === 'string' ? { userId: member } : member);
+
+// Work out who to invite. Each requested invitee names a userId or an email;
+// users are the accounts found for them, and existing the team's standing
+// invitations. Returns { invitees: [{ user, email }], problems: [{ invitee,
+// reason }] }, where reason is notFound, captain or duplicate.
+const planInvitations = (requested, { users = [], captain, existing = [] }) => {
+  const byId = new Map(users.map(user => [String(user._id), user]));
+  const byEmail = new Map(users.map(user => [normaliseEmail(user.email), user]));
+
+  // Ids and emails already on the team
+  const taken = new Set([String(captain._id), normaliseEmail(captain.email)]);
+  existing.forEach(invitation => {
+    if (invitation.user) taken.add(String(invitation.user));
+    taken.add(normaliseEmail(invitation.email));
+  });
+
+  const invitees = [];
+  const problems = [];
+
+  requested.forEach(invitee => {
+    const account = invitee.userId
+      ? byId.get(String(invitee.userId))
+      : byEmail.get(normaliseEmail(invitee.email));
+
+    if (invitee.userId && !account) {
+      problems.push({ invitee, reason: 'notFound' });
+      return;
+    }
+
+    const email = normaliseEmail(account ? account.email : invitee.email);
+    const keys = account ? [String(account._id), email] : [email];
+
+    if (keys.includes(String(captain._id)) || email === normaliseEmail(captain.email)) {
+      problems.push({ invitee, reason: 'captain' });
+      return;
+    }
+    if (keys.some(key => taken.has(key))) {
+      problems.push({ invitee, reason: 'duplicate' });
+      return;
+    }
+
+    keys.forEach(key => taken.add(key));
+    invitees.push({ user: account ? account._id : undefined, email });
+  });
+
+  return { invitees, problems };
+};
+
+// Whether an invitation was sent to this user, by account or by email
+const isInvitee = (invitation, user) =>
+  (invitation.user && String(invitation.user._id || invitation.user) === String(user._id)) ||
+  normaliseEmail(invitation.email) === normaliseEmail(user.email);
+
+// Where a team's roster stands against the number of members it needs
+const rosterSummary = (invitations, required) => {
+  const count = (status) => invitations.filter(invitation => invitation.status === status).length;
+  const accepted = count('Accepted');
+  const awaiting = count('Invited');
+
+  return {
+    required,
+    accepted,
+    awaiting,
+    declined: count('Declined'),
+    complete: accepted >= required,
+    // Whether the outstanding invitations could still complete the roster
+    canComplete: accepted + awaiting >= required
+  };
+};
+
+module.exports = {
+  INVITATION_STATUSES,
+  ACTIVE_STATUSES,
+  normaliseEmail,
+  toInvitee,
+  planInvitations,
+  isInvitee,
+  rosterSummary
+};
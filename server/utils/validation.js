@@ -31,7 +31,7 @@ const SPORTS = [
 ];
 
 const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced', 'Professional'];
-const TOURNAMENT_FORMATS = ['Single Elimination', 'Double Elimination', 'Round Robin', 'Group Stage + Knockout'];
+const TOURNAMENT_FORMATS = ['Single Elimination', 'Double Elimination', 'Round Robin', 'Group Stage + Knockout', 'Swiss'];
 const TOURNAMENT_STATUSES = ['Draft', 'Open', 'Full', 'InProgress', 'Completed'];
 const REGISTRATION_TYPES = ['Individual', 'Team'];
 const PAYMENT_STATUSES = ['Pending', 'Confirmed', 'Rejected'];
@@ -372,6 +372,7 @@ const paginationValidation = [
 ];
 
 module.exports = {
+  SPORTS,
   userRegistrationValidation,
   userUpdateValidation,
   tournamentCreateValidation,
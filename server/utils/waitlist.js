@@ -0,0 +1,60 @@
+// Tournament waitlists
+// Entries that arrive once a tournament (or one of its divisions) is full
+// queue in the order they registered. When a place opens, the entry at the
+// front is offered it and has a limited time to pay (or upload proof of
+// payment); an offer that lapses passes to the next entry in line.
+
+const DEFAULT_OFFER_HOURS = 48;
+const HOUR = 60 * 60 * 1000;
+
+// Tournament waitlist settings over the defaults
+const resolveWaitlist = (settings) => ({
+  enabled: !settings || settings.enabled !== false,
+  offerHours: (settings && settings.offerHours) || DEFAULT_OFFER_HOURS
+});
+
+// When an offer lapses: offerHours from now, but never after the tournament starts
+const offerDeadline = (now, offerHours, startDate) => new Date(Math.min(
+  now.getTime() + offerHours * HOUR,
+  new Date(startDate).getTime()
+));
+
+// Places free for waitlisted entries
+const openPlaces = (maxParticipants, occupied) => Math.max(0, maxParticipants - occupied);
+
+// Front of the queue first; entries waitlisted together keep creation order
+const byQueueOrder = (a, b) =>
+  new Date(a.waitlistedAt) - new Date(b.waitlistedAt) || String(a._id).localeCompare(String(b._id));
+
+// Queue position of every waitlisted entry, as a Map of registration id to
+// position starting at 1. Each division of a tournament queues separately.
+const queuePositions = (registrations) => {
+  const queueLengths = new Map();
+
+  return new Map(registrations
+    .filter(registration => registration.status === 'Waitlisted')
+    .sort(byQueueOrder)
+    .map(registration => {
+      const queue = String(registration.division || '');
+      const position = (queueLengths.get(queue) || 0) + 1;
+      queueLengths.set(queue, position);
+      return [String(registration._id), position];
+    }));
+};
+
+// Whether a promoted entry's offer has run out without payment
+const isOfferExpired = (registration, now = new Date()) =>
+  registration.status === 'Pending' &&
+  Boolean(registration.offerExpiresAt) &&
+  new Date(registration.offerExpiresAt) <= now &&
+  registration.paymentStatus !== 'Confirmed' &&
+  !registration.paymentConfirmation;
+
+module.exports = {
+  DEFAULT_OFFER_HOURS,
+  resolveWaitlist,
+  offerDeadline,
+  openPlaces,
+  queuePositions,
+  isOfferExpired
+};